@@ -0,0 +1,139 @@
+import React from 'react';
+import { X, Truck } from 'lucide-react';
+import { ADD_ON_TYPES, formatCurrency } from './services/budgetMath';
+import { getCurrencySymbol } from './services/currency';
+
+/**
+ * Describes an add-on setting for display (e.g., "5%" or "$250 flat").
+ */
+const describeSetting = (setting, currency, decimals) => (setting.mode === 'flat'
+  ? `${formatCurrency(Number(setting.value) || 0, currency, decimals)} flat`
+  : `${Number(setting.value) || 0}%`);
+
+/**
+ * AddOnsModal Component
+ * Edits freight, receiving and installation add-ons.
+ *
+ * Project mode (no `defaults` prop): edits the project defaults and whether
+ * each add-on type is taxable. Item mode: each type either follows the
+ * project default or overrides it for this line. Flat amounts and the
+ * calculated amounts are in the project's base currency, shown with
+ * `decimals` places.
+ */
+const AddOnsModal = ({ title, subtitle, settings, defaults, amounts, currency, decimals = 0, onChange, onClose }) => {
+  const isItemMode = Boolean(defaults);
+  const inputClass = 'px-2 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 print:hidden">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-xl w-full overflow-hidden animate-in fade-in zoom-in duration-200">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div className="flex items-center gap-3 min-w-0">
+            <div className="p-2 bg-orange-100 dark:bg-orange-900/30 rounded-lg">
+              <Truck size={20} className="text-orange-600 dark:text-orange-400" />
+            </div>
+            <div className="min-w-0">
+              <h2 className="text-xl font-bold text-gray-900 dark:text-white">{title}</h2>
+              {subtitle && <div className="text-sm text-gray-500 dark:text-gray-400 truncate">{subtitle}</div>}
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* Add-on Rows */}
+        <div className="p-6 space-y-4">
+          {ADD_ON_TYPES.map(type => {
+            const setting = settings[type.id];
+            const usesDefault = isItemMode && !setting;
+            const shown = setting || defaults?.[type.id];
+
+            return (
+              <div key={type.id} className="flex flex-wrap items-center gap-3">
+                <div className="w-28 text-sm font-semibold text-gray-900 dark:text-white">{type.label}</div>
+
+                {isItemMode && (
+                  <label className="flex items-center gap-2 text-xs text-gray-600 dark:text-gray-300 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={usesDefault}
+                      onChange={(e) => onChange(type.id, e.target.checked ? null : { mode: shown.mode, value: shown.value })}
+                      className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    Project default
+                  </label>
+                )}
+
+                {usesDefault ? (
+                  <div className="text-sm text-gray-500 dark:text-gray-400">{describeSetting(shown, currency, decimals)}</div>
+                ) : (
+                  <div className="flex items-center gap-2">
+                    <select
+                      value={setting.mode}
+                      onChange={(e) => onChange(type.id, { ...setting, mode: e.target.value })}
+                      className={inputClass}
+                    >
+                      <option value="percent">% of line</option>
+                      <option value="flat">Flat {getCurrencySymbol(currency)}</option>
+                    </select>
+                    <input
+                      type="number"
+                      value={setting.value}
+                      onChange={(e) => {
+                        const value = parseFloat(e.target.value);
+                        if (!isNaN(value) && value >= 0) onChange(type.id, { ...setting, value });
+                      }}
+                      step="0.01"
+                      className={`${inputClass} w-24 text-right`}
+                    />
+                  </div>
+                )}
+
+                {!isItemMode && (
+                  <label className="flex items-center gap-2 text-xs text-gray-600 dark:text-gray-300 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={setting.taxable}
+                      onChange={(e) => onChange(type.id, { ...setting, taxable: e.target.checked })}
+                      className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    Taxable
+                  </label>
+                )}
+
+                {amounts && (
+                  <div className="ml-auto text-sm font-medium text-gray-700 dark:text-gray-300">
+                    {formatCurrency(amounts[type.id], currency, decimals)}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {isItemMode
+              ? 'Percentages apply to this line\'s quantity × unit price. Flat amounts are for the whole line.'
+              : 'Defaults apply to every item without its own setting. Taxable add-ons are taxed at their item\'s tax class.'}
+          </p>
+        </div>
+
+        {/* Actions */}
+        <div className="flex justify-end p-6 border-t border-gray-200 dark:border-gray-700">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium transition-colors"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AddOnsModal;
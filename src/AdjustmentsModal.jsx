@@ -0,0 +1,179 @@
+import React from 'react';
+import { X, SlidersHorizontal, Plus, Trash2 } from 'lucide-react';
+import { ADJUSTMENT_KINDS } from './services/budgetMath';
+
+/**
+ * AdjustmentsModal Component
+ * Edits the calculated lines added below the budget subtotal, such as a
+ * design contingency, escalation to the install date or a fee. Each line is
+ * a percentage of the subtotal of all sections or of the chosen ones.
+ */
+const AdjustmentsModal = ({
+  adjustments,
+  calculated,
+  categories,
+  projectDate,
+  salesTaxRate,
+  formatMoney,
+  onAdd,
+  onUpdate,
+  onRemove,
+  onClose
+}) => {
+  const inputClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white';
+
+  const toggleCategory = (adj, catId) => {
+    const categoryIds = adj.categoryIds.includes(catId)
+      ? adj.categoryIds.filter(id => id !== catId)
+      : [...adj.categoryIds, catId];
+    onUpdate(adj.id, 'categoryIds', categoryIds);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 print:hidden">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-2xl w-full max-h-[85vh] flex flex-col overflow-hidden animate-in fade-in zoom-in duration-200">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-blue-100 dark:bg-blue-900/30 rounded-lg">
+              <SlidersHorizontal size={20} className="text-blue-600 dark:text-blue-400" />
+            </div>
+            <h2 className="text-xl font-bold text-gray-900 dark:text-white">Contingency, Escalation & Fees</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* Lines */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-4">
+          {adjustments.length === 0 && (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              No adjustment lines yet. Add one for a design contingency, escalation or a fee.
+            </p>
+          )}
+
+          {adjustments.map(adj => {
+            const line = calculated.find(c => c.id === adj.id);
+            return (
+              <div key={adj.id} className="p-4 rounded-lg border border-gray-200 dark:border-gray-700 space-y-3">
+                <div className="flex items-center gap-3">
+                  <input
+                    type="text"
+                    value={adj.name}
+                    onChange={(e) => onUpdate(adj.id, 'name', e.target.value)}
+                    placeholder="e.g., Design Contingency"
+                    className={`${inputClass} flex-1 min-w-0`}
+                  />
+                  <input
+                    type="number"
+                    value={adj.rate}
+                    onChange={(e) => onUpdate(adj.id, 'rate', parseFloat(e.target.value))}
+                    step="0.1"
+                    min="0"
+                    className={`${inputClass} w-20 text-right`}
+                  />
+                  <select
+                    value={adj.kind}
+                    onChange={(e) => onUpdate(adj.id, 'kind', e.target.value)}
+                    className={inputClass}
+                  >
+                    {ADJUSTMENT_KINDS.map(kind => (
+                      <option key={kind.id} value={kind.id}>{kind.label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => onRemove(adj.id)}
+                    className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/30 rounded"
+                    title="Remove Adjustment Line"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+
+                {adj.kind === 'escalation' && (
+                  <div className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+                    From the project date ({projectDate || 'not set'}) to
+                    <input
+                      type="date"
+                      value={adj.toDate}
+                      onChange={(e) => onUpdate(adj.id, 'toDate', e.target.value)}
+                      className={`${inputClass} py-1`}
+                    />
+                    <span className="text-xs text-gray-400">e.g., the install date</span>
+                  </div>
+                )}
+
+                <div className="flex flex-wrap items-center gap-2 text-xs">
+                  <span className="text-gray-500 dark:text-gray-400">Applies to:</span>
+                  <button
+                    onClick={() => onUpdate(adj.id, 'categoryIds', [])}
+                    className={`px-2 py-1 rounded-full border ${adj.categoryIds.length === 0
+                      ? 'border-blue-500 bg-blue-50 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300'
+                      : 'border-gray-200 dark:border-gray-600 text-gray-600 dark:text-gray-300'}`}
+                  >
+                    All Sections
+                  </button>
+                  {categories.map(cat => (
+                    <button
+                      key={cat.id}
+                      onClick={() => toggleCategory(adj, cat.id)}
+                      className={`px-2 py-1 rounded-full border ${adj.categoryIds.includes(cat.id)
+                        ? 'border-blue-500 bg-blue-50 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300'
+                        : 'border-gray-200 dark:border-gray-600 text-gray-600 dark:text-gray-300'}`}
+                    >
+                      {cat.title}
+                    </button>
+                  ))}
+                </div>
+
+                <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700 dark:text-gray-300">
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={adj.isTaxable}
+                      onChange={(e) => onUpdate(adj.id, 'isTaxable', e.target.checked)}
+                      className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    Taxable ({salesTaxRate}%)
+                  </label>
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={adj.countsAgainstAllowance}
+                      onChange={(e) => onUpdate(adj.id, 'countsAgainstAllowance', e.target.checked)}
+                      className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    Counts against allowance
+                  </label>
+                  {line && (
+                    <span className="ml-auto text-gray-500 dark:text-gray-400">
+                      {formatMoney(line.amount)} on {formatMoney(line.basis)}
+                    </span>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+
+          <button
+            onClick={onAdd}
+            className="flex items-center gap-1 text-sm text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300"
+          >
+            <Plus size={14} /> Add Adjustment Line
+          </button>
+
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Lines are calculated from the section subtotals before tax, including freight and installation,
+            and update as the budget changes. Taxable lines use the standard sales tax.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdjustmentsModal;
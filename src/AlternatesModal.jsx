@@ -0,0 +1,162 @@
+import React from 'react';
+import { X, Shuffle, Plus, Trash2, Check } from 'lucide-react';
+import { getItemOptions, getOptionTotal } from './services/alternates';
+import { hasNetCost } from './services/budgetMath';
+import { getItemCurrency } from './services/currency';
+
+/**
+ * AlternatesModal Component
+ * Lists a line item's options (the base, the selected one and its
+ * alternates) with their totals against the base, and edits the alternates.
+ * The selected option is edited in the budget grid.
+ */
+const AlternatesModal = ({
+  item,
+  category,
+  projectInfo,
+  currencyChoices,
+  formatMoney,
+  onAdd,
+  onUpdate,
+  onSelect,
+  onRemove,
+  onClose
+}) => {
+  const inputClass = 'px-2 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white disabled:bg-gray-100 dark:disabled:bg-gray-800 disabled:text-gray-500';
+  const options = getItemOptions(item);
+  const baseTotal = getOptionTotal(options[0], item, category, projectInfo);
+
+  const field = (option, key, placeholder, className = '') => (
+    <input
+      type="text"
+      value={option[key] || ''}
+      onChange={(e) => onUpdate(option.id, key, e.target.value)}
+      disabled={option.isSelected}
+      placeholder={placeholder}
+      className={`${inputClass} ${className}`}
+    />
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 print:hidden">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-3xl w-full max-h-[85vh] flex flex-col overflow-hidden animate-in fade-in zoom-in duration-200">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-blue-100 dark:bg-blue-900/30 rounded-lg">
+              <Shuffle size={20} className="text-blue-600 dark:text-blue-400" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-gray-900 dark:text-white">Alternates</h2>
+              <div className="text-sm text-gray-500 dark:text-gray-400">Qty {item.qty} &middot; totals before add-ons and tax</div>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* Options */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-3">
+          {options.map((option, index) => {
+            const total = getOptionTotal(option, item, category, projectInfo);
+            const delta = total - baseTotal;
+            return (
+              <div
+                key={option.id || 'selected'}
+                className={`p-4 rounded-lg border space-y-2 ${option.isSelected ? 'border-blue-500 bg-blue-50/50 dark:bg-blue-900/10' : 'border-gray-200 dark:border-gray-700'}`}
+              >
+                <div className="flex items-center gap-2">
+                  <span className="text-xs font-bold uppercase tracking-wider text-gray-400">
+                    {option.isBase ? 'Base' : `Alternate ${index}`}
+                  </span>
+                  {option.isSelected && (
+                    <span className="text-xs font-semibold text-blue-700 dark:text-blue-300 bg-blue-100 dark:bg-blue-900/30 px-2 py-0.5 rounded">Selected</span>
+                  )}
+                  <span className="ml-auto text-sm font-mono text-gray-900 dark:text-white">{formatMoney(total)}</span>
+                  {!option.isBase && (
+                    <span className={`text-sm font-mono ${delta <= 0 ? 'text-emerald-600' : 'text-rose-600'}`}>
+                      {delta > 0 ? '+' : ''}{formatMoney(delta)}
+                    </span>
+                  )}
+                </div>
+
+                <div className="grid grid-cols-2 gap-2">
+                  {field(option, 'mfr', 'Vendor')}
+                  {field(option, 'desc', 'Description')}
+                  {field(option, 'dimensions', 'Dimensions')}
+                  {field(option, 'leadTime', 'Lead Time')}
+                  <div className="flex gap-2">
+                    <input
+                      type="number"
+                      value={option.unitPrice}
+                      onChange={(e) => onUpdate(option.id, 'unitPrice', parseFloat(e.target.value))}
+                      disabled={option.isSelected || hasNetCost(option)}
+                      title={hasNetCost(option) ? 'Priced from its net cost' : 'Unit price'}
+                      min="0"
+                      className={`${inputClass} flex-1 min-w-0 text-right`}
+                    />
+                    <select
+                      value={getItemCurrency(option, projectInfo)}
+                      onChange={(e) => onUpdate(option.id, 'currency', e.target.value)}
+                      disabled={option.isSelected}
+                      className={inputClass}
+                    >
+                      {[...new Set([...currencyChoices, getItemCurrency(option, projectInfo)])].map(code => (
+                        <option key={code} value={code}>{code}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {field(option, 'notes', 'Finish / Note')}
+                </div>
+
+                <textarea
+                  value={option.specs?.detailedDescription || ''}
+                  onChange={(e) => onUpdate(option.id, 'specs', { ...option.specs, detailedDescription: e.target.value })}
+                  disabled={option.isSelected}
+                  placeholder="Specifications"
+                  rows={2}
+                  className={`${inputClass} w-full`}
+                />
+
+                {!option.isSelected && (
+                  <div className="flex justify-end gap-2">
+                    <button
+                      onClick={() => onRemove(option.id)}
+                      className="flex items-center gap-1 px-3 py-1.5 text-sm text-gray-500 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/30 rounded-lg"
+                    >
+                      <Trash2 size={14} /> Remove
+                    </button>
+                    <button
+                      onClick={() => onSelect(option.id)}
+                      className="flex items-center gap-1 px-3 py-1.5 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium"
+                    >
+                      <Check size={14} /> Select for Budget
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+
+          <button
+            onClick={onAdd}
+            className="flex items-center gap-1 text-sm text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300"
+          >
+            <Plus size={14} /> Add Alternate
+          </button>
+
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            The selected option is the one in the budget grid and in all totals. Selecting an alternate swaps it in;
+            the previous option stays available here, and deltas are always measured against the base.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AlternatesModal;
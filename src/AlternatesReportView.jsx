@@ -0,0 +1,132 @@
+import React, { useMemo } from 'react';
+import { ArrowLeft, Shuffle, Printer } from 'lucide-react';
+import { formatCurrency } from './services/budgetMath';
+import { getDisplayDecimals } from './services/money';
+import { getBaseCurrency, getItemCurrency } from './services/currency';
+import { buildAlternatesReport } from './services/alternates';
+
+/**
+ * AlternatesReportView Component
+ * Value-engineering report: every line item with alternates, each option's
+ * line total and its delta against the base option. Printable.
+ */
+const AlternatesReportView = ({ projectInfo, categories, onBack, onEditItem }) => {
+  const report = useMemo(() => buildAlternatesReport(categories, projectInfo), [categories, projectInfo]);
+  const baseCurrency = getBaseCurrency(projectInfo);
+  const decimals = getDisplayDecimals(projectInfo);
+  const money = (val) => formatCurrency(val, baseCurrency, decimals);
+  const signed = (val) => `${val > 0 ? '+' : ''}${money(val)}`;
+
+  return (
+    <div className="min-h-screen bg-gray-100 dark:bg-gray-900 font-sans text-gray-800 dark:text-gray-100 pb-20 print:bg-white print:pb-0">
+
+      {/* Navigation Bar - Hidden on Print */}
+      <div className="bg-slate-900 text-white shadow-lg sticky top-0 z-50 print:hidden">
+        <div className="max-w-7xl mx-auto px-6 py-4 flex justify-between items-center">
+          <div className="flex items-center gap-4">
+            <button
+              onClick={onBack}
+              className="flex items-center gap-2 text-gray-300 hover:text-white transition"
+            >
+              <ArrowLeft size={20} />
+              <span>Back to Budget</span>
+            </button>
+            <div className="h-6 w-px bg-gray-700"></div>
+            <h1 className="text-xl font-bold tracking-tight flex items-center gap-2">
+              <Shuffle className="text-blue-400" />
+              Alternates Report
+            </h1>
+          </div>
+
+          <button
+            onClick={() => window.print()}
+            className="flex items-center gap-2 bg-blue-600 hover:bg-blue-500 transition px-4 py-2 rounded-md text-sm font-semibold shadow-sm"
+          >
+            <Printer size={16} /> Print Report
+          </button>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-6 py-8 space-y-6 print:p-0">
+        {/* Summary */}
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6 print:shadow-none print:text-black">
+          <div className="mb-4">
+            <div className="text-lg font-bold text-gray-900 dark:text-white print:text-black">{projectInfo.name} &mdash; Alternates</div>
+            <div className="text-sm text-gray-500 dark:text-gray-400">{projectInfo.client} &middot; Line totals before add-ons and tax, against the base option</div>
+          </div>
+          <div className="grid grid-cols-3 gap-4">
+            {[
+              { label: 'Lines with Alternates', value: report.rows.length },
+              { label: 'Selected vs Base', value: signed(report.selectedDelta) },
+              { label: 'Lowest-Cost Options vs Base', value: signed(report.lowestDelta) }
+            ].map(stat => (
+              <div key={stat.label}>
+                <div className="text-xs font-bold text-gray-400 uppercase tracking-wider">{stat.label}</div>
+                <div className="text-xl font-bold text-gray-900 dark:text-white print:text-black">{stat.value}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {report.rows.length === 0 && (
+          <div className="text-center text-gray-500 dark:text-gray-400 py-12">
+            No line items have alternates yet. Add them from the Alternates link under an item's description.
+          </div>
+        )}
+
+        {/* Items */}
+        {report.rows.map(({ category, item, options }) => (
+          <div key={item.id} className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden break-inside-avoid print:shadow-none print:text-black">
+            <div className="flex justify-between items-center px-6 py-3 bg-gray-50 dark:bg-gray-800/50 border-b border-gray-200 dark:border-gray-700">
+              <div>
+                <span className="text-xs font-bold text-gray-400 uppercase tracking-wider mr-2">{category.title}</span>
+                <span className="font-bold text-gray-900 dark:text-white print:text-black">{options[0].desc || 'Untitled item'}</span>
+              </div>
+              <button
+                onClick={() => onEditItem(category.id, item.id)}
+                className="text-sm text-blue-600 dark:text-blue-400 hover:underline print:hidden"
+              >
+                Edit Alternates
+              </button>
+            </div>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs font-bold text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                  <th className="px-6 py-2">Option</th>
+                  <th className="px-3 py-2">Vendor</th>
+                  <th className="px-3 py-2">Description</th>
+                  <th className="px-3 py-2">Lead Time</th>
+                  <th className="px-3 py-2 text-right">Qty</th>
+                  <th className="px-3 py-2 text-right">Unit Price</th>
+                  <th className="px-3 py-2 text-right">Total</th>
+                  <th className="px-6 py-2 text-right">Delta</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                {options.map((option, index) => (
+                  <tr key={option.id || 'selected'} className={option.isSelected ? 'font-semibold' : ''}>
+                    <td className="px-6 py-2 whitespace-nowrap">
+                      {option.isBase ? 'Base' : `Alternate ${index}`}
+                      {option.isSelected && <span className="ml-2 text-xs text-blue-700 dark:text-blue-300">(Selected)</span>}
+                    </td>
+                    <td className="px-3 py-2 text-gray-600 dark:text-gray-300 print:text-black">{option.mfr}</td>
+                    <td className="px-3 py-2">{option.desc}</td>
+                    <td className="px-3 py-2 text-gray-600 dark:text-gray-300 print:text-black">{option.leadTime}</td>
+                    <td className="px-3 py-2 text-right">{item.qty}</td>
+                    <td className="px-3 py-2 text-right">{formatCurrency(option.unitPrice, getItemCurrency(option, projectInfo), decimals)}</td>
+                    <td className="px-3 py-2 text-right">{money(option.total)}</td>
+                    <td className={`px-6 py-2 text-right ${option.delta < 0 ? 'text-emerald-600' : option.delta > 0 ? 'text-rose-600' : ''}`}>
+                      {option.isBase ? '—' : signed(option.delta)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AlternatesReportView;
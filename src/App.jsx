@@ -29,12 +29,62 @@ import {
   FileSpreadsheet,
   Sparkles,
   Loader2,
-  Search
+  Search,
+  Undo2,
+  Redo2,
+  Download,
+  History,
+  LayoutTemplate,
+  Percent,
+  Truck,
+  Users,
+  Coins,
+  SlidersHorizontal,
+  Shuffle,
+  BedDouble,
+  Wallet,
+  ClipboardCheck,
+  Tag
 } from 'lucide-react';
 import SpecBookView from './SpecBookView';
 import SettingsModal from './SettingsModal';
 import PricingPopover from './PricingPopover';
+import RevisionPanel from './RevisionPanel';
+import RevisionView from './RevisionView';
+import ValidationReportModal from './ValidationReportModal';
+import SaveConflictModal from './SaveConflictModal';
+import ImportProjectModal from './ImportProjectModal';
+import SaveTemplateModal from './SaveTemplateModal';
+import TaxClassesModal from './TaxClassesModal';
+import AddOnsModal from './AddOnsModal';
+import CurrencyModal from './CurrencyModal';
+import AdjustmentsModal from './AdjustmentsModal';
+import AlternatesModal from './AlternatesModal';
+import AlternatesReportView from './AlternatesReportView';
+import RoomTypesModal from './RoomTypesModal';
+import RoomQuantitiesModal from './RoomQuantitiesModal';
+import CashFlowView from './CashFlowView';
+import ChangeOrdersView from './ChangeOrdersView';
+import PaymentsModal from './PaymentsModal';
+import VendorPricingModal from './VendorPricingModal';
+import useUndoHistory from './hooks/useUndoHistory';
 import { generateSpecFromImage, findPrice } from './services/ai';
+import { migrateDocument, serializeDocument, serializeCategories, createProjectId, DEFAULT_TERMS } from './services/documentSchema';
+import { createRecordId } from './services/documentIds';
+import { validateDocument } from './services/documentValidation';
+import { readFfeFile, writeFfePackage, unpackDocument, FFE_FILE_TYPES } from './services/ffePackage';
+import { saveDraft, loadDraft, deleteDraft, listDrafts } from './services/draftStore';
+import { listRecentFiles, addRecentFile, removeRecentFile, readRecentFile } from './services/recentFiles';
+import { calculateTotals, formatCurrency, getItemTotal, getItemBaseTotal, getTaxClasses, getItemTaxClass, getItemAddOns, getItemAddOnTotal, createDefaultAddOns, createAdjustment, describeAdjustment, calculateCostMetrics, ADD_ON_TYPES, hasNetCost, hasListPrice, getItemDiscount, getItemMarkup, priceItem, applyPricing, PRICING_FIELDS } from './services/budgetMath';
+import { DEFAULT_CURRENCY, CURRENCIES, getBaseCurrency, getItemCurrency, getExchangeRate, getMissingRates, getCurrencySymbol, parsePrice } from './services/currency';
+import { diffBudgets, mergeBudgets } from './services/budgetMerge';
+import { importCategories, clearUnknownTaxClasses } from './services/projectImport';
+import { createAlternate, selectAlternate, hasAlternates } from './services/alternates';
+import { createBaseline, getOpenChange, createChangeOrder, summarizeChangeOrders, mergeBaselines } from './services/changeOrders';
+import { createDefaultPaymentTerms, createPayment, buildCashFlow, getVendorKey, getItemPaid } from './services/payments';
+import { getDisplayDecimals, getTaxRounding, formatAmount, DISPLAY_PRECISIONS, TAX_ROUNDING_RULES, DEFAULT_DISPLAY_PRECISION, DEFAULT_TAX_ROUNDING } from './services/money';
+import { createRoomType, hasRoomQuantities, getKeyCount, deriveItemQty, applyRoomQuantities, describeRoomBreakdown } from './services/roomTypes';
+import { createTemplate, instantiateTemplateCategories, listTemplates, saveTemplate, deleteTemplate } from './services/projectTemplates';
 
 // ============================================================================
 // REUSABLE UI COMPONENTS
@@ -69,9 +119,25 @@ const Card = ({ children, className = "" }) => (
  * @param {string} props.colorClass - Tailwind color class for theming
  * @param {Function} props.onTitleChange - Callback when title is edited
  * @param {Function} props.onDelete - Callback when delete button is clicked
+ * @param {Array} [props.taxClasses] - Project tax classes; a picker is shown when there is more than one
+ * @param {string} [props.taxClassId] - The section's tax class id, if set
+ * @param {Function} [props.onTaxClassChange] - Callback with the chosen tax class id ('' for standard)
+ * @param {Array<{label: string, value: string}>} [props.breakdown] - Parts of the subtotal shown beneath it
+ * @param {number} [props.markup] - The section's markup %, if set
+ * @param {number} [props.defaultMarkup] - Project markup % shown when the section has none
+ * @param {Function} [props.onMarkupChange] - Callback with the new markup (undefined for the project default);
+ *   the markup field is only shown when provided
+ * @param {number} [props.allowance] - The section's allowance, if set
+ * @param {string} [props.spend] - Formatted section total including tax, compared to the allowance
+ * @param {number|null} [props.variance] - Allowance less spend, or null without an allowance
+ * @param {string} [props.varianceLabel] - Formatted absolute variance for the badge
+ * @param {Function} [props.onAllowanceChange] - Callback with the new allowance (undefined to clear it)
+ * @param {number} [props.area] - The section's area in square feet, if set
+ * @param {string|null} [props.costPerArea] - Formatted cost per square foot, or null without an area
+ * @param {Function} [props.onAreaChange] - Callback with the new area (undefined to clear it)
  * @returns {JSX.Element} Styled section header
  */
-const SectionHeader = ({ icon: Icon, title, total, colorClass = "text-gray-800", onTitleChange, onDelete }) => (
+const SectionHeader = ({ icon: Icon, title, total, colorClass = "text-gray-800", onTitleChange, onDelete, taxClasses = [], taxClassId, onTaxClassChange, breakdown = [], markup, defaultMarkup, onMarkupChange, allowance, spend, variance = null, varianceLabel, onAllowanceChange, area, costPerArea = null, onAreaChange }) => (
   <div className="flex items-center justify-between p-4 bg-gray-50 dark:bg-gray-700/50 border-b border-gray-100 dark:border-gray-700 rounded-t-lg print:bg-gray-50 print:border-gray-200 print:text-black">
     <div className="flex items-center gap-3 flex-1">
       <div className={`p-2 rounded-md ${colorClass} bg-opacity-10 dark:bg-opacity-20`}>
@@ -97,6 +163,74 @@ const SectionHeader = ({ icon: Icon, title, total, colorClass = "text-gray-800",
     <div className="text-right">
       <div className="text-xs text-gray-500 dark:text-gray-400 font-medium uppercase print:text-gray-600">Subtotal</div>
       <div className="font-bold text-xl font-mono text-gray-900 dark:text-white print:text-black">{total}</div>
+      {breakdown.length > 0 && (
+        <div className="text-xs text-gray-500 dark:text-gray-400 print:text-gray-600">
+          {breakdown.map(part => `${part.label} ${part.value}`).join(' · ')}
+        </div>
+      )}
+      {taxClasses.length > 1 && (
+        <select
+          value={taxClassId || ''}
+          onChange={(e) => onTaxClassChange(e.target.value)}
+          className="mt-1 text-xs text-gray-500 dark:text-gray-400 bg-transparent border-none p-0 pr-6 focus:ring-0 text-right print:hidden"
+          title="Tax class for items in this section"
+        >
+          {taxClasses.map(tc => (
+            <option key={tc.id} value={tc.id === taxClasses[0].id ? '' : tc.id}>{tc.name} ({tc.rate}%)</option>
+          ))}
+        </select>
+      )}
+      {onMarkupChange && (
+        <label className="mt-1 flex items-center justify-end gap-1 text-xs text-gray-500 dark:text-gray-400" title="Markup for items in this section without their own">
+          Markup
+          <input
+            type="number"
+            value={markup ?? ''}
+            placeholder={String(defaultMarkup ?? 0)}
+            onChange={(e) => onMarkupChange(e.target.value === '' ? undefined : parseFloat(e.target.value))}
+            className="w-14 text-xs text-right border-none p-0.5 bg-gray-100 dark:bg-gray-700 dark:text-gray-200 rounded focus:ring-0 print:bg-transparent"
+          />
+          %
+        </label>
+      )}
+      {onAllowanceChange && (
+        <label className={`mt-1 flex items-center justify-end gap-1 text-xs text-gray-500 dark:text-gray-400 ${allowance === undefined ? 'print:hidden' : ''}`} title="Owner allowance for this section, compared to its total including tax">
+          Allowance
+          <input
+            type="number"
+            value={allowance ?? ''}
+            placeholder="None"
+            min="0"
+            onChange={(e) => onAllowanceChange(e.target.value === '' ? undefined : parseFloat(e.target.value))}
+            className="w-24 text-xs text-right border-none p-0.5 bg-gray-100 dark:bg-gray-700 dark:text-gray-200 rounded focus:ring-0 print:bg-transparent"
+          />
+        </label>
+      )}
+      {onAreaChange && (
+        <label className={`mt-1 flex items-center justify-end gap-1 text-xs text-gray-500 dark:text-gray-400 ${area === undefined ? 'print:hidden' : ''}`} title="Floor area this section furnishes, for its cost per square foot">
+          {costPerArea !== null && <span className="mr-1">{costPerArea} / sq ft ·</span>}
+          Area
+          <input
+            type="number"
+            value={area ?? ''}
+            placeholder="None"
+            min="0"
+            onChange={(e) => onAreaChange(e.target.value === '' ? undefined : parseFloat(e.target.value))}
+            className="w-20 text-xs text-right border-none p-0.5 bg-gray-100 dark:bg-gray-700 dark:text-gray-200 rounded focus:ring-0 print:bg-transparent"
+          />
+          sq ft
+        </label>
+      )}
+      {variance !== null && (
+        <div className="mt-1 flex items-center justify-end gap-2 text-xs">
+          <span className="text-gray-500 dark:text-gray-400 print:text-gray-600">Spend {spend}</span>
+          <span className={`px-2 py-0.5 rounded-full font-semibold ${variance >= 0
+            ? 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400'
+            : 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400'}`}>
+            {variance >= 0 ? 'Under' : 'Over'} by {varianceLabel}
+          </span>
+        </div>
+      )}
     </div>
   </div>
 );
@@ -188,7 +322,7 @@ const SpecEditorModal = ({ isOpen, onClose, item, categoryId, onSave }) => {
 
   const handleGenerateSpec = async () => {
     // Find the first image attachment
-    const imageAttachment = attachments.find(att => att.type.startsWith('image/'));
+    const imageAttachment = attachments.find(att => att.type.startsWith('image/') && att.dataUrl);
 
     if (!imageAttachment) {
       alert('Please upload an image first to generate specifications.');
@@ -226,7 +360,7 @@ const SpecEditorModal = ({ isOpen, onClose, item, categoryId, onSave }) => {
       const reader = new FileReader();
       reader.onload = (event) => {
         setAttachments(prev => [...prev, {
-          id: Date.now() + Math.random(),
+          id: createRecordId(),
           name: file.name,
           type: file.type,
           size: file.size,
@@ -313,7 +447,7 @@ const SpecEditorModal = ({ isOpen, onClose, item, categoryId, onSave }) => {
                 <div className="grid grid-cols-2 gap-3">
                   {attachments.map(att => (
                     <div key={att.id} className="relative group border border-gray-200 dark:border-gray-700 rounded-lg p-3 hover:border-blue-500 transition">
-                      {att.type.startsWith('image/') ? (
+                      {att.type.startsWith('image/') && att.dataUrl ? (
                         <img src={att.dataUrl} alt={att.name} className="w-full h-32 object-cover rounded mb-2" />
                       ) : (
                         <div className="w-full h-32 bg-gray-100 dark:bg-gray-700 rounded mb-2 flex items-center justify-center">
@@ -321,7 +455,7 @@ const SpecEditorModal = ({ isOpen, onClose, item, categoryId, onSave }) => {
                         </div>
                       )}
                       <p className="text-xs text-gray-600 dark:text-gray-400 truncate">{att.name}</p>
-                      <p className="text-xs text-gray-400">{(att.size / 1024).toFixed(1)} KB</p>
+                      <p className="text-xs text-gray-400">{att.missing ? 'Missing from file' : `${(att.size / 1024).toFixed(1)} KB`}</p>
                       <button
                         onClick={() => removeAttachment(att.id)}
                         className="absolute top-2 right-2 p-1 bg-red-500 text-white rounded-full opacity-0 group-hover:opacity-100 transition"
@@ -427,6 +561,188 @@ const StatusSelector = ({ value, onChange }) => {
   );
 };
 
+// ============================================================================
+// DOCUMENT HELPERS
+// ============================================================================
+
+/**
+ * Icon and color defaults for the built-in category ids.
+ * Icons are components and are not stored in .ffe files, so they are
+ * reattached here whenever a document is loaded.
+ */
+const CATEGORY_ICONS = {
+  'foh': { icon: Armchair, color: 'text-blue-600' },
+  'custom': { icon: Lightbulb, color: 'text-amber-600' },
+  'wayfinding': { icon: Signpost, color: 'text-purple-600' },
+  'exterior': { icon: TreePine, color: 'text-emerald-600' },
+  'fees': { icon: Briefcase, color: 'text-gray-600' }
+};
+
+/**
+ * Reconstructs runtime category objects from serialized document categories.
+ *
+ * @param {Array} categories - Categories from a migrated document
+ * @returns {Array} Categories with icon components and colors restored
+ */
+const hydrateCategories = (categories) => categories.map(cat => ({
+  ...cat,
+  icon: CATEGORY_ICONS[cat.id]?.icon || Layout,
+  color: cat.color || CATEGORY_ICONS[cat.id]?.color || 'text-gray-600'
+}));
+
+/**
+ * Migrates a parsed document to the current schema and validates it.
+ *
+ * @param {Object} rawDocument - Parsed document JSON
+ * @returns {{document: Object, issues: Array}} Repaired document and the problems found
+ * @throws {Error} If the document is invalid or from a newer schema version
+ */
+const prepareDocument = (rawDocument) => validateDocument(migrateDocument(rawDocument), {
+  statuses: Object.keys(STATUS_CONFIG)
+});
+
+/**
+ * Appends the .ffe extension to a file name if it is missing.
+ *
+ * @param {string} fileName - File name entered by the user
+ * @returns {string} File name ending in .ffe
+ */
+const withFfeExtension = (fileName) => (/\.ffe$/i.test(fileName) ? fileName : `${fileName}.ffe`);
+
+/**
+ * Builds the default file name for a project (e.g., "grand_hotel_budget.ffe").
+ *
+ * @param {Object} projectInfo - Project information state
+ * @returns {string} Suggested file name
+ */
+const getSuggestedFileName = (projectInfo) =>
+  `${projectInfo.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_budget.ffe`;
+
+/**
+ * Triggers a browser download of a blob.
+ *
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Download file name
+ */
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.setAttribute('href', url);
+  link.setAttribute('download', fileName);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Revoke after the click has been handled so the download can start
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Creates a blank line item with default values.
+ * Uses a random UUID so items created in the same millisecond never collide.
+ *
+ * @param {Object} [overrides] - Field values to apply over the defaults
+ * @returns {Object} New line item
+ */
+const createLineItem = (overrides = {}) => ({
+  id: createRecordId(),
+  mfr: '',
+  desc: '',
+  dimensions: '',
+  qty: 0,
+  unitPrice: 0,
+  leadTime: '',
+  status: 'Draft',
+  isTaxable: false,
+  notes: '',
+  specs: { detailedDescription: '', attachments: [] },
+  ...overrides
+});
+
+/**
+ * Creates a unique id for a user-added category.
+ * @returns {string} Category id (e.g., "cat_0b7e4f7a-5a31-4f0c-8a8e-1f6c2d9b7e11")
+ */
+const createCategoryId = () => `cat_${createRecordId()}`;
+
+/**
+ * Creates a named revision snapshot of the budget.
+ * The logo is left out; restoring a revision keeps the current logo.
+ *
+ * @param {string} name - Revision name (e.g., "Rev 2 - Schematic pricing")
+ * @param {Object} projectInfo - Project information state
+ * @param {Array} categories - Categories state
+ * @returns {Object} Revision { id, name, createdAt, projectInfo, categories }
+ */
+const createRevision = (name, projectInfo, categories) => {
+  const { logoUrl: _logoUrl, ...info } = projectInfo;
+  return {
+    id: createRecordId(),
+    name,
+    createdAt: new Date().toISOString(),
+    projectInfo: info,
+    categories: serializeCategories(categories)
+  };
+};
+
+/**
+ * Creates the project information used for a new document.
+ * Includes placeholder project details, company branding and standard terms.
+ *
+ * @returns {Object} Default projectInfo
+ */
+const createDefaultProjectInfo = () => ({
+  // Project Details
+  name: "Project Name",
+  address: "project address goes here, city, state, zip code",
+  date: new Date().toISOString().split('T')[0],
+  client: "Development Group LLC",
+  allowance: 750000, // Total budget allowance in the base currency
+  salesTaxRate: 10.25, // Tax rate as percentage (e.g., 10.25%)
+  taxClasses: [], // Additional tax classes { id, name, rate }
+  pricesIncludeTax: false, // True when unit prices already include tax (VAT)
+  taxRounding: DEFAULT_TAX_ROUNDING, // Round tax once per invoice ('invoice') or on each line ('line')
+  displayPrecision: DEFAULT_DISPLAY_PRECISION, // Show amounts in whole units ('whole') or cents ('cents')
+  addOns: createDefaultAddOns(), // Freight, receiving and installation defaults
+  markup: 0, // Default markup % from net cost to sell price
+  currency: DEFAULT_CURRENCY, // Base currency for totals; items may be priced in others
+  exchangeRates: {}, // Value of one unit of each foreign currency in the base currency
+  adjustments: [], // Calculated contingency, escalation and fee lines below the subtotal
+  roomTypes: [], // Guest room types { id, name, count } for per-room quantities
+  keyCount: 0, // Number of keys for cost per key; room types replace it when present
+  area: 0, // Project area in square feet for cost per square foot
+  paymentTerms: createDefaultPaymentTerms(), // Deposit % at order: project default and per vendor
+
+  // Company Branding
+  companyName: "Pat Ryan Things LLC.",
+  companyAddress: "1521 Syracuse St, Denver, CO 80220",
+  companyPhone: "303 434 4595",
+  companyEmail: "pat@patryan.com",
+  companyWebsite: "www.patryan.com",
+  logoUrl: "src/assets/PRThingsTempLogo.png", // Placeholder logo URL
+
+  // Terms & Conditions
+  terms: [...DEFAULT_TERMS]
+});
+
+/**
+ * Creates the categories used for a new document: a single
+ * Front of House section with one blank line item.
+ *
+ * @returns {Array} Default categories
+ */
+const createDefaultCategories = () => [
+  {
+    id: 'foh',
+    title: 'Front of House | Furniture & Equipment',
+    icon: Armchair,
+    color: 'text-blue-600',
+    items: [
+      createLineItem()
+    ]
+  }
+];
+
 // ============================================================================
 // MAIN APPLICATION COMPONENT
 // ============================================================================
@@ -455,30 +771,13 @@ export default function App() {
    * Stores all project-specific details including client info, budget allowance,
    * and company branding information for document headers.
    */
-  const [projectInfo, setProjectInfo] = useState({
-    // Project Details
-    name: "Project Name",
-    address: "project address goes here, city, state, zip code",
-    date: new Date().toISOString().split('T')[0],
-    client: "Development Group LLC",
-    allowance: 750000, // Total budget allowance in USD
-    salesTaxRate: 10.25, // Tax rate as percentage (e.g., 10.25%)
-
-    // Company Branding
-    companyName: "Pat Ryan Things LLC.",
-    companyAddress: "1521 Syracuse St, Denver, CO 80220",
-    companyPhone: "303 434 4595",
-    companyEmail: "pat@patryan.com",
-    companyWebsite: "www.patryan.com",
-    logoUrl: "src/assets/PRThingsTempLogo.png", // Placeholder logo URL
-
-    // Terms & Conditions
-    terms: [
-      "1. Estimates are valid for 30 days from date of issue.",
-      "2. Freight and delivery charges are estimated and will be billed at actual cost.",
-      "3. A formal quote and proposal will be provided. This is a preliminary budgeting tool only."
-    ]
-  });
+  const [projectInfo, setProjectInfo] = useState(createDefaultProjectInfo);
+
+  /**
+   * Project Id State
+   * Stable identifier for the open project. Keys its autosave draft slot.
+   */
+  const [projectId, setProjectId] = useState(createProjectId);
 
   /**
    * Budget Categories State
@@ -503,17 +802,21 @@ export default function App() {
    * - status: Item status (Draft, Approved, In Progress, Received)
    * - notes: Additional information (finish, color, special instructions)
    */
-  const [categories, setCategories] = useState([
-    {
-      id: 'foh',
-      title: 'Front of House | Furniture & Equipment',
-      icon: Armchair,
-      color: 'text-blue-600',
-      items: [
-        { id: Date.now(), mfr: '', desc: '', dimensions: '', qty: 0, unitPrice: 0, leadTime: '', status: 'Draft', isTaxable: false, notes: '', specs: { detailedDescription: '', attachments: [] } }
-      ]
-    }
-  ]);
+  const [categories, setCategories] = useState(createDefaultCategories);
+
+  /**
+   * Revisions State
+   * Named snapshots of the budget stored inside the project file.
+   * Each revision holds { id, name, createdAt, projectInfo, categories }.
+   */
+  const [revisions, setRevisions] = useState([]);
+
+  /**
+   * Baseline State
+   * The approved budget once it is locked, with the change orders issued
+   * against it. Null while the budget is not locked. See changeOrders.js.
+   */
+  const [baseline, setBaseline] = useState(null);
 
   /**
    * File Handle State
@@ -530,10 +833,43 @@ export default function App() {
   const [currentFileName, setCurrentFileName] = useState(null);
 
   /**
-   * Unsaved Changes State
-   * Tracks whether the document has unsaved changes to prompt user before closing.
+   * Disk Version State
+   * The open file's lastModified time and categories as last read or written.
+   * Used on save to detect and merge changes made to the file by someone else.
+   * Null when there is no file handle.
+   */
+  const [diskVersion, setDiskVersion] = useState(null);
+
+  /**
+   * Saved Snapshot State
+   * References to the projectInfo, categories, revisions and baseline last written to or read from disk.
+   * Null when the document has never been saved (e.g., a recovered draft).
    */
-  const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
+  const [savedSnapshot, setSavedSnapshot] = useState(() => ({ projectInfo, categories, revisions, baseline }));
+
+  /**
+   * Unsaved Changes
+   * The document has unsaved changes whenever the current state is not the
+   * saved snapshot. State updates are immutable, so reference checks suffice.
+   */
+  const hasUnsavedChanges = !savedSnapshot ||
+    savedSnapshot.projectInfo !== projectInfo ||
+    savedSnapshot.categories !== categories ||
+    savedSnapshot.revisions !== revisions ||
+    savedSnapshot.baseline !== baseline;
+
+  /**
+   * Undo/Redo History
+   * Snapshots of projectInfo and categories taken before each edit.
+   * Cleared whenever a different document is loaded.
+   */
+  const undoHistory = useUndoHistory(
+    { projectInfo, categories },
+    (snapshot) => {
+      setProjectInfo(snapshot.projectInfo);
+      setCategories(snapshot.categories);
+    }
+  );
 
   /**
    * Spec Editor State
@@ -546,15 +882,62 @@ export default function App() {
    * Controls the current view of the application.
    * 'welcome' - Initial launch screen
    * 'budget' - Main budget editor
+   * 'specbook' - Specification book
+   * 'revision' - Read-only revision snapshot
    */
   const [currentView, setCurrentView] = useState('welcome');
 
   /**
-   * Recent Draft State
-   * Stores metadata about the auto-saved draft to show on welcome screen.
+   * Revision Panel State
+   * Controls the revisions modal and which revision the read-only view shows.
+   */
+  const [showRevisionPanel, setShowRevisionPanel] = useState(false);
+  const [viewingRevisionId, setViewingRevisionId] = useState(null);
+
+  /**
+   * Recoverable Drafts State
+   * Metadata for every auto-saved draft in IndexedDB, shown on the welcome screen.
+   */
+  const [drafts, setDrafts] = useState([]);
+
+  /**
+   * Recent Files State
+   * Files opened or saved through the File System Access API, most recent first.
+   * Each entry keeps its file handle so it can be reopened in one click.
+   */
+  const [recentFiles, setRecentFiles] = useState([]);
+
+  /**
+   * Project Templates State
+   * Templates saved in IndexedDB, offered on the welcome screen for new projects.
+   */
+  const [templates, setTemplates] = useState([]);
+  const [showSaveTemplateModal, setShowSaveTemplateModal] = useState(false);
+
+  /**
+   * Tax Classes Modal State
+   * Controls the dialog for editing tax classes and tax-inclusive pricing.
+   */
+  const [showTaxClassesModal, setShowTaxClassesModal] = useState(false);
+  const [showAdjustmentsModal, setShowAdjustmentsModal] = useState(false);
+
+  /**
+   * Currency Modal State
+   * Controls the dialog for the base currency and exchange rates.
+   */
+  const [showCurrencyModal, setShowCurrencyModal] = useState(false);
+
+  /**
+   * Add-ons Editor State
+   * Which add-ons the editor shows: null when closed, { itemId: null } for the
+   * project defaults, or { categoryId, itemId } for one line item.
    */
-  const [hasRecentDraft, setHasRecentDraft] = useState(false);
-  const [draftInfo, setDraftInfo] = useState(null);
+  const [addOnsEditor, setAddOnsEditor] = useState(null);
+  const [alternatesEditor, setAlternatesEditor] = useState(null); // { categoryId, itemId }
+  const [showRoomTypesModal, setShowRoomTypesModal] = useState(false);
+  const [roomQuantitiesEditor, setRoomQuantitiesEditor] = useState(null); // { categoryId, itemId }
+  const [paymentsEditor, setPaymentsEditor] = useState(null); // { categoryId, itemId }
+  const [vendorPricingEditor, setVendorPricingEditor] = useState(null); // { categoryId, itemId }
 
   /**
    * Last Auto-Save Time State
@@ -562,6 +945,36 @@ export default function App() {
    */
   const [lastAutoSave, setLastAutoSave] = useState(null);
 
+  /**
+   * Validation Report State
+   * Problems found while opening a document. `onImport` loads the repaired document.
+   */
+  const [validationReport, setValidationReport] = useState({
+    isOpen: false,
+    fileName: '',
+    issues: [],
+    onImport: null
+  });
+
+  /**
+   * Save Conflict State
+   * Set when the open file changed on disk since it was read.
+   * `changes` is null until the user opens the merge view.
+   */
+  const [saveConflict, setSaveConflict] = useState({
+    isOpen: false,
+    file: null,
+    theirs: null,
+    changes: null
+  });
+
+  /**
+   * Import Source State
+   * The project chosen in "Import from Project…", shown as a checklist.
+   * Holds { name, categories } while the import dialog is open, otherwise null.
+   */
+  const [importSource, setImportSource] = useState(null);
+
   /**
    * Print Settings State
    * Controls the layout and formatting of the printed document.
@@ -635,11 +1048,13 @@ export default function App() {
   const handlePriceSelect = (priceString) => {
     if (!pricingPopover.targetItem) return;
 
-    // Extract number from string (e.g., "$1,234.00" -> 1234)
-    const numericPrice = parseFloat(priceString.replace(/[^0-9.]/g, ''));
+    // Extract amount and currency from string (e.g., "EUR 1234.00" -> 1234 EUR)
+    const price = parsePrice(priceString);
 
-    if (!isNaN(numericPrice)) {
-      updateItem(pricingPopover.targetItem.categoryId, pricingPopover.targetItem.itemId, 'unitPrice', numericPrice);
+    if (price) {
+      const { categoryId, itemId } = pricingPopover.targetItem;
+      updateItem(categoryId, itemId, 'unitPrice', price.amount);
+      if (price.currency) updateItemCurrency(categoryId, itemId, price.currency);
     }
 
     setPricingPopover(prev => ({ ...prev, isOpen: false }));
@@ -658,6 +1073,19 @@ export default function App() {
     return false;
   });
 
+  /**
+   * Pricing View State
+   * 'internal' shows net cost, markup and margin; 'client' hides them
+   * everywhere (screen, print, Spec Book and CSV). Persists to localStorage.
+   */
+  const [pricingView, setPricingView] = useState(() => {
+    if (typeof window !== 'undefined') {
+      return localStorage.getItem('pricingView') === 'client' ? 'client' : 'internal';
+    }
+    return 'internal';
+  });
+  const isInternalView = pricingView === 'internal';
+
   /**
    * Main Menu State
    * Controls the visibility of the main application dropdown menu.
@@ -674,8 +1102,11 @@ export default function App() {
     leadTime: true,
     status: true,
     qty: true,
+    netCost: true,
+    markup: true,
     unitPrice: true,
     total: true,
+    addOns: true,
     tax: true,
     notes: true
   });
@@ -689,69 +1120,50 @@ export default function App() {
   // EFFECT HOOKS
   // ============================================================================
 
-  /**
-   * Track Changes Effect
-   * Marks document as having unsaved changes whenever state updates.
-   * Ignores initial render by checking if this is the first update.
-   */
-  const isFirstRender = React.useRef(true);
   const fileInputRef = React.useRef(null);
-
-  useEffect(() => {
-    if (isFirstRender.current) {
-      isFirstRender.current = false;
-      return;
-    }
-    setHasUnsavedChanges(true);
-  }, [projectInfo, categories]);
+  const importFileInputRef = React.useRef(null);
+  // Draft writes and deletions run one at a time, in order. Each save bumps
+  // the generation so autosaves queued before it do not recreate its draft.
+  const draftQueueRef = React.useRef(Promise.resolve());
+  const saveGenerationRef = React.useRef(0);
 
   /**
    * Auto-save Effect
-   * Saves current state to localStorage on every change.
-   * Debounced to prevent excessive writes.
+   * Saves the open project to its IndexedDB draft slot while it has unsaved changes.
+   * Debounced to prevent excessive writes; skipped if the project was saved
+   * while the write was waiting its turn.
    */
   useEffect(() => {
+    if (currentView === 'welcome' || !hasUnsavedChanges) return;
+
     const timeoutId = setTimeout(() => {
-      const stateToSave = {
-        version: '1.0',
-        savedAt: new Date().toISOString(),
-        projectInfo,
-        categories: categories.map(cat => ({
-          id: cat.id,
-          title: cat.title,
-          color: cat.color,
-          items: cat.items
-        }))
-      };
-      localStorage.setItem('ffe_autosave', JSON.stringify(stateToSave));
-      setLastAutoSave(new Date().toLocaleString()); // Update last auto-save time
+      const generation = saveGenerationRef.current;
+      const stateToSave = serializeDocument({ projectId, projectInfo, categories, revisions, baseline });
+      draftQueueRef.current = draftQueueRef.current
+        .then(() => (generation === saveGenerationRef.current
+          ? saveDraft(stateToSave, { fileName: currentFileName })
+            .then(() => setLastAutoSave(new Date().toLocaleString())) // Update last auto-save time
+          : null))
+        .catch(error => console.error('Auto-save failed', error));
     }, 1000);
 
     return () => clearTimeout(timeoutId);
-  }, [projectInfo, categories]);
+  }, [projectId, projectInfo, categories, revisions, baseline, hasUnsavedChanges, currentView, currentFileName]);
 
   /**
    * Recovery Effect
-   * Checks for auto-saved data on mount.
+   * Lists auto-saved drafts, recent files and templates on mount.
    */
   useEffect(() => {
-    const savedState = localStorage.getItem('ffe_autosave');
-    if (savedState) {
-      try {
-        const parsedState = JSON.parse(savedState);
-        const hasData = parsedState.categories.some(cat => cat.items.length > 0 && (cat.items[0].desc !== '' || cat.items.length > 1));
-
-        if (hasData) {
-          setHasRecentDraft(true);
-          setDraftInfo({
-            projectName: parsedState.projectInfo.name,
-            lastSaved: new Date(parsedState.savedAt).toLocaleString()
-          });
-        }
-      } catch (e) {
-        console.error('Failed to parse auto-save data', e);
-      }
-    }
+    listDrafts()
+      .then(setDrafts)
+      .catch(error => console.error('Failed to read auto-save drafts', error));
+    listRecentFiles()
+      .then(setRecentFiles)
+      .catch(error => console.error('Failed to read recent files', error));
+    listTemplates()
+      .then(setTemplates)
+      .catch(error => console.error('Failed to read templates', error));
   }, []); // Run once on mount
 
   /**
@@ -770,6 +1182,34 @@ export default function App() {
     return () => window.removeEventListener('beforeunload', handleBeforeUnload);
   }, [hasUnsavedChanges]);
 
+  /**
+   * Undo/Redo Keyboard Shortcuts
+   * Ctrl+Z (Cmd+Z) undoes and Ctrl+Shift+Z / Ctrl+Y redoes budget edits.
+   * Disabled outside the budget view and while a modal is open so that
+   * modal text fields keep their native undo.
+   */
+  const isModalOpen = specEditorState.isOpen || confirmationModal.isOpen || validationReport.isOpen || saveConflict.isOpen || importSource !== null || showSaveTemplateModal || showTaxClassesModal || showAdjustmentsModal || showCurrencyModal || addOnsEditor !== null || alternatesEditor !== null || showRoomTypesModal || roomQuantitiesEditor !== null || paymentsEditor !== null || vendorPricingEditor !== null || showPrintModal || showSettingsModal || showRevisionPanel;
+
+  useEffect(() => {
+    if (currentView !== 'budget' || isModalOpen) return;
+
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoHistory.undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        undoHistory.redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [currentView, isModalOpen, undoHistory]);
+
   /**
    * Dark Mode Effect
    * Updates the DOM and localStorage when theme changes.
@@ -784,77 +1224,120 @@ export default function App() {
     }
   }, [isDarkMode]);
 
+  /**
+   * Pricing View Effect
+   * Remembers the internal/client pricing view between sessions.
+   */
+  useEffect(() => {
+    localStorage.setItem('pricingView', pricingView);
+  }, [pricingView]);
+
   // ============================================================================
   // UTILITY FUNCTIONS & CALCULATIONS
   // ============================================================================
 
-  /**
-   * Format Currency Helper
-   * Converts numeric values to USD currency format without decimal places.
-   * Uses the browser's built-in Intl.NumberFormat for localization.
-   * 
-   * @param {number} val - Numeric value to format
-   * @returns {string} Formatted currency string (e.g., "$1,234")
-   */
-  const formatCurrency = (val) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0,
-    }).format(val);
-  };
-
   /**
    * Budget Totals Calculation
    * Memoized calculation of all budget totals to optimize performance.
-   * Recalculates only when categories, allowance, or tax rate changes.
-   * 
-   * Calculations:
-   * - categoryTotals: Sum of items within each category
-   * - grandTotal: Sum of all categories (pre-tax)
-   * - tax: Calculated tax based on salesTaxRate
-   * - totalWithTax: Grand total including tax
-   * - variance: Difference between allowance and total (positive = under budget)
-   * 
-   * @returns {Object} Object containing all calculated totals
+   * Recalculates only when categories, allowance, or tax settings change.
+   * See calculateTotals() for the individual figures.
    */
-  const totals = useMemo(() => {
-    let grandTotal = 0;
-    const categoryTotals = {};
-    let taxableTotal = 0;
+  const totals = useMemo(
+    () => calculateTotals(categories, {
+      allowance: projectInfo.allowance,
+      salesTaxRate: projectInfo.salesTaxRate,
+      taxClasses: projectInfo.taxClasses,
+      pricesIncludeTax: projectInfo.pricesIncludeTax,
+      taxRounding: projectInfo.taxRounding,
+      addOns: projectInfo.addOns,
+      markup: projectInfo.markup,
+      currency: projectInfo.currency,
+      exchangeRates: projectInfo.exchangeRates,
+      adjustments: projectInfo.adjustments,
+      date: projectInfo.date
+    }),
+    [categories, projectInfo.allowance, projectInfo.salesTaxRate, projectInfo.taxClasses, projectInfo.pricesIncludeTax, projectInfo.taxRounding, projectInfo.addOns, projectInfo.markup, projectInfo.currency, projectInfo.exchangeRates, projectInfo.adjustments, projectInfo.date]
+  );
 
-    if (!categories || !Array.isArray(categories)) {
-      return { categoryTotals, grandTotal, tax: 0, totalWithTax: 0, variance: 0 };
-    }
+  /** Base currency of the open project; every total is shown in it, at the project's display precision. */
+  const baseCurrency = getBaseCurrency(projectInfo);
+  const displayDecimals = getDisplayDecimals(projectInfo);
+  const formatMoney = (val) => formatCurrency(val, baseCurrency, displayDecimals);
 
-    // Calculate subtotal for each category
-    categories.forEach(cat => {
-      if (!cat.items || !Array.isArray(cat.items)) {
-        categoryTotals[cat.id] = 0;
-        return;
-      }
+  /** Currencies an item can be priced in: the base currency and those with a rate. */
+  const currencyChoices = [baseCurrency, ...Object.keys(projectInfo.exchangeRates || {})];
 
-      const catSum = cat.items.reduce((sum, item) => {
-        const itemTotal = (Number(item.qty) || 0) * (Number(item.unitPrice) || 0);
-        if (item.isTaxable !== false) { // Default to true if undefined
-          taxableTotal += itemTotal;
-        }
-        return sum + itemTotal;
-      }, 0);
-      categoryTotals[cat.id] = catSum;
-      grandTotal += catSum;
-    });
+  /** Currencies used by items that have no exchange rate yet. */
+  const missingRates = useMemo(() => getMissingRates(categories, projectInfo), [categories, projectInfo]);
 
-    // Calculate tax and final totals
-    const rate = Number(projectInfo.salesTaxRate) || 0;
-    const tax = taxableTotal * (rate / 100);
-    const totalWithTax = grandTotal + tax;
-    const variance = (Number(projectInfo.allowance) || 0) - totalWithTax;
+  /** Sections with an allowance of their own, listed in the section budgets table. */
+  const budgetedCategories = categories.filter(cat => typeof cat.allowance === 'number');
 
-    return { categoryTotals, grandTotal, tax, totalWithTax, variance };
-  }, [categories, projectInfo.allowance, projectInfo.salesTaxRate]);
+  /** Payment schedule as of today, for the paid-to-date card. */
+  const [today] = useState(() => new Date().toISOString().split('T')[0]);
+  const cashFlow = useMemo(() => buildCashFlow(categories, projectInfo, today), [categories, projectInfo, today]);
 
+  /** Cost changes not yet issued as a change order, and the baseline versus current totals. */
+  const openChange = useMemo(
+    () => (baseline ? getOpenChange(baseline, categories, projectInfo, totals) : null),
+    [baseline, categories, projectInfo, totals]
+  );
+  const changeOrderSummary = useMemo(() => (baseline ? summarizeChangeOrders(baseline, totals) : null), [baseline, totals]);
+
+  /** Cost per key and per square foot, for the project and each section. */
+  const metrics = calculateCostMetrics(totals, categories, projectInfo);
+  const hasMetrics = metrics.keyCount > 0 || metrics.area > 0 || categories.some(cat => typeof cat.area === 'number');
+
+  /** Standard sales tax followed by the project's own tax classes. */
+  const taxClasses = getTaxClasses(projectInfo);
+
+  /** Line item shown in the add-ons editor, if it is editing one. */
+  const addOnsItem = addOnsEditor?.itemId
+    ? categories.find(cat => cat.id === addOnsEditor.categoryId)?.items.find(item => item.id === addOnsEditor.itemId)
+    : null;
+
+  /** Category and line item shown in the alternates editor, if open. */
+  const alternatesCategory = alternatesEditor ? categories.find(cat => cat.id === alternatesEditor.categoryId) : null;
+  const alternatesItem = alternatesCategory?.items.find(item => item.id === alternatesEditor.itemId) || null;
+
+  /** Line item shown in the per-room quantities editor, if open. */
+  const roomQuantitiesItem = roomQuantitiesEditor
+    ? categories.find(cat => cat.id === roomQuantitiesEditor.categoryId)?.items.find(item => item.id === roomQuantitiesEditor.itemId)
+    : null;
+
+  /** Category and line item shown in the payments editor, if open. */
+  const paymentsCategory = paymentsEditor ? categories.find(cat => cat.id === paymentsEditor.categoryId) : null;
+  const paymentsItem = paymentsCategory?.items.find(item => item.id === paymentsEditor.itemId) || null;
+
+  /** Line item shown in the vendor pricing editor, if open. */
+  const vendorPricingItem = vendorPricingEditor
+    ? categories.find(cat => cat.id === vendorPricingEditor.categoryId)?.items.find(item => item.id === vendorPricingEditor.itemId)
+    : null;
+
+  /** Number of items using each room type, for the room types editor. */
+  const roomTypeItemCounts = {};
+  categories.forEach(cat => cat.items.forEach(item => {
+    Object.keys(item.perRoom || {}).forEach(id => { roomTypeItemCounts[id] = (roomTypeItemCounts[id] || 0) + 1; });
+  }));
+
+  /**
+   * Describes the add-ons in a subtotal, for section headers and the dashboard.
+   * @param {Object<string, number>} amounts - Amount per add-on type id
+   * @param {number} merchandise - Merchandise total the add-ons apply to
+   * @returns {Array<{label: string, value: string}>} Empty when there are no add-ons
+   */
+  const describeAddOns = (amounts, merchandise) => {
+    const parts = ADD_ON_TYPES.filter(type => amounts[type.id]).map(type => ({ label: type.label, value: formatMoney(amounts[type.id]) }));
+    return parts.length > 0 ? [{ label: 'Merchandise', value: formatMoney(merchandise) }, ...parts] : [];
+  };
+
+
+  /**
+   * Amount of a calculated adjustment line including its tax.
+   * @param {Object} adj - Adjustment line from totals.adjustments
+   * @returns {number}
+   */
+  const adjustmentWithTax = (adj) => (projectInfo.pricesIncludeTax ? adj.amount : adj.amount + adj.tax);
 
   // ============================================================================
   // FILE MANAGEMENT FUNCTIONS
@@ -863,46 +1346,51 @@ export default function App() {
   /**
    * Create New Document
    * Resets all state to default values for a fresh document.
-   * Prompts user if there are unsaved changes.
+   * With a template, its sections, items, terms, tax rate and visible columns
+   * replace the defaults. Prompts user if there are unsaved changes.
+   *
+   * @param {Object|null} [template] - Template from listTemplates()
    */
-  const handleNewDocument = () => {
+  const handleNewDocument = (template = null) => {
     const executeNewDocument = () => {
       // Reset to default state
-      setProjectInfo({
-        name: "Project Name",
-        address: "project address goes here, city, state, zip code",
-        date: new Date().toISOString().split('T')[0],
-        client: "Development Group LLC",
-        allowance: 750000,
-        salesTaxRate: 10.25,
-        companyName: "Pat Ryan Things LLC.",
-        companyAddress: "1521 Syracuse St, Denver, CO 80220",
-        companyPhone: "303 434 4595",
-        companyEmail: "pat@patryan.com",
-        companyWebsite: "www.patryan.com",
-        logoUrl: "src/assets/PRThingsTempLogo.png",
-        terms: [
-          "1. Estimates are valid for 30 days from date of issue.",
-          "2. Freight and delivery charges are estimated and will be billed at actual cost.",
-          "3. A formal quote and proposal will be provided. This is a preliminary budgeting tool only."
-        ]
-      });
-
-      setCategories([
-        {
-          id: 'foh',
-          title: 'Front of House | Furniture & Equipment',
-          icon: Armchair,
-          color: 'text-blue-600',
-          items: [
-            { id: Date.now(), mfr: '', desc: '', dimensions: '', qty: 0, unitPrice: 0, leadTime: '', status: 'Draft', isTaxable: false, notes: '', specs: { detailedDescription: '', attachments: [] } }
-          ]
+      const defaultProjectInfo = createDefaultProjectInfo();
+      const newProjectInfo = template
+        ? {
+          ...defaultProjectInfo,
+          salesTaxRate: template.salesTaxRate,
+          taxClasses: template.taxClasses || [],
+          pricesIncludeTax: template.pricesIncludeTax === true,
+          taxRounding: template.taxRounding || defaultProjectInfo.taxRounding,
+          displayPrecision: template.displayPrecision || defaultProjectInfo.displayPrecision,
+          addOns: template.addOns || defaultProjectInfo.addOns,
+          markup: Number(template.markup) || 0,
+          currency: template.currency || defaultProjectInfo.currency,
+          exchangeRates: template.exchangeRates || {},
+          adjustments: template.adjustments || [],
+          roomTypes: template.roomTypes || [],
+          paymentTerms: template.paymentTerms || defaultProjectInfo.paymentTerms,
+          terms: [...template.terms]
         }
-      ]);
+        : defaultProjectInfo;
+      const newCategories = template
+        ? applyPricing(
+          applyRoomQuantities(clearUnknownTaxClasses(hydrateCategories(instantiateTemplateCategories(template)), newProjectInfo.taxClasses), newProjectInfo.roomTypes),
+          newProjectInfo
+        )
+        : createDefaultCategories();
+      if (template) setVisibleColumns(prev => ({ ...prev, ...template.visibleColumns }));
+      setProjectId(createProjectId());
+      setProjectInfo(newProjectInfo);
+      setCategories(newCategories);
+      setRevisions([]);
+      setBaseline(null);
+      setSavedSnapshot({ projectInfo: newProjectInfo, categories: newCategories, revisions: [], baseline: null });
+      undoHistory.clear();
 
       setFileHandle(null);
+      setDiskVersion(null);
       setCurrentFileName(null);
-      setHasUnsavedChanges(false);
       setCurrentView('budget');
       setConfirmationModal(prev => ({ ...prev, isOpen: false }));
     };
@@ -920,51 +1408,114 @@ export default function App() {
     executeNewDocument();
   };
 
+  /**
+   * Complete Save
+   * Marks the current state as saved after a document was written or downloaded,
+   * and discards the draft of the project id that was saved.
+   *
+   * @param {Object} documentData - The serialized document that was saved
+   * @param {FileSystemFileHandle|null} handle - Handle written to, if any
+   * @param {Object} [snapshot] - State that was saved, if not the current state
+   */
+  const completeSave = (documentData, handle, snapshot = { projectInfo, categories, revisions, baseline }) => {
+    setSavedSnapshot(snapshot);
+    saveGenerationRef.current += 1;
+    discardDraft(documentData.projectId);
+    if (handle) rememberRecentFile(handle, documentData);
+  };
+
+  /**
+   * Download Document
+   * Fallback for browsers without the File System Access API (Firefox, Safari).
+   * The browser saves the package to its downloads folder.
+   *
+   * @param {Object} documentData - Serialized document
+   * @param {string} fileName - Download file name
+   */
+  const downloadDocument = (documentData, fileName) => {
+    downloadBlob(writeFfePackage(documentData), fileName);
+    setFileHandle(null);
+    setDiskVersion(null);
+    setCurrentFileName(fileName);
+    completeSave(documentData, null);
+    alert(`Document downloaded as "${fileName}". Check your browser's downloads folder.`);
+  };
+
+  /**
+   * Write Document to Handle
+   * Writes a document to a file as a zip package with binary attachments and
+   * records the written version for later conflict checks.
+   *
+   * @param {FileSystemFileHandle} handle - File to write
+   * @param {Object} documentData - Serialized document
+   */
+  const writeDocumentToHandle = async (handle, documentData) => {
+    const writable = await handle.createWritable();
+    await writable.write(writeFfePackage(documentData));
+    await writable.close();
+
+    const written = await handle.getFile();
+    setDiskVersion({ lastModified: written.lastModified, categories: documentData.categories });
+  };
+
+  /**
+   * Check for External Changes
+   * Compares the open file's lastModified time with the version last read or written.
+   *
+   * @param {FileSystemFileHandle} handle - The open file
+   * @returns {Promise<File|null>} The changed file, or null if it is unchanged
+   */
+  const getExternallyChangedFile = async (handle) => {
+    if (!diskVersion) return null;
+    try {
+      const file = await handle.getFile();
+      return file.lastModified !== diskVersion.lastModified ? file : null;
+    } catch (error) {
+      // A deleted file is simply recreated on write
+      if (error.name === 'NotFoundError') return null;
+      throw error;
+    }
+  };
+
   /**
    * Save Document
-   * Saves the current document state to a JSON file.
+   * Saves the current document state to an .ffe file.
    * Uses File System Access API for native save dialog.
-   * If file was previously saved, updates the same file.
+   * If file was previously saved, updates the same file, unless someone else
+   * changed it since it was read; then the save conflict dialog is shown.
+   * Browsers without the API download the file instead.
    */
   const handleSave = async () => {
     try {
       let handle = fileHandle;
 
+      if (!handle && typeof window.showSaveFilePicker !== 'function') {
+        const documentData = serializeDocument({ projectId, projectInfo, categories, revisions, baseline });
+        downloadDocument(documentData, currentFileName || getSuggestedFileName(projectInfo));
+        return;
+      }
+
       // If no file handle exists, prompt for save location (Save As)
       if (!handle) {
-        const projectName = projectInfo.name.replace(/[^a-z0-9]/gi, '_').toLowerCase();
         handle = await window.showSaveFilePicker({
-          suggestedName: `${projectName}_budget.ffe`,
-          types: [
-            {
-              description: 'FFE Budget Files',
-              accept: { 'application/json': ['.ffe'] }
-            }
-          ]
+          suggestedName: getSuggestedFileName(projectInfo),
+          types: FFE_FILE_TYPES
         });
         setFileHandle(handle);
         setCurrentFileName(handle.name);
+      } else {
+        const changedFile = await getExternallyChangedFile(handle);
+        if (changedFile) {
+          setSaveConflict({ isOpen: true, file: changedFile, theirs: null, changes: null });
+          return;
+        }
       }
 
       // Prepare document data (serialize categories by removing icon functions)
-      const documentData = {
-        version: '1.0',
-        savedAt: new Date().toISOString(),
-        projectInfo,
-        categories: categories.map(cat => ({
-          id: cat.id,
-          title: cat.title,
-          color: cat.color,
-          items: cat.items
-        }))
-      };
+      const documentData = serializeDocument({ projectId, projectInfo, categories, revisions, baseline });
 
-      // Write to file
-      const writable = await handle.createWritable();
-      await writable.write(JSON.stringify(documentData, null, 2));
-      await writable.close();
-
-      setHasUnsavedChanges(false);
+      await writeDocumentToHandle(handle, documentData);
+      completeSave(documentData, handle);
       alert('Document saved successfully!');
     } catch (error) {
       // User cancelled or error occurred
@@ -979,42 +1530,44 @@ export default function App() {
    * Save As Document
    * Forces a save dialog even if file handle exists.
    * Allows user to save to a different location/name.
+   * Browsers without the File System Access API ask for a file name and download a copy.
    */
   const handleSaveAs = async () => {
     try {
-      const projectName = projectInfo.name.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-      const handle = await window.showSaveFilePicker({
-        suggestedName: `${projectName}_budget.ffe`,
-        types: [
-          {
-            description: 'FFE Budget Files',
-            accept: { 'application/json': ['.ffe'] }
-          }
-        ]
-      });
+      const supportsPicker = typeof window.showSaveFilePicker === 'function';
+      let handle = null;
+      let fileName;
 
-      setFileHandle(handle);
-      setCurrentFileName(handle.name);
+      if (supportsPicker) {
+        handle = await window.showSaveFilePicker({
+          suggestedName: getSuggestedFileName(projectInfo),
+          types: FFE_FILE_TYPES
+        });
+        fileName = handle.name;
+      } else {
+        const requestedName = window.prompt('Save a copy as:', currentFileName || getSuggestedFileName(projectInfo));
+        if (requestedName === null) return; // User cancelled
+        fileName = withFfeExtension(requestedName.trim() || getSuggestedFileName(projectInfo));
+      }
+
+      // A copy saved elsewhere is a separate project with its own draft slot,
+      // adopted only once the copy is written
+      const newProjectId = createProjectId();
 
       // Prepare document data
-      const documentData = {
-        version: '1.0',
-        savedAt: new Date().toISOString(),
-        projectInfo,
-        categories: categories.map(cat => ({
-          id: cat.id,
-          title: cat.title,
-          color: cat.color,
-          items: cat.items
-        }))
-      };
+      const documentData = serializeDocument({ projectId: newProjectId, projectInfo, categories, revisions, baseline });
 
-      // Write to file
-      const writable = await handle.createWritable();
-      await writable.write(JSON.stringify(documentData, null, 2));
-      await writable.close();
+      if (!supportsPicker) {
+        downloadDocument(documentData, fileName);
+        setProjectId(newProjectId);
+        return;
+      }
 
-      setHasUnsavedChanges(false);
+      await writeDocumentToHandle(handle, documentData);
+      setProjectId(newProjectId);
+      setFileHandle(handle);
+      setCurrentFileName(fileName);
+      completeSave(documentData, handle);
       alert('Document saved successfully!');
     } catch (error) {
       if (error.name !== 'AbortError') {
@@ -1025,223 +1578,1452 @@ export default function App() {
   };
 
   /**
-   * Process File Contents
-   * Parses and loads the document data from JSON string.
+   * Close Save Conflict
+   * Dismisses the save conflict dialog without saving.
    */
-  const processFileContents = (contents, handle = null) => {
-    try {
-      const documentData = JSON.parse(contents);
-
-      // Validate document structure
-      if (!documentData.projectInfo || !documentData.categories) {
-        throw new Error('Invalid file format');
-      }
+  const closeSaveConflict = () => {
+    setSaveConflict({ isOpen: false, file: null, theirs: null, changes: null });
+  };
 
-      // Icon mapping for reconstructing categories
-      const iconMap = {
-        'foh': { icon: Armchair, color: 'text-blue-600' },
-        'custom': { icon: Lightbulb, color: 'text-amber-600' },
-        'wayfinding': { icon: Signpost, color: 'text-purple-600' },
-        'exterior': { icon: TreePine, color: 'text-emerald-600' },
-        'fees': { icon: Briefcase, color: 'text-gray-600' }
-      };
+  /**
+   * Overwrite Changed File
+   * Saves over a file that changed on disk, discarding the other changes.
+   */
+  const handleOverwriteConflict = async () => {
+    closeSaveConflict();
+    try {
+      const documentData = serializeDocument({ projectId, projectInfo, categories, revisions, baseline });
+      await writeDocumentToHandle(fileHandle, documentData);
+      completeSave(documentData, fileHandle);
+      alert('Document saved successfully!');
+    } catch (error) {
+      console.error('Save error:', error);
+      alert('Failed to save document. Please try again.');
+    }
+  };
 
-      // Reconstruct categories with icons and sanitize items
-      const loadedCategories = (Array.isArray(documentData.categories) ? documentData.categories : []).map(cat => ({
-        ...cat,
-        icon: iconMap[cat.id]?.icon || Layout,
-        color: cat.color || iconMap[cat.id]?.color || 'text-gray-600',
-        // Sanitize items: ensure it's an array and flatten if nested (fix for previous bug)
-        items: Array.isArray(cat.items)
-          ? cat.items.flat().map(item => ({
-            ...item,
-            // Ensure numeric values are numbers
-            qty: Number(item.qty) || 0,
-            unitPrice: Number(item.unitPrice) || 0,
-            isTaxable: item.isTaxable !== false, // Default to true
-            // Add specs field for backward compatibility with old files
-            specs: item.specs || { detailedDescription: '', attachments: [] }
-          }))
-          : []
-      }));
-
-      // Load data into state with backward compatibility
-      const loadedProjectInfo = {
-        ...documentData.projectInfo,
-        // Add default terms if not present in old files
-        terms: documentData.projectInfo.terms || [
-          "1. Estimates are valid for 30 days from date of issue.",
-          "2. Freight and delivery charges are estimated and will be billed at actual cost.",
-          "3. A formal quote and proposal will be provided. This is a preliminary budgeting tool only."
-        ]
-      };
+  /**
+   * Save Changed File as Copy
+   * Leaves the changed file alone and saves the current state under a new name.
+   */
+  const handleSaveConflictAsCopy = () => {
+    closeSaveConflict();
+    handleSaveAs();
+  };
 
-      setProjectInfo(loadedProjectInfo);
-      setCategories(loadedCategories);
-      setFileHandle(handle);
-      setHasUnsavedChanges(false);
-      setCurrentView('budget');
+  /**
+   * Show Merge View
+   * Reads the changed file and lists the categories and items that differ,
+   * using the version last read or written as the common base.
+   */
+  const handleShowMerge = async () => {
+    try {
+      const { document: rawDocument, files } = await readFfeFile(saveConflict.file);
+      const theirs = unpackDocument(prepareDocument(rawDocument).document, files);
+      const changes = diffBudgets(diskVersion.categories, serializeCategories(categories), theirs.categories);
+      setSaveConflict(prev => ({ ...prev, theirs, changes }));
     } catch (error) {
-      console.error('Error processing file:', error);
-      alert(`Failed to parse document. Error: ${error.message}`);
+      console.error('Merge error:', error);
+      alert(`Failed to read the changed file. Error: ${error.message}`);
     }
   };
 
   /**
-   * Handle File Input Change
-   * Fallback for browsers that don't support File System Access API.
+   * Resolve Merge Change
+   * Chooses which version of one category or item to keep.
+   *
+   * @param {string} key - Change key from diffBudgets()
+   * @param {'ours'|'theirs'} resolution - Version to keep
    */
-  const handleFileInputChange = (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
-
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      setCurrentFileName(file.name);
-      processFileContents(e.target.result, null);
-    };
-    reader.readAsText(file);
-    // Reset input so same file can be selected again
-    event.target.value = '';
+  const resolveMergeChange = (key, resolution) => {
+    setSaveConflict(prev => ({
+      ...prev,
+      changes: prev.changes.map(change => (change.key === key ? { ...change, resolution } : change))
+    }));
   };
 
   /**
-   * Open Document
-   * Opens and loads a previously saved FFE budget file.
-   * Uses File System Access API if available, otherwise falls back to file input.
+   * Apply Merge
+   * Loads the merged categories into the editor and saves them to the file.
+   * Revisions and change orders from both versions are kept; project info is
+   * kept from the editor.
+   * The merge can be undone like any other edit.
    */
-  const handleOpen = async () => {
-    console.log('handleOpen called', { hasUnsavedChanges, currentView });
-    
+  const handleApplyMerge = async () => {
+    const { theirs, changes } = saveConflict;
+    const mergedCategories = hydrateCategories(mergeBudgets(serializeCategories(categories), theirs.categories, changes));
+    const mergedRevisions = [
+      ...revisions,
+      ...theirs.revisions.filter(rev => !revisions.some(r => r.id === rev.id))
+    ];
+    const mergedBaseline = mergeBaselines(baseline, theirs.baseline);
+
+    undoHistory.record();
+    setCategories(mergedCategories);
+    setRevisions(mergedRevisions);
+    setBaseline(mergedBaseline);
+    closeSaveConflict();
+
+    try {
+      const documentData = serializeDocument({ projectId, projectInfo, categories: mergedCategories, revisions: mergedRevisions, baseline: mergedBaseline });
+      await writeDocumentToHandle(fileHandle, documentData);
+      completeSave(documentData, fileHandle, { projectInfo, categories: mergedCategories, revisions: mergedRevisions, baseline: mergedBaseline });
+      alert('Changes merged and saved successfully!');
+    } catch (error) {
+      console.error('Save error:', error);
+      alert('Merged, but failed to save the document. Please try again.');
+    }
+  };
+
+  /**
+   * Apply Document
+   * Restores packaged attachments of a validated document and loads it into state.
+   *
+   * @param {Object} validDocument - Document returned by prepareDocument()
+   * @param {Object} [files] - Package entries referenced by attachment paths
+   * @returns {Object} The loaded { projectId, projectInfo, categories, revisions, baseline }
+   */
+  const applyDocument = (validDocument, files = {}) => {
+    const documentData = unpackDocument(validDocument, files);
+    const loadedCategories = hydrateCategories(documentData.categories);
+    setProjectId(documentData.projectId);
+    setProjectInfo(documentData.projectInfo);
+    setCategories(loadedCategories);
+    setRevisions(documentData.revisions);
+    setBaseline(documentData.baseline);
+    undoHistory.clear();
+    return {
+      projectId: documentData.projectId,
+      projectInfo: documentData.projectInfo,
+      categories: loadedCategories,
+      revisions: documentData.revisions,
+      baseline: documentData.baseline
+    };
+  };
+
+  /**
+   * Load Parsed Document
+   * Migrates and validates a parsed document, then loads it.
+   * Shared by file open and draft recovery so both paths load identically.
+   * When problems are found, the validation report is shown first and the
+   * document is only loaded if the user chooses to import it with repairs.
+   *
+   * @param {Object} rawDocument - Parsed document JSON
+   * @param {Object} files - Package entries referenced by attachment paths
+   * @param {string} sourceName - File or draft name shown in the report
+   * @param {Function} onLoaded - Receives (loaded, wasRepaired) once the document is in state
+   * @throws {Error} If the document is invalid or from a newer schema version
+   */
+  const loadParsedDocument = (rawDocument, files, sourceName, onLoaded) => {
+    const { document: validDocument, issues } = prepareDocument(rawDocument);
+
+    const load = () => {
+      setValidationReport(prev => ({ ...prev, isOpen: false }));
+      onLoaded(applyDocument(validDocument, files), issues.length > 0);
+    };
+
+    if (issues.length === 0) {
+      load();
+      return;
+    }
+
+    setValidationReport({ isOpen: true, fileName: sourceName, issues, onImport: load });
+  };
+
+  /**
+   * Load Document File
+   * Reads an .ffe package or legacy JSON file and loads it into state.
+   *
+   * @param {File} file - The selected file
+   * @param {FileSystemFileHandle|null} handle - Handle for re-saving, if available
+   */
+  const loadDocumentFile = async (file, handle = null) => {
+    try {
+      const { document: rawDocument, files } = await readFfeFile(file);
+      loadParsedDocument(rawDocument, files, file.name, (loaded, wasRepaired) => {
+        // Repairs only exist in memory until the file is saved again
+        setSavedSnapshot(wasRepaired ? null : loaded);
+        setCurrentFileName(file.name);
+        setFileHandle(handle);
+        setDiskVersion(handle ? { lastModified: file.lastModified, categories: serializeCategories(loaded.categories) } : null);
+        setCurrentView('budget');
+
+        if (handle) {
+          rememberRecentFile(handle, {
+            ...loaded,
+            savedAt: rawDocument.savedAt || new Date(file.lastModified).toISOString()
+          });
+        }
+      });
+    } catch (error) {
+      console.error('Error processing file:', error);
+      alert(`Failed to parse document. Error: ${error.message}`);
+    }
+  };
+
+  /**
+   * Remember Recent File
+   * Records a file handle and project summary for the welcome screen.
+   *
+   * @param {FileSystemFileHandle} handle - Handle from a file picker
+   * @param {Object} documentData - Document with projectId, projectInfo, categories and savedAt
+   */
+  const rememberRecentFile = (handle, documentData) => {
+    const { projectInfo: info } = documentData;
+    addRecentFile(handle, {
+      projectId: documentData.projectId,
+      projectName: info.name,
+      client: info.client,
+      grandTotal: calculateTotals(documentData.categories, info).grandTotal,
+      currency: getBaseCurrency(info),
+      savedAt: documentData.savedAt
+    })
+      .then(listRecentFiles)
+      .then(setRecentFiles)
+      .catch(error => console.error('Failed to update recent files', error));
+  };
+
+  /**
+   * Forget Recent File
+   * Removes a file from the recent files list.
+   *
+   * @param {string} entryId - Id of the entry to remove
+   */
+  const forgetRecentFile = (entryId) => {
+    removeRecentFile(entryId)
+      .then(() => setRecentFiles(prev => prev.filter(f => f.id !== entryId)))
+      .catch(error => console.error('Failed to remove recent file', error));
+  };
+
+  /**
+   * Open Recent File
+   * Reopens a file from the recent files list, asking the browser for
+   * permission again if it was dropped since the last session.
+   *
+   * @param {Object} entry - Entry from listRecentFiles()
+   */
+  const handleOpenRecent = async (entry) => {
+    try {
+      const file = await readRecentFile(entry);
+      await loadDocumentFile(file, entry.handle);
+    } catch (error) {
+      if (error.name === 'NotFoundError') {
+        alert(`"${entry.fileName}" could not be found. It may have been moved or deleted, so it was removed from recent files.`);
+        forgetRecentFile(entry.id);
+        return;
+      }
+      console.error('Open recent error:', error);
+      alert(`Failed to open document. Error: ${error.message}`);
+    }
+  };
+
+  /**
+   * Handle File Input Change
+   * Fallback for browsers that don't support File System Access API.
+   */
+  const handleFileInputChange = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    loadDocumentFile(file, null);
+    // Reset input so same file can be selected again
+    event.target.value = '';
+  };
+
+  /**
+   * Open Document
+   * Opens and loads a previously saved FFE budget file.
+   * Uses File System Access API if available, otherwise falls back to file input.
+   */
+  const handleOpen = async () => {
+    console.log('handleOpen called', { hasUnsavedChanges, currentView });
+    
     const executeOpen = async () => {
       console.log('executeOpen called');
       setConfirmationModal(prev => ({ ...prev, isOpen: false }));
 
-      try {
-        // Check if File System Access API is supported
-        if (typeof window.showOpenFilePicker === 'function') {
-          // Show file picker
-          const [handle] = await window.showOpenFilePicker({
-            types: [
-              {
-                description: 'FFE Budget Files',
-                accept: { 'application/json': ['.ffe'] }
-              }
-            ],
-            multiple: false
-          });
+      try {
+        // Check if File System Access API is supported
+        if (typeof window.showOpenFilePicker === 'function') {
+          // Show file picker
+          const [handle] = await window.showOpenFilePicker({
+            types: FFE_FILE_TYPES,
+            multiple: false
+          });
+
+          // Read file contents
+          const file = await handle.getFile();
+          await loadDocumentFile(file, handle);
+
+        } else {
+          // Fallback to hidden file input
+          console.log('File System Access API not supported, using fallback');
+          fileInputRef.current?.click();
+        }
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error('Open error:', error);
+          alert(`Failed to open document. Error: ${error.message}`);
+        }
+      }
+    };
+
+    if (hasUnsavedChanges && currentView !== 'welcome') {
+      setConfirmationModal({
+        isOpen: true,
+        title: 'Open Document',
+        message: 'You have unsaved changes. Are you sure you want to open a different document? Any unsaved progress will be lost.',
+        onConfirm: executeOpen
+      });
+      return;
+    }
+
+    await executeOpen();
+  };
+
+  /**
+   * Export to CSV
+   * Generates a CSV file of the current budget and triggers a download.
+   * Compatible with Excel and Google Sheets.
+   */
+  const handleExportCSV = () => {
+    // Helper to escape CSV fields
+    const escapeCSV = (str) => {
+      if (str === null || str === undefined) return '';
+      const stringValue = String(str);
+      if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
+        return `"${stringValue.replace(/"/g, '""')}"`;
+      }
+      return stringValue;
+    };
+
+    // Build CSV content
+    let csvContent = [];
+
+    // Project Header
+    csvContent.push(['Project Budget Export']);
+    csvContent.push(['Project Name', escapeCSV(projectInfo.name)]);
+    csvContent.push(['Client', escapeCSV(projectInfo.client)]);
+    csvContent.push(['Date', escapeCSV(projectInfo.date)]);
+    csvContent.push(['Address', escapeCSV(projectInfo.address)]);
+    csvContent.push(['Currency', baseCurrency]);
+    csvContent.push(['Display Precision', DISPLAY_PRECISIONS.find(p => p.decimals === displayDecimals).label]);
+    csvContent.push(['Tax Rounding', TAX_ROUNDING_RULES.find(rule => rule.id === getTaxRounding(projectInfo)).label]);
+    csvContent.push(['Keys', metrics.keyCount]);
+    csvContent.push(['Area (sq ft)', metrics.area]);
+    Object.entries(projectInfo.exchangeRates).forEach(([code, rate]) => {
+      csvContent.push(['Exchange Rate', `1 ${code} = ${rate} ${baseCurrency}`]);
+    });
+    csvContent.push([]); // Empty row
+
+    // Column Headers - vendor list price, discount, net cost and markup only in the internal view.
+    // Unit prices are in the item's currency; totals are converted to the base currency.
+    const pricingHeaders = isInternalView ? ['List Price', 'Discount %', 'Net Cost', 'Markup %'] : [];
+    const headers = ['Category', 'Vendor', 'Description', 'Dimensions', 'Qty', 'Currency', ...pricingHeaders, 'Unit Price', `Total (${baseCurrency})`, 'Original Total', ...ADD_ON_TYPES.map(type => type.label), 'Taxable', 'Tax Class', 'Lead Time', 'Status', 'Notes'];
+    csvContent.push(headers);
+
+    // Amounts are written at the display precision; blank when there is none
+    const csvMoney = (amount) => (amount === null || amount === undefined ? '' : formatAmount(amount, displayDecimals));
+
+    // Summary rows put their label under Unit Price and the amount under Total
+    const summaryRow = (label, value) => [...Array(headers.indexOf('Unit Price')).fill(''), label, value];
+    const moneyRow = (label, amount) => summaryRow(label, csvMoney(amount));
+
+    // Data Rows
+    categories.forEach(cat => {
+      cat.items.forEach(item => {
+        const itemCurrency = getItemCurrency(item, projectInfo);
+        const itemTotal = getItemBaseTotal(item, projectInfo);
+        const itemAddOns = getItemAddOns(item, projectInfo);
+        const row = [
+          escapeCSV(cat.title),
+          escapeCSV(item.mfr),
+          escapeCSV(item.desc),
+          escapeCSV(item.dimensions),
+          item.qty,
+          itemCurrency,
+          ...(isInternalView ? [
+            csvMoney(item.listPrice),
+            hasListPrice(item) ? getItemDiscount(item) : '',
+            csvMoney(item.netCost),
+            hasNetCost(item) ? getItemMarkup(item, cat, projectInfo) : ''
+          ] : []),
+          csvMoney(item.unitPrice),
+          csvMoney(itemTotal),
+          itemCurrency !== baseCurrency ? csvMoney(getItemTotal(item)) : '',
+          ...ADD_ON_TYPES.map(type => csvMoney(itemAddOns[type.id])),
+          item.isTaxable ? 'Yes' : 'No',
+          escapeCSV(getItemTaxClass(item, cat, taxClasses)?.name),
+          escapeCSV(item.leadTime),
+          escapeCSV(item.status),
+          escapeCSV(item.notes)
+        ];
+        csvContent.push(row);
+      });
+
+      // Category Subtotal
+      const catTotal = totals.categoryTotals[cat.id] || 0;
+      if (catTotal !== totals.categoryMerchandise[cat.id]) {
+        csvContent.push(moneyRow('Merchandise', totals.categoryMerchandise[cat.id]));
+        ADD_ON_TYPES.forEach(type => {
+          csvContent.push(moneyRow(type.label, totals.categoryAddOns[cat.id][type.id]));
+        });
+      }
+      csvContent.push(moneyRow('Subtotal', catTotal));
+      if (typeof cat.allowance === 'number') {
+        csvContent.push(moneyRow('Section Allowance', cat.allowance));
+        csvContent.push(moneyRow('Section Variance', totals.categoryVariance[cat.id]));
+      }
+      const catMetrics = metrics.categories[cat.id];
+      if (catMetrics.area !== null) {
+        csvContent.push(summaryRow('Section Area (sq ft)', catMetrics.area));
+        csvContent.push(moneyRow('Cost per Sq Ft', catMetrics.costPerArea));
+      }
+      if (catMetrics.costPerKey !== null) {
+        csvContent.push(moneyRow('Cost per Key', catMetrics.costPerKey));
+      }
+      csvContent.push([]); // Empty row between categories
+    });
+
+    // Grand Totals
+    csvContent.push([]);
+    csvContent.push(moneyRow('Merchandise', totals.merchandiseTotal));
+    if (isInternalView) {
+      csvContent.push(moneyRow('Net Cost', totals.costTotal));
+      csvContent.push(moneyRow('Markup / Fee', totals.markupTotal));
+    }
+    ADD_ON_TYPES.forEach(type => {
+      csvContent.push(moneyRow(type.label, totals.addOnTotals[type.id]));
+    });
+    csvContent.push(moneyRow('Grand Total', totals.grandTotal));
+    totals.adjustments.forEach(adj => {
+      csvContent.push(moneyRow(escapeCSV(describeAdjustment(adj)), adj.amount));
+    });
+    totals.taxByClass.forEach(tc => {
+      csvContent.push(moneyRow(escapeCSV(`${tc.name} (${tc.rate}%)`), tc.tax));
+    });
+    csvContent.push(moneyRow(projectInfo.pricesIncludeTax ? 'Tax Included' : 'Est. Tax', totals.tax));
+    csvContent.push(moneyRow('Total w/ Tax', totals.totalWithTax));
+    if (totals.budgetedTotal !== totals.totalWithTax) {
+      csvContent.push(moneyRow('Counted Against Allowance', totals.budgetedTotal));
+    }
+    csvContent.push(moneyRow('Budget Allowance', projectInfo.allowance));
+    csvContent.push(moneyRow('Variance', totals.variance));
+    if (changeOrderSummary) {
+      csvContent.push(moneyRow('Baseline Total', changeOrderSummary.baselineTotal));
+      csvContent.push(moneyRow('Approved Change Orders', changeOrderSummary.approved));
+      csvContent.push(moneyRow('Pending Change Orders', changeOrderSummary.pending));
+    }
+    csvContent.push(moneyRow('Paid to Date', cashFlow.paidTotal));
+    csvContent.push(moneyRow('Remaining to Fund', cashFlow.remainingTotal));
+    if (metrics.costPerKey !== null) csvContent.push(moneyRow('Cost per Key', metrics.costPerKey));
+    if (metrics.costPerArea !== null) csvContent.push(moneyRow('Cost per Sq Ft', metrics.costPerArea));
+
+    // Convert to CSV string
+    const csvString = csvContent.map(row => row.join(',')).join('\n');
+
+    // Trigger download
+    const blob = new Blob([csvString], { type: 'text/csv;charset=utf-8;' });
+    const fileName = `${projectInfo.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_budget.csv`;
+    downloadBlob(blob, fileName);
+  };
+
+  // ============================================================================
+  // TAX CLASSES
+  // ============================================================================
+
+  /**
+   * Add Tax Class
+   * Appends a new tax class with a zero rate for the user to fill in.
+   */
+  const addTaxClass = () => {
+    handleProjectUpdate('taxClasses', [
+      ...projectInfo.taxClasses,
+      { id: `tax_${createRecordId()}`, name: 'New Tax Class', rate: 0 }
+    ], null);
+  };
+
+  /**
+   * Update Tax Class
+   * Changes the name or rate of a tax class.
+   *
+   * @param {string} taxClassId - Tax class to update
+   * @param {string} field - 'name' or 'rate'
+   * @param {any} value - New value
+   */
+  const updateTaxClass = (taxClassId, field, value) => {
+    if (field === 'rate' && (isNaN(value) || value < 0)) {
+      console.warn(`Invalid tax rate: ${value}. Must be a positive number.`);
+      return;
+    }
+
+    handleProjectUpdate(
+      'taxClasses',
+      projectInfo.taxClasses.map(tc => (tc.id === taxClassId ? { ...tc, [field]: value } : tc)),
+      `project:taxClasses:${taxClassId}:${field}`
+    );
+  };
+
+  /**
+   * Remove Tax Class
+   * Deletes a tax class. Sections and items that used it fall back to the
+   * standard sales tax.
+   *
+   * @param {string} taxClassId - Tax class to remove
+   */
+  const removeTaxClass = (taxClassId) => {
+    const clearClass = (record) => {
+      if (record.taxClassId !== taxClassId) return record;
+      const { taxClassId: _removed, ...rest } = record;
+      return rest;
+    };
+
+    undoHistory.record();
+    setProjectInfo(prev => ({ ...prev, taxClasses: prev.taxClasses.filter(tc => tc.id !== taxClassId) }));
+    setCategories(prev => prev.map(cat => ({ ...clearClass(cat), items: cat.items.map(clearClass) })));
+  };
+
+  /**
+   * Update Category Tax Class
+   * Sets the tax class used by items in a section that have no class of their own.
+   *
+   * @param {string} catId - Category ID to update
+   * @param {string} taxClassId - Tax class id, or '' for the standard sales tax
+   */
+  const updateCategoryTaxClass = (catId, taxClassId) => {
+    undoHistory.record();
+    setCategories(prev => prev.map(cat => {
+      if (cat.id !== catId) return cat;
+      const { taxClassId: _previous, ...rest } = cat;
+      return taxClassId ? { ...rest, taxClassId } : rest;
+    }));
+  };
+
+  /**
+   * Update Item Tax
+   * Applies the item Tax column choice: not taxable, the section's class, or a specific class.
+   *
+   * @param {string} catId - Category ID containing the item
+   * @param {string} itemId - Line item ID to update
+   * @param {string} choice - 'exempt', '' (section class) or a tax class id
+   */
+  const updateItemTax = (catId, itemId, choice) => {
+    updateItem(catId, itemId, 'isTaxable', choice !== 'exempt');
+    updateItem(catId, itemId, 'taxClassId', choice === 'exempt' ? '' : choice);
+  };
+
+  // ============================================================================
+  // ADD-ONS (FREIGHT, RECEIVING, INSTALLATION)
+  // ============================================================================
+
+  /**
+   * Update Add-on Default
+   * Changes the project default for one add-on type.
+   *
+   * @param {string} typeId - Add-on type (e.g., 'freight')
+   * @param {Object} setting - { mode, value, taxable }
+   */
+  const updateAddOnDefault = (typeId, setting) => {
+    handleProjectUpdate('addOns', { ...projectInfo.addOns, [typeId]: setting }, `project:addOns:${typeId}`);
+  };
+
+  /**
+   * Update Item Add-on
+   * Overrides one add-on type for a line item, or returns it to the project default.
+   *
+   * @param {string} catId - Category ID containing the item
+   * @param {string} itemId - Line item ID to update
+   * @param {string} typeId - Add-on type (e.g., 'freight')
+   * @param {Object|null} setting - { mode, value }, or null to use the project default
+   */
+  const updateItemAddOn = (catId, itemId, typeId, setting) => {
+    const item = categories.find(cat => cat.id === catId)?.items.find(i => i.id === itemId);
+    if (!item) return;
+
+    const { [typeId]: _previous, ...rest } = item.addOns || {};
+    updateItem(catId, itemId, 'addOns', setting ? { ...rest, [typeId]: setting } : rest);
+  };
+
+  // ============================================================================
+  // NET COST & MARKUP
+  // ============================================================================
+
+  /**
+   * Update Category Markup
+   * Sets the markup used by items in a section that have no markup of their own,
+   * then re-derives the section's marked-up sell prices.
+   *
+   * @param {string} catId - Category ID to update
+   * @param {number|undefined} markup - Markup percentage, or undefined for the project default
+   */
+  const updateCategoryMarkup = (catId, markup) => {
+    if (markup !== undefined && !(markup >= 0)) return;
+
+    undoHistory.record(`category:${catId}:markup`);
+    setCategories(prev => prev.map(cat => {
+      if (cat.id !== catId) return cat;
+      const { markup: _previous, ...rest } = cat;
+      const [repriced] = applyPricing([markup === undefined ? rest : { ...rest, markup }], projectInfo);
+      return repriced;
+    }));
+  };
+
+  /**
+   * Update Category Allowance
+   * Sets the owner allowance for one section, or clears it.
+   *
+   * @param {string} catId - Category ID to update
+   * @param {number|undefined} allowance - Allowance in the base currency, or undefined to clear it
+   */
+  const updateCategoryAllowance = (catId, allowance) => {
+    if (allowance !== undefined && !(allowance >= 0)) return;
+
+    undoHistory.record(`category:${catId}:allowance`);
+    setCategories(prev => prev.map(cat => {
+      if (cat.id !== catId) return cat;
+      const { allowance: _previous, ...rest } = cat;
+      return allowance === undefined ? rest : { ...rest, allowance };
+    }));
+  };
+
+  /**
+   * Update Category Area
+   * Sets the floor area a section furnishes, for its cost per square foot.
+   *
+   * @param {string} catId - Category ID to update
+   * @param {number|undefined} area - Area in square feet, or undefined to clear it
+   */
+  const updateCategoryArea = (catId, area) => {
+    if (area !== undefined && !(area >= 0)) return;
+
+    undoHistory.record(`category:${catId}:area`);
+    setCategories(prev => prev.map(cat => {
+      if (cat.id !== catId) return cat;
+      const { area: _previous, ...rest } = cat;
+      return area === undefined ? rest : { ...rest, area };
+    }));
+  };
+
+  // ============================================================================
+  // VENDOR PRICING
+  // ============================================================================
+
+  /**
+   * Add Quantity Break
+   * Appends a break at twice the highest quantity (50 for the first), at the
+   * item's trade discount for the user to fill in.
+   *
+   * @param {string} catId - Category ID containing the item
+   * @param {string} itemId - Line item ID
+   */
+  const addPriceBreak = (catId, itemId) => {
+    const item = categories.find(cat => cat.id === catId)?.items.find(i => i.id === itemId);
+    if (!item) return;
+
+    const priceBreaks = item.priceBreaks || [];
+    const highest = Math.max(0, ...priceBreaks.map(pb => pb.minQty));
+    updateItem(catId, itemId, 'priceBreaks', [...priceBreaks, { minQty: highest > 0 ? highest * 2 : 50, discount: Number(item.discount) || 0 }]);
+  };
+
+  /**
+   * Update Quantity Break
+   * Changes the quantity or discount of one break and re-derives the item's price.
+   *
+   * @param {string} catId - Category ID containing the item
+   * @param {string} itemId - Line item ID
+   * @param {number} index - Position of the break
+   * @param {string} field - 'minQty' or 'discount'
+   * @param {number} value - New value
+   */
+  const updatePriceBreak = (catId, itemId, index, field, value) => {
+    if (!(value >= 0) || (field === 'discount' && value > 100)) {
+      console.warn(`Invalid quantity break ${field}: ${value}.`);
+      return;
+    }
+
+    undoHistory.record(`item:${itemId}:priceBreaks:${index}:${field}`);
+    setCategories(prev => prev.map(cat => {
+      if (cat.id !== catId) return cat;
+      return {
+        ...cat,
+        items: cat.items.map(i => (i.id === itemId
+          ? priceItem({ ...i, priceBreaks: i.priceBreaks.map((pb, idx) => (idx === index ? { ...pb, [field]: value } : pb)) }, cat, projectInfo)
+          : i))
+      };
+    }));
+  };
+
+  /**
+   * Remove Quantity Break
+   *
+   * @param {string} catId - Category ID containing the item
+   * @param {string} itemId - Line item ID
+   * @param {number} index - Position of the break
+   */
+  const removePriceBreak = (catId, itemId, index) => {
+    const item = categories.find(cat => cat.id === catId)?.items.find(i => i.id === itemId);
+    if (!item) return;
+
+    const priceBreaks = item.priceBreaks.filter((_pb, idx) => idx !== index);
+    updateItem(catId, itemId, 'priceBreaks', priceBreaks.length > 0 ? priceBreaks : undefined);
+  };
+
+  // ============================================================================
+  // ADJUSTMENT LINES
+  // ============================================================================
+
+  /**
+   * Add Adjustment Line
+   * Appends a 5% contingency on all sections for the user to adjust.
+   */
+  const addAdjustment = () => {
+    handleProjectUpdate('adjustments', [
+      ...projectInfo.adjustments,
+      createAdjustment(`adj_${createRecordId()}`)
+    ], null);
+  };
+
+  /**
+   * Update Adjustment Line
+   * Changes one field of an adjustment line.
+   *
+   * @param {string} adjustmentId - Adjustment line to update
+   * @param {string} field - 'name', 'kind', 'rate', 'toDate', 'categoryIds', 'isTaxable' or 'countsAgainstAllowance'
+   * @param {any} value - New value
+   */
+  const updateAdjustment = (adjustmentId, field, value) => {
+    if (field === 'rate' && (isNaN(value) || value < 0)) {
+      console.warn(`Invalid adjustment rate: ${value}. Must be a positive number.`);
+      return;
+    }
+
+    handleProjectUpdate(
+      'adjustments',
+      projectInfo.adjustments.map(adj => (adj.id === adjustmentId ? { ...adj, [field]: value } : adj)),
+      `project:adjustments:${adjustmentId}:${field}`
+    );
+  };
+
+  /**
+   * Remove Adjustment Line
+   *
+   * @param {string} adjustmentId - Adjustment line to remove
+   */
+  const removeAdjustment = (adjustmentId) => {
+    handleProjectUpdate('adjustments', projectInfo.adjustments.filter(adj => adj.id !== adjustmentId), null);
+  };
+
+  // ============================================================================
+  // CURRENCIES & EXCHANGE RATES
+  // ============================================================================
+
+  /**
+   * Update Base Currency
+   * Items keep the currency their prices were entered in: items that were in
+   * the old base currency now carry it explicitly, and items in the new base
+   * currency drop theirs. Exchange rates are not converted.
+   *
+   * @param {string} currency - New base currency code
+   */
+  const updateBaseCurrency = (currency) => {
+    if (currency === baseCurrency) return;
+    const { [currency]: _nowBase, ...rates } = projectInfo.exchangeRates;
+
+    undoHistory.record();
+    setProjectInfo(prev => ({ ...prev, currency, exchangeRates: rates }));
+    setCategories(prev => prev.map(cat => ({
+      ...cat,
+      items: cat.items.map(item => {
+        const { currency: itemCurrency = baseCurrency, ...rest } = item;
+        return itemCurrency === currency ? rest : { ...rest, currency: itemCurrency };
+      })
+    })));
+  };
+
+  /**
+   * Add Exchange Rate
+   * Adds a rate for the first listed currency that has none yet, starting at 1.
+   */
+  const addExchangeRate = () => {
+    const code = CURRENCIES.map(c => c.code).find(c => c !== baseCurrency && !(c in projectInfo.exchangeRates));
+    if (!code) return;
+    handleProjectUpdate('exchangeRates', { ...projectInfo.exchangeRates, [code]: 1 }, null);
+  };
+
+  /**
+   * Update Exchange Rate
+   *
+   * @param {string} code - Currency code
+   * @param {number} rate - Value of one unit in the base currency
+   */
+  const updateExchangeRate = (code, rate) => {
+    if (!(rate > 0)) return;
+    handleProjectUpdate('exchangeRates', { ...projectInfo.exchangeRates, [code]: rate }, `project:exchangeRates:${code}`);
+  };
+
+  /**
+   * Change Exchange Rate Currency
+   * Moves a rate to another currency, keeping its position in the list.
+   *
+   * @param {string} code - Current currency code
+   * @param {string} newCode - New currency code
+   */
+  const changeRateCurrency = (code, newCode) => {
+    const rates = Object.fromEntries(Object.entries(projectInfo.exchangeRates).map(([c, rate]) => [c === code ? newCode : c, rate]));
+    handleProjectUpdate('exchangeRates', rates, null);
+  };
+
+  /**
+   * Remove Exchange Rate
+   * Items priced in that currency stay in it and are flagged until a rate is entered again.
+   *
+   * @param {string} code - Currency code
+   */
+  const removeExchangeRate = (code) => {
+    const { [code]: _removed, ...rates } = projectInfo.exchangeRates;
+    handleProjectUpdate('exchangeRates', rates, null);
+  };
+
+  /**
+   * Update Item Currency
+   * Sets the currency an item's unit price and net cost are entered in.
+   * The amounts are kept as entered, not converted.
+   *
+   * @param {string} catId - Category ID containing the item
+   * @param {string} itemId - Line item ID to update
+   * @param {string} currency - Currency code; the base currency clears the item's own
+   */
+  const updateItemCurrency = (catId, itemId, currency) => {
+    undoHistory.record();
+    setCategories(prev => prev.map(cat => {
+      if (cat.id !== catId) return cat;
+      return {
+        ...cat,
+        items: cat.items.map(item => {
+          if (item.id !== itemId) return item;
+          const { currency: _previous, ...rest } = item;
+          return currency === baseCurrency ? rest : { ...rest, currency };
+        })
+      };
+    }));
+  };
+
+  // ============================================================================
+  // ALTERNATES
+  // ============================================================================
+
+  /**
+   * Add Alternate
+   * Appends a blank alternate to a line item.
+   *
+   * @param {string} catId - Category ID containing the item
+   * @param {string} itemId - Line item ID
+   */
+  const addAlternate = (catId, itemId) => {
+    const item = categories.find(cat => cat.id === catId)?.items.find(i => i.id === itemId);
+    if (!item) return;
+
+    updateItem(catId, itemId, 'alternates', [...(item.alternates || []), createAlternate(`alt_${createRecordId()}`, item)]);
+  };
+
+  /**
+   * Update Alternate
+   * Changes one field of an alternate that is not currently selected.
+   *
+   * @param {string} catId - Category ID containing the item
+   * @param {string} itemId - Line item ID
+   * @param {string} alternateId - Alternate to update
+   * @param {string} field - Option field (e.g., 'desc', 'unitPrice', 'currency')
+   * @param {any} value - New value
+   */
+  const updateAlternate = (catId, itemId, alternateId, field, value) => {
+    if (field === 'unitPrice' && (isNaN(value) || value < 0)) {
+      console.warn(`Invalid unitPrice for alternate ${alternateId}: ${value}. Must be a positive number.`);
+      return;
+    }
+
+    undoHistory.record(`item:${itemId}:alternates:${alternateId}:${field}`);
+    setCategories(prev => prev.map(cat => {
+      if (cat.id !== catId) return cat;
+      return {
+        ...cat,
+        items: cat.items.map(i => {
+          if (i.id !== itemId) return i;
+          return {
+            ...i,
+            alternates: i.alternates.map(alt => {
+              if (alt.id !== alternateId) return alt;
+              // Like items, alternates in the base currency carry no currency of their own
+              if (field === 'currency' && value === baseCurrency) {
+                const { currency: _previous, ...rest } = alt;
+                return rest;
+              }
+              return { ...alt, [field]: value };
+            })
+          };
+        })
+      };
+    }));
+  };
+
+  /**
+   * Select Alternate
+   * Swaps an alternate into the line item so it counts toward the totals.
+   * Its sell price is re-derived when it is priced from a net cost.
+   *
+   * @param {string} catId - Category ID containing the item
+   * @param {string} itemId - Line item ID
+   * @param {string} alternateId - Alternate to select
+   */
+  const selectItemAlternate = (catId, itemId, alternateId) => {
+    undoHistory.record();
+    setCategories(prev => prev.map(cat => {
+      if (cat.id !== catId) return cat;
+      return {
+        ...cat,
+        items: cat.items.map(item => (item.id === itemId
+          ? priceItem(selectAlternate(item, alternateId, () => `alt_${createRecordId()}`), cat, projectInfo)
+          : item))
+      };
+    }));
+  };
+
+  /**
+   * Remove Alternate
+   * Deletes an alternate that is not selected. When it was the base, the
+   * selected option becomes the base.
+   *
+   * @param {string} catId - Category ID containing the item
+   * @param {string} itemId - Line item ID
+   * @param {string} alternateId - Alternate to remove
+   */
+  const removeAlternate = (catId, itemId, alternateId) => {
+    const item = categories.find(cat => cat.id === catId)?.items.find(i => i.id === itemId);
+    if (!item) return;
+
+    updateItem(catId, itemId, 'alternates', item.alternates.filter(alt => alt.id !== alternateId));
+  };
+
+  // ============================================================================
+  // ROOM TYPES
+  // ============================================================================
+
+  /**
+   * Add Room Type
+   * Appends a room type with no keys for the user to name and count.
+   */
+  const addRoomType = () => {
+    handleProjectUpdate('roomTypes', [...projectInfo.roomTypes, createRoomType(`room_${createRecordId()}`)], null);
+  };
+
+  /**
+   * Update Room Type
+   * Changes a room type's name or key count. A new count re-derives the
+   * quantity of every item used in that room type.
+   *
+   * @param {string} roomTypeId - Room type to update
+   * @param {string} field - 'name' or 'count'
+   * @param {any} value - New value
+   */
+  const updateRoomType = (roomTypeId, field, value) => {
+    if (field === 'count' && (isNaN(value) || value < 0)) {
+      console.warn(`Invalid key count: ${value}. Must be a positive number.`);
+      return;
+    }
+
+    handleProjectUpdate(
+      'roomTypes',
+      projectInfo.roomTypes.map(rt => (rt.id === roomTypeId ? { ...rt, [field]: value } : rt)),
+      `project:roomTypes:${roomTypeId}:${field}`
+    );
+  };
+
+  /**
+   * Remove Room Type
+   * Items lose their quantity for that room type. Items that were only used
+   * in it keep their current quantity as an entered quantity.
+   *
+   * @param {string} roomTypeId - Room type to remove
+   */
+  const removeRoomType = (roomTypeId) => {
+    const roomTypes = projectInfo.roomTypes.filter(rt => rt.id !== roomTypeId);
+    const clearRoomType = (item) => {
+      if (item.perRoom?.[roomTypeId] === undefined) return item;
+      const { perRoom: _perRoom, ...rest } = item;
+      const { [roomTypeId]: _removed, ...perRoom } = item.perRoom;
+      return Object.keys(perRoom).length > 0 ? { ...rest, perRoom } : rest;
+    };
+
+    undoHistory.record();
+    setProjectInfo(prev => ({ ...prev, roomTypes }));
+    setCategories(prev => applyPricing(applyRoomQuantities(prev.map(cat => ({ ...cat, items: cat.items.map(clearRoomType) })), roomTypes), projectInfo));
+  };
+
+  /**
+   * Update Item Room Quantity
+   * Sets how many of an item go in each room of a room type and re-derives
+   * its total quantity.
+   *
+   * @param {string} catId - Category ID containing the item
+   * @param {string} itemId - Line item ID
+   * @param {string} roomTypeId - Room type
+   * @param {number|undefined} value - Quantity per room; undefined removes the room type from the item
+   */
+  const updateItemRoomQuantity = (catId, itemId, roomTypeId, value) => {
+    if (value !== undefined && !(value >= 0)) {
+      console.warn(`Invalid quantity per room for item ${itemId}: ${value}. Must be a positive number.`);
+      return;
+    }
+
+    undoHistory.record(`item:${itemId}:perRoom:${roomTypeId}`);
+    setCategories(prev => prev.map(cat => {
+      if (cat.id !== catId) return cat;
+      return {
+        ...cat,
+        items: cat.items.map(item => {
+          if (item.id !== itemId) return item;
+          const { perRoom: previous = {}, ...rest } = item;
+          const { [roomTypeId]: _previous, ...perRoom } = previous;
+          if (value !== undefined) perRoom[roomTypeId] = value;
+          return Object.keys(perRoom).length > 0
+            ? priceItem(deriveItemQty({ ...rest, perRoom }, projectInfo.roomTypes), cat, projectInfo)
+            : rest;
+        })
+      };
+    }));
+  };
+
+  /**
+   * Clear Item Room Quantities
+   * Returns an item to an entered quantity, keeping its current total.
+   *
+   * @param {string} catId - Category ID containing the item
+   * @param {string} itemId - Line item ID
+   */
+  const clearItemRoomQuantities = (catId, itemId) => {
+    undoHistory.record();
+    setCategories(prev => prev.map(cat => {
+      if (cat.id !== catId) return cat;
+      return {
+        ...cat,
+        items: cat.items.map(item => {
+          if (item.id !== itemId) return item;
+          const { perRoom: _perRoom, ...rest } = item;
+          return rest;
+        })
+      };
+    }));
+  };
+
+  // ============================================================================
+  // PAYMENTS
+  // ============================================================================
+
+  /**
+   * Update Default Deposit
+   * Sets the deposit percentage due at order for items without terms of their own.
+   *
+   * @param {number} depositPercent - Deposit % (0-100)
+   */
+  const updateDefaultDeposit = (depositPercent) => {
+    if (!(depositPercent >= 0 && depositPercent <= 100)) {
+      console.warn(`Invalid deposit: ${depositPercent}. Must be between 0 and 100.`);
+      return;
+    }
+    handleProjectUpdate('paymentTerms', { ...projectInfo.paymentTerms, depositPercent }, 'project:paymentTerms:depositPercent');
+  };
+
+  /**
+   * Update Vendor Deposit
+   * Sets a vendor's deposit percentage, matched to items by vendor name
+   * ignoring case, or clears it so the project default applies.
+   *
+   * @param {string} vendor - Vendor name
+   * @param {number|undefined} depositPercent - Deposit %, or undefined to clear it
+   */
+  const updateVendorDeposit = (vendor, depositPercent) => {
+    if (depositPercent !== undefined && !(depositPercent >= 0 && depositPercent <= 100)) {
+      console.warn(`Invalid deposit for ${vendor}: ${depositPercent}. Must be between 0 and 100.`);
+      return;
+    }
+    const vendors = Object.fromEntries(
+      Object.entries(projectInfo.paymentTerms.vendors).filter(([name]) => getVendorKey(name) !== getVendorKey(vendor))
+    );
+    if (depositPercent !== undefined) vendors[vendor] = depositPercent;
+    handleProjectUpdate('paymentTerms', { ...projectInfo.paymentTerms, vendors }, `project:paymentTerms:vendors:${getVendorKey(vendor)}`);
+  };
+
+  /**
+   * Update Item Payment Terms
+   * Sets or clears an item's own deposit percentage or order date.
+   *
+   * @param {string} catId - Category ID containing the item
+   * @param {string} itemId - Line item ID
+   * @param {string} field - 'depositPercent' or 'orderDate'
+   * @param {number|string|undefined} value - New value, or undefined to clear it
+   */
+  const updateItemPaymentTerms = (catId, itemId, field, value) => {
+    if (field === 'depositPercent' && value !== undefined && !(value >= 0 && value <= 100)) {
+      console.warn(`Invalid deposit for item ${itemId}: ${value}. Must be between 0 and 100.`);
+      return;
+    }
+
+    undoHistory.record(`item:${itemId}:${field}`);
+    setCategories(prev => prev.map(cat => {
+      if (cat.id !== catId) return cat;
+      return {
+        ...cat,
+        items: cat.items.map(item => {
+          if (item.id !== itemId) return item;
+          const { [field]: _previous, ...rest } = item;
+          return value === undefined ? rest : { ...rest, [field]: value };
+        })
+      };
+    }));
+  };
+
+  /**
+   * Add Payment
+   * Records a payment against a line item, dated today.
+   *
+   * @param {string} catId - Category ID containing the item
+   * @param {string} itemId - Line item ID
+   * @param {number} amount - Suggested amount in the base currency
+   */
+  const addPayment = (catId, itemId, amount) => {
+    const item = categories.find(cat => cat.id === catId)?.items.find(i => i.id === itemId);
+    if (!item) return;
+
+    updateItem(catId, itemId, 'payments', [...(item.payments || []), createPayment(`pay_${createRecordId()}`, amount, today)]);
+  };
+
+  /**
+   * Update Payment
+   *
+   * @param {string} catId - Category ID containing the item
+   * @param {string} itemId - Line item ID
+   * @param {string} paymentId - Payment to update
+   * @param {string} field - 'date', 'amount' or 'note'
+   * @param {any} value - New value
+   */
+  const updatePayment = (catId, itemId, paymentId, field, value) => {
+    if (field === 'amount' && !(value >= 0)) {
+      console.warn(`Invalid payment amount: ${value}. Must be a positive number.`);
+      return;
+    }
+    const item = categories.find(cat => cat.id === catId)?.items.find(i => i.id === itemId);
+    if (!item) return;
+
+    undoHistory.record(`item:${itemId}:payments:${paymentId}:${field}`);
+    setCategories(prev => prev.map(cat => {
+      if (cat.id !== catId) return cat;
+      return {
+        ...cat,
+        items: cat.items.map(i => (i.id === itemId
+          ? { ...i, payments: i.payments.map(p => (p.id === paymentId ? { ...p, [field]: value } : p)) }
+          : i))
+      };
+    }));
+  };
+
+  /**
+   * Remove Payment
+   *
+   * @param {string} catId - Category ID containing the item
+   * @param {string} itemId - Line item ID
+   * @param {string} paymentId - Payment to remove
+   */
+  const removePayment = (catId, itemId, paymentId) => {
+    const item = categories.find(cat => cat.id === catId)?.items.find(i => i.id === itemId);
+    if (!item) return;
 
-          // Read file contents
-          const file = await handle.getFile();
-          const contents = await file.text();
-          setCurrentFileName(handle.name);
-          processFileContents(contents, handle);
+    updateItem(catId, itemId, 'payments', item.payments.filter(p => p.id !== paymentId));
+  };
 
-        } else {
-          // Fallback to hidden file input
-          console.log('File System Access API not supported, using fallback');
-          fileInputRef.current?.click();
-        }
-      } catch (error) {
-        if (error.name !== 'AbortError') {
-          console.error('Open error:', error);
-          alert(`Failed to open document. Error: ${error.message}`);
-        }
+  // ============================================================================
+  // PROJECT TEMPLATES
+  // ============================================================================
+
+  /**
+   * Save as Template
+   * Stores the current sections, items, terms, tax rate and visible columns
+   * as a template for new projects.
+   *
+   * @param {string} name - Template name
+   * @param {Object} options
+   * @param {boolean} options.includePrices - Keep unit prices on the items
+   */
+  const handleSaveTemplate = async (name, { includePrices }) => {
+    try {
+      await saveTemplate(createTemplate(name, { projectInfo, categories, visibleColumns }, { includePrices }));
+      setTemplates(await listTemplates());
+      setShowSaveTemplateModal(false);
+    } catch (error) {
+      console.error('Template error:', error);
+      alert(`Failed to save template. Error: ${error.message}`);
+    }
+  };
+
+  /**
+   * Delete Template
+   * Removes a template after confirmation.
+   *
+   * @param {Object} template - Template from listTemplates()
+   */
+  const handleDeleteTemplate = (template) => {
+    setConfirmationModal({
+      isOpen: true,
+      title: 'Delete Template',
+      message: `Delete the template "${template.name}"? Projects already created from it are not affected.`,
+      onConfirm: () => {
+        deleteTemplate(template.id)
+          .then(() => setTemplates(prev => prev.filter(t => t.id !== template.id)))
+          .catch(error => console.error('Failed to delete template', error));
+        setConfirmationModal(prev => ({ ...prev, isOpen: false }));
       }
-    };
+    });
+  };
 
-    if (hasUnsavedChanges && currentView !== 'welcome') {
-      setConfirmationModal({
-        isOpen: true,
-        title: 'Open Document',
-        message: 'You have unsaved changes. Are you sure you want to open a different document? Any unsaved progress will be lost.',
-        onConfirm: executeOpen
-      });
-      return;
+  // ============================================================================
+  // PROJECT IMPORT
+  // ============================================================================
+
+  /**
+   * Load Import Source
+   * Reads another .ffe project and shows its sections and items for import.
+   * The source goes through the same migration and validation as Open, with
+   * repairs applied silently since only the chosen records are copied.
+   *
+   * @param {File} file - The selected project file
+   */
+  const loadImportSource = async (file) => {
+    try {
+      const { document: rawDocument, files } = await readFfeFile(file);
+      const sourceDocument = unpackDocument(prepareDocument(rawDocument).document, files);
+      if (!sourceDocument.categories.some(cat => cat.items.length > 0)) {
+        alert(`"${file.name}" has no line items to import.`);
+        return;
+      }
+      setImportSource({ name: file.name, categories: sourceDocument.categories, currency: getBaseCurrency(sourceDocument.projectInfo) });
+    } catch (error) {
+      console.error('Import error:', error);
+      alert(`Failed to read project. Error: ${error.message}`);
     }
+  };
 
-    await executeOpen();
+  /**
+   * Import from Project
+   * Picks another .ffe project to copy sections and items from.
+   * Uses File System Access API if available, otherwise falls back to file input.
+   */
+  const handleImportFromProject = async () => {
+    try {
+      if (typeof window.showOpenFilePicker === 'function') {
+        const [handle] = await window.showOpenFilePicker({
+          types: FFE_FILE_TYPES,
+          multiple: false
+        });
+        await loadImportSource(await handle.getFile());
+      } else {
+        importFileInputRef.current?.click();
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Import error:', error);
+        alert(`Failed to open project. Error: ${error.message}`);
+      }
+    }
   };
 
   /**
-   * Export to CSV
-   * Generates a CSV file of the current budget and triggers a download.
-   * Compatible with Excel and Google Sheets.
+   * Handle Import File Input Change
+   * Fallback for browsers that don't support File System Access API.
    */
-  const handleExportCSV = () => {
-    // Helper to escape CSV fields
-    const escapeCSV = (str) => {
-      if (str === null || str === undefined) return '';
-      const stringValue = String(str);
-      if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
-        return `"${stringValue.replace(/"/g, '""')}"`;
+  const handleImportFileInputChange = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    loadImportSource(file);
+    // Reset input so same file can be selected again
+    event.target.value = '';
+  };
+
+  /**
+   * Import Selection
+   * Copies the chosen sections and items into the budget with fresh ids.
+   * Items join an existing section with the same title, otherwise a new section is added.
+   * Tax classes this project lacks are cleared and prices are recalculated at
+   * this project's markup.
+   *
+   * @param {Object<string, Array>} selection - Chosen item ids keyed by source category id
+   * @param {Object} options
+   * @param {boolean} options.resetStatus - Set every imported item to Draft
+   */
+  const handleImportSelection = (selection, { resetStatus }) => {
+    const result = importCategories(categories, importSource.categories, selection, {
+      statusOverride: resetStatus ? 'Draft' : null,
+      // Items priced in the other project's base currency keep that currency here
+      currency: importSource.currency !== baseCurrency ? importSource.currency : null
+    });
+
+    undoHistory.record();
+    // Imported items take this project's tax classes, room counts and markup
+    const imported = clearUnknownTaxClasses(hydrateCategories(result.categories), projectInfo.taxClasses);
+    setCategories(applyPricing(applyRoomQuantities(imported, projectInfo.roomTypes), projectInfo));
+    setImportSource(null);
+  };
+
+  // ============================================================================
+  // REVISIONS
+  // ============================================================================
+
+  /**
+   * Create Revision
+   * Stores a named snapshot of the current budget in the document.
+   *
+   * @param {string} name - Revision name
+   */
+  const handleCreateRevision = (name) => {
+    setRevisions(prev => [...prev, createRevision(name, projectInfo, categories)]);
+  };
+
+  /**
+   * View Revision
+   * Opens a revision in the read-only revision view.
+   *
+   * @param {string} revisionId - Revision to show
+   */
+  const handleViewRevision = (revisionId) => {
+    setViewingRevisionId(revisionId);
+    setShowRevisionPanel(false);
+    setCurrentView('revision');
+  };
+
+  /**
+   * Restore Revision
+   * Replaces the current budget with a revision after confirmation.
+   * The restore is recorded in undo history so it can be reverted.
+   *
+   * @param {string} revisionId - Revision to restore
+   */
+  const handleRestoreRevision = (revisionId) => {
+    const revision = revisions.find(rev => rev.id === revisionId);
+    if (!revision) return;
+
+    setConfirmationModal({
+      isOpen: true,
+      title: 'Restore Revision',
+      message: `Replace the current budget with "${revision.name}"? Create a revision first if you want to keep the current state. You can also undo the restore.`,
+      onConfirm: () => {
+        undoHistory.record();
+        setProjectInfo(prev => ({ ...revision.projectInfo, logoUrl: prev.logoUrl }));
+        setCategories(hydrateCategories(revision.categories));
+        setShowRevisionPanel(false);
+        setCurrentView('budget');
+        setConfirmationModal(prev => ({ ...prev, isOpen: false }));
       }
-      return stringValue;
-    };
+    });
+  };
 
-    // Build CSV content
-    let csvContent = [];
+  /**
+   * Delete Revision
+   * Removes a revision from the document after confirmation.
+   *
+   * @param {string} revisionId - Revision to delete
+   */
+  const handleDeleteRevision = (revisionId) => {
+    const revision = revisions.find(rev => rev.id === revisionId);
 
-    // Project Header
-    csvContent.push(['Project Budget Export']);
-    csvContent.push(['Project Name', escapeCSV(projectInfo.name)]);
-    csvContent.push(['Client', escapeCSV(projectInfo.client)]);
-    csvContent.push(['Date', escapeCSV(projectInfo.date)]);
-    csvContent.push(['Address', escapeCSV(projectInfo.address)]);
-    csvContent.push([]); // Empty row
+    setConfirmationModal({
+      isOpen: true,
+      title: 'Delete Revision',
+      message: `Are you sure you want to delete the revision "${revision?.name}"?`,
+      onConfirm: () => {
+        setRevisions(prev => prev.filter(rev => rev.id !== revisionId));
+        setConfirmationModal(prev => ({ ...prev, isOpen: false }));
+      }
+    });
+  };
 
-    // Column Headers
-    const headers = ['Category', 'Vendor', 'Description', 'Dimensions', 'Qty', 'Unit Price', 'Total', 'Taxable', 'Lead Time', 'Status', 'Notes'];
-    csvContent.push(headers);
+  // ============================================================================
+  // CHANGE ORDERS
+  // ============================================================================
 
-    // Data Rows
-    categories.forEach(cat => {
-      cat.items.forEach(item => {
-        const itemTotal = (Number(item.qty) || 0) * (Number(item.unitPrice) || 0);
-        const row = [
-          escapeCSV(cat.title),
-          escapeCSV(item.mfr),
-          escapeCSV(item.desc),
-          escapeCSV(item.dimensions),
-          item.qty,
-          item.unitPrice,
-          itemTotal,
-          item.isTaxable ? 'Yes' : 'No',
-          escapeCSV(item.leadTime),
-          escapeCSV(item.status),
-          escapeCSV(item.notes)
-        ];
-        csvContent.push(row);
-      });
+  /**
+   * Lock Baseline
+   * Records the current budget as the approved baseline. Later cost changes
+   * are tracked as change orders against it.
+   *
+   * @param {string} approvedBy - Who approved the budget
+   */
+  const handleLockBaseline = (approvedBy) => {
+    setBaseline(createBaseline(`base_${createRecordId()}`, serializeCategories(categories), projectInfo, totals, approvedBy));
+  };
 
-      // Category Subtotal
-      const catTotal = totals.categoryTotals[cat.id] || 0;
-      csvContent.push(['', '', '', '', '', 'Subtotal', catTotal, '', '', '', '']);
-      csvContent.push([]); // Empty row between categories
+  /**
+   * Unlock Baseline
+   * Discards the baseline and its change-order log after confirmation.
+   */
+  const handleUnlockBaseline = () => {
+    setConfirmationModal({
+      isOpen: true,
+      title: 'Unlock Baseline',
+      message: `Unlock the approved baseline? Its ${baseline.changeOrders.length} change order(s) will be deleted. Create a revision first if you want to keep a record of the approved budget.`,
+      onConfirm: () => {
+        setBaseline(null);
+        setConfirmationModal(prev => ({ ...prev, isOpen: false }));
+      }
     });
+  };
 
-    // Grand Totals
-    csvContent.push([]);
-    csvContent.push(['', '', '', '', '', 'Grand Total', totals.grandTotal]);
-    csvContent.push(['', '', '', '', '', 'Est. Tax', totals.tax]);
-    csvContent.push(['', '', '', '', '', 'Total w/ Tax', totals.totalWithTax]);
-    csvContent.push(['', '', '', '', '', 'Budget Allowance', projectInfo.allowance]);
-    csvContent.push(['', '', '', '', '', 'Variance', totals.variance]);
+  /**
+   * Issue Change Order
+   * Records the cost changes made since the last change order, awaiting approval.
+   *
+   * @param {string} reason - Why the budget changed
+   * @param {string} date - Issue date (YYYY-MM-DD)
+   */
+  const handleIssueChangeOrder = (reason, date) => {
+    if (!openChange || openChange.lines.length === 0) return;
+    setBaseline(prev => ({
+      ...prev,
+      changeOrders: [...prev.changeOrders, createChangeOrder(`co_${createRecordId()}`, prev, openChange, reason, date)]
+    }));
+  };
 
-    // Convert to CSV string
-    const csvString = csvContent.map(row => row.join(',')).join('\n');
+  /**
+   * Update Change Order
+   *
+   * @param {string} changeOrderId - Change order to update
+   * @param {string} field - 'reason', 'date' or 'status'
+   * @param {string} value - New value
+   */
+  const updateChangeOrder = (changeOrderId, field, value) => {
+    setBaseline(prev => ({
+      ...prev,
+      changeOrders: prev.changeOrders.map(co => (co.id === changeOrderId ? { ...co, [field]: value } : co))
+    }));
+  };
 
-    // Create download link
-    const blob = new Blob([csvString], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.setAttribute('href', url);
-    const fileName = `${projectInfo.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_budget.csv`;
-    link.setAttribute('download', fileName);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+  /**
+   * Delete Change Order
+   * Removes a change order after confirmation. Its changes become part of the
+   * open change again.
+   *
+   * @param {string} changeOrderId - Change order to delete
+   */
+  const handleDeleteChangeOrder = (changeOrderId) => {
+    const changeOrder = baseline.changeOrders.find(co => co.id === changeOrderId);
+
+    setConfirmationModal({
+      isOpen: true,
+      title: 'Delete Change Order',
+      message: `Delete change order #${changeOrder?.number}? Its changes will be listed as unrecorded again.`,
+      onConfirm: () => {
+        setBaseline(prev => ({ ...prev, changeOrders: prev.changeOrders.filter(co => co.id !== changeOrderId) }));
+        setConfirmationModal(prev => ({ ...prev, isOpen: false }));
+      }
+    });
   };
 
   // ============================================================================
@@ -1256,10 +3038,12 @@ export default function App() {
    * 
    * @param {string} field - The field name to update in projectInfo
    * @param {any} value - The new value to set
+   * @param {string|null} [historyGroup] - Undo group key; consecutive edits with the
+   *   same key merge into one undo step. Pass null to always create a new step.
    */
-  const handleProjectUpdate = (field, value) => {
+  const handleProjectUpdate = (field, value, historyGroup = `project:${field}`) => {
     // Validate numeric fields
-    if (field === 'allowance' || field === 'salesTaxRate') {
+    if (field === 'allowance' || field === 'salesTaxRate' || field === 'keyCount' || field === 'area') {
       const numValue = parseFloat(value);
       if (isNaN(numValue) || numValue < 0) {
         console.warn(`Invalid ${field} value: ${value}. Must be a positive number.`);
@@ -1267,17 +3051,36 @@ export default function App() {
       }
     }
 
+    if (field === 'markup' && !(value >= 0)) {
+      console.warn(`Invalid markup value: ${value}. Must be a positive number.`);
+      return;
+    }
+
+    undoHistory.record(historyGroup);
     setProjectInfo(prev => ({ ...prev, [field]: value }));
+
+    // Marked-up sell prices follow the project default
+    if (field === 'markup') {
+      setCategories(prev => applyPricing(prev, { ...projectInfo, markup: value }));
+    }
+
+    // Per-room quantities follow the key counts, and prices their quantity breaks
+    if (field === 'roomTypes') {
+      setCategories(prev => applyPricing(applyRoomQuantities(prev, value), projectInfo));
+    }
   };
 
   /**
    * Update Line Item
    * Updates a specific field of a line item within a category.
    * Immutably updates the nested state structure.
-   * Includes validation for numeric fields (qty, unitPrice).
+   * Includes validation for numeric fields (qty, unitPrice, netCost, markup,
+   * listPrice, discount). Changing a pricing field re-derives the item's net
+   * cost and sell price (unitPrice); setting one to undefined clears it.
+   * Changing qty re-derives them too, as it may reach a quantity break.
    * 
    * @param {string} catId - Category ID containing the item
-   * @param {number} itemId - Line item ID to update
+   * @param {string|number} itemId - Line item ID to update
    * @param {string} field - Field name to update in the item
    * @param {any} value - New value to set
    */
@@ -1290,14 +3093,32 @@ export default function App() {
         return; // Don't update with invalid value
       }
     }
+    const isPricingField = PRICING_FIELDS.includes(field);
+    if (isPricingField && field !== 'priceBreaks' && value !== undefined && !(value >= 0)) {
+      console.warn(`Invalid ${field} for item ${itemId}: ${value}. Must be a positive number.`);
+      return;
+    }
+    if (field === 'discount' && value > 100) {
+      console.warn(`Invalid discount for item ${itemId}: ${value}. Must be at most 100%.`);
+      return;
+    }
 
+    undoHistory.record(`item:${itemId}:${field}`);
     setCategories(prev => prev.map(cat => {
       if (cat.id !== catId) return cat;
       return {
         ...cat,
         items: cat.items.map(item => {
           if (item.id !== itemId) return item;
-          return { ...item, [field]: value };
+          // Ordering starts the payment schedule: the balance falls due a lead time later
+          if (field === 'status' && value === 'In Progress' && !item.orderDate) {
+            return { ...item, status: value, orderDate: today };
+          }
+          if (field === 'qty') return priceItem({ ...item, qty: value }, cat, projectInfo);
+          if (!isPricingField) return { ...item, [field]: value };
+
+          const { [field]: _previous, ...rest } = item;
+          return priceItem(value === undefined ? rest : { ...rest, [field]: value }, cat, projectInfo);
         })
       };
     }));
@@ -1306,26 +3127,15 @@ export default function App() {
   /**
    * Add New Line Item
    * Adds a new empty line item to the specified category.
-   * Uses timestamp as unique ID to prevent collisions.
+   * The item gets a random UUID from createLineItem() so ids never collide.
    * 
    * @param {string} catId - Category ID to add the item to
    * @param {number} [index] - Optional index to insert the item at. If omitted, appends to end.
    */
   const addItem = (catId, index) => {
-    const newItem = {
-      id: Date.now(), // Using timestamp as unique ID
-      mfr: '',
-      desc: 'New Item',
-      dimensions: '',
-      qty: 1,
-      unitPrice: 0,
-      leadTime: '',
-      status: 'Draft',
-      isTaxable: false,
-      notes: '',
-      specs: { detailedDescription: '', attachments: [] }
-    };
+    const newItem = createLineItem({ desc: 'New Item', qty: 1 });
 
+    undoHistory.record();
     setCategories(prev => prev.map(cat => {
       if (cat.id !== catId) return cat;
 
@@ -1348,6 +3158,7 @@ export default function App() {
    * @param {string} direction - 'up' or 'down'
    */
   const moveItem = (catId, index, direction) => {
+    undoHistory.record();
     setCategories(prev => prev.map(cat => {
       if (cat.id !== catId) return cat;
 
@@ -1368,13 +3179,14 @@ export default function App() {
    * Logs the action for debugging purposes.
    * 
    * @param {string} catId - Category ID containing the item
-   * @param {number} itemId - Line item ID to remove
+   * @param {string|number} itemId - Line item ID to remove
    */
   const removeItem = (catId, itemId) => {
     // Log removal action for audit trail
     console.log(`Attempting to remove item ${itemId} from category ${catId}`);
     console.log('Current categories:', categories);
 
+    undoHistory.record();
     setCategories(prev => {
       const updated = prev.map(cat => {
         if (cat.id !== catId) return cat;
@@ -1392,10 +3204,11 @@ export default function App() {
    * Updates the detailed specifications for a line item.
    * 
    * @param {string} catId - Category ID containing the item
-   * @param {number} itemId - Line item ID to update
+   * @param {string|number} itemId - Line item ID to update
    * @param {Object} specs - Specification data (detailedDescription, attachments)
    */
   const saveItemSpecs = (catId, itemId, specs) => {
+    undoHistory.record();
     setCategories(prev => prev.map(cat => {
       if (cat.id !== catId) return cat;
       return {
@@ -1411,20 +3224,21 @@ export default function App() {
   /**
    * Add New Category/Section
    * Creates a new budget category with default settings.
-   * Uses timestamp for unique ID and includes one empty line item.
+   * Uses a unique ID and includes one empty line item.
    * @param {number} [index] - Optional index to insert the category at. If omitted, appends to end.
    */
   const addCategory = (index) => {
     const newCategory = {
-      id: `cat_${Date.now()}`,
+      id: createCategoryId(),
       title: 'New Section',
       icon: Layout,
       color: 'text-gray-600',
       items: [
-        { id: Date.now(), mfr: '', desc: '', dimensions: '', qty: 0, unitPrice: 0, leadTime: '', status: 'Draft', isTaxable: false, notes: '', specs: { detailedDescription: '', attachments: [] } }
+        createLineItem()
       ]
     };
 
+    undoHistory.record();
     setCategories(prev => {
       if (typeof index === 'number' && index >= 0 && index <= prev.length) {
         const newCategories = [...prev];
@@ -1443,6 +3257,7 @@ export default function App() {
    * @param {string} newTitle - New title for the category
    */
   const updateCategoryTitle = (catId, newTitle) => {
+    undoHistory.record(`category:${catId}:title`);
     setCategories(prev => prev.map(cat => {
       if (cat.id !== catId) return cat;
       return { ...cat, title: newTitle };
@@ -1464,6 +3279,8 @@ export default function App() {
       title: 'Delete Section',
       message: `Are you sure you want to delete the "${category?.title}" section? This will remove all line items in this section.`,
       onConfirm: () => {
+        undoHistory.record();
+        // Adjustment lines limited to this section keep its id and count it as zero
         setCategories(prev => prev.filter(cat => cat.id !== catId));
         setConfirmationModal(prev => ({ ...prev, isOpen: false }));
       }
@@ -1488,56 +3305,41 @@ export default function App() {
 
   /**
    * Load Draft
-   * Loads the auto-saved draft from localStorage.
+   * Loads a project's auto-saved draft from IndexedDB.
+   *
+   * @param {Object} draft - Draft metadata from listDrafts()
    */
-  const handleLoadDraft = () => {
-    const savedState = localStorage.getItem('ffe_autosave');
-    if (savedState) {
-      try {
-        const parsedState = JSON.parse(savedState);
-
-        // Icon mapping for reconstructing categories
-        const iconMap = {
-          'foh': { icon: Armchair, color: 'text-blue-600' },
-          'custom': { icon: Lightbulb, color: 'text-amber-600' },
-          'wayfinding': { icon: Signpost, color: 'text-purple-600' },
-          'exterior': { icon: TreePine, color: 'text-emerald-600' },
-          'fees': { icon: Briefcase, color: 'text-gray-600' }
-        };
-
-        const loadedCategories = parsedState.categories.map(cat => ({
-          ...cat,
-          icon: iconMap[cat.id]?.icon || Layout,
-          color: cat.color || iconMap[cat.id]?.color || 'text-gray-600',
-          // Add specs for backward compatibility
-          items: cat.items.map(item => ({
-            ...item,
-            isTaxable: item.isTaxable !== false,
-            specs: item.specs || { detailedDescription: '', attachments: [] }
-          }))
-        }));
-
-        // Add default terms if not present
-        const loadedProjectInfo = {
-          ...parsedState.projectInfo,
-          terms: parsedState.projectInfo.terms || [
-            "1. Estimates are valid for 30 days from date of issue.",
-            "2. Freight and delivery charges are estimated and will be billed at actual cost.",
-            "3. A formal quote and proposal will be provided. This is a preliminary budgeting tool only."
-          ]
-        };
-
-        setProjectInfo(loadedProjectInfo);
-        setCategories(loadedCategories);
-        setHasUnsavedChanges(true);
+  const handleLoadDraft = async (draft) => {
+    try {
+      const record = await loadDraft(draft.projectId);
+      if (!record) throw new Error('Draft not found.');
+      loadParsedDocument(record.document, record.files, draft.projectName || 'Draft', () => {
+        setSavedSnapshot(null); // Drafts are never on disk
+        setFileHandle(null);
+        setDiskVersion(null);
+        setCurrentFileName(draft.fileName);
         setCurrentView('budget');
-      } catch (e) {
-        console.error('Failed to load draft', e);
-        alert('Failed to load draft. Data may be corrupted.');
-      }
+      });
+    } catch (e) {
+      console.error('Failed to load draft', e);
+      alert(`Failed to load draft. ${e.message}`);
     }
   };
 
+  /**
+   * Discard Draft
+   * Removes a project's draft and drops it from the welcome screen list.
+   *
+   * @param {string} draftProjectId - Project id of the draft to remove
+   */
+  const discardDraft = (draftProjectId) => {
+    // Queued behind any autosave still writing, so it cannot recreate the draft
+    draftQueueRef.current = draftQueueRef.current
+      .then(() => deleteDraft(draftProjectId))
+      .then(() => setDrafts(prev => prev.filter(d => d.projectId !== draftProjectId)))
+      .catch(error => console.error('Failed to delete draft', error));
+  };
+
   /**
    * Handle Logo Upload
    * Reads the uploaded image file and updates the project logo.
@@ -1547,41 +3349,139 @@ export default function App() {
     if (file) {
       const reader = new FileReader();
       reader.onload = (event) => {
-        handleProjectUpdate('logoUrl', event.target.result);
+        handleProjectUpdate('logoUrl', event.target.result, null);
       };
       reader.readAsDataURL(file);
     }
   };
 
-  // ============================================================================
-  // RENDER
-  // ============================================================================
+  // ============================================================================
+  // RENDER
+  // ============================================================================
+
+  if (currentView === 'specbook') {
+    return (
+      <>
+        <SpecBookView
+          projectInfo={projectInfo}
+          categories={categories}
+          pricingView={pricingView}
+          onBack={() => setCurrentView('budget')}
+          onEditItem={(item, categoryId) => setSpecEditorState({ isOpen: true, item, categoryId })}
+        />
+        {specEditorState.isOpen && (
+          <SpecEditorModal
+            isOpen={specEditorState.isOpen}
+            onClose={() => setSpecEditorState({ ...specEditorState, isOpen: false })}
+            item={specEditorState.item}
+            categoryId={specEditorState.categoryId}
+            onSave={(catId, itemId, specs) => {
+              saveItemSpecs(catId, itemId, specs);
+              setSpecEditorState({ ...specEditorState, isOpen: false });
+            }}
+          />
+        )}
+      </>
+    );
+  }
+
+  if (currentView === 'alternates') {
+    return (
+      <>
+        <AlternatesReportView
+          projectInfo={projectInfo}
+          categories={categories}
+          onBack={() => setCurrentView('budget')}
+          onEditItem={(categoryId, itemId) => setAlternatesEditor({ categoryId, itemId })}
+        />
+        {/* Alternates Modal */}
+        {alternatesItem && (
+          <AlternatesModal
+            item={alternatesItem}
+            category={alternatesCategory}
+            projectInfo={projectInfo}
+            currencyChoices={currencyChoices}
+            formatMoney={formatMoney}
+            onAdd={() => addAlternate(alternatesEditor.categoryId, alternatesItem.id)}
+            onUpdate={(alternateId, field, value) => updateAlternate(alternatesEditor.categoryId, alternatesItem.id, alternateId, field, value)}
+            onSelect={(alternateId) => selectItemAlternate(alternatesEditor.categoryId, alternatesItem.id, alternateId)}
+            onRemove={(alternateId) => removeAlternate(alternatesEditor.categoryId, alternatesItem.id, alternateId)}
+            onClose={() => setAlternatesEditor(null)}
+          />
+        )}
+      </>
+    );
+  }
+
+  if (currentView === 'changeorders') {
+    return (
+      <ChangeOrdersView
+        projectInfo={projectInfo}
+        categories={categories}
+        baseline={baseline}
+        openChange={openChange}
+        summary={changeOrderSummary}
+        onBack={() => setCurrentView('budget')}
+        onLock={handleLockBaseline}
+        onUnlock={handleUnlockBaseline}
+        onIssue={handleIssueChangeOrder}
+        onUpdate={updateChangeOrder}
+        onDelete={handleDeleteChangeOrder}
+      />
+    );
+  }
 
-  if (currentView === 'specbook') {
+  if (currentView === 'cashflow') {
     return (
       <>
-        <SpecBookView
+        <CashFlowView
           projectInfo={projectInfo}
           categories={categories}
           onBack={() => setCurrentView('budget')}
-          onEditItem={(item, categoryId) => setSpecEditorState({ isOpen: true, item, categoryId })}
+          onEditPayments={(categoryId, itemId) => setPaymentsEditor({ categoryId, itemId })}
+          onUpdateDefaultDeposit={updateDefaultDeposit}
+          onUpdateVendorDeposit={updateVendorDeposit}
         />
-        {specEditorState.isOpen && (
-          <SpecEditorModal
-            isOpen={specEditorState.isOpen}
-            onClose={() => setSpecEditorState({ ...specEditorState, isOpen: false })}
-            item={specEditorState.item}
-            categoryId={specEditorState.categoryId}
-            onSave={(catId, itemId, specs) => {
-              saveItemSpecs(catId, itemId, specs);
-              setSpecEditorState({ ...specEditorState, isOpen: false });
-            }}
+        {/* Payments Modal */}
+        {paymentsItem && (
+          <PaymentsModal
+            item={paymentsItem}
+            category={paymentsCategory}
+            projectInfo={projectInfo}
+            formatMoney={formatMoney}
+            onUpdateTerms={(field, value) => updateItemPaymentTerms(paymentsCategory.id, paymentsItem.id, field, value)}
+            onAddPayment={(amount) => addPayment(paymentsCategory.id, paymentsItem.id, amount)}
+            onUpdatePayment={(paymentId, field, value) => updatePayment(paymentsCategory.id, paymentsItem.id, paymentId, field, value)}
+            onRemovePayment={(paymentId) => removePayment(paymentsCategory.id, paymentsItem.id, paymentId)}
+            onClose={() => setPaymentsEditor(null)}
           />
         )}
       </>
     );
   }
 
+  if (currentView === 'revision') {
+    const viewingRevision = revisions.find(rev => rev.id === viewingRevisionId);
+    if (viewingRevision) {
+      return (
+        <>
+          <RevisionView
+            revision={viewingRevision}
+            onBack={() => setCurrentView('budget')}
+            onRestore={handleRestoreRevision}
+          />
+          <ConfirmationModal
+            isOpen={confirmationModal.isOpen}
+            title={confirmationModal.title}
+            message={confirmationModal.message}
+            onConfirm={confirmationModal.onConfirm}
+            onCancel={() => setConfirmationModal(prev => ({ ...prev, isOpen: false }))}
+          />
+        </>
+      );
+    }
+  }
+
   if (currentView === 'welcome') {
     return (
       <div className="min-h-screen bg-gray-100 dark:bg-gray-900 flex items-center justify-center p-4 font-sans transition-colors duration-200">
@@ -1592,6 +3492,13 @@ export default function App() {
           onConfirm={confirmationModal.onConfirm}
           onCancel={() => setConfirmationModal(prev => ({ ...prev, isOpen: false }))}
         />
+        <ValidationReportModal
+          isOpen={validationReport.isOpen}
+          fileName={validationReport.fileName}
+          issues={validationReport.issues}
+          onImport={validationReport.onImport}
+          onCancel={() => setValidationReport(prev => ({ ...prev, isOpen: false }))}
+        />
         <div className="max-w-4xl w-full grid grid-cols-1 md:grid-cols-2 gap-8">
 
           {/* Welcome Info */}
@@ -1628,29 +3535,40 @@ export default function App() {
             <h3 className="text-xl font-bold text-gray-900 dark:text-white mb-6">Get Started</h3>
 
             <div className="space-y-4">
-              {hasRecentDraft && (
-                <button
-                  onClick={handleLoadDraft}
-                  className="w-full group relative flex items-start gap-4 p-4 rounded-xl border-2 border-blue-100 dark:border-blue-900/30 bg-blue-50 dark:bg-blue-900/10 hover:border-blue-500 dark:hover:border-blue-500 transition-all text-left"
-                >
-                  <div className="p-2 bg-blue-100 dark:bg-blue-900/50 rounded-lg text-blue-600 dark:text-blue-400 group-hover:scale-110 transition-transform">
-                    <Briefcase size={24} />
-                  </div>
-                  <div>
-                    <div className="font-bold text-gray-900 dark:text-white">Continue Draft</div>
-                    <div className="text-sm text-gray-600 dark:text-gray-400 mt-1">
-                      {draftInfo?.projectName || 'Untitled Project'}
+              {drafts.map(draft => (
+                <div key={draft.projectId} className="relative group">
+                  <button
+                    onClick={() => handleLoadDraft(draft)}
+                    className="w-full relative flex items-start gap-4 p-4 rounded-xl border-2 border-blue-100 dark:border-blue-900/30 bg-blue-50 dark:bg-blue-900/10 hover:border-blue-500 dark:hover:border-blue-500 transition-all text-left"
+                  >
+                    <div className="p-2 bg-blue-100 dark:bg-blue-900/50 rounded-lg text-blue-600 dark:text-blue-400 group-hover:scale-110 transition-transform">
+                      <Briefcase size={24} />
                     </div>
-                    <div className="text-xs text-gray-500 mt-1">
-                      Last saved: {draftInfo?.lastSaved}
+                    <div className="min-w-0 pr-6">
+                      <div className="font-bold text-gray-900 dark:text-white">Continue Draft</div>
+                      <div className="text-sm text-gray-600 dark:text-gray-400 mt-1 truncate">
+                        {draft.projectName || 'Untitled Project'}
+                      </div>
+                      {draft.fileName && (
+                        <div className="text-xs text-gray-500 mt-1 truncate">{draft.fileName}</div>
+                      )}
+                      <div className="text-xs text-gray-500 mt-1">
+                        Last saved: {new Date(draft.savedAt).toLocaleString()}
+                      </div>
                     </div>
-                  </div>
-                  <div className="absolute top-4 right-4 w-2 h-2 rounded-full bg-blue-500 animate-pulse"></div>
-                </button>
-              )}
+                  </button>
+                  <button
+                    onClick={() => discardDraft(draft.projectId)}
+                    className="absolute top-3 right-3 p-1 rounded text-gray-400 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/30 opacity-0 group-hover:opacity-100 transition"
+                    title="Discard Draft"
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              ))}
 
               <button
-                onClick={handleNewDocument}
+                onClick={() => handleNewDocument()}
                 className="w-full group flex items-center gap-4 p-4 rounded-xl border border-gray-200 dark:border-gray-700 hover:border-blue-500 dark:hover:border-blue-500 hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-all text-left"
               >
                 <div className="p-2 bg-gray-100 dark:bg-gray-700 rounded-lg text-gray-600 dark:text-gray-300 group-hover:text-blue-600 dark:group-hover:text-blue-400 transition-colors">
@@ -1676,6 +3594,75 @@ export default function App() {
               </button>
             </div>
 
+            {templates.length > 0 && (
+              <div className="mt-8">
+                <h4 className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-2">New from Template</h4>
+                <div className="space-y-1">
+                  {templates.map(template => (
+                    <div key={template.id} className="relative group">
+                      <button
+                        onClick={() => handleNewDocument(template)}
+                        className="w-full flex items-center gap-3 px-3 py-2 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors text-left"
+                      >
+                        <LayoutTemplate size={16} className="text-teal-600 dark:text-teal-400 flex-shrink-0" />
+                        <div className="min-w-0 pr-6">
+                          <div className="text-sm font-semibold text-gray-900 dark:text-white truncate">{template.name}</div>
+                          <div className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                            {template.categories.length} {template.categories.length === 1 ? 'section' : 'sections'}
+                            {' '}&middot; {template.categories.reduce((sum, cat) => sum + cat.items.length, 0)} items
+                            {!template.includesPrices && <> &middot; No prices</>}
+                          </div>
+                        </div>
+                      </button>
+                      <button
+                        onClick={() => handleDeleteTemplate(template)}
+                        className="absolute top-1/2 -translate-y-1/2 right-2 p-1 rounded text-gray-400 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/30 opacity-0 group-hover:opacity-100 transition"
+                        title="Delete Template"
+                      >
+                        <X size={14} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {recentFiles.length > 0 && (
+              <div className="mt-8">
+                <h4 className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-2">Recent Projects</h4>
+                <div className="space-y-1">
+                  {recentFiles.map(entry => (
+                    <div key={entry.id} className="relative group">
+                      <button
+                        onClick={() => handleOpenRecent(entry)}
+                        className="w-full flex items-center justify-between gap-4 px-3 py-2 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors text-left"
+                        title={entry.fileName}
+                      >
+                        <div className="min-w-0">
+                          <div className="text-sm font-semibold text-gray-900 dark:text-white truncate">
+                            {entry.projectName || entry.fileName}
+                          </div>
+                          <div className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                            {entry.client} &middot; Saved {new Date(entry.savedAt).toLocaleDateString()}
+                          </div>
+                        </div>
+                        <div className="text-sm font-medium text-gray-700 dark:text-gray-300 pr-6 flex-shrink-0">
+                          {formatCurrency(entry.grandTotal, entry.currency)}
+                        </div>
+                      </button>
+                      <button
+                        onClick={() => forgetRecentFile(entry.id)}
+                        className="absolute top-1/2 -translate-y-1/2 right-2 p-1 rounded text-gray-400 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/30 opacity-0 group-hover:opacity-100 transition"
+                        title="Remove from Recent"
+                      >
+                        <X size={14} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             <div className="mt-8 pt-6 border-t border-gray-100 dark:border-gray-700 flex justify-between items-center">
               <div className="text-xs text-gray-400">
                 v1.0.0 • Pat Ryan Things LLC
@@ -1703,7 +3690,7 @@ export default function App() {
           type="file"
           ref={fileInputRef}
           onChange={handleFileInputChange}
-          accept=".ffe,application/json"
+          accept=".ffe,application/zip,application/json"
           className="hidden"
           style={{ display: 'none' }}
         />
@@ -1728,6 +3715,7 @@ export default function App() {
               <h1 className="text-lg font-bold tracking-tight flex items-center gap-1">
                 BudgetBuilder<span className="text-blue-400">™</span>
                 {hasUnsavedChanges && <span className="text-amber-400 text-xs ml-1" title="Unsaved Changes">●</span>}
+                {!isInternalView && <span className="ml-2 text-[10px] font-semibold uppercase tracking-wider text-emerald-300 bg-emerald-900/40 border border-emerald-700 px-2 py-0.5 rounded-full" title="Net cost and markup are hidden">Client View</span>}
               </h1>
               <div className="text-[10px] text-slate-400 font-medium uppercase tracking-wider">Hospitality FF&E Manager</div>
             </div>
@@ -1771,6 +3759,12 @@ export default function App() {
                     <button onClick={() => { handleSaveAs(); setIsMenuOpen(false); }} className="w-full flex items-center gap-3 px-3 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
                       <Copy size={16} className="text-emerald-500" /> Save As...
                     </button>
+                    <button onClick={() => { handleImportFromProject(); setIsMenuOpen(false); }} className="w-full flex items-center gap-3 px-3 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+                      <Download size={16} className="text-blue-500" /> Import from Project…
+                    </button>
+                    <button onClick={() => { setShowSaveTemplateModal(true); setIsMenuOpen(false); }} className="w-full flex items-center gap-3 px-3 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+                      <LayoutTemplate size={16} className="text-teal-500" /> Save as Template…
+                    </button>
                     <button onClick={() => { handleExportCSV(); setIsMenuOpen(false); }} className="w-full flex items-center gap-3 px-3 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
                       <FileSpreadsheet size={16} className="text-green-600" /> Export to Excel (CSV)
                     </button>
@@ -1778,12 +3772,74 @@ export default function App() {
 
                   <div className="h-px bg-gray-100 dark:bg-gray-700 mx-2"></div>
 
+                  {/* Edit */}
+                  <div className="p-2">
+                    <div className="text-xs font-bold text-gray-400 uppercase tracking-wider px-3 py-2">Edit</div>
+                    <div className="grid grid-cols-2 gap-1">
+                      <button
+                        onClick={undoHistory.undo}
+                        disabled={!undoHistory.canUndo}
+                        className="flex items-center gap-2 px-3 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors disabled:opacity-40 disabled:hover:bg-transparent"
+                        title="Undo (Ctrl+Z)"
+                      >
+                        <Undo2 size={16} className="text-blue-500" /> Undo
+                      </button>
+                      <button
+                        onClick={undoHistory.redo}
+                        disabled={!undoHistory.canRedo}
+                        className="flex items-center gap-2 px-3 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors disabled:opacity-40 disabled:hover:bg-transparent"
+                        title="Redo (Ctrl+Shift+Z)"
+                      >
+                        <Redo2 size={16} className="text-blue-500" /> Redo
+                      </button>
+                    </div>
+                  </div>
+
+                  <div className="h-px bg-gray-100 dark:bg-gray-700 mx-2"></div>
+
                   {/* View & Tools */}
                   <div className="p-2">
                     <div className="text-xs font-bold text-gray-400 uppercase tracking-wider px-3 py-2">View & Tools</div>
                     <button onClick={() => { setCurrentView('specbook'); setIsMenuOpen(false); }} className="w-full flex items-center gap-3 px-3 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
                       <Book size={16} className="text-indigo-500" /> Spec Book View
                     </button>
+                    <button onClick={() => { setCurrentView('alternates'); setIsMenuOpen(false); }} className="w-full flex items-center gap-3 px-3 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+                      <Shuffle size={16} className="text-indigo-500" /> Alternates Report
+                    </button>
+                    <button onClick={() => { setCurrentView('cashflow'); setIsMenuOpen(false); }} className="w-full flex items-center gap-3 px-3 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+                      <Wallet size={16} className="text-indigo-500" /> Cash Flow
+                    </button>
+                    <button onClick={() => { setCurrentView('changeorders'); setIsMenuOpen(false); }} className="w-full flex items-center gap-3 px-3 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+                      <ClipboardCheck size={16} className="text-indigo-500" /> Change Orders
+                      {openChange?.lines.length > 0 && <span className="ml-auto w-2 h-2 rounded-full bg-amber-500" title="Unrecorded changes"></span>}
+                    </button>
+                    <button onClick={() => { setShowRevisionPanel(true); setIsMenuOpen(false); }} className="w-full flex items-center gap-3 px-3 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+                      <History size={16} className="text-indigo-500" /> Revisions
+                      {revisions.length > 0 && <span className="ml-auto text-xs text-gray-400">{revisions.length}</span>}
+                    </button>
+                    <button onClick={() => { setShowTaxClassesModal(true); setIsMenuOpen(false); }} className="w-full flex items-center gap-3 px-3 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+                      <Percent size={16} className="text-indigo-500" /> Tax Classes
+                    </button>
+                    <button onClick={() => { setAddOnsEditor({ itemId: null }); setIsMenuOpen(false); }} className="w-full flex items-center gap-3 px-3 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+                      <Truck size={16} className="text-indigo-500" /> Freight & Installation
+                    </button>
+                    <button onClick={() => { setShowAdjustmentsModal(true); setIsMenuOpen(false); }} className="w-full flex items-center gap-3 px-3 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+                      <SlidersHorizontal size={16} className="text-indigo-500" /> Contingency & Fees
+                      {projectInfo.adjustments.length > 0 && <span className="ml-auto text-xs text-gray-400">{projectInfo.adjustments.length}</span>}
+                    </button>
+                    <button onClick={() => { setShowRoomTypesModal(true); setIsMenuOpen(false); }} className="w-full flex items-center gap-3 px-3 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+                      <BedDouble size={16} className="text-indigo-500" /> Room Types
+                      {projectInfo.roomTypes.length > 0 && <span className="ml-auto text-xs text-gray-400">{getKeyCount(projectInfo.roomTypes)} keys</span>}
+                    </button>
+                    <button onClick={() => { setShowCurrencyModal(true); setIsMenuOpen(false); }} className="w-full flex items-center gap-3 px-3 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+                      <Coins size={16} className="text-indigo-500" /> Currencies
+                      <span className="ml-auto text-xs text-gray-400">{baseCurrency}</span>
+                    </button>
+                    <button onClick={() => setPricingView(isInternalView ? 'client' : 'internal')} className="w-full flex items-center gap-3 px-3 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
+                      <Users size={16} className="text-indigo-500" />
+                      {isInternalView ? 'Switch to Client View' : 'Switch to Internal View'}
+                      <span className="ml-auto text-xs text-gray-400">{isInternalView ? 'Cost visible' : 'Cost hidden'}</span>
+                    </button>
                     <button onClick={() => { handlePrint(); setIsMenuOpen(false); }} className="w-full flex items-center gap-3 px-3 py-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors">
                       <Printer size={16} className="text-gray-500" /> Print / Export PDF
                     </button>
@@ -1808,8 +3864,13 @@ export default function App() {
                         { id: 'leadTime', label: 'Lead Time' },
                         { id: 'status', label: 'Status' },
                         { id: 'qty', label: 'Quantity' },
+                        ...(isInternalView ? [
+                          { id: 'netCost', label: 'Net Cost' },
+                          { id: 'markup', label: 'Markup %' }
+                        ] : []),
                         { id: 'unitPrice', label: 'Unit Price' },
                         { id: 'total', label: 'Total' },
+                        { id: 'addOns', label: 'Add-ons' },
                         { id: 'tax', label: 'Taxable' },
                         { id: 'notes', label: 'Notes' }
                       ].map(col => (
@@ -1935,6 +3996,193 @@ export default function App() {
           onCancel={() => setConfirmationModal(prev => ({ ...prev, isOpen: false }))}
         />
 
+        {/* Validation Report Modal */}
+        <ValidationReportModal
+          isOpen={validationReport.isOpen}
+          fileName={validationReport.fileName}
+          issues={validationReport.issues}
+          onImport={validationReport.onImport}
+          onCancel={() => setValidationReport(prev => ({ ...prev, isOpen: false }))}
+        />
+
+        {/* Save Conflict Modal */}
+        <SaveConflictModal
+          isOpen={saveConflict.isOpen}
+          fileName={currentFileName}
+          changes={saveConflict.changes}
+          onOverwrite={handleOverwriteConflict}
+          onSaveAsCopy={handleSaveConflictAsCopy}
+          onShowMerge={handleShowMerge}
+          onResolve={resolveMergeChange}
+          onApplyMerge={handleApplyMerge}
+          onCancel={closeSaveConflict}
+        />
+
+        {/* Import from Project Modal */}
+        {importSource && (
+          <ImportProjectModal
+            sourceName={importSource.name}
+            sourceCategories={importSource.categories}
+            sourceCurrency={importSource.currency}
+            onImport={handleImportSelection}
+            onClose={() => setImportSource(null)}
+          />
+        )}
+
+        {/* Save as Template Modal */}
+        {showSaveTemplateModal && (
+          <SaveTemplateModal
+            sectionCount={categories.length}
+            itemCount={categories.reduce((sum, cat) => sum + cat.items.length, 0)}
+            onSave={handleSaveTemplate}
+            onClose={() => setShowSaveTemplateModal(false)}
+          />
+        )}
+
+        {/* Tax Classes Modal */}
+        {showTaxClassesModal && (
+          <TaxClassesModal
+            salesTaxRate={projectInfo.salesTaxRate}
+            taxClasses={projectInfo.taxClasses}
+            pricesIncludeTax={projectInfo.pricesIncludeTax}
+            taxRounding={projectInfo.taxRounding}
+            onUpdateSalesTaxRate={(rate) => handleProjectUpdate('salesTaxRate', rate)}
+            onAddClass={addTaxClass}
+            onUpdateClass={updateTaxClass}
+            onRemoveClass={removeTaxClass}
+            onTogglePricesIncludeTax={(value) => handleProjectUpdate('pricesIncludeTax', value, null)}
+            onUpdateTaxRounding={(value) => handleProjectUpdate('taxRounding', value, null)}
+            onClose={() => setShowTaxClassesModal(false)}
+          />
+        )}
+
+        {/* Adjustments Modal */}
+        {showAdjustmentsModal && (
+          <AdjustmentsModal
+            adjustments={projectInfo.adjustments}
+            calculated={totals.adjustments}
+            categories={categories}
+            projectDate={projectInfo.date}
+            salesTaxRate={projectInfo.salesTaxRate}
+            formatMoney={formatMoney}
+            onAdd={addAdjustment}
+            onUpdate={updateAdjustment}
+            onRemove={removeAdjustment}
+            onClose={() => setShowAdjustmentsModal(false)}
+          />
+        )}
+
+        {/* Room Types Modal */}
+        {showRoomTypesModal && (
+          <RoomTypesModal
+            roomTypes={projectInfo.roomTypes}
+            itemCounts={roomTypeItemCounts}
+            onAdd={addRoomType}
+            onUpdate={updateRoomType}
+            onRemove={removeRoomType}
+            onClose={() => setShowRoomTypesModal(false)}
+          />
+        )}
+        {roomQuantitiesItem && (
+          <RoomQuantitiesModal
+            item={roomQuantitiesItem}
+            roomTypes={projectInfo.roomTypes}
+            onChange={(roomTypeId, value) => updateItemRoomQuantity(roomQuantitiesEditor.categoryId, roomQuantitiesItem.id, roomTypeId, value)}
+            onClear={() => clearItemRoomQuantities(roomQuantitiesEditor.categoryId, roomQuantitiesItem.id)}
+            onEditRoomTypes={() => { setRoomQuantitiesEditor(null); setShowRoomTypesModal(true); }}
+            onClose={() => setRoomQuantitiesEditor(null)}
+          />
+        )}
+
+        {/* Currency Modal */}
+        {showCurrencyModal && (
+          <CurrencyModal
+            baseCurrency={baseCurrency}
+            exchangeRates={projectInfo.exchangeRates}
+            missingRates={missingRates}
+            displayPrecision={projectInfo.displayPrecision}
+            onUpdateBaseCurrency={updateBaseCurrency}
+            onUpdateDisplayPrecision={(value) => handleProjectUpdate('displayPrecision', value, null)}
+            onAddRate={addExchangeRate}
+            onUpdateRate={updateExchangeRate}
+            onChangeRateCurrency={changeRateCurrency}
+            onRemoveRate={removeExchangeRate}
+            onClose={() => setShowCurrencyModal(false)}
+          />
+        )}
+
+        {/* Add-ons Modal */}
+        {addOnsEditor && !addOnsEditor.itemId && (
+          <AddOnsModal
+            title="Freight & Installation"
+            subtitle="Project defaults"
+            settings={projectInfo.addOns}
+            amounts={totals.addOnTotals}
+            currency={baseCurrency}
+            decimals={displayDecimals}
+            onChange={updateAddOnDefault}
+            onClose={() => setAddOnsEditor(null)}
+          />
+        )}
+        {addOnsItem && (
+          <AddOnsModal
+            title="Item Add-ons"
+            subtitle={addOnsItem.desc || 'Untitled item'}
+            settings={addOnsItem.addOns || {}}
+            defaults={projectInfo.addOns}
+            amounts={getItemAddOns(addOnsItem, projectInfo)}
+            currency={baseCurrency}
+            decimals={displayDecimals}
+            onChange={(typeId, setting) => updateItemAddOn(addOnsEditor.categoryId, addOnsItem.id, typeId, setting)}
+            onClose={() => setAddOnsEditor(null)}
+          />
+        )}
+
+        {/* Alternates Modal */}
+        {alternatesItem && (
+          <AlternatesModal
+            item={alternatesItem}
+            category={alternatesCategory}
+            projectInfo={projectInfo}
+            currencyChoices={currencyChoices}
+            formatMoney={formatMoney}
+            onAdd={() => addAlternate(alternatesEditor.categoryId, alternatesItem.id)}
+            onUpdate={(alternateId, field, value) => updateAlternate(alternatesEditor.categoryId, alternatesItem.id, alternateId, field, value)}
+            onSelect={(alternateId) => selectItemAlternate(alternatesEditor.categoryId, alternatesItem.id, alternateId)}
+            onRemove={(alternateId) => removeAlternate(alternatesEditor.categoryId, alternatesItem.id, alternateId)}
+            onClose={() => setAlternatesEditor(null)}
+          />
+        )}
+
+        {/* Payments Modal */}
+        {paymentsItem && (
+          <PaymentsModal
+            item={paymentsItem}
+            category={paymentsCategory}
+            projectInfo={projectInfo}
+            formatMoney={formatMoney}
+            onUpdateTerms={(field, value) => updateItemPaymentTerms(paymentsCategory.id, paymentsItem.id, field, value)}
+            onAddPayment={(amount) => addPayment(paymentsCategory.id, paymentsItem.id, amount)}
+            onUpdatePayment={(paymentId, field, value) => updatePayment(paymentsCategory.id, paymentsItem.id, paymentId, field, value)}
+            onRemovePayment={(paymentId) => removePayment(paymentsCategory.id, paymentsItem.id, paymentId)}
+            onClose={() => setPaymentsEditor(null)}
+          />
+        )}
+
+        {/* Vendor Pricing Modal */}
+        {vendorPricingItem && (
+          <VendorPricingModal
+            item={vendorPricingItem}
+            currency={getItemCurrency(vendorPricingItem, projectInfo)}
+            decimals={displayDecimals}
+            onUpdate={(field, value) => updateItem(vendorPricingEditor.categoryId, vendorPricingItem.id, field, value)}
+            onAddBreak={() => addPriceBreak(vendorPricingEditor.categoryId, vendorPricingItem.id)}
+            onUpdateBreak={(index, field, value) => updatePriceBreak(vendorPricingEditor.categoryId, vendorPricingItem.id, index, field, value)}
+            onRemoveBreak={(index) => removePriceBreak(vendorPricingEditor.categoryId, vendorPricingItem.id, index)}
+            onClose={() => setVendorPricingEditor(null)}
+          />
+        )}
+
         {/* Spec Editor Modal */}
         {specEditorState.isOpen && (
           <SpecEditorModal
@@ -2111,19 +4359,46 @@ export default function App() {
                   placeholder="Project Address"
                   style={{ outline: 'none' }}
                 />
+
+                {/* Keys and Area - For cost per key and per square foot */}
+                <div className="mt-6 grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-xs font-bold text-gray-400 dark:text-gray-500 print:text-gray-900">Keys</label>
+                    <input
+                      type="number"
+                      value={projectInfo.roomTypes.length > 0 ? metrics.keyCount : projectInfo.keyCount}
+                      onChange={(e) => handleProjectUpdate('keyCount', parseFloat(e.target.value) || 0)}
+                      disabled={projectInfo.roomTypes.length > 0}
+                      title={projectInfo.roomTypes.length > 0 ? 'Total of the room types' : 'Number of guest rooms'}
+                      min="0"
+                      className="w-full text-base font-semibold text-gray-700 dark:text-gray-300 print:text-black border-none focus:ring-2 focus:ring-blue-500 rounded px-1 py-0.5 -ml-1 bg-transparent [appearance:textfield]"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-bold text-gray-400 dark:text-gray-500 print:text-gray-900">Area (sq ft)</label>
+                    <input
+                      type="number"
+                      value={projectInfo.area}
+                      onChange={(e) => handleProjectUpdate('area', parseFloat(e.target.value) || 0)}
+                      title="Area the FF&E budget covers, e.g. public area"
+                      min="0"
+                      className="w-full text-base font-semibold text-gray-700 dark:text-gray-300 print:text-black border-none focus:ring-2 focus:ring-blue-500 rounded px-1 py-0.5 -ml-1 bg-transparent [appearance:textfield]"
+                    />
+                  </div>
+                </div>
               </div>
             </div>
           </div>
         </Card>
 
         {/* ===== DASHBOARD SUMMARY ===== */}
-        {/* Four-card dashboard showing key budget metrics at a glance */}
-        <div className="grid grid-cols-1 md:grid-cols-4 print:grid-cols-4 gap-4 mb-8">
+        {/* Five-card dashboard showing key budget metrics at a glance */}
+        <div className="grid grid-cols-1 md:grid-cols-5 print:grid-cols-5 gap-4 mb-8">
           {/* Budget Allowance Card - Editable total budget */}
           <Card className="p-5 border-l-4 border-blue-500">
             <div className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-1">Total Budget Allowance</div>
             <div className="flex items-center gap-2">
-              <span className="text-gray-400 text-lg">$</span>
+              <span className="text-gray-400 text-lg">{getCurrencySymbol(baseCurrency)}</span>
               <input
                 type="number"
                 value={projectInfo.allowance}
@@ -2135,17 +4410,44 @@ export default function App() {
 
           {/* FF&E Subtotal Card - Calculated from all line items (pre-tax) */}
           <Card className="p-5 border-l-4 border-gray-400">
-            <div className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-1">FF&E Subtotal</div>
+            <button
+              onClick={() => setAddOnsEditor({ itemId: null })}
+              className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-1 hover:text-blue-600 dark:hover:text-blue-400 print:hover:text-gray-400"
+              title="Edit Freight & Installation Defaults"
+            >
+              FF&E Subtotal
+            </button>
             <div className="text-2xl font-bold text-gray-800 dark:text-white">
-              {formatCurrency(totals.grandTotal)}
+              {formatMoney(totals.grandTotal)}
             </div>
-            <div className="text-xs text-gray-400 mt-1">Before Tax</div>
+            {describeAddOns(totals.addOnTotals, totals.merchandiseTotal).map(part => (
+              <div key={part.label} className="flex justify-between gap-2 text-xs text-gray-500 dark:text-gray-400 mt-1">
+                <span className="truncate">{part.label}</span>
+                <span className="font-medium">{part.value}</span>
+              </div>
+            ))}
+            <div className="text-xs text-gray-400 mt-1">{projectInfo.pricesIncludeTax ? 'Tax Included' : 'Before Tax'}</div>
+            {missingRates.length > 0 && (
+              <button
+                onClick={() => setShowCurrencyModal(true)}
+                className="text-xs text-amber-600 dark:text-amber-400 mt-1 hover:underline print:hidden"
+                title="Items in these currencies are counted at 1:1"
+              >
+                No exchange rate for {missingRates.join(', ')}
+              </button>
+            )}
           </Card>
 
           {/* Tax Card - Shows calculated tax with editable rate */}
           <Card className="p-5 border-l-4 border-gray-400">
             <div className="flex justify-between items-center mb-1">
-              <div className="text-xs font-bold text-gray-400 uppercase tracking-wider">Est. Tax Total</div>
+              <button
+                onClick={() => setShowTaxClassesModal(true)}
+                className="text-xs font-bold text-gray-400 uppercase tracking-wider hover:text-blue-600 dark:hover:text-blue-400 print:hover:text-gray-400"
+                title="Edit Tax Classes"
+              >
+                {projectInfo.pricesIncludeTax ? 'Tax Included' : 'Est. Tax Total'}
+              </button>
               <div className="flex items-center gap-1">
                 <input
                   type="number"
@@ -2157,9 +4459,15 @@ export default function App() {
               </div>
             </div>
             <div className="text-2xl font-bold text-gray-800 dark:text-white">
-              {formatCurrency(totals.tax)}
+              {formatMoney(totals.tax)}
             </div>
-            <div className="text-xs text-gray-400 mt-1">Total w/ Tax: {formatCurrency(totals.totalWithTax)}</div>
+            {taxClasses.length > 1 && totals.taxByClass.map(tc => (
+              <div key={tc.id} className="flex justify-between gap-2 text-xs text-gray-500 dark:text-gray-400 mt-1">
+                <span className="truncate">{tc.name} ({tc.rate}%)</span>
+                <span className="font-medium">{formatMoney(tc.tax)}</span>
+              </div>
+            ))}
+            <div className="text-xs text-gray-400 mt-1">Total w/ Tax: {formatMoney(totals.totalWithTax)}</div>
           </Card>
 
           {/* Budget Variance Card - Shows over/under budget status with color coding */}
@@ -2169,14 +4477,273 @@ export default function App() {
               Budget Variance
             </div>
             <div className={`text-2xl font-bold ${totals.variance >= 0 ? 'text-emerald-700' : 'text-rose-700'}`}>
-              {totals.variance >= 0 ? '+' : ''}{formatCurrency(totals.variance)}
+              {totals.variance >= 0 ? '+' : ''}{formatMoney(totals.variance)}
             </div>
             <div className={`text-xs font-medium mt-1 ${totals.variance >= 0 ? 'text-emerald-600' : 'text-rose-600'}`}>
               {totals.variance >= 0 ? 'Under Budget' : 'Over Budget'}
             </div>
           </Card>
+
+          {/* Paid to Date Card - Payments recorded against items versus what is left to fund */}
+          <Card className="p-5 border-l-4 border-indigo-500">
+            <button
+              onClick={() => setCurrentView('cashflow')}
+              className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-1 hover:text-blue-600 dark:hover:text-blue-400 print:hover:text-gray-400"
+              title="Open the Payment Schedule and Cash Flow"
+            >
+              Paid to Date
+            </button>
+            <div className="text-2xl font-bold text-gray-800 dark:text-white">
+              {formatMoney(cashFlow.paidTotal)}
+            </div>
+            <div className="h-1.5 mt-2 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+              <div className="h-full bg-indigo-500" style={{ width: `${cashFlow.payableTotal > 0 ? Math.min(100, cashFlow.paidTotal / cashFlow.payableTotal * 100) : 0}%` }}></div>
+            </div>
+            <div className="text-xs text-gray-400 mt-1">Remaining: {formatMoney(cashFlow.remainingTotal)}</div>
+          </Card>
         </div>
 
+        {/* Baseline vs Current - Approved baseline, change orders and the current budget, including tax */}
+        {baseline && (
+          <Card className="p-4 mb-8 break-inside-avoid">
+            <div className="flex justify-between items-baseline mb-2">
+              <button
+                onClick={() => setCurrentView('changeorders')}
+                className="text-xs font-bold text-gray-400 uppercase tracking-wider hover:text-blue-600 dark:hover:text-blue-400 print:hover:text-gray-400"
+                title="Open the Change Order Log"
+              >
+                Baseline vs Current
+              </button>
+              {openChange.lines.length > 0 && (
+                <button
+                  onClick={() => setCurrentView('changeorders')}
+                  className="text-xs font-semibold text-amber-600 hover:underline print:hidden"
+                >
+                  Unrecorded changes: {openChange.delta > 0 ? '+' : ''}{formatMoney(openChange.delta)}
+                </button>
+              )}
+            </div>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-xs text-gray-500 dark:text-gray-400 uppercase border-b border-gray-200 dark:border-gray-700">
+                  <th className="py-1 text-left font-semibold">Section</th>
+                  <th className="py-1 text-right font-semibold">Baseline</th>
+                  <th className="py-1 text-right font-semibold">Current</th>
+                  <th className="py-1 text-right font-semibold">Change</th>
+                </tr>
+              </thead>
+              <tbody className="text-gray-700 dark:text-gray-300">
+                {[...categories, ...baseline.categories.filter(bc => !categories.some(cat => cat.id === bc.id))].map(cat => {
+                  const before = baseline.totals.categoryTotalsWithTax[cat.id] || 0;
+                  const after = totals.categoryTotalsWithTax[cat.id] || 0;
+                  return (
+                    <tr key={cat.id} className="border-b border-gray-100 dark:border-gray-700/50">
+                      <td className="py-1">{cat.title}</td>
+                      <td className="py-1 text-right font-mono">{formatMoney(before)}</td>
+                      <td className="py-1 text-right font-mono">{formatMoney(after)}</td>
+                      <td className={`py-1 text-right font-mono ${after > before ? 'text-rose-600' : after < before ? 'text-emerald-600' : ''}`}>
+                        {after > before ? '+' : ''}{formatMoney(after - before)}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+              <tfoot className="text-gray-900 dark:text-white">
+                <tr className="font-semibold">
+                  <td className="pt-2">Project Total</td>
+                  <td className="pt-2 text-right font-mono">{formatMoney(changeOrderSummary.baselineTotal)}</td>
+                  <td className="pt-2 text-right font-mono">{formatMoney(changeOrderSummary.currentTotal)}</td>
+                  <td className="pt-2 text-right font-mono">
+                    {changeOrderSummary.currentTotal > changeOrderSummary.baselineTotal ? '+' : ''}{formatMoney(changeOrderSummary.currentTotal - changeOrderSummary.baselineTotal)}
+                  </td>
+                </tr>
+                <tr className="text-xs text-gray-500 dark:text-gray-400">
+                  <td className="pt-1" colSpan={4}>
+                    Approved budget {formatMoney(changeOrderSummary.approvedTotal)} &middot; {baseline.changeOrders.length} change order(s): {formatMoney(changeOrderSummary.approved)} approved, {formatMoney(changeOrderSummary.pending)} pending
+                  </td>
+                </tr>
+              </tfoot>
+            </table>
+          </Card>
+        )}
+
+        {/* Cost Benchmarks - Cost per key and per square foot, including tax and adjustments */}
+        {hasMetrics && (
+          <Card className="p-4 mb-8 break-inside-avoid">
+            <div className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-2">Cost Benchmarks</div>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-xs text-gray-500 dark:text-gray-400 uppercase border-b border-gray-200 dark:border-gray-700">
+                  <th className="py-1 text-left font-semibold">Section</th>
+                  <th className="py-1 text-right font-semibold">Total w/ Tax</th>
+                  <th className="py-1 text-right font-semibold">Area (sq ft)</th>
+                  <th className="py-1 text-right font-semibold">Per Sq Ft</th>
+                  <th className="py-1 text-right font-semibold">Per Key</th>
+                </tr>
+              </thead>
+              <tbody className="text-gray-700 dark:text-gray-300">
+                {categories.map(cat => {
+                  const catMetrics = metrics.categories[cat.id];
+                  return (
+                    <tr key={cat.id} className="border-b border-gray-100 dark:border-gray-700/50">
+                      <td className="py-1">{cat.title}</td>
+                      <td className="py-1 text-right font-mono">{formatMoney(totals.categoryTotalsWithTax[cat.id])}</td>
+                      <td className="py-1 text-right font-mono">{catMetrics.area === null ? '—' : catMetrics.area.toLocaleString('en-US')}</td>
+                      <td className="py-1 text-right font-mono">{catMetrics.costPerArea === null ? '—' : formatMoney(catMetrics.costPerArea)}</td>
+                      <td className="py-1 text-right font-mono">{catMetrics.costPerKey === null ? '—' : formatMoney(catMetrics.costPerKey)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+              <tfoot className="text-gray-900 dark:text-white">
+                <tr className="font-semibold">
+                  <td className="pt-2">
+                    Project Total
+                    {metrics.keyCount > 0 && <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">{metrics.keyCount.toLocaleString('en-US')} keys</span>}
+                  </td>
+                  <td className="pt-2 text-right font-mono">{formatMoney(totals.totalWithTax)}</td>
+                  <td className="pt-2 text-right font-mono">{metrics.area > 0 ? metrics.area.toLocaleString('en-US') : '—'}</td>
+                  <td className="pt-2 text-right font-mono">{metrics.costPerArea === null ? '—' : formatMoney(metrics.costPerArea)}</td>
+                  <td className="pt-2 text-right font-mono">{metrics.costPerKey === null ? '—' : formatMoney(metrics.costPerKey)}</td>
+                </tr>
+              </tfoot>
+            </table>
+          </Card>
+        )}
+
+        {/* Adjustments - Contingency, escalation and fee lines calculated from the subtotal */}
+        {totals.adjustments.length > 0 && (
+          <Card className="p-4 mb-8 break-inside-avoid">
+            <button
+              onClick={() => setShowAdjustmentsModal(true)}
+              className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-2 hover:text-blue-600 dark:hover:text-blue-400 print:hover:text-gray-400"
+              title="Edit Adjustment Lines"
+            >
+              Contingency, Escalation & Fees
+            </button>
+            <table className="w-full text-sm">
+              <tbody className="text-gray-700 dark:text-gray-300">
+                <tr className="border-b border-gray-100 dark:border-gray-700/50">
+                  <td className="py-1">FF&E Subtotal</td>
+                  <td className="py-1"></td>
+                  <td className="py-1 text-right font-mono">{formatMoney(totals.grandTotal)}</td>
+                </tr>
+                {totals.adjustments.map(adj => (
+                  <tr key={adj.id} className="border-b border-gray-100 dark:border-gray-700/50">
+                    <td className="py-1">{describeAdjustment(adj)}</td>
+                    <td className="py-1 text-xs text-gray-500 dark:text-gray-400">
+                      {[
+                        adj.categoryIds.length > 0 && `on ${formatMoney(adj.basis)}`,
+                        adj.isTaxable && 'taxable',
+                        adj.countsAgainstAllowance === false && 'not counted against the allowance'
+                      ].filter(Boolean).join(' · ')}
+                    </td>
+                    <td className="py-1 text-right font-mono">{formatMoney(adj.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot className="text-gray-900 dark:text-white">
+                <tr className="font-semibold">
+                  <td className="pt-2" colSpan={2}>Subtotal with Adjustments</td>
+                  <td className="pt-2 text-right font-mono">{formatMoney(totals.grandTotal + totals.adjustmentTotal)}</td>
+                </tr>
+              </tfoot>
+            </table>
+          </Card>
+        )}
+
+        {/* Section Budgets - Per-section allowances reconciled to the project allowance */}
+        {budgetedCategories.length > 0 && (
+          <Card className="p-4 mb-8 break-inside-avoid">
+            <div className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-2">Section Budgets</div>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-xs text-gray-500 dark:text-gray-400 uppercase border-b border-gray-200 dark:border-gray-700">
+                  <th className="py-1 text-left font-semibold">Section</th>
+                  <th className="py-1 text-right font-semibold">Allowance</th>
+                  <th className="py-1 text-right font-semibold">Spend w/ Tax</th>
+                  <th className="py-1 text-right font-semibold">Variance</th>
+                </tr>
+              </thead>
+              <tbody className="text-gray-700 dark:text-gray-300">
+                {categories.map(cat => {
+                  const catVariance = totals.categoryVariance[cat.id];
+                  return (
+                    <tr key={cat.id} className="border-b border-gray-100 dark:border-gray-700/50">
+                      <td className="py-1">{cat.title}</td>
+                      <td className="py-1 text-right font-mono">{catVariance === null ? '—' : formatMoney(cat.allowance)}</td>
+                      <td className="py-1 text-right font-mono">{formatMoney(totals.categoryTotalsWithTax[cat.id])}</td>
+                      <td className={`py-1 text-right font-mono ${catVariance === null ? '' : catVariance >= 0 ? 'text-emerald-700' : 'text-rose-700'}`}>
+                        {catVariance === null ? '—' : `${catVariance >= 0 ? '+' : ''}${formatMoney(catVariance)}`}
+                      </td>
+                    </tr>
+                  );
+                })}
+                {totals.adjustments.filter(adj => adj.countsAgainstAllowance !== false).map(adj => (
+                  <tr key={adj.id} className="border-b border-gray-100 dark:border-gray-700/50 text-gray-500 dark:text-gray-400">
+                    <td className="py-1">{describeAdjustment(adj)}</td>
+                    <td className="py-1 text-right font-mono">—</td>
+                    <td className="py-1 text-right font-mono">{formatMoney(adjustmentWithTax(adj))}</td>
+                    <td className="py-1 text-right font-mono">—</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot className="text-gray-900 dark:text-white">
+                <tr className="font-semibold">
+                  <td className="pt-2">Project Total</td>
+                  <td className="pt-2 text-right font-mono">{formatMoney(projectInfo.allowance)}</td>
+                  <td className="pt-2 text-right font-mono">{formatMoney(totals.budgetedTotal)}</td>
+                  <td className={`pt-2 text-right font-mono ${totals.variance >= 0 ? 'text-emerald-700' : 'text-rose-700'}`}>
+                    {totals.variance >= 0 ? '+' : ''}{formatMoney(totals.variance)}
+                  </td>
+                </tr>
+                <tr className="text-xs text-gray-500 dark:text-gray-400">
+                  <td className="pt-1">Not allocated to a section</td>
+                  <td className={`pt-1 text-right font-mono ${projectInfo.allowance - totals.allocatedAllowance < 0 ? 'text-rose-700' : ''}`}>
+                    {formatMoney(projectInfo.allowance - totals.allocatedAllowance)}
+                  </td>
+                  <td colSpan={2}></td>
+                </tr>
+              </tfoot>
+            </table>
+          </Card>
+        )}
+
+        {/* Internal Pricing - Net cost, markup and margin; hidden in the client view */}
+        {isInternalView && (
+          <Card className="p-4 mb-8 border-l-4 border-indigo-500">
+            <div className="grid grid-cols-2 md:grid-cols-4 print:grid-cols-4 gap-4">
+              <div>
+                <div className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-1">Net Cost</div>
+                <div className="text-lg font-bold text-gray-800 dark:text-white">{formatMoney(totals.costTotal)}</div>
+              </div>
+              <div>
+                <div className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-1">Markup / Fee</div>
+                <div className="text-lg font-bold text-gray-800 dark:text-white">{formatMoney(totals.markupTotal)}</div>
+              </div>
+              <div>
+                <div className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-1">Margin</div>
+                <div className="text-lg font-bold text-gray-800 dark:text-white">
+                  {totals.merchandiseTotal > 0 ? `${(totals.markupTotal / totals.merchandiseTotal * 100).toFixed(1)}%` : '—'}
+                </div>
+              </div>
+              <div>
+                <div className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-1">Default Markup</div>
+                <div className="flex items-center gap-1">
+                  <input
+                    type="number"
+                    value={projectInfo.markup}
+                    onChange={(e) => handleProjectUpdate('markup', parseFloat(e.target.value))}
+                    className="w-20 text-lg font-bold text-gray-800 dark:text-white border-none focus:ring-0 p-0 bg-transparent [appearance:textfield]"
+                  />
+                  <span className="text-sm text-gray-500">%</span>
+                </div>
+              </div>
+            </div>
+            <div className="text-xs text-gray-400 mt-2 print:hidden">Internal only — hidden in the client view, its printouts and exports.</div>
+          </Card>
+        )}
+
         {/* Status Legend */}
         <StatusLegend />
 
@@ -2203,10 +4770,25 @@ export default function App() {
                   <SectionHeader
                     icon={category.icon}
                     title={category.title}
-                    total={formatCurrency(totals.categoryTotals[category.id])}
+                    total={formatMoney(totals.categoryTotals[category.id])}
                     colorClass={category.color}
                     onTitleChange={(newTitle) => updateCategoryTitle(category.id, newTitle)}
                     onDelete={() => removeCategory(category.id)}
+                    taxClasses={taxClasses}
+                    taxClassId={category.taxClassId}
+                    onTaxClassChange={(taxClassId) => updateCategoryTaxClass(category.id, taxClassId)}
+                    breakdown={describeAddOns(totals.categoryAddOns[category.id], totals.categoryMerchandise[category.id])}
+                    markup={category.markup}
+                    defaultMarkup={projectInfo.markup}
+                    onMarkupChange={isInternalView ? (markup) => updateCategoryMarkup(category.id, markup) : undefined}
+                    allowance={category.allowance}
+                    spend={formatMoney(totals.categoryTotalsWithTax[category.id])}
+                    variance={totals.categoryVariance[category.id] ?? null}
+                    varianceLabel={formatMoney(Math.abs(totals.categoryVariance[category.id] ?? 0))}
+                    onAllowanceChange={(allowance) => updateCategoryAllowance(category.id, allowance)}
+                    area={category.area}
+                    costPerArea={metrics.categories[category.id].costPerArea === null ? null : formatMoney(metrics.categories[category.id].costPerArea)}
+                    onAreaChange={(area) => updateCategoryArea(category.id, area)}
                   />
 
                   {/* Line Items Table */}
@@ -2221,9 +4803,12 @@ export default function App() {
                           <th style={{ padding: '12px 16px', minWidth: '200px', textAlign: 'left' }}>Description</th>
                           {visibleColumns.dimensions && <th style={{ padding: '12px 16px', width: '120px', textAlign: 'left' }}>Dimensions</th>}
                           {visibleColumns.qty && <th style={{ padding: '12px 16px', width: '80px', textAlign: 'center' }}>Qty</th>}
+                          {isInternalView && visibleColumns.netCost && <th style={{ padding: '12px 16px', width: '120px', textAlign: 'right' }}>Net Cost</th>}
+                          {isInternalView && visibleColumns.markup && <th style={{ padding: '12px 16px', width: '80px', textAlign: 'right' }}>Markup</th>}
                           {visibleColumns.unitPrice && <th style={{ padding: '12px 16px', width: '140px', textAlign: 'right' }}>Unit Price</th>}
                           {visibleColumns.total && <th style={{ padding: '12px 16px', width: '130px', textAlign: 'right' }}>Total</th>}
-                          {visibleColumns.tax && <th style={{ padding: '12px 16px', width: '60px', textAlign: 'center' }}>Tax</th>}
+                          {visibleColumns.addOns && <th style={{ padding: '12px 16px', width: '110px', textAlign: 'right' }}>Add-ons</th>}
+                          {visibleColumns.tax && <th style={{ padding: '12px 16px', width: taxClasses.length > 1 ? '130px' : '60px', textAlign: 'center' }}>Tax</th>}
                           {visibleColumns.leadTime && <th style={{ padding: '12px 16px', width: '100px', textAlign: 'left' }}>Lead Time</th>}
                           {visibleColumns.notes && <th style={{ padding: '12px 16px', width: '140px', textAlign: 'left' }}>Notes</th>}
                           <th style={{ padding: '12px 16px', width: '90px', textAlign: 'center' }}>Actions</th>
@@ -2235,7 +4820,7 @@ export default function App() {
                           <React.Fragment key={item.id}>
                             {/* Insert Row Divider */}
                             <tr className="print:hidden h-0 hover:h-auto group/divider">
-                              <td colSpan="11" className="p-0 border-none">
+                              <td colSpan="15" className="p-0 border-none">
                                 <div
                                   className="h-2 hover:h-8 transition-all duration-200 flex items-center justify-center cursor-pointer relative z-10 -my-1"
                                   onClick={() => addItem(category.id, index)}
@@ -2260,6 +4845,16 @@ export default function App() {
                                     value={item.status || 'Draft'}
                                     onChange={(val) => updateItem(category.id, item.id, 'status', val)}
                                   />
+                                  <button
+                                    onClick={() => setPaymentsEditor({ categoryId: category.id, itemId: item.id })}
+                                    className={`flex items-center gap-1 mx-auto mt-1 text-xs px-1 print:hidden ${item.payments?.length > 0
+                                      ? 'text-blue-600 dark:text-blue-400 hover:underline'
+                                      : 'text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 opacity-0 group-hover:opacity-100 transition-opacity'}`}
+                                    title="Deposit terms and payments"
+                                  >
+                                    <Wallet size={12} />
+                                    {item.payments?.length > 0 ? `Paid ${formatMoney(getItemPaid(item))}` : 'Payments'}
+                                  </button>
                                 </td>
                               )}
                               {/* Manufacturer/Vendor field */}
@@ -2302,6 +4897,16 @@ export default function App() {
                                   onChange={(e) => updateItem(category.id, item.id, 'desc', e.target.value)}
                                   placeholder="Item Description"
                                 />
+                                <button
+                                  onClick={() => setAlternatesEditor({ categoryId: category.id, itemId: item.id })}
+                                  className={`flex items-center gap-1 text-xs px-1 print:hidden ${hasAlternates(item)
+                                    ? 'text-blue-600 dark:text-blue-400 hover:underline'
+                                    : 'text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 opacity-0 group-hover:opacity-100 transition-opacity'}`}
+                                  title="Alternates and value-engineering options"
+                                >
+                                  <Shuffle size={12} />
+                                  {hasAlternates(item) ? `${item.alternates.length} ${item.alternates.length === 1 ? 'Alternate' : 'Alternates'}` : 'Add Alternate'}
+                                </button>
                               </td>
                               {/* Dimensions field */}
                               {visibleColumns.dimensions && (
@@ -2316,59 +4921,177 @@ export default function App() {
                               )}
                               {/* Quantity field - highlighted with blue background */}
                               {visibleColumns.qty && (
+                                <td className="px-4 py-2">
+                                  {hasRoomQuantities(item) ? (
+                                    <button
+                                      onClick={() => setRoomQuantitiesEditor({ categoryId: category.id, itemId: item.id })}
+                                      className="w-full bg-blue-50/50 dark:bg-blue-900/20 hover:bg-blue-100/70 dark:hover:bg-blue-900/40 rounded text-sm p-2 text-center font-bold text-gray-900 dark:text-white"
+                                      title={`${describeRoomBreakdown(item, projectInfo.roomTypes)}\nClick to edit quantities per room`}
+                                    >
+                                      {item.qty}
+                                      <span className="block text-[10px] font-normal text-blue-600 dark:text-blue-400 print:hidden">per room</span>
+                                    </button>
+                                  ) : (
+                                    <>
+                                      <input
+                                        type="number"
+                                        className="w-full bg-blue-50/50 dark:bg-blue-900/20 border-transparent focus:border-blue-500 focus:ring-0 rounded text-sm p-2 text-center font-bold text-gray-900 dark:text-white"
+                                        value={item.qty}
+                                        onChange={(e) => updateItem(category.id, item.id, 'qty', parseFloat(e.target.value) || 0)}
+                                      />
+                                      {projectInfo.roomTypes.length > 0 && (
+                                        <button
+                                          onClick={() => setRoomQuantitiesEditor({ categoryId: category.id, itemId: item.id })}
+                                          className="flex items-center justify-center gap-1 w-full mt-1 text-xs text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 opacity-0 group-hover:opacity-100 transition-opacity print:hidden"
+                                          title="Set the quantity per guest room for each room type"
+                                        >
+                                          <BedDouble size={12} /> Per Room
+                                        </button>
+                                      )}
+                                    </>
+                                  )}
+                                </td>
+                              )}
+                              {/* Net cost and markup - internal view only; either one re-derives the unit price.
+                                  A vendor list price, discount and quantity breaks derive the net cost in turn. */}
+                              {isInternalView && visibleColumns.netCost && (
+                                <td className="px-4 py-2">
+                                  <div className="relative flex items-center">
+                                    <span className="absolute left-2 text-gray-400 text-xs">{getCurrencySymbol(getItemCurrency(item, projectInfo))}</span>
+                                    <input
+                                      type="number"
+                                      className={`w-full min-w-0 bg-transparent border-transparent focus:border-blue-500 focus:ring-0 rounded text-sm p-2 pl-6 text-right font-mono ${hasListPrice(item) ? 'text-indigo-600 dark:text-indigo-400' : 'text-gray-600 dark:text-gray-300'}`}
+                                      value={item.netCost ?? ''}
+                                      placeholder="—"
+                                      onChange={(e) => updateItem(category.id, item.id, 'netCost', e.target.value === '' ? undefined : parseFloat(e.target.value) || 0)}
+                                      readOnly={hasListPrice(item)}
+                                      step="0.01"
+                                      title={hasListPrice(item) ? 'Net cost from list price and discount' : 'Net cost per unit; leave blank to enter the unit price directly'}
+                                    />
+                                  </div>
+                                  <button
+                                    onClick={() => setVendorPricingEditor({ categoryId: category.id, itemId: item.id })}
+                                    className={`flex items-center justify-center gap-1 w-full mt-1 text-xs print:hidden ${hasListPrice(item) ? 'text-indigo-600 dark:text-indigo-400 hover:underline' : 'text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 opacity-0 group-hover:opacity-100 transition-opacity'}`}
+                                    title="List price, trade discount and quantity breaks"
+                                  >
+                                    <Tag size={12} /> {hasListPrice(item) ? `List less ${getItemDiscount(item)}%` : 'Vendor Pricing'}
+                                  </button>
+                                </td>
+                              )}
+                              {isInternalView && visibleColumns.markup && (
                                 <td className="px-4 py-2">
                                   <input
                                     type="number"
-                                    className="w-full bg-blue-50/50 dark:bg-blue-900/20 border-transparent focus:border-blue-500 focus:ring-0 rounded text-sm p-2 text-center font-bold text-gray-900 dark:text-white"
-                                    value={item.qty}
-                                    onChange={(e) => updateItem(category.id, item.id, 'qty', parseFloat(e.target.value) || 0)}
+                                    className="w-full min-w-0 bg-transparent border-transparent focus:border-blue-500 focus:ring-0 rounded text-sm p-2 text-right text-gray-600 dark:text-gray-300 font-mono disabled:opacity-40"
+                                    value={item.markup ?? ''}
+                                    placeholder={hasNetCost(item) ? String(getItemMarkup({}, category, projectInfo)) : ''}
+                                    onChange={(e) => updateItem(category.id, item.id, 'markup', e.target.value === '' ? undefined : parseFloat(e.target.value) || 0)}
+                                    disabled={!hasNetCost(item)}
+                                    title={hasNetCost(item) ? 'Markup %; leave blank to use the section or project markup' : 'Enter a net cost to apply a markup'}
                                   />
                                 </td>
                               )}
-                              {/* Unit price field with dollar sign prefix */}
+                              {/* Unit price field with dollar sign prefix; derived when the item has a net cost */}
                               {visibleColumns.unitPrice && (
                                 <td className="px-4 py-2">
                                   <div className="relative flex items-center">
-                                    <span className="absolute left-2 text-gray-400 text-xs">$</span>
+                                    {currencyChoices.length > 1 || getItemCurrency(item, projectInfo) !== baseCurrency ? (
+                                      <select
+                                        value={getItemCurrency(item, projectInfo)}
+                                        onChange={(e) => updateItemCurrency(category.id, item.id, e.target.value)}
+                                        className="flex-shrink-0 text-xs text-gray-500 dark:text-gray-400 bg-transparent border-none p-0 pr-5 focus:ring-0 print:appearance-none print:pr-0"
+                                        title="Currency this item is priced in"
+                                      >
+                                        {[...new Set([...currencyChoices, getItemCurrency(item, projectInfo)])].map(code => (
+                                          <option key={code} value={code}>{code}</option>
+                                        ))}
+                                      </select>
+                                    ) : (
+                                      <span className="absolute left-2 text-gray-400 text-xs">{getCurrencySymbol(baseCurrency)}</span>
+                                    )}
                                     <input
                                       type="number"
-                                      className="w-full min-w-0 bg-transparent border-transparent focus:border-blue-500 focus:ring-0 rounded text-sm p-2 pl-6 pr-8 text-right text-gray-600 dark:text-gray-300 font-mono"
+                                      className={`w-full min-w-0 bg-transparent border-transparent focus:border-blue-500 focus:ring-0 rounded text-sm p-2 pl-6 pr-8 text-right font-mono ${hasNetCost(item) && isInternalView ? 'text-indigo-600 dark:text-indigo-400' : 'text-gray-600 dark:text-gray-300'}`}
                                       value={item.unitPrice}
                                       onChange={(e) => updateItem(category.id, item.id, 'unitPrice', parseFloat(e.target.value) || 0)}
+                                      readOnly={hasNetCost(item)}
+                                      title={hasNetCost(item) && isInternalView ? 'Sell price from net cost and markup' : undefined}
                                       step="0.01"
                                     />
-                                    <button
-                                      onClick={(e) => handlePriceSearch(e, category.id, item)}
-                                      className="absolute right-1 p-1 text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 opacity-0 group-hover:opacity-100 transition-opacity"
-                                      title="Search Market Price"
-                                      tabIndex={-1}
-                                    >
-                                      <Search size={12} />
-                                    </button>
+                                    {!hasNetCost(item) && (
+                                      <button
+                                        onClick={(e) => handlePriceSearch(e, category.id, item)}
+                                        className="absolute right-1 p-1 text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 opacity-0 group-hover:opacity-100 transition-opacity"
+                                        title="Search Market Price"
+                                        tabIndex={-1}
+                                      >
+                                        <Search size={12} />
+                                      </button>
+                                    )}
                                   </div>
                                 </td>
                               )}
                               {/* Calculated total for this line (qty × unit price) */}
                               {visibleColumns.total && (
                                 <td className="px-4 py-3 text-right font-medium text-gray-900 dark:text-white bg-gray-50/50 dark:bg-gray-700/30">
-                                  {formatCurrency(item.qty * item.unitPrice)}
+                                  {formatMoney(getItemBaseTotal(item, projectInfo))}
+                                  {getItemCurrency(item, projectInfo) !== baseCurrency && (
+                                    <div
+                                      className={`text-xs font-normal ${getExchangeRate(item.currency, projectInfo) === null ? 'text-amber-600 dark:text-amber-400' : 'text-gray-500 dark:text-gray-400'}`}
+                                      title={getExchangeRate(item.currency, projectInfo) === null ? `No exchange rate for ${item.currency}; counted at 1:1` : `1 ${item.currency} = ${getExchangeRate(item.currency, projectInfo)} ${baseCurrency}`}
+                                    >
+                                      {formatCurrency(getItemTotal(item), item.currency, displayDecimals)}
+                                    </div>
+                                  )}
                                 </td>
                               )}
-                              {/* Tax Toggle */}
-                              {visibleColumns.tax && (
-                                <td className="px-4 py-2 text-center">
+                              {/* Freight, receiving and installation for this line */}
+                              {visibleColumns.addOns && (
+                                <td className="px-4 py-3 text-right">
                                   <button
-                                    type="button"
-                                    onClick={() => updateItem(category.id, item.id, 'isTaxable', !(item.isTaxable !== false))}
-                                    className="w-6 h-6 flex items-center justify-center text-xs font-bold transition-colors hover:text-blue-500 dark:hover:text-blue-300 print:hover:text-gray-900"
-                                    title="Toggle Taxable Status"
+                                    onClick={() => setAddOnsEditor({ categoryId: category.id, itemId: item.id })}
+                                    className={`text-sm hover:text-blue-600 dark:hover:text-blue-400 print:text-gray-900 ${item.addOns && Object.keys(item.addOns).length > 0 ? 'text-blue-600 dark:text-blue-400 font-medium' : 'text-gray-500 dark:text-gray-400'}`}
+                                    title={Object.entries(getItemAddOns(item, projectInfo)).map(([typeId, amount]) => `${ADD_ON_TYPES.find(type => type.id === typeId).label}: ${formatMoney(amount)}`).join('\n')}
                                   >
-                                    {item.isTaxable !== false && (
-                                      <span className="text-blue-600 dark:text-blue-400 print:text-gray-900">T</span>
-                                    )}
+                                    {formatMoney(getItemAddOnTotal(item, projectInfo))}
                                   </button>
                                 </td>
                               )}
+                              {/* Tax Toggle, or tax class picker when the project has several classes */}
+                              {visibleColumns.tax && (
+                                <td className="px-4 py-2 text-center">
+                                  {taxClasses.length > 1 ? (
+                                    <>
+                                      <select
+                                        value={item.isTaxable === false ? 'exempt' : (item.taxClassId || '')}
+                                        onChange={(e) => updateItemTax(category.id, item.id, e.target.value)}
+                                        className="w-full bg-transparent border-transparent focus:border-blue-500 focus:ring-0 rounded text-xs p-1 text-gray-600 dark:text-gray-300 print:hidden"
+                                        title="Tax Class"
+                                      >
+                                        <option value="">Section ({getItemTaxClass({}, category, taxClasses).name})</option>
+                                        {taxClasses.map(tc => (
+                                          <option key={tc.id} value={tc.id}>{tc.name}</option>
+                                        ))}
+                                        <option value="exempt">Not taxable</option>
+                                      </select>
+                                      <span className="hidden print:block text-xs text-gray-900">
+                                        {getItemTaxClass(item, category, taxClasses)?.name}
+                                      </span>
+                                    </>
+                                  ) : (
+                                    <button
+                                      type="button"
+                                      onClick={() => updateItem(category.id, item.id, 'isTaxable', !(item.isTaxable !== false))}
+                                      className="w-6 h-6 flex items-center justify-center text-xs font-bold transition-colors hover:text-blue-500 dark:hover:text-blue-300 print:hover:text-gray-900"
+                                      title="Toggle Taxable Status"
+                                    >
+                                      {item.isTaxable !== false && (
+                                        <span className="text-blue-600 dark:text-blue-400 print:text-gray-900">T</span>
+                                      )}
+                                    </button>
+                                  )}
+                                </td>
+                              )}
                               {/* Lead time field */}
                               {visibleColumns.leadTime && (
                                 <td className="px-4 py-2 align-top">
@@ -2517,7 +5240,7 @@ export default function App() {
                       onChange={(e) => {
                         const newTerms = [...projectInfo.terms];
                         newTerms[index] = e.target.value;
-                        handleProjectUpdate('terms', newTerms);
+                        handleProjectUpdate('terms', newTerms, `project:terms:${index}`);
                       }}
                       className="flex-1 bg-transparent border-none focus:ring-2 focus:ring-blue-500 rounded px-1 py-0.5 -ml-1 text-gray-600 dark:text-gray-400 print:text-black"
                       placeholder={`Term ${index + 1}`}
@@ -2526,7 +5249,7 @@ export default function App() {
                     <button
                       onClick={() => {
                         const newTerms = projectInfo.terms.filter((_, i) => i !== index);
-                        handleProjectUpdate('terms', newTerms);
+                        handleProjectUpdate('terms', newTerms, null);
                       }}
                       className="text-red-500 hover:text-red-700 p-1 opacity-0 hover:opacity-100 focus:opacity-100 transition print:hidden"
                       title="Remove term"
@@ -2539,7 +5262,7 @@ export default function App() {
               <button
                 onClick={() => {
                   const newTerms = [...projectInfo.terms, `${projectInfo.terms.length + 1}. `];
-                  handleProjectUpdate('terms', newTerms);
+                  handleProjectUpdate('terms', newTerms, null);
                 }}
                 className="mt-3 flex items-center gap-1 text-xs text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300 print:hidden"
               >
@@ -2645,6 +5368,15 @@ export default function App() {
         isOpen={showSettingsModal}
         onClose={() => setShowSettingsModal(false)}
       />
+      <RevisionPanel
+        isOpen={showRevisionPanel}
+        onClose={() => setShowRevisionPanel(false)}
+        revisions={revisions}
+        onCreate={handleCreateRevision}
+        onView={handleViewRevision}
+        onRestore={handleRestoreRevision}
+        onDelete={handleDeleteRevision}
+      />
       <PricingPopover
         isOpen={pricingPopover.isOpen}
         onClose={() => setPricingPopover(prev => ({ ...prev, isOpen: false }))}
@@ -2659,7 +5391,15 @@ export default function App() {
         type="file"
         ref={fileInputRef}
         onChange={handleFileInputChange}
-        accept=".ffe,application/json"
+        accept=".ffe,application/zip,application/json"
+        className="hidden"
+        style={{ display: 'none' }}
+      />
+      <input
+        type="file"
+        ref={importFileInputRef}
+        onChange={handleImportFileInputChange}
+        accept=".ffe,application/zip,application/json"
         className="hidden"
         style={{ display: 'none' }}
       />
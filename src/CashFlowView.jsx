@@ -0,0 +1,223 @@
+import React, { useMemo, useState } from 'react';
+import { ArrowLeft, Wallet, Printer } from 'lucide-react';
+import { formatCurrency } from './services/budgetMath';
+import { getDisplayDecimals } from './services/money';
+import { getBaseCurrency } from './services/currency';
+import { buildCashFlow, formatMonth, getVendorKey } from './services/payments';
+
+/**
+ * CashFlowView Component
+ * Payment schedule and monthly funding projection. Shows the deposit terms,
+ * the funding required per month and each line's deposit, balance and
+ * payments. Printable for the owner's draw requests.
+ */
+const CashFlowView = ({ projectInfo, categories, onBack, onEditPayments, onUpdateDefaultDeposit, onUpdateVendorDeposit }) => {
+  const [today] = useState(() => new Date().toISOString().split('T')[0]);
+  const cashFlow = useMemo(() => buildCashFlow(categories, projectInfo, today), [categories, projectInfo, today]);
+  const baseCurrency = getBaseCurrency(projectInfo);
+  const decimals = getDisplayDecimals(projectInfo);
+  const money = (val) => formatCurrency(val, baseCurrency, decimals);
+  const terms = projectInfo.paymentTerms;
+  const peak = Math.max(0, ...cashFlow.months.map(m => m.total));
+
+  // Vendors on the budget, plus any with terms that no longer have items
+  const vendors = [];
+  [...categories.flatMap(cat => cat.items.map(item => item.mfr)), ...Object.keys(terms.vendors)].forEach(name => {
+    const key = getVendorKey(name);
+    if (key && !vendors.some(v => getVendorKey(v) === key)) vendors.push(name.trim());
+  });
+  const vendorPercent = (name) => Object.entries(terms.vendors).find(([vendor]) => getVendorKey(vendor) === getVendorKey(name))?.[1];
+
+  const inputClass = 'px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white print:border-none';
+
+  return (
+    <div className="min-h-screen bg-gray-100 dark:bg-gray-900 font-sans text-gray-800 dark:text-gray-100 pb-20 print:bg-white print:pb-0">
+
+      {/* Navigation Bar - Hidden on Print */}
+      <div className="bg-slate-900 text-white shadow-lg sticky top-0 z-50 print:hidden">
+        <div className="max-w-7xl mx-auto px-6 py-4 flex justify-between items-center">
+          <div className="flex items-center gap-4">
+            <button
+              onClick={onBack}
+              className="flex items-center gap-2 text-gray-300 hover:text-white transition"
+            >
+              <ArrowLeft size={20} />
+              <span>Back to Budget</span>
+            </button>
+            <div className="h-6 w-px bg-gray-700"></div>
+            <h1 className="text-xl font-bold tracking-tight flex items-center gap-2">
+              <Wallet className="text-blue-400" />
+              Cash Flow
+            </h1>
+          </div>
+
+          <button
+            onClick={() => window.print()}
+            className="flex items-center gap-2 bg-blue-600 hover:bg-blue-500 transition px-4 py-2 rounded-md text-sm font-semibold shadow-sm"
+          >
+            <Printer size={16} /> Print Schedule
+          </button>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-6 py-8 space-y-6 print:p-0">
+        {/* Summary */}
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6 print:shadow-none print:text-black">
+          <div className="mb-4">
+            <div className="text-lg font-bold text-gray-900 dark:text-white print:text-black">{projectInfo.name} &mdash; Payment Schedule</div>
+            <div className="text-sm text-gray-500 dark:text-gray-400">
+              {projectInfo.client} &middot; As of {today} &middot; Line totals with add-ons and tax; deposits due at order, balances before shipping
+            </div>
+          </div>
+          <div className="grid grid-cols-3 gap-4">
+            {[
+              { label: 'Scheduled Total', value: money(cashFlow.payableTotal) },
+              { label: 'Paid to Date', value: money(cashFlow.paidTotal) },
+              { label: 'Remaining to Fund', value: money(cashFlow.remainingTotal) }
+            ].map(stat => (
+              <div key={stat.label}>
+                <div className="text-xs font-bold text-gray-400 uppercase tracking-wider">{stat.label}</div>
+                <div className="text-xl font-bold text-gray-900 dark:text-white print:text-black">{stat.value}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 print:grid-cols-3">
+          {/* Deposit Terms */}
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6 print:shadow-none print:text-black">
+            <div className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-3">Deposit Terms</div>
+            <div className="space-y-2 text-sm">
+              <div className="flex items-center justify-between gap-2 font-semibold">
+                <span>Project Default</span>
+                <span className="flex items-center gap-1">
+                  <input
+                    type="number"
+                    value={terms.depositPercent}
+                    onChange={(e) => onUpdateDefaultDeposit(parseFloat(e.target.value))}
+                    min="0"
+                    max="100"
+                    className={`${inputClass} w-20 text-right`}
+                  />
+                  %
+                </span>
+              </div>
+              {vendors.map(vendor => (
+                <div key={getVendorKey(vendor)} className="flex items-center justify-between gap-2">
+                  <span className="truncate">{vendor}</span>
+                  <span className="flex items-center gap-1">
+                    <input
+                      type="number"
+                      value={vendorPercent(vendor) ?? ''}
+                      placeholder={String(terms.depositPercent)}
+                      onChange={(e) => onUpdateVendorDeposit(vendor, e.target.value === '' ? undefined : parseFloat(e.target.value))}
+                      min="0"
+                      max="100"
+                      className={`${inputClass} w-20 text-right`}
+                    />
+                    %
+                  </span>
+                </div>
+              ))}
+            </div>
+            <p className="mt-3 text-xs text-gray-500 dark:text-gray-400 print:hidden">
+              Items use their own deposit, then their vendor's, then the project default.
+            </p>
+          </div>
+
+          {/* Monthly Funding */}
+          <div className="lg:col-span-2 print:col-span-2 bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6 print:shadow-none print:text-black">
+            <div className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-3">Funding Required by Month</div>
+            {cashFlow.months.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">Nothing left to fund.</p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-xs text-gray-500 dark:text-gray-400 uppercase border-b border-gray-200 dark:border-gray-700">
+                    <th className="py-1 text-left font-semibold">Month</th>
+                    <th className="py-1 text-right font-semibold">Deposits</th>
+                    <th className="py-1 text-right font-semibold">Balances</th>
+                    <th className="py-1 text-right font-semibold">Total</th>
+                    <th className="py-1 text-right font-semibold">Cumulative</th>
+                    <th className="py-1 pl-4 w-1/4 print:hidden"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                  {cashFlow.months.map(m => (
+                    <tr key={m.month}>
+                      <td className="py-1">{formatMonth(m.month)}</td>
+                      <td className="py-1 text-right font-mono">{money(m.deposits)}</td>
+                      <td className="py-1 text-right font-mono">{money(m.balances)}</td>
+                      <td className="py-1 text-right font-mono font-semibold">{money(m.total)}</td>
+                      <td className="py-1 text-right font-mono text-gray-500 dark:text-gray-400">{money(m.cumulative)}</td>
+                      <td className="py-1 pl-4 print:hidden">
+                        <div className="h-2 rounded-full bg-blue-500" style={{ width: `${peak > 0 ? m.total / peak * 100 : 0}%` }}></div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+
+        {/* Line Schedule */}
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden print:shadow-none print:text-black">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-bold text-gray-500 dark:text-gray-400 uppercase tracking-wider bg-gray-50 dark:bg-gray-800/50 border-b border-gray-200 dark:border-gray-700">
+                <th className="px-6 py-2">Item</th>
+                <th className="px-3 py-2">Status</th>
+                <th className="px-3 py-2 text-right">Total</th>
+                <th className="px-3 py-2 text-right">Deposit</th>
+                <th className="px-3 py-2 text-right">Balance</th>
+                <th className="px-3 py-2 text-right">Paid</th>
+                <th className="px-3 py-2 text-right">Remaining</th>
+                <th className="px-6 py-2 print:hidden"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+              {cashFlow.rows.map(row => (
+                <tr key={row.item.id} className="break-inside-avoid">
+                  <td className="px-6 py-2">
+                    <div className="font-medium text-gray-900 dark:text-white print:text-black">{row.item.desc || 'Untitled item'}</div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">
+                      {[row.category.title, row.item.mfr, row.item.leadTime && `Lead time ${row.item.leadTime}`].filter(Boolean).join(' · ')}
+                    </div>
+                  </td>
+                  <td className="px-3 py-2 text-gray-600 dark:text-gray-300 print:text-black">{row.item.status}</td>
+                  <td className="px-3 py-2 text-right font-mono">{money(row.payable)}</td>
+                  <td className="px-3 py-2 text-right">
+                    <div className="font-mono">{money(row.deposit)}</div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">{row.depositPercent}%{row.depositMonth && ` · due ${formatMonth(row.depositMonth)}`}</div>
+                  </td>
+                  <td className="px-3 py-2 text-right">
+                    <div className="font-mono">{money(row.balance)}</div>
+                    {row.balanceMonth && <div className="text-xs text-gray-500 dark:text-gray-400">due {formatMonth(row.balanceMonth)}</div>}
+                  </td>
+                  <td className="px-3 py-2 text-right font-mono">{money(row.paid)}</td>
+                  <td className={`px-3 py-2 text-right font-mono ${row.remaining === 0 ? 'text-emerald-600' : 'font-semibold'}`}>{money(row.remaining)}</td>
+                  <td className="px-6 py-2 text-right print:hidden">
+                    <button
+                      onClick={() => onEditPayments(row.category.id, row.item.id)}
+                      className="text-sm text-blue-600 dark:text-blue-400 hover:underline whitespace-nowrap"
+                    >
+                      {row.item.payments?.length > 0 ? `${row.item.payments.length} ${row.item.payments.length === 1 ? 'Payment' : 'Payments'}` : 'Record Payment'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {cashFlow.rows.length === 0 && (
+            <div className="text-center text-gray-500 dark:text-gray-400 py-12">
+              No priced line items yet.
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CashFlowView;
@@ -0,0 +1,355 @@
+import React, { useState } from 'react';
+import { ArrowLeft, ClipboardCheck, Printer, Lock, Unlock, Trash2 } from 'lucide-react';
+import { formatCurrency } from './services/budgetMath';
+import { getDisplayDecimals } from './services/money';
+import { getBaseCurrency } from './services/currency';
+import { CHANGE_ORDER_STATUSES, getChangeOrderContext } from './services/changeOrders';
+
+/** Badge colors per change-order status. */
+const STATUS_STYLES = {
+  Pending: 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300',
+  Approved: 'bg-emerald-100 text-emerald-800 dark:bg-emerald-900/30 dark:text-emerald-300',
+  Rejected: 'bg-rose-100 text-rose-800 dark:bg-rose-900/30 dark:text-rose-300'
+};
+
+/**
+ * ChangeLines Component
+ * Table of the lines changed by a change order or by the open change.
+ */
+const ChangeLines = ({ lines, sectionTitle, money }) => {
+  const signed = (amount) => `${amount > 0 ? '+' : ''}${money(amount)}`;
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-xs font-bold text-gray-500 dark:text-gray-400 uppercase tracking-wider border-b border-gray-200 dark:border-gray-700 print:text-black">
+          <th className="py-2 pr-3">Item</th>
+          <th className="py-2 px-3 text-right">Qty</th>
+          <th className="py-2 px-3 text-right">Before</th>
+          <th className="py-2 px-3 text-right">After</th>
+          <th className="py-2 pl-3 text-right">Change</th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+        {lines.map(line => (
+          <tr key={line.itemId ?? 'other'} className="break-inside-avoid">
+            <td className="py-2 pr-3">
+              <div className="font-medium text-gray-900 dark:text-white print:text-black">{line.label}</div>
+              <div className="text-xs text-gray-500 dark:text-gray-400">
+                {line.itemId === null ? 'Adjustment lines and project settings' : [sectionTitle(line.categoryId), !line.before && 'Added', !line.after && 'Removed'].filter(Boolean).join(' · ')}
+              </div>
+            </td>
+            <td className="py-2 px-3 text-right font-mono whitespace-nowrap">
+              {line.before && line.after && line.before.qty !== line.after.qty
+                ? `${line.before.qty} → ${line.after.qty}`
+                : (line.after || line.before)?.qty ?? '—'}
+            </td>
+            <td className="py-2 px-3 text-right font-mono">{line.before ? money(line.before.amount) : '—'}</td>
+            <td className="py-2 px-3 text-right font-mono">{line.after ? money(line.after.amount) : '—'}</td>
+            <td className={`py-2 pl-3 text-right font-mono font-semibold ${line.delta > 0 ? 'text-rose-600' : 'text-emerald-600'} print:text-black`}>{signed(line.delta)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+/**
+ * ChangeOrdersView Component
+ * Approved baseline and change-order log. Locks the baseline, issues the
+ * open cost changes as change orders, tracks their approval and prints a
+ * change-order form for signature.
+ */
+const ChangeOrdersView = ({ projectInfo, categories, baseline, openChange, summary, onBack, onLock, onUnlock, onIssue, onUpdate, onDelete }) => {
+  const [today] = useState(() => new Date().toISOString().split('T')[0]);
+  const [approvedBy, setApprovedBy] = useState(projectInfo.client || '');
+  const [reason, setReason] = useState('');
+  const [formId, setFormId] = useState(null);
+
+  const baseCurrency = getBaseCurrency(projectInfo);
+  const decimals = getDisplayDecimals(projectInfo);
+  const money = (val) => formatCurrency(val, baseCurrency, decimals);
+  const signed = (amount) => `${amount > 0 ? '+' : ''}${money(amount)}`;
+  const sectionTitle = (categoryId) => (categories.find(cat => cat.id === categoryId) || baseline?.categories.find(cat => cat.id === categoryId))?.title || '';
+  const formOrder = baseline?.changeOrders.find(co => co.id === formId);
+
+  const inputClass = 'px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white';
+  const panelClass = 'bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6 print:shadow-none print:border-none print:text-black';
+
+  const issue = () => {
+    onIssue(reason.trim(), today);
+    setReason('');
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100 dark:bg-gray-900 font-sans text-gray-800 dark:text-gray-100 pb-20 print:bg-white print:pb-0">
+
+      {/* Navigation Bar - Hidden on Print */}
+      <div className="bg-slate-900 text-white shadow-lg sticky top-0 z-50 print:hidden">
+        <div className="max-w-7xl mx-auto px-6 py-4 flex justify-between items-center">
+          <div className="flex items-center gap-4">
+            <button
+              onClick={formOrder ? () => setFormId(null) : onBack}
+              className="flex items-center gap-2 text-gray-300 hover:text-white transition"
+            >
+              <ArrowLeft size={20} />
+              <span>{formOrder ? 'Back to Log' : 'Back to Budget'}</span>
+            </button>
+            <div className="h-6 w-px bg-gray-700"></div>
+            <h1 className="text-xl font-bold tracking-tight flex items-center gap-2">
+              <ClipboardCheck className="text-blue-400" />
+              {formOrder ? `Change Order #${formOrder.number}` : 'Change Orders'}
+            </h1>
+          </div>
+
+          {baseline && (
+            <button
+              onClick={() => window.print()}
+              className="flex items-center gap-2 bg-blue-600 hover:bg-blue-500 transition px-4 py-2 rounded-md text-sm font-semibold shadow-sm"
+            >
+              <Printer size={16} /> {formOrder ? 'Print Form' : 'Print Log'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Change Order Form */}
+      {formOrder && (() => {
+        const { previous, revised } = getChangeOrderContext(baseline, formOrder);
+        return (
+          <div className="max-w-4xl mx-auto px-6 py-8 print:p-0">
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-10 space-y-8 print:shadow-none print:border-none print:p-0 print:text-black">
+              <div className="flex justify-between items-start gap-6">
+                <div className="text-sm text-gray-600 dark:text-gray-300 print:text-black">
+                  <div className="text-lg font-bold text-gray-900 dark:text-white print:text-black">{projectInfo.companyName}</div>
+                  <div>{projectInfo.companyAddress}</div>
+                  <div>{[projectInfo.companyPhone, projectInfo.companyEmail].filter(Boolean).join(' · ')}</div>
+                </div>
+                <div className="text-right">
+                  <div className="text-2xl font-bold tracking-tight text-gray-900 dark:text-white print:text-black">CHANGE ORDER</div>
+                  <div className="text-sm text-gray-500 dark:text-gray-400 print:text-black">No. {formOrder.number} &middot; {formOrder.date}</div>
+                  <span className={`inline-block mt-2 px-2 py-0.5 rounded text-xs font-semibold ${STATUS_STYLES[formOrder.status]}`}>{formOrder.status}</span>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-6 text-sm">
+                <div>
+                  <div className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-1">Project</div>
+                  <div className="font-semibold">{projectInfo.name}</div>
+                  <div>{projectInfo.address}</div>
+                </div>
+                <div>
+                  <div className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-1">Client</div>
+                  <div className="font-semibold">{projectInfo.client}</div>
+                  <div>Baseline approved {baseline.lockedAt.slice(0, 10)}{baseline.approvedBy && ` by ${baseline.approvedBy}`}</div>
+                </div>
+              </div>
+
+              <div className="text-sm">
+                <div className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-1">Reason for Change</div>
+                <p className="whitespace-pre-wrap">{formOrder.reason || '—'}</p>
+              </div>
+
+              <ChangeLines lines={formOrder.lines} sectionTitle={sectionTitle} money={money} />
+
+              <div className="ml-auto max-w-sm text-sm space-y-1">
+                <div className="flex justify-between"><span>Approved budget before this change</span><span className="font-mono">{money(previous)}</span></div>
+                <div className="flex justify-between font-semibold"><span>This change order</span><span className="font-mono">{signed(formOrder.delta)}</span></div>
+                <div className="flex justify-between font-bold border-t border-gray-300 dark:border-gray-600 pt-1"><span>Revised approved budget</span><span className="font-mono">{money(revised)}</span></div>
+                <div className="text-xs text-gray-500 dark:text-gray-400">Amounts include tax, in {baseCurrency}.</div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-12 pt-12 text-sm break-inside-avoid">
+                {['Owner Approval', projectInfo.companyName || 'Designer'].map(party => (
+                  <div key={party}>
+                    <div className="border-b border-gray-400 h-10"></div>
+                    <div className="flex justify-between mt-1 text-xs text-gray-500 dark:text-gray-400 print:text-black">
+                      <span>{party} &mdash; Signature</span>
+                      <span>Date</span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        );
+      })()}
+
+      {!formOrder && (
+        <div className="max-w-7xl mx-auto px-6 py-8 space-y-6 print:p-0">
+          {/* Lock Baseline */}
+          {!baseline && (
+            <div className={`${panelClass} max-w-2xl`}>
+              <div className="flex items-center gap-2 text-lg font-bold text-gray-900 dark:text-white mb-2">
+                <Lock size={18} className="text-blue-600" /> Lock the Approved Budget
+              </div>
+              <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+                Once the owner approves the budget, lock it as the baseline. Every later change to cost is
+                then listed here, to be issued as a change order with its reason and approved or rejected.
+                The budget stays editable.
+              </p>
+              <div className="flex items-center gap-3">
+                <input
+                  type="text"
+                  value={approvedBy}
+                  onChange={(e) => setApprovedBy(e.target.value)}
+                  placeholder="Approved by"
+                  className={`${inputClass} flex-1`}
+                />
+                <button
+                  onClick={() => onLock(approvedBy.trim())}
+                  className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-semibold"
+                >
+                  <Lock size={16} /> Lock Baseline
+                </button>
+              </div>
+            </div>
+          )}
+
+          {baseline && (
+            <>
+              {/* Summary */}
+              <div className={panelClass}>
+                <div className="flex justify-between items-start mb-4">
+                  <div>
+                    <div className="text-lg font-bold text-gray-900 dark:text-white print:text-black">{projectInfo.name} &mdash; Change Order Log</div>
+                    <div className="text-sm text-gray-500 dark:text-gray-400">
+                      Baseline locked {new Date(baseline.lockedAt).toLocaleDateString()}{baseline.approvedBy && `, approved by ${baseline.approvedBy}`} &middot; Amounts include tax
+                    </div>
+                  </div>
+                  <button
+                    onClick={onUnlock}
+                    className="flex items-center gap-1 text-sm text-gray-500 hover:text-rose-600 print:hidden"
+                    title="Discard the baseline and the change-order log"
+                  >
+                    <Unlock size={14} /> Unlock Baseline
+                  </button>
+                </div>
+                <div className="grid grid-cols-2 md:grid-cols-5 gap-4 print:grid-cols-5">
+                  {[
+                    { label: 'Baseline', value: money(summary.baselineTotal) },
+                    { label: 'Approved Changes', value: signed(summary.approved) },
+                    { label: 'Approved Budget', value: money(summary.approvedTotal) },
+                    { label: 'Pending Changes', value: signed(summary.pending) },
+                    { label: 'Current Total', value: money(summary.currentTotal) }
+                  ].map(stat => (
+                    <div key={stat.label}>
+                      <div className="text-xs font-bold text-gray-400 uppercase tracking-wider">{stat.label}</div>
+                      <div className="text-xl font-bold text-gray-900 dark:text-white print:text-black">{stat.value}</div>
+                    </div>
+                  ))}
+                </div>
+                {summary.rejected !== 0 && (
+                  <p className="mt-3 text-xs text-rose-600">
+                    Rejected change orders total {signed(summary.rejected)}. Changes still in the budget show as open change again until they are reverted or reissued.
+                  </p>
+                )}
+              </div>
+
+              {/* Open Change */}
+              {openChange.lines.length > 0 && (
+                <div className={`${panelClass} border-l-4 border-l-amber-500 print:hidden`}>
+                  <div className="flex justify-between items-baseline mb-3">
+                    <div className="text-xs font-bold text-amber-600 uppercase tracking-wider">Unrecorded Changes</div>
+                    <div className="text-lg font-bold font-mono">{signed(openChange.delta)}</div>
+                  </div>
+                  <ChangeLines lines={openChange.lines} sectionTitle={sectionTitle} money={money} />
+                  <div className="flex items-center gap-3 mt-4">
+                    <input
+                      type="text"
+                      value={reason}
+                      onChange={(e) => setReason(e.target.value)}
+                      onKeyDown={(e) => { if (e.key === 'Enter' && reason.trim()) issue(); }}
+                      placeholder="Reason, e.g., Owner added 20 lounge chairs to the terrace"
+                      className={`${inputClass} flex-1`}
+                    />
+                    <button
+                      onClick={issue}
+                      disabled={!reason.trim()}
+                      className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-300 dark:disabled:bg-gray-600 text-white rounded-lg text-sm font-semibold"
+                    >
+                      Issue Change Order
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {/* Log */}
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden print:shadow-none print:text-black">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs font-bold text-gray-500 dark:text-gray-400 uppercase tracking-wider bg-gray-50 dark:bg-gray-800/50 border-b border-gray-200 dark:border-gray-700">
+                      <th className="px-6 py-2">No.</th>
+                      <th className="px-3 py-2">Date</th>
+                      <th className="px-3 py-2 w-1/2">Reason</th>
+                      <th className="px-3 py-2 text-right">Change</th>
+                      <th className="px-3 py-2">Status</th>
+                      <th className="px-6 py-2 print:hidden"></th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                    {baseline.changeOrders.map(co => (
+                      <tr key={co.id} className="break-inside-avoid align-top">
+                        <td className="px-6 py-2 font-semibold">#{co.number}</td>
+                        <td className="px-3 py-2">
+                          <input
+                            type="date"
+                            value={co.date}
+                            onChange={(e) => onUpdate(co.id, 'date', e.target.value)}
+                            className="bg-transparent border-none p-0 text-sm dark:[color-scheme:dark] print:appearance-none"
+                          />
+                        </td>
+                        <td className="px-3 py-2">
+                          <input
+                            type="text"
+                            value={co.reason}
+                            onChange={(e) => onUpdate(co.id, 'reason', e.target.value)}
+                            className="w-full bg-transparent border-transparent hover:border-gray-200 focus:border-blue-500 rounded p-0 text-sm"
+                          />
+                          <div className="text-xs text-gray-500 dark:text-gray-400">
+                            {co.lines.length} {co.lines.length === 1 ? 'line' : 'lines'}
+                          </div>
+                        </td>
+                        <td className={`px-3 py-2 text-right font-mono font-semibold ${co.delta > 0 ? 'text-rose-600' : 'text-emerald-600'} print:text-black`}>{signed(co.delta)}</td>
+                        <td className="px-3 py-2">
+                          <select
+                            value={co.status}
+                            onChange={(e) => onUpdate(co.id, 'status', e.target.value)}
+                            className={`px-2 py-0.5 rounded text-xs font-semibold border-none focus:ring-2 focus:ring-blue-500 ${STATUS_STYLES[co.status]}`}
+                          >
+                            {CHANGE_ORDER_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+                          </select>
+                        </td>
+                        <td className="px-6 py-2 text-right whitespace-nowrap print:hidden">
+                          <button
+                            onClick={() => setFormId(co.id)}
+                            className="inline-flex items-center gap-1 text-sm text-blue-600 dark:text-blue-400 hover:underline mr-3"
+                          >
+                            <Printer size={14} /> Form
+                          </button>
+                          <button
+                            onClick={() => onDelete(co.id)}
+                            className="p-1 text-gray-400 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/30 rounded align-middle"
+                            title="Delete Change Order"
+                          >
+                            <Trash2 size={14} />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {baseline.changeOrders.length === 0 && (
+                  <div className="text-center text-gray-500 dark:text-gray-400 py-12">
+                    No change orders yet. Cost changes to the budget will be listed above for issue.
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ChangeOrdersView;
@@ -0,0 +1,146 @@
+import React from 'react';
+import { X, Coins, Plus, Trash2, AlertTriangle } from 'lucide-react';
+import { CURRENCIES } from './services/currency';
+import { DISPLAY_PRECISIONS } from './services/money';
+
+/**
+ * CurrencyModal Component
+ * Edits the project's base currency, the precision amounts are shown with,
+ * and the manually maintained exchange rates used to convert items bought in
+ * other currencies.
+ */
+const CurrencyModal = ({
+  baseCurrency,
+  exchangeRates,
+  missingRates,
+  displayPrecision,
+  onUpdateBaseCurrency,
+  onUpdateDisplayPrecision,
+  onAddRate,
+  onUpdateRate,
+  onChangeRateCurrency,
+  onRemoveRate,
+  onClose
+}) => {
+  const inputClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white';
+  const rateCodes = Object.keys(exchangeRates);
+
+  // Offer the listed currencies plus any code already in use by the file
+  const currencyOptions = (current) => {
+    const codes = [...new Set([...CURRENCIES.map(c => c.code), current])];
+    return codes
+      .filter(code => code === current || (code !== baseCurrency && !rateCodes.includes(code)))
+      .map(code => (
+        <option key={code} value={code}>{code} — {CURRENCIES.find(c => c.code === code)?.name || code}</option>
+      ));
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 print:hidden">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-lg w-full max-h-[85vh] flex flex-col overflow-hidden animate-in fade-in zoom-in duration-200">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-blue-100 dark:bg-blue-900/30 rounded-lg">
+              <Coins size={20} className="text-blue-600 dark:text-blue-400" />
+            </div>
+            <h2 className="text-xl font-bold text-gray-900 dark:text-white">Currencies</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* Base Currency */}
+        <div className="p-6 border-b border-gray-200 dark:border-gray-700">
+          <label className="block text-sm font-semibold text-gray-900 dark:text-white mb-2">Base Currency</label>
+          <select
+            value={baseCurrency}
+            onChange={(e) => onUpdateBaseCurrency(e.target.value)}
+            className={`${inputClass} w-full`}
+          >
+            {[...new Set([...CURRENCIES.map(c => c.code), baseCurrency])].map(code => (
+              <option key={code} value={code}>{code} — {CURRENCIES.find(c => c.code === code)?.name || code}</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+            Totals, the allowance and flat add-ons are in the base currency. When it changes, items keep the currency they were priced in; exchange rates are not converted.
+          </p>
+
+          <label className="block text-sm font-semibold text-gray-900 dark:text-white mt-4 mb-2">Display Precision</label>
+          <select
+            value={displayPrecision}
+            onChange={(e) => onUpdateDisplayPrecision(e.target.value)}
+            className={`${inputClass} w-full`}
+          >
+            {DISPLAY_PRECISIONS.map(precision => (
+              <option key={precision.id} value={precision.id}>{precision.label}</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+            Amounts are always calculated to the cent. This sets how they are shown on screen, in print and in CSV exports.
+          </p>
+        </div>
+
+        {/* Exchange Rates */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-3">
+          <div className="text-sm font-semibold text-gray-900 dark:text-white">Exchange Rates</div>
+
+          {missingRates.length > 0 && (
+            <div className="flex items-start gap-2 p-3 rounded-lg bg-amber-50 dark:bg-amber-900/20 text-sm text-amber-800 dark:text-amber-300">
+              <AlertTriangle size={16} className="flex-shrink-0 mt-0.5" />
+              <span>No rate for {missingRates.join(', ')}. Those items are counted at 1:1 until a rate is entered.</span>
+            </div>
+          )}
+
+          {rateCodes.map(code => (
+            <div key={code} className="flex items-center gap-3">
+              <span className="text-sm text-gray-500">1</span>
+              <select
+                value={code}
+                onChange={(e) => onChangeRateCurrency(code, e.target.value)}
+                className={`${inputClass} flex-1 min-w-0`}
+              >
+                {currencyOptions(code)}
+              </select>
+              <span className="text-sm text-gray-500">=</span>
+              <input
+                type="number"
+                value={exchangeRates[code]}
+                onChange={(e) => onUpdateRate(code, parseFloat(e.target.value))}
+                step="0.0001"
+                min="0"
+                className={`${inputClass} w-28 text-right`}
+              />
+              <span className="text-sm text-gray-500 w-10">{baseCurrency}</span>
+              <button
+                onClick={() => onRemoveRate(code)}
+                className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/30 rounded"
+                title="Remove Exchange Rate"
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          ))}
+
+          <button
+            onClick={onAddRate}
+            className="flex items-center gap-1 text-sm text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300"
+          >
+            <Plus size={14} /> Add Exchange Rate
+          </button>
+
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Rates are entered by hand and saved with the project. Pick an item's currency next to its unit price;
+            converted totals show the original amount beside them.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CurrencyModal;
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { X, Download, ChevronDown, ChevronRight, Paperclip } from 'lucide-react';
+import { formatCurrency, getItemTotal } from './services/budgetMath';
+
+/**
+ * ImportProjectModal Component
+ * Shows the sections and items of another project as a checklist so the
+ * chosen ones can be copied into the current project.
+ */
+const ImportProjectModal = ({ sourceName, sourceCategories, sourceCurrency, onImport, onClose }) => {
+  // Chosen item ids keyed by source category id
+  const [selection, setSelection] = useState({});
+  const [expanded, setExpanded] = useState({});
+  const [resetStatus, setResetStatus] = useState(true);
+
+  const selectedItemCount = Object.values(selection).reduce((sum, ids) => sum + ids.length, 0);
+  const selectedSectionCount = Object.keys(selection).length;
+
+  const toggleCategory = (cat) => {
+    setSelection(prev => {
+      const next = { ...prev };
+      if (next[cat.id] && next[cat.id].length === cat.items.length) {
+        delete next[cat.id];
+      } else {
+        next[cat.id] = cat.items.map(item => item.id);
+      }
+      return next;
+    });
+  };
+
+  const toggleItem = (cat, itemId) => {
+    setSelection(prev => {
+      const current = prev[cat.id] || [];
+      const ids = current.includes(itemId) ? current.filter(id => id !== itemId) : [...current, itemId];
+      const next = { ...prev, [cat.id]: ids };
+      if (ids.length === 0) delete next[cat.id];
+      return next;
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 print:hidden">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-2xl w-full max-h-[85vh] flex flex-col overflow-hidden animate-in fade-in zoom-in duration-200">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-blue-100 dark:bg-blue-900/30 rounded-lg">
+              <Download size={20} className="text-blue-600 dark:text-blue-400" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-gray-900 dark:text-white">Import from Project</h2>
+              <div className="text-sm text-gray-500 dark:text-gray-400">{sourceName}</div>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* Checklist */}
+        <div className="flex-1 overflow-y-auto p-4 space-y-2">
+          {sourceCategories.map(cat => {
+            const chosen = selection[cat.id] || [];
+            const allChosen = cat.items.length > 0 && chosen.length === cat.items.length;
+            const isExpanded = expanded[cat.id];
+
+            return (
+              <div key={cat.id} className="rounded-lg border border-gray-200 dark:border-gray-700">
+                <div className="flex items-center gap-3 px-3 py-2">
+                  <button
+                    onClick={() => setExpanded(prev => ({ ...prev, [cat.id]: !prev[cat.id] }))}
+                    className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+                    title={isExpanded ? 'Collapse' : 'Expand'}
+                  >
+                    {isExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                  </button>
+                  <input
+                    type="checkbox"
+                    checked={allChosen}
+                    ref={el => { if (el) el.indeterminate = chosen.length > 0 && !allChosen; }}
+                    onChange={() => toggleCategory(cat)}
+                    disabled={cat.items.length === 0}
+                    className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <div className="flex-1 min-w-0 font-semibold text-gray-900 dark:text-white truncate">{cat.title}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400 flex-shrink-0">
+                    {chosen.length}/{cat.items.length} items
+                  </div>
+                </div>
+
+                {isExpanded && (
+                  <div className="border-t border-gray-100 dark:border-gray-700 py-1">
+                    {cat.items.map(item => (
+                      <label
+                        key={item.id}
+                        className="flex items-center gap-3 pl-12 pr-3 py-1.5 text-sm hover:bg-gray-50 dark:hover:bg-gray-700/50 cursor-pointer"
+                      >
+                        <input
+                          type="checkbox"
+                          checked={chosen.includes(item.id)}
+                          onChange={() => toggleItem(cat, item.id)}
+                          className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        <span className="flex-1 min-w-0 truncate text-gray-800 dark:text-gray-200">
+                          {item.desc || <span className="italic text-gray-400">Untitled item</span>}
+                          {item.mfr && <span className="text-gray-400"> — {item.mfr}</span>}
+                        </span>
+                        {item.specs?.attachments?.length > 0 && (
+                          <Paperclip size={12} className="text-gray-400 flex-shrink-0" />
+                        )}
+                        <span className="text-xs text-gray-500 dark:text-gray-400 flex-shrink-0">
+                          {formatCurrency(getItemTotal(item), item.currency || sourceCurrency)}
+                        </span>
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Actions */}
+        <div className="flex items-center justify-between gap-3 p-6 border-t border-gray-200 dark:border-gray-700">
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={resetStatus}
+              onChange={(e) => setResetStatus(e.target.checked)}
+              className="w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            Reset status to Draft
+          </label>
+          <div className="flex gap-3">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => onImport(selection, { resetStatus })}
+              disabled={selectedSectionCount === 0}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Import {selectedItemCount} {selectedItemCount === 1 ? 'Item' : 'Items'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportProjectModal;
@@ -0,0 +1,146 @@
+import React from 'react';
+import { X, Wallet, Plus, Trash2 } from 'lucide-react';
+import { getItemPayable, getItemPaid, getDepositPercent, getDepositAmount } from './services/payments';
+import { toMinor, fromMinor } from './services/money';
+
+/**
+ * PaymentsModal Component
+ * Deposit terms, order date and the payments recorded against one line item.
+ */
+const PaymentsModal = ({
+  item,
+  category,
+  projectInfo,
+  formatMoney,
+  onUpdateTerms,
+  onAddPayment,
+  onUpdatePayment,
+  onRemovePayment,
+  onClose
+}) => {
+  const inputClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white';
+  const payable = getItemPayable(item, category, projectInfo);
+  const paid = getItemPaid(item);
+  const { depositPercent: _own, ...withoutOwnTerms } = item;
+  const inheritedPercent = getDepositPercent(withoutOwnTerms, projectInfo);
+  const deposit = getDepositAmount(payable, getDepositPercent(item, projectInfo));
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 print:hidden">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-2xl w-full max-h-[85vh] flex flex-col overflow-hidden animate-in fade-in zoom-in duration-200">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-blue-100 dark:bg-blue-900/30 rounded-lg">
+              <Wallet size={20} className="text-blue-600 dark:text-blue-400" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-gray-900 dark:text-white">Payments</h2>
+              <div className="text-sm text-gray-500 dark:text-gray-400">{[item.mfr, item.desc || 'Untitled item'].filter(Boolean).join(' · ')}</div>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          {/* Terms */}
+          <div className="grid grid-cols-2 gap-4">
+            <label className="text-sm text-gray-700 dark:text-gray-300">
+              <span className="block text-xs font-bold text-gray-400 uppercase tracking-wider mb-1">Deposit at Order</span>
+              <span className="flex items-center gap-1">
+                <input
+                  type="number"
+                  value={item.depositPercent ?? ''}
+                  placeholder={String(inheritedPercent)}
+                  onChange={(e) => onUpdateTerms('depositPercent', e.target.value === '' ? undefined : parseFloat(e.target.value))}
+                  min="0"
+                  max="100"
+                  className={`${inputClass} w-24 text-right`}
+                  title="Leave blank to use the vendor's or the project's terms"
+                />
+                % &middot; {formatMoney(deposit)}
+              </span>
+            </label>
+            <label className="text-sm text-gray-700 dark:text-gray-300">
+              <span className="block text-xs font-bold text-gray-400 uppercase tracking-wider mb-1">Order Date</span>
+              <input
+                type="date"
+                value={item.orderDate || ''}
+                onChange={(e) => onUpdateTerms('orderDate', e.target.value || undefined)}
+                className={`${inputClass} dark:[color-scheme:dark]`}
+                title="Set when the item is marked In Progress; the balance is due its lead time later"
+              />
+            </label>
+          </div>
+
+          {/* Payments */}
+          <div className="space-y-2">
+            <div className="text-xs font-bold text-gray-400 uppercase tracking-wider">Recorded Payments</div>
+            {(item.payments || []).length === 0 && (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No payments recorded yet.</p>
+            )}
+            {(item.payments || []).map(payment => (
+              <div key={payment.id} className="flex items-center gap-2">
+                <input
+                  type="date"
+                  value={payment.date}
+                  onChange={(e) => onUpdatePayment(payment.id, 'date', e.target.value)}
+                  className={`${inputClass} dark:[color-scheme:dark]`}
+                />
+                <input
+                  type="number"
+                  value={payment.amount}
+                  onChange={(e) => onUpdatePayment(payment.id, 'amount', parseFloat(e.target.value))}
+                  min="0"
+                  step="0.01"
+                  className={`${inputClass} w-32 text-right`}
+                />
+                <input
+                  type="text"
+                  value={payment.note}
+                  onChange={(e) => onUpdatePayment(payment.id, 'note', e.target.value)}
+                  placeholder="e.g., Deposit, check #1042"
+                  className={`${inputClass} flex-1 min-w-0`}
+                />
+                <button
+                  onClick={() => onRemovePayment(payment.id)}
+                  className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/30 rounded"
+                  title="Remove Payment"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={() => onAddPayment(fromMinor(Math.max(0, toMinor(paid < deposit ? deposit : payable) - toMinor(paid))))}
+              className="flex items-center gap-1 text-sm text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300"
+            >
+              <Plus size={14} /> Record Payment
+            </button>
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="grid grid-cols-3 gap-4 p-6 border-t border-gray-200 dark:border-gray-700 text-sm">
+          {[
+            { label: 'Line Total w/ Tax', value: payable },
+            { label: 'Paid to Date', value: paid },
+            { label: 'Remaining', value: fromMinor(toMinor(payable) - toMinor(paid)) }
+          ].map(stat => (
+            <div key={stat.label}>
+              <div className="text-xs font-bold text-gray-400 uppercase tracking-wider">{stat.label}</div>
+              <div className="text-lg font-bold text-gray-900 dark:text-white">{formatMoney(stat.value)}</div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PaymentsModal;
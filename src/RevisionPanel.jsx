@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { X, History, Plus, Eye, RotateCcw, Trash2 } from 'lucide-react';
+import { calculateTotals, formatCurrency } from './services/budgetMath';
+import { getBaseCurrency } from './services/currency';
+import { getDisplayDecimals } from './services/money';
+
+/**
+ * RevisionPanel Component
+ * Lists the named revisions stored in the project and lets the user
+ * create, view, restore or delete them.
+ */
+const RevisionPanel = ({ isOpen, onClose, revisions, onCreate, onView, onRestore, onDelete }) => {
+  const [newName, setNewName] = useState('');
+
+  if (!isOpen) return null;
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+    onCreate(name);
+    setNewName('');
+  };
+
+  // Newest revision first
+  const sortedRevisions = [...revisions].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 print:hidden">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-2xl w-full max-h-[85vh] flex flex-col overflow-hidden animate-in fade-in zoom-in duration-200">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-indigo-100 dark:bg-indigo-900/30 rounded-lg">
+              <History size={20} className="text-indigo-600 dark:text-indigo-400" />
+            </div>
+            <h2 className="text-xl font-bold text-gray-900 dark:text-white">Revisions</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* Create */}
+        <form onSubmit={handleCreate} className="p-6 border-b border-gray-200 dark:border-gray-700">
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Save current budget as a revision
+          </label>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="e.g., Rev 2 - Schematic pricing"
+              className="flex-1 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent dark:bg-gray-700 dark:text-white"
+            />
+            <button
+              type="submit"
+              disabled={!newName.trim()}
+              className="flex items-center gap-2 px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Plus size={16} /> Create
+            </button>
+          </div>
+          <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+            Revisions are stored inside the project file and saved with it.
+          </p>
+        </form>
+
+        {/* List */}
+        <div className="flex-1 overflow-y-auto p-4">
+          {sortedRevisions.length === 0 ? (
+            <div className="text-center py-10 text-sm text-gray-500 dark:text-gray-400">
+              No revisions yet.
+            </div>
+          ) : (
+            <div className="space-y-2">
+              {sortedRevisions.map(rev => (
+                <div
+                  key={rev.id}
+                  className="flex items-center justify-between gap-4 p-3 rounded-lg border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors"
+                >
+                  <div className="min-w-0">
+                    <div className="font-semibold text-gray-900 dark:text-white truncate">{rev.name}</div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">
+                      {new Date(rev.createdAt).toLocaleString()} &middot; {formatCurrency(calculateTotals(rev.categories, rev.projectInfo).totalWithTax, getBaseCurrency(rev.projectInfo), getDisplayDecimals(rev.projectInfo))}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-1 flex-shrink-0">
+                    <button
+                      onClick={() => onView(rev.id)}
+                      className="p-2 text-gray-500 hover:text-indigo-600 hover:bg-indigo-50 dark:hover:bg-indigo-900/20 rounded-lg transition-colors"
+                      title="View read-only"
+                    >
+                      <Eye size={16} />
+                    </button>
+                    <button
+                      onClick={() => onRestore(rev.id)}
+                      className="p-2 text-gray-500 hover:text-emerald-600 hover:bg-emerald-50 dark:hover:bg-emerald-900/20 rounded-lg transition-colors"
+                      title="Restore this revision"
+                    >
+                      <RotateCcw size={16} />
+                    </button>
+                    <button
+                      onClick={() => onDelete(rev.id)}
+                      className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors"
+                      title="Delete revision"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RevisionPanel;
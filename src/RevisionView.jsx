@@ -0,0 +1,125 @@
+import React, { useMemo } from 'react';
+import { ArrowLeft, History, RotateCcw, Lock } from 'lucide-react';
+import { calculateTotals, formatCurrency, getItemBaseTotal } from './services/budgetMath';
+import { getBaseCurrency, getItemCurrency } from './services/currency';
+import { getDisplayDecimals } from './services/money';
+
+/**
+ * RevisionView Component
+ * Read-only view of a named revision snapshot.
+ * Shows the budget summary and line items exactly as they were captured.
+ */
+const RevisionView = ({ revision, onBack, onRestore }) => {
+  const totals = useMemo(
+    () => calculateTotals(revision.categories, revision.projectInfo),
+    [revision]
+  );
+  const { projectInfo, categories } = revision;
+  const baseCurrency = getBaseCurrency(projectInfo);
+  const decimals = getDisplayDecimals(projectInfo);
+
+  return (
+    <div className="min-h-screen bg-gray-100 dark:bg-gray-900 font-sans text-gray-800 dark:text-gray-100 pb-20">
+
+      {/* Navigation Bar */}
+      <div className="bg-slate-900 text-white shadow-lg sticky top-0 z-50">
+        <div className="max-w-7xl mx-auto px-6 py-4 flex justify-between items-center">
+          <div className="flex items-center gap-4">
+            <button
+              onClick={onBack}
+              className="flex items-center gap-2 text-gray-300 hover:text-white transition"
+            >
+              <ArrowLeft size={20} />
+              <span>Back to Budget</span>
+            </button>
+            <div className="h-6 w-px bg-gray-700"></div>
+            <h1 className="text-xl font-bold tracking-tight flex items-center gap-2">
+              <History className="text-indigo-400" />
+              {revision.name}
+            </h1>
+          </div>
+
+          <button
+            onClick={() => onRestore(revision.id)}
+            className="flex items-center gap-2 bg-emerald-600 hover:bg-emerald-500 transition px-4 py-2 rounded-md text-sm font-semibold shadow-sm"
+          >
+            <RotateCcw size={16} /> Restore This Revision
+          </button>
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-6 py-8 space-y-6">
+        {/* Read-only Banner */}
+        <div className="flex items-center gap-3 p-4 rounded-lg border border-amber-200 dark:border-amber-800 bg-amber-50 dark:bg-amber-900/20 text-sm text-amber-800 dark:text-amber-200">
+          <Lock size={16} className="flex-shrink-0" />
+          Read-only snapshot created {new Date(revision.createdAt).toLocaleString()}. Changes made since then are not shown.
+        </div>
+
+        {/* Summary */}
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+          <div className="mb-4">
+            <div className="text-lg font-bold text-gray-900 dark:text-white">{projectInfo.name}</div>
+            <div className="text-sm text-gray-500 dark:text-gray-400">{projectInfo.client} &middot; {projectInfo.address}</div>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {[
+              { label: 'Subtotal', value: totals.grandTotal },
+              ...(totals.adjustments.length > 0 ? [{ label: 'Contingency & Fees', value: totals.adjustmentTotal }] : []),
+              {
+                label: totals.taxByClass.length === 1
+                  ? `${totals.taxByClass[0].name} (${totals.taxByClass[0].rate}%)`
+                  : projectInfo.pricesIncludeTax ? 'Tax Included' : 'Tax',
+                value: totals.tax
+              },
+              { label: 'Total', value: totals.totalWithTax },
+              { label: 'Variance to Allowance', value: totals.variance }
+            ].map(stat => (
+              <div key={stat.label}>
+                <div className="text-xs font-bold text-gray-400 uppercase tracking-wider">{stat.label}</div>
+                <div className={`text-xl font-bold ${stat.label.startsWith('Variance') && stat.value < 0 ? 'text-red-600' : 'text-gray-900 dark:text-white'}`}>
+                  {formatCurrency(stat.value, baseCurrency, decimals)}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Categories */}
+        {categories.map(category => (
+          <div key={category.id} className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden">
+            <div className="flex justify-between items-center px-6 py-3 bg-gray-50 dark:bg-gray-800/50 border-b border-gray-200 dark:border-gray-700">
+              <h2 className="font-bold text-gray-900 dark:text-white">{category.title}</h2>
+              <span className="font-bold text-gray-900 dark:text-white">{formatCurrency(totals.categoryTotals[category.id] || 0, baseCurrency, decimals)}</span>
+            </div>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs font-bold text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                  <th className="px-6 py-2">Description</th>
+                  <th className="px-3 py-2">Vendor</th>
+                  <th className="px-3 py-2">Status</th>
+                  <th className="px-3 py-2 text-right">Qty</th>
+                  <th className="px-3 py-2 text-right">Unit Price</th>
+                  <th className="px-6 py-2 text-right">Total</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                {category.items.map(item => (
+                  <tr key={item.id}>
+                    <td className="px-6 py-2">{item.desc || <span className="text-gray-400 italic">Untitled item</span>}</td>
+                    <td className="px-3 py-2 text-gray-600 dark:text-gray-300">{item.mfr}</td>
+                    <td className="px-3 py-2 text-gray-600 dark:text-gray-300">{item.status}</td>
+                    <td className="px-3 py-2 text-right">{item.qty}</td>
+                    <td className="px-3 py-2 text-right">{formatCurrency(item.unitPrice, getItemCurrency(item, projectInfo), decimals)}</td>
+                    <td className="px-6 py-2 text-right font-semibold">{formatCurrency(getItemBaseTotal(item, projectInfo), baseCurrency, decimals)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RevisionView;
@@ -0,0 +1,104 @@
+import React from 'react';
+import { X, BedDouble } from 'lucide-react';
+import { hasRoomQuantities } from './services/roomTypes';
+
+/**
+ * RoomQuantitiesModal Component
+ * Edits a line item's quantity per guest room for each room type. While any
+ * per-room quantity is set, the item's total quantity is derived from them.
+ */
+const RoomQuantitiesModal = ({
+  item,
+  roomTypes,
+  onChange,
+  onClear,
+  onEditRoomTypes,
+  onClose
+}) => {
+  const inputClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 print:hidden">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-lg w-full max-h-[85vh] flex flex-col overflow-hidden animate-in fade-in zoom-in duration-200">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-blue-100 dark:bg-blue-900/30 rounded-lg">
+              <BedDouble size={20} className="text-blue-600 dark:text-blue-400" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-gray-900 dark:text-white">Quantity per Room</h2>
+              <div className="text-sm text-gray-500 dark:text-gray-400">{item.desc || 'Untitled item'}</div>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* Room Types */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-3">
+          {roomTypes.length === 0 && (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              The project has no room types yet.{' '}
+              <button onClick={onEditRoomTypes} className="text-blue-600 dark:text-blue-400 hover:underline">
+                Add room types
+              </button>{' '}
+              with their key counts first.
+            </p>
+          )}
+
+          {roomTypes.map(rt => {
+            const perRoom = item.perRoom?.[rt.id] ?? '';
+            return (
+              <div key={rt.id} className="flex items-center gap-3 text-sm">
+                <div className="flex-1 font-medium text-gray-900 dark:text-white">{rt.name}</div>
+                <input
+                  type="number"
+                  value={perRoom}
+                  onChange={(e) => onChange(rt.id, e.target.value === '' ? undefined : parseFloat(e.target.value) || 0)}
+                  placeholder="0"
+                  min="0"
+                  className={`${inputClass} w-20 text-right`}
+                />
+                <div className="w-32 text-right text-gray-500 dark:text-gray-400">
+                  × {rt.count} keys = <span className="font-semibold text-gray-900 dark:text-white">{(Number(perRoom) || 0) * rt.count}</span>
+                </div>
+              </div>
+            );
+          })}
+
+          {roomTypes.length > 0 && (
+            <div className="flex items-center gap-3 pt-3 border-t border-gray-200 dark:border-gray-700 text-sm font-semibold text-gray-900 dark:text-white">
+              <div className="flex-1">Total Quantity</div>
+              <div>{hasRoomQuantities(item) ? item.qty : '—'}</div>
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Leave a room type blank if the item is not used in it. With no per-room quantities the
+            quantity is entered directly in the grid.
+          </p>
+        </div>
+
+        {/* Footer */}
+        {hasRoomQuantities(item) && (
+          <div className="flex justify-end p-6 border-t border-gray-200 dark:border-gray-700">
+            <button
+              onClick={onClear}
+              className="px-4 py-2 text-sm text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
+              title="Keep the current total and enter the quantity directly"
+            >
+              Enter Quantity Directly
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RoomQuantitiesModal;
@@ -0,0 +1,108 @@
+import React from 'react';
+import { X, BedDouble, Plus, Trash2 } from 'lucide-react';
+import { getKeyCount } from './services/roomTypes';
+
+/**
+ * RoomTypesModal Component
+ * Edits the project's guest room types and their key counts. Items with
+ * per-room quantities update as soon as a count changes.
+ */
+const RoomTypesModal = ({
+  roomTypes,
+  itemCounts,
+  onAdd,
+  onUpdate,
+  onRemove,
+  onClose
+}) => {
+  const inputClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 print:hidden">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-lg w-full max-h-[85vh] flex flex-col overflow-hidden animate-in fade-in zoom-in duration-200">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-blue-100 dark:bg-blue-900/30 rounded-lg">
+              <BedDouble size={20} className="text-blue-600 dark:text-blue-400" />
+            </div>
+            <h2 className="text-xl font-bold text-gray-900 dark:text-white">Room Types</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* Room Types */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-3">
+          {roomTypes.length > 0 && (
+            <div className="flex items-center gap-3 text-xs font-bold text-gray-400 uppercase tracking-wider">
+              <div className="flex-1">Room Type</div>
+              <div className="w-24 text-right">Keys</div>
+              <div className="w-8" />
+            </div>
+          )}
+
+          {roomTypes.map(rt => (
+            <div key={rt.id} className="flex items-center gap-3">
+              <div className="flex-1 min-w-0">
+                <input
+                  type="text"
+                  value={rt.name}
+                  onChange={(e) => onUpdate(rt.id, 'name', e.target.value)}
+                  placeholder="e.g., King"
+                  className={`${inputClass} w-full`}
+                />
+                {itemCounts[rt.id] > 0 && (
+                  <div className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    Used by {itemCounts[rt.id]} {itemCounts[rt.id] === 1 ? 'item' : 'items'}
+                  </div>
+                )}
+              </div>
+              <input
+                type="number"
+                value={rt.count}
+                onChange={(e) => onUpdate(rt.id, 'count', parseFloat(e.target.value))}
+                min="0"
+                step="1"
+                className={`${inputClass} w-24 text-right self-start`}
+              />
+              <button
+                onClick={() => onRemove(rt.id)}
+                className="p-2 self-start text-gray-400 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/30 rounded"
+                title="Remove Room Type"
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          ))}
+
+          {roomTypes.length > 0 && (
+            <div className="flex items-center gap-3 pt-3 border-t border-gray-200 dark:border-gray-700 text-sm font-semibold text-gray-900 dark:text-white">
+              <div className="flex-1 px-3">Total Keys</div>
+              <div className="w-24 px-3 text-right">{getKeyCount(roomTypes)}</div>
+              <div className="w-8" />
+            </div>
+          )}
+
+          <button
+            onClick={onAdd}
+            className="flex items-center gap-1 text-sm text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300"
+          >
+            <Plus size={14} /> Add Room Type
+          </button>
+
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Set an item's quantity per room from its Qty cell. Its total quantity is the per-room
+            quantities times these key counts, and updates whenever a count changes.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RoomTypesModal;
@@ -0,0 +1,226 @@
+import React from 'react';
+import { X, AlertTriangle, Save, Copy, GitMerge, Check } from 'lucide-react';
+
+/** Item fields shown when comparing two versions of a line item. */
+const ITEM_FIELDS = [
+  { key: 'desc', label: 'Description' },
+  { key: 'mfr', label: 'Vendor' },
+  { key: 'dimensions', label: 'Dimensions' },
+  { key: 'qty', label: 'Qty' },
+  { key: 'perRoom', label: 'Per Room', format: (perRoom) => `${Object.values(perRoom).join(' / ')} per room in ${Object.keys(perRoom).length} room type(s)` },
+  { key: 'currency', label: 'Currency' },
+  { key: 'listPrice', label: 'List Price' },
+  { key: 'discount', label: 'Discount %' },
+  { key: 'priceBreaks', label: 'Quantity Breaks', format: (breaks) => breaks.map(pb => `${pb.minQty}+ at ${pb.discount}%`).join(', ') },
+  { key: 'netCost', label: 'Net Cost' },
+  { key: 'markup', label: 'Markup %' },
+  { key: 'unitPrice', label: 'Unit Price' },
+  { key: 'leadTime', label: 'Lead Time' },
+  { key: 'status', label: 'Status' },
+  { key: 'isTaxable', label: 'Taxable' },
+  { key: 'taxClassId', label: 'Tax Class' },
+  { key: 'addOns', label: 'Add-ons', format: (addOns) => Object.entries(addOns).map(([type, s]) => `${type} ${s.mode === 'flat' ? `$${s.value}` : `${s.value}%`}`).join(', ') },
+  { key: 'alternates', label: 'Alternates', format: (alternates) => alternates.map(alt => alt.desc || 'Untitled').join(', ') },
+  { key: 'depositPercent', label: 'Deposit %' },
+  { key: 'orderDate', label: 'Order Date' },
+  { key: 'payments', label: 'Payments', format: (payments) => payments.map(p => `${p.date} $${p.amount}`).join(', ') },
+  { key: 'notes', label: 'Notes' },
+  { key: 'specs', label: 'Specifications' }
+];
+
+/** Section fields shown when comparing two versions of a section. */
+const CATEGORY_FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'taxClassId', label: 'Tax Class' },
+  { key: 'markup', label: 'Markup %' },
+  { key: 'allowance', label: 'Allowance' },
+  { key: 'area', label: 'Area (sq ft)' }
+];
+
+/**
+ * Formats a field value for display in the comparison table.
+ */
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'object') return `${value.attachments?.length || 0} attachment(s), ${value.detailedDescription ? 'description' : 'no description'}`;
+  return String(value);
+};
+
+/**
+ * Describes what happened to a record on one side compared to the base.
+ */
+const describeSide = (base, side) => {
+  if (!side) return base ? 'Deleted' : 'Not present';
+  if (!base) return 'Added';
+  return JSON.stringify(base) === JSON.stringify(side) ? 'Unchanged' : 'Changed';
+};
+
+/**
+ * One difference between the editor and the file, with a choice of version.
+ */
+const ChangeRow = ({ change, onResolve }) => {
+  const fields = change.kind === 'item' ? ITEM_FIELDS : CATEGORY_FIELDS;
+  const differing = change.ours && change.theirs
+    ? fields.filter(f => JSON.stringify(change.ours[f.key]) !== JSON.stringify(change.theirs[f.key]))
+    : [];
+
+  const choice = (resolution, label, side) => (
+    <button
+      onClick={() => onResolve(change.key, resolution)}
+      className={`flex-1 text-left p-2 rounded-lg border text-xs transition-colors ${change.resolution === resolution
+        ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20'
+        : 'border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50'}`}
+    >
+      <div className="flex items-center justify-between font-semibold text-gray-900 dark:text-white mb-1">
+        {label}
+        {change.resolution === resolution && <Check size={14} className="text-blue-600" />}
+      </div>
+      <div className="text-gray-500 dark:text-gray-400">{describeSide(change.base, side)}</div>
+      {differing.map(f => (
+        <div key={f.key} className="text-gray-700 dark:text-gray-300 truncate">
+          <span className="text-gray-400">{f.label}:</span> {f.format && side[f.key] ? f.format(side[f.key]) : formatValue(side[f.key])}
+        </div>
+      ))}
+    </button>
+  );
+
+  return (
+    <div className={`p-3 rounded-lg border ${change.conflict ? 'border-amber-300 dark:border-amber-700' : 'border-gray-200 dark:border-gray-700'}`}>
+      <div className="flex items-center gap-2 mb-2 text-sm">
+        <span className="text-xs font-bold uppercase tracking-wider text-gray-400">{change.kind === 'item' ? 'Item' : 'Section'}</span>
+        <span className="font-semibold text-gray-900 dark:text-white truncate">{change.label}</span>
+        {change.conflict && (
+          <span className="ml-auto text-xs font-semibold text-amber-700 dark:text-amber-400 bg-amber-100 dark:bg-amber-900/30 px-2 py-0.5 rounded">Conflict</span>
+        )}
+      </div>
+      <div className="flex gap-2">
+        {choice('ours', 'Keep mine', change.ours)}
+        {choice('theirs', 'Use file version', change.theirs)}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * SaveConflictModal Component
+ * Shown when the open file was modified outside this window since it was
+ * last read or saved. Offers overwrite, save as a copy, or a three-way merge
+ * of the categories and items that differ.
+ */
+const SaveConflictModal = ({
+  isOpen,
+  fileName,
+  changes,
+  onOverwrite,
+  onSaveAsCopy,
+  onShowMerge,
+  onResolve,
+  onApplyMerge,
+  onCancel
+}) => {
+  if (!isOpen) return null;
+
+  const isMerging = Array.isArray(changes);
+  const conflictCount = isMerging ? changes.filter(c => c.conflict).length : 0;
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center p-4 bg-black/50 print:hidden">
+      <div className={`bg-white dark:bg-gray-800 rounded-xl shadow-2xl w-full max-h-[90vh] flex flex-col overflow-hidden animate-in fade-in zoom-in duration-200 ${isMerging ? 'max-w-3xl' : 'max-w-md'}`}>
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-amber-100 dark:bg-amber-900/30 rounded-lg">
+              {isMerging
+                ? <GitMerge size={20} className="text-amber-600 dark:text-amber-400" />
+                : <AlertTriangle size={20} className="text-amber-600 dark:text-amber-400" />}
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-gray-900 dark:text-white">{isMerging ? 'Merge Changes' : 'File Changed on Disk'}</h2>
+              <div className="text-sm text-gray-500 dark:text-gray-400">{fileName}</div>
+            </div>
+          </div>
+          <button
+            onClick={onCancel}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {!isMerging ? (
+          <div className="p-6 space-y-4">
+            <p className="text-gray-600 dark:text-gray-300">
+              Someone else saved this file after you opened it. Saving now would replace their changes.
+            </p>
+            <div className="space-y-2">
+              <button
+                onClick={onShowMerge}
+                className="w-full flex items-center gap-3 p-3 rounded-lg border border-gray-200 dark:border-gray-700 hover:border-blue-500 hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors text-left"
+              >
+                <GitMerge size={18} className="text-blue-600 flex-shrink-0" />
+                <div>
+                  <div className="font-semibold text-gray-900 dark:text-white">Merge Changes</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">Compare sections and items, then save both sets of changes</div>
+                </div>
+              </button>
+              <button
+                onClick={onSaveAsCopy}
+                className="w-full flex items-center gap-3 p-3 rounded-lg border border-gray-200 dark:border-gray-700 hover:border-blue-500 hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors text-left"
+              >
+                <Copy size={18} className="text-emerald-600 flex-shrink-0" />
+                <div>
+                  <div className="font-semibold text-gray-900 dark:text-white">Save as Copy</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">Keep their file and save yours under a new name</div>
+                </div>
+              </button>
+              <button
+                onClick={onOverwrite}
+                className="w-full flex items-center gap-3 p-3 rounded-lg border border-gray-200 dark:border-gray-700 hover:border-red-500 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors text-left"
+              >
+                <Save size={18} className="text-red-600 flex-shrink-0" />
+                <div>
+                  <div className="font-semibold text-gray-900 dark:text-white">Overwrite</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">Replace the file with your version; their changes are lost</div>
+                </div>
+              </button>
+            </div>
+          </div>
+        ) : (
+          <>
+            <div className="px-6 py-3 border-b border-gray-200 dark:border-gray-700 text-sm text-gray-600 dark:text-gray-300">
+              {changes.length === 0
+                ? 'The sections and items are identical in both versions.'
+                : <>
+                  {changes.length} {changes.length === 1 ? 'difference' : 'differences'}
+                  {conflictCount > 0 && <>, <strong className="text-amber-600 dark:text-amber-400">{conflictCount} changed in both versions</strong></>}.
+                  {' '}Changes made on only one side are already selected.
+                </>}
+            </div>
+            <div className="flex-1 overflow-y-auto p-4 space-y-2">
+              {changes.map(change => (
+                <ChangeRow key={change.key} change={change} onResolve={onResolve} />
+              ))}
+            </div>
+            <div className="flex justify-end gap-3 p-6 border-t border-gray-200 dark:border-gray-700">
+              <button
+                onClick={onCancel}
+                className="px-4 py-2 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={onApplyMerge}
+                className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium transition-colors"
+              >
+                <GitMerge size={16} /> Merge and Save
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SaveConflictModal;
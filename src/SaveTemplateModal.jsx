@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { X, LayoutTemplate } from 'lucide-react';
+
+/**
+ * SaveTemplateModal Component
+ * Names a new project template built from the current project and chooses
+ * whether unit prices are kept.
+ */
+const SaveTemplateModal = ({ sectionCount, itemCount, onSave, onClose }) => {
+  const [name, setName] = useState('');
+  const [includePrices, setIncludePrices] = useState(false);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    onSave(trimmed, { includePrices });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 print:hidden">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-md w-full overflow-hidden animate-in fade-in zoom-in duration-200"
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-teal-100 dark:bg-teal-900/30 rounded-lg">
+              <LayoutTemplate size={20} className="text-teal-600 dark:text-teal-400" />
+            </div>
+            <h2 className="text-xl font-bold text-gray-900 dark:text-white">Save as Template</h2>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Template name
+            </label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g., Select-service hotel"
+              autoFocus
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent dark:bg-gray-700 dark:text-white"
+            />
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={includePrices}
+              onChange={(e) => setIncludePrices(e.target.checked)}
+              className="w-4 h-4 rounded border-gray-300 text-teal-600 focus:ring-teal-500"
+            />
+            Keep unit prices
+          </label>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Saves {sectionCount} {sectionCount === 1 ? 'section' : 'sections'} and {itemCount} {itemCount === 1 ? 'item' : 'items'} with
+            their specs, plus the terms, tax rate and visible columns. Templates are stored in this browser.
+          </p>
+        </div>
+
+        {/* Actions */}
+        <div className="flex justify-end gap-3 p-6 border-t border-gray-200 dark:border-gray-700">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!name.trim()}
+            className="px-4 py-2 bg-teal-600 hover:bg-teal-700 text-white rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Save Template
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default SaveTemplateModal;
@@ -16,23 +16,71 @@ import {
   Settings
 } from 'lucide-react';
 import { useState } from 'react';
+import { hasNetCost, hasListPrice, getItemDiscount, getItemMarkup, formatCurrency } from './services/budgetMath';
+import { getItemCurrency } from './services/currency';
+import { getDisplayDecimals } from './services/money';
+import { hasAlternates, getItemOptions } from './services/alternates';
+
+/**
+ * Lists a line item's options beneath its spec sheet when all options are printed.
+ * The selected option is the sheet itself and is only named here.
+ */
+const AlternateOptions = ({ item, projectInfo }) => (
+  <div className="border-t border-gray-200 bg-gray-50 px-4 py-3 text-sm">
+    <h4 className="text-xs font-bold text-gray-400 uppercase tracking-wider mb-2">Options</h4>
+    <div className="space-y-2">
+      {getItemOptions(item).map((option, index) => (
+        <div key={option.id || 'selected'} className="grid grid-cols-12 gap-3">
+          <div className="col-span-2 font-semibold text-gray-700">
+            {option.isBase ? 'Base' : `Alternate ${index}`}
+            {option.isSelected && <span className="block text-xs font-normal text-blue-700">Selected</span>}
+          </div>
+          {option.isSelected ? (
+            <div className="col-span-10 text-gray-500 italic">As specified above.</div>
+          ) : (
+            <>
+              <div className="col-span-4">
+                <div className="font-medium text-gray-900">{option.desc || '-'}</div>
+                <div className="text-xs text-gray-500">{[option.mfr, option.dimensions, option.leadTime].filter(Boolean).join(' · ')}</div>
+              </div>
+              <div className="col-span-2 text-right font-medium text-gray-900">
+                {formatCurrency(Number(option.unitPrice) || 0, getItemCurrency(option, projectInfo), getDisplayDecimals(projectInfo))}
+              </div>
+              <div className="col-span-4 text-xs text-gray-700 whitespace-pre-wrap">
+                {[option.notes, option.specs?.detailedDescription].filter(Boolean).join('\n')}
+              </div>
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  </div>
+);
 
 /**
  * SpecBookView Component
  * Renders the project data as a formal Specification Book / Catalog.
  * Designed for printing with one item per page.
+ * In the 'client' pricing view only sell prices are shown; the 'internal'
+ * view can add each item's net cost and markup.
+ * Items print their selected option; the alternates can be listed beneath it.
  */
-const SpecBookView = ({ projectInfo, categories, onBack, onEditItem }) => {
+const SpecBookView = ({ projectInfo, categories, pricingView = 'internal', onBack, onEditItem }) => {
   const [visibleColumns, setVisibleColumns] = useState({
     mfr: true,
     dimensions: true,
     qty: true,
     unitPrice: true,
+    netCost: false,
     leadTime: true,
     status: false,
     notes: true
   });
   const [showColumnMenu, setShowColumnMenu] = useState(false);
+  const [showAlternates, setShowAlternates] = useState(false);
+
+  // Item prices in the item's own currency, at the project's display precision
+  const formatItemPrice = (amount, item) => formatCurrency(Number(amount) || 0, getItemCurrency(item, projectInfo), getDisplayDecimals(projectInfo));
 
   const handlePrint = () => {
     window.print();
@@ -47,6 +95,10 @@ const SpecBookView = ({ projectInfo, categories, onBack, onEditItem }) => {
    * This allows the user to open it with their system default application.
    */
   const openAttachment = (att) => {
+    if (!att.dataUrl) {
+      alert(`"${att.name}" is missing from this project file.`);
+      return;
+    }
     const link = document.createElement('a');
     link.href = att.dataUrl;
     link.download = att.name;
@@ -97,6 +149,7 @@ const SpecBookView = ({ projectInfo, categories, onBack, onEditItem }) => {
                     { key: 'dimensions', label: 'Dimensions' },
                     { key: 'qty', label: 'Quantity' },
                     { key: 'unitPrice', label: 'Unit Price' },
+                    ...(pricingView === 'internal' ? [{ key: 'netCost', label: 'Net Cost & Markup' }] : []),
                     { key: 'leadTime', label: 'Lead Time' },
                     { key: 'status', label: 'Status' },
                     { key: 'notes', label: 'Finish / Notes' }
@@ -110,6 +163,14 @@ const SpecBookView = ({ projectInfo, categories, onBack, onEditItem }) => {
                       {visibleColumns[col.key] ? <Eye size={14} className="text-blue-600" /> : <EyeOff size={14} className="text-gray-400" />}
                     </button>
                   ))}
+                  <div className="text-xs font-bold text-gray-500 uppercase px-2 py-1 mt-2 mb-1 border-t border-gray-100 dark:border-gray-700">Options</div>
+                  <button
+                    onClick={() => setShowAlternates(prev => !prev)}
+                    className="flex items-center justify-between w-full px-2 py-1.5 text-sm rounded hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                  >
+                    <span>All Alternates</span>
+                    {showAlternates ? <Eye size={14} className="text-blue-600" /> : <EyeOff size={14} className="text-gray-400" />}
+                  </button>
                 </div>
               )}
             </div>
@@ -196,7 +257,7 @@ const SpecBookView = ({ projectInfo, categories, onBack, onEditItem }) => {
               <div className="space-y-4">
                 {category.items.map((item, index) => {
                   // Find primary image (first image attachment)
-                  const primaryImage = item.specs?.attachments?.find(att => att.type.startsWith('image/'));
+                  const primaryImage = item.specs?.attachments?.find(att => att.type.startsWith('image/') && att.dataUrl);
                   // Find document attachments (PDFs, etc.)
                   const documents = item.specs?.attachments?.filter(att => !att.type.startsWith('image/')) || [];
                   
@@ -241,7 +302,19 @@ const SpecBookView = ({ projectInfo, categories, onBack, onEditItem }) => {
                             {visibleColumns.unitPrice && (
                               <div className="flex justify-between border-b border-gray-50 py-1">
                                 <span className="text-xs font-semibold text-gray-500 uppercase">Unit Price</span>
-                                <span className="font-medium text-gray-900 text-right">${item.unitPrice?.toLocaleString()}</span>
+                                <span className="font-medium text-gray-900 text-right">{formatItemPrice(item.unitPrice, item)}</span>
+                              </div>
+                            )}
+                            {pricingView === 'internal' && visibleColumns.netCost && hasListPrice(item) && (
+                              <div className="flex justify-between border-b border-gray-50 py-1">
+                                <span className="text-xs font-semibold text-gray-500 uppercase">List Price</span>
+                                <span className="font-medium text-gray-900 text-right">{formatItemPrice(item.listPrice, item)} less {getItemDiscount(item)}%</span>
+                              </div>
+                            )}
+                            {pricingView === 'internal' && visibleColumns.netCost && hasNetCost(item) && (
+                              <div className="flex justify-between border-b border-gray-50 py-1">
+                                <span className="text-xs font-semibold text-gray-500 uppercase">Net Cost</span>
+                                <span className="font-medium text-gray-900 text-right">{formatItemPrice(item.netCost, item)} + {getItemMarkup(item, category, projectInfo)}%</span>
                               </div>
                             )}
                             {visibleColumns.leadTime && (
@@ -292,13 +365,18 @@ const SpecBookView = ({ projectInfo, categories, onBack, onEditItem }) => {
                             )}
                           </div>
                         </div>
+                        {showAlternates && hasAlternates(item) && (
+                          <div className="-mx-4 -mb-4 mt-4">
+                            <AlternateOptions item={item} projectInfo={projectInfo} />
+                          </div>
+                        )}
                       </div>
                     );
                   }
 
                   // FULL LAYOUT (With Image) - Compacted
                   return (
-                    <div key={item.id} className="border border-gray-200 rounded-lg overflow-hidden bg-white shadow-sm print:shadow-none break-inside-avoid flex flex-col md:flex-row relative group">
+                    <div key={item.id} className="border border-gray-200 rounded-lg overflow-hidden bg-white shadow-sm print:shadow-none break-inside-avoid flex flex-col md:flex-row flex-wrap relative group">
                       {/* Edit Button */}
                       <div className="absolute top-2 right-2 z-10 flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity print:hidden">
                         <button 
@@ -324,7 +402,7 @@ const SpecBookView = ({ projectInfo, categories, onBack, onEditItem }) => {
                                 onClick={() => openAttachment(att)}
                                 className="aspect-square border border-gray-200 bg-white rounded flex items-center justify-center overflow-hidden hover:border-blue-500 transition-colors"
                               >
-                                {att.type.startsWith('image/') ? (
+                                {att.type.startsWith('image/') && att.dataUrl ? (
                                   <img src={att.dataUrl} alt="" className="w-full h-full object-cover" />
                                 ) : (
                                   <FileText size={10} className="text-gray-400" />
@@ -367,7 +445,19 @@ const SpecBookView = ({ projectInfo, categories, onBack, onEditItem }) => {
                             {visibleColumns.unitPrice && (
                               <div className="flex justify-between border-b border-gray-50 py-1">
                                 <span className="text-xs font-semibold text-gray-500 uppercase">Unit Price</span>
-                                <span className="font-medium text-gray-900 text-right">${item.unitPrice?.toLocaleString()}</span>
+                                <span className="font-medium text-gray-900 text-right">{formatItemPrice(item.unitPrice, item)}</span>
+                              </div>
+                            )}
+                            {pricingView === 'internal' && visibleColumns.netCost && hasListPrice(item) && (
+                              <div className="flex justify-between border-b border-gray-50 py-1">
+                                <span className="text-xs font-semibold text-gray-500 uppercase">List Price</span>
+                                <span className="font-medium text-gray-900 text-right">{formatItemPrice(item.listPrice, item)} less {getItemDiscount(item)}%</span>
+                              </div>
+                            )}
+                            {pricingView === 'internal' && visibleColumns.netCost && hasNetCost(item) && (
+                              <div className="flex justify-between border-b border-gray-50 py-1">
+                                <span className="text-xs font-semibold text-gray-500 uppercase">Net Cost</span>
+                                <span className="font-medium text-gray-900 text-right">{formatItemPrice(item.netCost, item)} + {getItemMarkup(item, category, projectInfo)}%</span>
                               </div>
                             )}
                             {visibleColumns.leadTime && (
@@ -417,6 +507,11 @@ const SpecBookView = ({ projectInfo, categories, onBack, onEditItem }) => {
                           </div>
                         </div>
                       </div>
+                      {showAlternates && hasAlternates(item) && (
+                        <div className="basis-full">
+                          <AlternateOptions item={item} projectInfo={projectInfo} />
+                        </div>
+                      )}
                     </div>
                   );
                 })}
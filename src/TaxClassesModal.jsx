@@ -0,0 +1,143 @@
+import React from 'react';
+import { X, Percent, Plus, Trash2 } from 'lucide-react';
+import { TAX_ROUNDING_RULES } from './services/money';
+
+/**
+ * TaxClassesModal Component
+ * Edits the project's tax classes (e.g., a second city's sales tax, use tax
+ * on out-of-state shipments, taxable services), tax-inclusive pricing and
+ * how tax is rounded to the cent.
+ * The standard sales tax is always present; its rate is salesTaxRate.
+ */
+const TaxClassesModal = ({
+  salesTaxRate,
+  taxClasses,
+  pricesIncludeTax,
+  taxRounding,
+  onUpdateSalesTaxRate,
+  onAddClass,
+  onUpdateClass,
+  onRemoveClass,
+  onTogglePricesIncludeTax,
+  onUpdateTaxRounding,
+  onClose
+}) => {
+  const inputClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white';
+
+  const rateInput = (value, onChange) => (
+    <div className="flex items-center gap-1">
+      <input
+        type="number"
+        value={value}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        step="0.01"
+        className={`${inputClass} w-24 text-right`}
+      />
+      <span className="text-sm text-gray-500">%</span>
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 print:hidden">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-lg w-full max-h-[85vh] flex flex-col overflow-hidden animate-in fade-in zoom-in duration-200">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-blue-100 dark:bg-blue-900/30 rounded-lg">
+              <Percent size={20} className="text-blue-600 dark:text-blue-400" />
+            </div>
+            <h2 className="text-xl font-bold text-gray-900 dark:text-white">Tax Classes</h2>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* Classes */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-3">
+          <div className="flex items-center gap-3">
+            <div className="flex-1 px-3 py-2 text-sm font-semibold text-gray-900 dark:text-white">
+              Sales Tax <span className="font-normal text-gray-500 dark:text-gray-400">(standard)</span>
+            </div>
+            {rateInput(salesTaxRate, onUpdateSalesTaxRate)}
+            <div className="w-8" />
+          </div>
+
+          {taxClasses.map(tc => (
+            <div key={tc.id} className="flex items-center gap-3">
+              <input
+                type="text"
+                value={tc.name}
+                onChange={(e) => onUpdateClass(tc.id, 'name', e.target.value)}
+                placeholder="e.g., Use Tax"
+                className={`${inputClass} flex-1 min-w-0`}
+              />
+              {rateInput(tc.rate, (rate) => onUpdateClass(tc.id, 'rate', rate))}
+              <button
+                onClick={() => onRemoveClass(tc.id)}
+                className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/30 rounded"
+                title="Remove Tax Class"
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          ))}
+
+          <button
+            onClick={onAddClass}
+            className="flex items-center gap-1 text-sm text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300"
+          >
+            <Plus size={14} /> Add Tax Class
+          </button>
+
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Assign a class to a whole section from its header, or to a single item in the Tax column.
+            Items without a class use their section's class, then the standard sales tax.
+          </p>
+        </div>
+
+        {/* Pricing Mode */}
+        <div className="p-6 border-t border-gray-200 dark:border-gray-700">
+          <label className="flex items-start gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={pricesIncludeTax}
+              onChange={(e) => onTogglePricesIncludeTax(e.target.checked)}
+              className="mt-0.5 w-4 h-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            <div>
+              <div className="text-sm font-semibold text-gray-900 dark:text-white">Prices include tax (VAT)</div>
+              <div className="text-xs text-gray-500 dark:text-gray-400">
+                Unit prices are entered gross. Tax is shown as the amount contained in them instead of being added on top.
+              </div>
+            </div>
+          </label>
+
+          <div className="mt-4 text-sm font-semibold text-gray-900 dark:text-white">Tax rounding</div>
+          <div className="mt-2 space-y-2">
+            {TAX_ROUNDING_RULES.map(rule => (
+              <label key={rule.id} className="flex items-start gap-3 cursor-pointer">
+                <input
+                  type="radio"
+                  name="taxRounding"
+                  checked={taxRounding === rule.id}
+                  onChange={() => onUpdateTaxRounding(rule.id)}
+                  className="mt-0.5 w-4 h-4 border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                <div>
+                  <div className="text-sm text-gray-900 dark:text-white">{rule.label}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400">{rule.description}</div>
+                </div>
+              </label>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TaxClassesModal;
@@ -0,0 +1,84 @@
+import React from 'react';
+import { X, AlertTriangle, AlertCircle, Info } from 'lucide-react';
+
+/**
+ * ValidationReportModal Component
+ * Lists the problems found while opening a document and lets the user
+ * import it with the repairs applied or abort the import.
+ */
+const ValidationReportModal = ({ isOpen, fileName, issues, onImport, onCancel }) => {
+  if (!isOpen) return null;
+
+  const errorCount = issues.filter(issue => issue.severity === 'error').length;
+  const warningCount = issues.length - errorCount;
+
+  return (
+    <div className="fixed inset-0 z-[60] flex items-center justify-center p-4 bg-black/50 print:hidden">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-2xl w-full max-h-[85vh] flex flex-col overflow-hidden animate-in fade-in zoom-in duration-200">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-amber-100 dark:bg-amber-900/30 rounded-lg">
+              <AlertTriangle size={20} className="text-amber-600 dark:text-amber-400" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-gray-900 dark:text-white">File Needs Repairs</h2>
+              {fileName && <div className="text-sm text-gray-500 dark:text-gray-400">{fileName}</div>}
+            </div>
+          </div>
+          <button
+            onClick={onCancel}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* Summary */}
+        <div className="px-6 py-4 border-b border-gray-200 dark:border-gray-700 text-sm text-gray-600 dark:text-gray-300">
+          Found <strong className="text-red-600 dark:text-red-400">{errorCount} {errorCount === 1 ? 'error' : 'errors'}</strong> and{' '}
+          <strong className="text-amber-600 dark:text-amber-400">{warningCount} {warningCount === 1 ? 'warning' : 'warnings'}</strong>.
+          Errors mark values that were invalid and had to be replaced or removed; warnings were corrected without losing data.
+        </div>
+
+        {/* Issues */}
+        <div className="flex-1 overflow-y-auto p-4 space-y-2">
+          {issues.map((issue, idx) => (
+            <div
+              key={idx}
+              className={`flex gap-3 p-3 rounded-lg border text-sm ${issue.severity === 'error'
+                ? 'border-red-200 dark:border-red-900/50 bg-red-50 dark:bg-red-900/10'
+                : 'border-amber-200 dark:border-amber-900/50 bg-amber-50 dark:bg-amber-900/10'}`}
+            >
+              {issue.severity === 'error'
+                ? <AlertCircle size={16} className="text-red-600 dark:text-red-400 flex-shrink-0 mt-0.5" />
+                : <Info size={16} className="text-amber-600 dark:text-amber-400 flex-shrink-0 mt-0.5" />}
+              <div className="min-w-0">
+                <div className="text-xs font-semibold text-gray-500 dark:text-gray-400 truncate">{issue.location}</div>
+                <div className="text-gray-800 dark:text-gray-200">{issue.message}</div>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Actions */}
+        <div className="flex justify-end gap-3 p-6 border-t border-gray-200 dark:border-gray-700">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg transition-colors"
+          >
+            Cancel Import
+          </button>
+          <button
+            onClick={onImport}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium transition-colors"
+          >
+            Import with Repairs
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ValidationReportModal;
@@ -0,0 +1,148 @@
+import React from 'react';
+import { X, Tag, Plus, Trash2 } from 'lucide-react';
+import { formatCurrency, hasListPrice, getItemDiscount, getVendorNetPrice } from './services/budgetMath';
+
+/**
+ * VendorPricingModal Component
+ * Edits a line item's vendor list price, trade discount and quantity breaks.
+ * While a list price is set, the item's net cost is derived from them at its
+ * quantity, and its unit price from the net cost and markup.
+ */
+const VendorPricingModal = ({
+  item,
+  currency,
+  decimals = 0,
+  onUpdate,
+  onAddBreak,
+  onUpdateBreak,
+  onRemoveBreak,
+  onClose
+}) => {
+  const inputClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700 dark:text-white';
+  const priceBreaks = item.priceBreaks || [];
+  const money = (val) => formatCurrency(val, currency, decimals);
+  const numberOrUndefined = (value) => (value === '' ? undefined : parseFloat(value) || 0);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 print:hidden">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-lg w-full max-h-[85vh] flex flex-col overflow-hidden animate-in fade-in zoom-in duration-200">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200 dark:border-gray-700">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-indigo-100 dark:bg-indigo-900/30 rounded-lg">
+              <Tag size={20} className="text-indigo-600 dark:text-indigo-400" />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-gray-900 dark:text-white">Vendor Pricing</h2>
+              <div className="text-sm text-gray-500 dark:text-gray-400">{[item.mfr, item.desc || 'Untitled item'].filter(Boolean).join(' · ')}</div>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          {/* List Price and Discount */}
+          <div className="grid grid-cols-2 gap-4">
+            <label className="text-sm text-gray-700 dark:text-gray-300">
+              <span className="block text-xs font-bold text-gray-400 uppercase tracking-wider mb-1">List Price ({currency})</span>
+              <input
+                type="number"
+                value={item.listPrice ?? ''}
+                placeholder="—"
+                onChange={(e) => onUpdate('listPrice', numberOrUndefined(e.target.value))}
+                min="0"
+                step="0.01"
+                className={`${inputClass} w-full text-right`}
+                title="Vendor list price per unit; leave blank to enter the net cost directly"
+              />
+            </label>
+            <label className="text-sm text-gray-700 dark:text-gray-300">
+              <span className="block text-xs font-bold text-gray-400 uppercase tracking-wider mb-1">Trade Discount</span>
+              <span className="flex items-center gap-1">
+                <input
+                  type="number"
+                  value={item.discount ?? ''}
+                  placeholder="0"
+                  onChange={(e) => onUpdate('discount', numberOrUndefined(e.target.value))}
+                  min="0"
+                  max="100"
+                  className={`${inputClass} w-full text-right`}
+                />
+                %
+              </span>
+            </label>
+          </div>
+
+          {/* Quantity Breaks */}
+          <div className="space-y-2">
+            <div className="text-xs font-bold text-gray-400 uppercase tracking-wider">Quantity Breaks</div>
+            {priceBreaks.length === 0 && (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No quantity breaks; the trade discount applies at any quantity.</p>
+            )}
+            {priceBreaks.map((pb, index) => (
+              <div key={index} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <span>From</span>
+                <input
+                  type="number"
+                  value={pb.minQty}
+                  onChange={(e) => onUpdateBreak(index, 'minQty', parseFloat(e.target.value) || 0)}
+                  min="1"
+                  className={`${inputClass} w-24 text-right`}
+                />
+                <span>units:</span>
+                <input
+                  type="number"
+                  value={pb.discount}
+                  onChange={(e) => onUpdateBreak(index, 'discount', parseFloat(e.target.value) || 0)}
+                  min="0"
+                  max="100"
+                  className={`${inputClass} w-20 text-right`}
+                />
+                <span className="flex-1">% off list</span>
+                <button
+                  onClick={() => onRemoveBreak(index)}
+                  className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 dark:hover:bg-red-900/30 rounded"
+                  title="Remove Quantity Break"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={onAddBreak}
+              className="flex items-center gap-1 text-sm text-blue-600 dark:text-blue-400 hover:text-blue-700 dark:hover:text-blue-300"
+            >
+              <Plus size={14} /> Add Quantity Break
+            </button>
+          </div>
+
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            The highest break the quantity reaches replaces the trade discount. The net cost follows the quantity,
+            and the unit price follows the net cost and markup.
+          </p>
+        </div>
+
+        {/* Footer */}
+        <div className="grid grid-cols-3 gap-4 p-6 border-t border-gray-200 dark:border-gray-700 text-sm">
+          {[
+            { label: 'Quantity', value: Number(item.qty) || 0 },
+            { label: 'Discount', value: `${getItemDiscount(item)}%` },
+            { label: 'Net per Unit', value: hasListPrice(item) ? money(getVendorNetPrice(item)) : '—' }
+          ].map(stat => (
+            <div key={stat.label}>
+              <div className="text-xs font-bold text-gray-400 uppercase tracking-wider">{stat.label}</div>
+              <div className="text-lg font-bold text-gray-900 dark:text-white">{stat.value}</div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VendorPricingModal;
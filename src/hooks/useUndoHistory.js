@@ -0,0 +1,74 @@
+import { useState, useRef } from 'react';
+
+/**
+ * useUndoHistory Hook
+ * Maintains undo/redo stacks of document snapshots.
+ *
+ * Mutating handlers call `record(groupKey)` before changing state, which pushes
+ * the current snapshot onto the undo stack. Consecutive records with the same
+ * group key (e.g., keystrokes in one cell) within `groupWindowMs` collapse into
+ * a single undo step. Pass a null group key for edits that should never merge.
+ *
+ * @param {Object} present - Current snapshot (e.g., { projectInfo, categories })
+ * @param {Function} restore - Applies a snapshot back to application state
+ * @param {Object} [options]
+ * @param {number} [options.limit=100] - Maximum number of undo steps kept
+ * @param {number} [options.groupWindowMs=1500] - Idle time that ends a group
+ * @returns {{record: Function, undo: Function, redo: Function, clear: Function, canUndo: boolean, canRedo: boolean}}
+ */
+export default function useUndoHistory(present, restore, { limit = 100, groupWindowMs = 1500 } = {}) {
+  const [past, setPast] = useState([]);
+  const [future, setFuture] = useState([]);
+  const lastGroup = useRef({ key: null, time: 0 });
+
+  const record = (groupKey = null) => {
+    const now = Date.now();
+    const { key, time } = lastGroup.current;
+    lastGroup.current = { key: groupKey, time: now };
+
+    if (groupKey !== null && groupKey === key && now - time < groupWindowMs) {
+      return;
+    }
+
+    setPast(prev => {
+      // Several handlers may record within one event; keep a single step
+      const last = prev[prev.length - 1];
+      if (last && Object.keys(present).every(k => last[k] === present[k])) return prev;
+      return [...prev, present].slice(-limit);
+    });
+    setFuture([]);
+  };
+
+  const undo = () => {
+    if (past.length === 0) return;
+    const previous = past[past.length - 1];
+    setPast(past.slice(0, -1));
+    setFuture([present, ...future]);
+    lastGroup.current = { key: null, time: 0 };
+    restore(previous);
+  };
+
+  const redo = () => {
+    if (future.length === 0) return;
+    const [next, ...rest] = future;
+    setFuture(rest);
+    setPast([...past, present]);
+    lastGroup.current = { key: null, time: 0 };
+    restore(next);
+  };
+
+  const clear = () => {
+    setPast([]);
+    setFuture([]);
+    lastGroup.current = { key: null, time: 0 };
+  };
+
+  return {
+    record,
+    undo,
+    redo,
+    clear,
+    canUndo: past.length > 0,
+    canRedo: future.length > 0
+  };
+}
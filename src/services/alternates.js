@@ -0,0 +1,127 @@
+/**
+ * Alternates Service
+ * Alternate products (value-engineering options) for a line item.
+ *
+ * The item's own fields always hold the selected option, so totals, the grid
+ * and exports need no special handling. The other options are kept in
+ * `item.alternates` with the same option fields. The base option is the one
+ * originally specified: the item itself, or the alternate marked `isBase`
+ * after another option was selected. Deltas are measured against it.
+ */
+
+import { getItemBaseTotal, priceItem } from './budgetMath';
+
+/** Fields that belong to one option; quantity, status, tax and add-ons belong to the line. */
+export const OPTION_FIELDS = ['mfr', 'desc', 'dimensions', 'unitPrice', 'netCost', 'markup', 'listPrice', 'discount', 'priceBreaks', 'currency', 'leadTime', 'notes', 'specs'];
+
+/**
+ * Whether an item has any alternates.
+ * @param {Object} item - Line item
+ * @returns {boolean}
+ */
+export const hasAlternates = (item) => Array.isArray(item.alternates) && item.alternates.length > 0;
+
+/**
+ * Copies the option fields of a record.
+ * @param {Object} record - Line item or alternate
+ * @returns {Object}
+ */
+const pickOption = (record) => Object.fromEntries(
+    OPTION_FIELDS.filter(field => record[field] !== undefined).map(field => [field, record[field]])
+);
+
+/**
+ * Creates a blank alternate priced in the same currency as the item.
+ * @param {string} id - Option id
+ * @param {Object} item - Line item the alternate is added to
+ * @returns {Object}
+ */
+export const createAlternate = (id, item) => ({
+    id,
+    mfr: '',
+    desc: '',
+    dimensions: '',
+    unitPrice: 0,
+    leadTime: '',
+    notes: '',
+    specs: { detailedDescription: '', attachments: [] },
+    ...(item.currency && { currency: item.currency })
+});
+
+/**
+ * Lists every option of an item, base first.
+ * @param {Object} item - Line item
+ * @returns {Array<Object>} Options with `isSelected` and `isBase` flags
+ */
+export const getItemOptions = (item) => {
+    const alternates = item.alternates || [];
+    const selected = { ...pickOption(item), id: item.optionId || null, isSelected: true, isBase: !alternates.some(alt => alt.isBase) };
+    const options = [selected, ...alternates.map(alt => ({ ...alt, isSelected: false, isBase: alt.isBase === true }))];
+    return [...options.filter(option => option.isBase), ...options.filter(option => !option.isBase)];
+};
+
+/**
+ * Makes an alternate the selected option. The previously selected option
+ * takes its place in the list of alternates.
+ * @param {Object} item - Line item
+ * @param {string} alternateId - Alternate to select
+ * @param {Function} createId - Creates an id for the current option when it has none
+ * @returns {Object} Updated item; its net cost based price may need re-deriving
+ */
+export const selectAlternate = (item, alternateId, createId) => {
+    const chosen = (item.alternates || []).find(alt => alt.id === alternateId);
+    if (!chosen) return item;
+
+    const currentIsBase = !item.alternates.some(alt => alt.isBase);
+    const current = { id: item.optionId || createId(), ...pickOption(item), ...(currentIsBase && { isBase: true }) };
+    const { id, isBase: _isBase, ...fields } = chosen;
+    const line = Object.fromEntries(Object.entries(item).filter(([key]) => !OPTION_FIELDS.includes(key)));
+
+    return {
+        ...line,
+        ...fields,
+        optionId: id,
+        alternates: item.alternates.map(alt => (alt.id === alternateId ? current : alt))
+    };
+};
+
+/**
+ * Merchandise total of an option at the line's quantity, in the base currency.
+ * Options with a list price or net cost are priced like the line would be,
+ * including quantity breaks and the section and project markup.
+ * @param {Object} option - Option from getItemOptions()
+ * @param {Object} item - Line item (qty)
+ * @param {Object} category - Category containing the item
+ * @param {Object} projectInfo - Project information (currency, exchangeRates, markup)
+ * @returns {number}
+ */
+export const getOptionTotal = (option, item, category, projectInfo) =>
+    getItemBaseTotal(priceItem({ ...option, qty: item.qty }, category, projectInfo), projectInfo);
+
+/**
+ * Builds the alternates report: every item with alternates, its options and
+ * their deltas against the base option. Add-ons and tax are not included.
+ * @param {Array} categories - Budget categories with items
+ * @param {Object} projectInfo - Project information (currency, exchangeRates, markup)
+ * @returns {{rows: Array<{category: Object, item: Object, options: Array}>, selectedDelta: number, lowestDelta: number}}
+ *   Rows with each option's `total` and `delta`; the total delta of the
+ *   selected options, and of the lowest-priced option on every line
+ */
+export const buildAlternatesReport = (categories, projectInfo) => {
+    const rows = [];
+    let selectedDelta = 0;
+    let lowestDelta = 0;
+
+    categories.forEach(category => {
+        category.items.filter(hasAlternates).forEach(item => {
+            const priced = getItemOptions(item).map(option => ({ ...option, total: getOptionTotal(option, item, category, projectInfo) }));
+            const baseTotal = priced[0].total;
+            const options = priced.map(option => ({ ...option, delta: option.total - baseTotal }));
+            selectedDelta += options.find(option => option.isSelected).delta;
+            lowestDelta += Math.min(...options.map(option => option.delta));
+            rows.push({ category, item, options });
+        });
+    });
+
+    return { rows, selectedDelta, lowestDelta };
+};
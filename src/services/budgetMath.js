@@ -0,0 +1,539 @@
+/**
+ * Budget Math Service
+ * Pure calculation and formatting helpers shared by the budget grid,
+ * dashboard, exports and read-only views such as revisions.
+ *
+ * Unit prices and net costs are in the item's currency; totals are in the
+ * project's base currency (see currency.js). Every amount is calculated in
+ * whole cents (see money.js): line totals, conversions, add-ons and tax are
+ * each rounded to the cent, and totals are integer sums of them.
+ */
+
+import { DEFAULT_CURRENCY, toBaseCurrency } from './currency';
+import { getProjectKeyCount } from './roomTypes';
+import { toMinor, fromMinor, roundMinor, roundMoney, allocateMinor, getTaxRounding } from './money';
+
+/**
+ * Format Currency Helper
+ * Converts numeric values to currency format, without decimal places unless
+ * asked for (see getDisplayDecimals() in money.js).
+ * Uses the browser's built-in Intl.NumberFormat for localization.
+ *
+ * @param {number} val - Numeric value to format
+ * @param {string} [currency='USD'] - ISO 4217 code, usually the project's base currency
+ * @param {number} [decimals=0] - Decimal places: 0 for whole units, 2 for cents
+ * @returns {string} Formatted currency string (e.g., "$1,234", "€1,234.50")
+ */
+export const formatCurrency = (val, currency = DEFAULT_CURRENCY, decimals = 0) => {
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals,
+    }).format(val);
+};
+
+/**
+ * Line total for a single item (qty × unit price), in the item's currency,
+ * rounded to the cent.
+ * @param {Object} item - Line item
+ * @returns {number}
+ */
+export const getItemTotal = (item) => fromMinor(roundMinor(toMinor(item.unitPrice) * (Number(item.qty) || 0)));
+
+/**
+ * Line total for a single item converted to the base currency, rounded to the cent.
+ * @param {Object} item - Line item
+ * @param {Object} projectInfo - Project information (currency, exchangeRates)
+ * @returns {number}
+ */
+export const getItemBaseTotal = (item, projectInfo) => roundMoney(toBaseCurrency(getItemTotal(item), item, projectInfo));
+
+/**
+ * Whether an item is priced from a net cost plus markup.
+ * Items without one are priced directly through their unit price.
+ * @param {Object} item - Line item
+ * @returns {boolean}
+ */
+export const hasNetCost = (item) => typeof item.netCost === 'number';
+
+/**
+ * Whether an item is priced from a vendor list price less a trade discount.
+ * Its net cost is then derived from the list price, the discount and the
+ * quantity breaks (see getVendorNetPrice()).
+ * @param {Object} item - Line item
+ * @returns {boolean}
+ */
+export const hasListPrice = (item) => typeof item.listPrice === 'number';
+
+/**
+ * Resolves the trade discount for an item's quantity: the discount of the
+ * highest quantity break the quantity reaches, else the item's own discount.
+ * @param {Object} item - Line item (qty, discount, priceBreaks)
+ * @returns {number} Discount percentage off list
+ */
+export const getItemDiscount = (item) => {
+    const qty = Number(item.qty) || 0;
+    const reached = (item.priceBreaks || [])
+        .filter(pb => qty >= pb.minQty)
+        .sort((a, b) => b.minQty - a.minQty)[0];
+    return reached ? reached.discount : Number(item.discount) || 0;
+};
+
+/**
+ * Vendor net price per unit: list price less the discount for the item's
+ * quantity, rounded to cents.
+ * @param {Object} item - Line item with a listPrice
+ * @returns {number}
+ */
+export const getVendorNetPrice = (item) =>
+    fromMinor(roundMinor(toMinor(item.listPrice) * (1 - Math.min(getItemDiscount(item), 100) / 100)));
+
+/**
+ * Resolves the markup percentage that applies to an item.
+ * An item's own markup wins, then its category's, then the project's.
+ * @param {Object} item - Line item
+ * @param {Object} category - Category containing the item
+ * @param {Object} projectInfo - Project information (markup)
+ * @returns {number} Markup percentage
+ */
+export const getItemMarkup = (item, category, projectInfo) => {
+    if (typeof item.markup === 'number') return item.markup;
+    if (typeof category?.markup === 'number') return category.markup;
+    return Number(projectInfo.markup) || 0;
+};
+
+/**
+ * Client sell price for a net cost, rounded to cents.
+ * @param {number} netCost - Unit net cost
+ * @param {number} markup - Markup percentage
+ * @returns {number}
+ */
+export const getSellPrice = (netCost, markup) => fromMinor(roundMinor(toMinor(netCost) * (1 + markup / 100)));
+
+/** Item fields its price is derived from; changing one re-derives the net cost and unit price. */
+export const PRICING_FIELDS = ['netCost', 'markup', 'listPrice', 'discount', 'priceBreaks'];
+
+/**
+ * Re-derives an item's net cost from its list price, discount and quantity
+ * breaks, and its unit price from its net cost and markup.
+ * @param {Object} item - Line item
+ * @param {Object} category - Category containing the item
+ * @param {Object} projectInfo - Project information (markup)
+ * @returns {Object} The same item when its price is already current, otherwise an updated copy
+ */
+export const priceItem = (item, category, projectInfo) => {
+    const netCost = hasListPrice(item) ? getVendorNetPrice(item) : item.netCost;
+    if (typeof netCost !== 'number') return item;
+    const unitPrice = getSellPrice(netCost, getItemMarkup(item, category, projectInfo));
+    return unitPrice === item.unitPrice && netCost === item.netCost ? item : { ...item, netCost, unitPrice };
+};
+
+/**
+ * Re-derives every marked-up unit price, e.g. after a category or project markup changes.
+ * @param {Array} categories - Budget categories with items
+ * @param {Object} projectInfo - Project information (markup)
+ * @returns {Array} Categories; unchanged categories keep their identity
+ */
+export const applyPricing = (categories, projectInfo) => categories.map(cat => {
+    const items = cat.items.map(item => priceItem(item, cat, projectInfo));
+    return items.every((item, idx) => item === cat.items[idx]) ? cat : { ...cat, items };
+});
+
+/**
+ * Net cost of a line (qty × net cost), in the item's currency, rounded to the cent.
+ * Items without a net cost count at their unit price.
+ * @param {Object} item - Line item
+ * @returns {number}
+ */
+export const getItemCostTotal = (item) =>
+    fromMinor(roundMinor(toMinor(hasNetCost(item) ? item.netCost : item.unitPrice) * (Number(item.qty) || 0)));
+
+/**
+ * Cost add-ons charged on top of a line's merchandise total.
+ * Each is entered as a flat amount for the line (in the base currency)
+ * or a percentage of it.
+ */
+export const ADD_ON_TYPES = [
+    { id: 'freight', label: 'Freight' },
+    { id: 'receiving', label: 'Receiving' },
+    { id: 'install', label: 'Installation' }
+];
+
+/**
+ * Project-level add-on defaults used when an item has no override.
+ * @returns {Object<string, {mode: 'flat'|'percent', value: number, taxable: boolean}>}
+ */
+export const createDefaultAddOns = () => Object.fromEntries(
+    ADD_ON_TYPES.map(type => [type.id, { mode: 'percent', value: 0, taxable: false }])
+);
+
+/**
+ * Add-on amounts for one item, each rounded to the cent.
+ * An item's own setting (item.addOns[type]) replaces the project default.
+ * @param {Object} item - Line item
+ * @param {Object} projectInfo - Project information (addOns defaults, currency, exchangeRates)
+ * @returns {Object<string, number>} Amount per add-on type id, in the base currency
+ */
+export const getItemAddOns = (item, projectInfo) => {
+    const lineTotal = toMinor(getItemBaseTotal(item, projectInfo));
+    return Object.fromEntries(ADD_ON_TYPES.map(type => {
+        const setting = item.addOns?.[type.id] || projectInfo.addOns?.[type.id];
+        const value = Number(setting?.value) || 0;
+        const amount = setting?.mode === 'flat' ? toMinor(value) : roundMinor(lineTotal * value / 100);
+        return [type.id, fromMinor(amount)];
+    }));
+};
+
+/**
+ * Sum of all add-ons for one item.
+ * @param {Object} item - Line item
+ * @param {Object} projectInfo - Project information (addOns defaults)
+ * @returns {number}
+ */
+export const getItemAddOnTotal = (item, projectInfo) => {
+    const amounts = getItemAddOns(item, projectInfo);
+    return fromMinor(ADD_ON_TYPES.reduce((sum, type) => sum + toMinor(amounts[type.id]), 0));
+};
+
+/** Id of the built-in tax class whose rate is `projectInfo.salesTaxRate`. */
+export const STANDARD_TAX_CLASS_ID = 'standard';
+
+/**
+ * Lists the project's tax classes, starting with the standard sales tax.
+ * @param {Object} projectInfo - Project information (salesTaxRate, taxClasses)
+ * @returns {Array<{id: string, name: string, rate: number}>}
+ */
+export const getTaxClasses = (projectInfo) => [
+    { id: STANDARD_TAX_CLASS_ID, name: 'Sales Tax', rate: Number(projectInfo.salesTaxRate) || 0 },
+    ...(projectInfo.taxClasses || []).map(tc => ({ ...tc, rate: Number(tc.rate) || 0 }))
+];
+
+/**
+ * Resolves the tax class that applies to an item.
+ * An item's own class wins, then its category's, then the standard class.
+ * Classes that no longer exist fall back to the next level.
+ * @param {Object} item - Line item
+ * @param {Object} category - Category containing the item
+ * @param {Array} taxClasses - Classes from getTaxClasses()
+ * @returns {Object|null} Tax class, or null when the item is not taxable
+ */
+export const getItemTaxClass = (item, category, taxClasses) => {
+    if (item.isTaxable === false) return null;
+    const byId = (id) => id && taxClasses.find(tc => tc.id === id);
+    return byId(item.taxClassId) || byId(category?.taxClassId) || taxClasses[0];
+};
+
+/**
+ * Exact tax on a taxable amount, before rounding. With tax-inclusive (VAT)
+ * pricing this is the tax contained in the amount rather than added to it.
+ * @param {number} taxable - Taxable amount in minor units
+ * @param {number} rate - Tax rate as percentage
+ * @param {boolean} inclusive - Whether prices include tax
+ * @returns {number} Fractional minor units
+ */
+const getExactTax = (taxable, rate, inclusive) => (inclusive ? taxable * rate / (100 + rate) : taxable * rate / 100);
+
+/**
+ * Amount of a line that is taxed: its merchandise plus the add-ons whose
+ * type is marked taxable.
+ * @param {Object} item - Line item
+ * @param {Object} projectInfo - Project information
+ * @returns {number} Minor units
+ */
+const getItemTaxableMinor = (item, projectInfo) => {
+    const addOns = getItemAddOns(item, projectInfo);
+    return ADD_ON_TYPES.reduce(
+        (sum, type) => (projectInfo.addOns?.[type.id]?.taxable ? sum + toMinor(addOns[type.id]) : sum),
+        toMinor(getItemBaseTotal(item, projectInfo))
+    );
+};
+
+/**
+ * Tax on one line, rounded to the cent, at its tax class. Under the per
+ * invoice rounding rule the budget's tax may differ from the sum of these
+ * by a few cents.
+ * @param {Object} item - Line item
+ * @param {Object} category - Category containing the item
+ * @param {Object} projectInfo - Project information
+ * @returns {number} Tax in the base currency; 0 when the item is not taxable
+ */
+export const getItemTax = (item, category, projectInfo) => {
+    const taxClass = getItemTaxClass(item, category, getTaxClasses(projectInfo));
+    if (!taxClass) return 0;
+    return fromMinor(roundMinor(getExactTax(getItemTaxableMinor(item, projectInfo), taxClass.rate, projectInfo.pricesIncludeTax === true)));
+};
+
+/**
+ * Kinds of calculated adjustment line, e.g. "Design contingency 5%" or
+ * "Escalation 3% per year to the install date".
+ */
+export const ADJUSTMENT_KINDS = [
+    { id: 'percent', label: '% of Subtotal' },
+    { id: 'escalation', label: '% per Year' }
+];
+
+/**
+ * Creates a new adjustment line: 5% of every section, taxable at the
+ * standard sales tax rate and counted against the allowance.
+ * @param {string} id - Record id
+ * @returns {Object}
+ */
+export const createAdjustment = (id) => ({
+    id,
+    name: 'Contingency',
+    kind: 'percent',
+    rate: 5,
+    toDate: '',
+    categoryIds: [],
+    isTaxable: true,
+    countsAgainstAllowance: true
+});
+
+/**
+ * Years between the project date and an escalation line's target date.
+ * @param {string} fromDate - Pricing date (YYYY-MM-DD)
+ * @param {string} toDate - Target date, e.g. the install date (YYYY-MM-DD)
+ * @returns {number} Fractional years, 0 when either date is missing or the target has passed
+ */
+export const getEscalationYears = (fromDate, toDate) => {
+    const days = (Date.parse(toDate) - Date.parse(fromDate)) / 86400000;
+    return days > 0 ? days / 365.25 : 0;
+};
+
+/**
+ * Amount of one adjustment line.
+ * A percentage line is rate % of its basis. An escalation line compounds
+ * rate % per year from the project date to its target date.
+ * @param {Object} adjustment - Adjustment line
+ * @param {number} basis - Subtotal of the sections it applies to
+ * @param {Object} projectInfo - Project information (date)
+ * @returns {number}
+ */
+export const getAdjustmentAmount = (adjustment, basis, projectInfo) => {
+    const rate = (Number(adjustment.rate) || 0) / 100;
+    if (adjustment.kind === 'escalation') {
+        return basis * (Math.pow(1 + rate, getEscalationYears(projectInfo.date, adjustment.toDate)) - 1);
+    }
+    return basis * rate;
+};
+
+/**
+ * Label for an adjustment line as shown on totals, e.g. "Contingency (5%)"
+ * or "Escalation (3%/yr to 2027-06-01)".
+ * @param {Object} adjustment - Adjustment line
+ * @returns {string}
+ */
+export const describeAdjustment = (adjustment) => {
+    const rate = Number(adjustment.rate) || 0;
+    return adjustment.kind === 'escalation'
+        ? `${adjustment.name} (${rate}%/yr${adjustment.toDate ? ` to ${adjustment.toDate}` : ''})`
+        : `${adjustment.name} (${rate}%)`;
+};
+
+/**
+ * Budget Totals Calculation
+ *
+ * All amounts are in the base currency; items priced in another currency are
+ * converted at the project's exchange rates. Unit prices are re-derived from
+ * list prices, discounts, quantity breaks and markups (see priceItem()). Sums are taken in integer minor
+ * units, so every figure is a whole number of cents and adds up exactly.
+ *
+ * Calculations:
+ * - categoryMerchandise: Sum of line totals (qty × unit price) within each category
+ * - categoryAddOns: Freight, receiving and installation within each category
+ * - categoryTotals: Merchandise plus add-ons for each category
+ * - merchandiseTotal / addOnTotals: The same buckets across all categories
+ * - costTotal: Net cost of the merchandise (unit price for items without a net cost)
+ * - markupTotal: Merchandise sell price less its net cost (the design fee earned on markup)
+ * - grandTotal: Sum of all categories, before tax when prices exclude tax
+ * - taxByClass: Taxable amount and tax for each tax class in use. Add-ons are
+ *   taxed at their item's class when their type is marked taxable. With the
+ *   'line' rounding rule each line's tax is rounded and summed; with
+ *   'invoice' each class's tax is rounded once on its taxable total.
+ * - tax: Sum of taxByClass. With tax-inclusive (VAT) pricing this is the
+ *   tax already contained in the prices rather than tax added on top.
+ * - totalWithTax: Grand total plus adjustments, including tax
+ * - variance: Difference between allowance and budgetedTotal (positive = under budget)
+ * - categoryTax / categoryTotalsWithTax: Each category's share of the tax and
+ *   its total including tax; with the adjustment lines they sum to tax
+ *   and totalWithTax. Per invoice, each class's tax is shared out in
+ *   proportion to the exact tax of each category and adjustment line.
+ * - categoryVariance: Category allowance less its total with tax, or null
+ *   when the category has no allowance of its own
+ * - allocatedAllowance: Sum of the category allowances
+ * - adjustments: Each calculated adjustment line with its basis (the pre-tax
+ *   subtotal of all or selected categories), amount and tax. Taxable lines
+ *   are taxed at the standard sales tax rate.
+ * - adjustmentTotal: Sum of the adjustment amounts
+ * - budgetedTotal: The part of totalWithTax counted against the allowance,
+ *   i.e. without adjustment lines excluded from it
+ *
+ * @param {Array} categories - Budget categories with items
+ * @param {Object} projectInfo - Project information (allowance, salesTaxRate, taxClasses, pricesIncludeTax, taxRounding, addOns, markup, currency, exchangeRates, adjustments, date)
+ * @returns {Object} Object containing all calculated totals
+ */
+export const calculateTotals = (categories, projectInfo) => {
+    const categoryTotals = {};
+    const categoryMerchandise = {};
+    const categoryAddOns = {};
+    const addOnTotals = Object.fromEntries(ADD_ON_TYPES.map(type => [type.id, 0]));
+    const categoryTax = {};
+    const categoryTotalsWithTax = {};
+    const categoryVariance = {};
+
+    if (!categories || !Array.isArray(categories)) {
+        return {
+            categoryTotals, categoryMerchandise, categoryAddOns, merchandiseTotal: 0, addOnTotals,
+            costTotal: 0, markupTotal: 0, grandTotal: 0, taxByClass: [], tax: 0, totalWithTax: 0, variance: 0,
+            categoryTax, categoryTotalsWithTax, categoryVariance, allocatedAllowance: 0,
+            adjustments: [], adjustmentTotal: 0, budgetedTotal: 0
+        };
+    }
+
+    // Running totals in minor units
+    let grandTotal = 0;
+    let merchandiseTotal = 0;
+    let costTotal = 0;
+    const catTotals = {};
+    const taxClasses = getTaxClasses(projectInfo);
+    const taxableByClass = {};
+    const inclusive = projectInfo.pricesIncludeTax === true;
+    // Exact (unrounded) tax per line and per adjustment line, rounded below
+    const taxParts = [];
+
+    // Calculate subtotal for each category
+    categories.forEach(cat => {
+        const catAddOns = Object.fromEntries(ADD_ON_TYPES.map(type => [type.id, 0]));
+        let catMerchandise = 0;
+        let catSum = 0;
+
+        (Array.isArray(cat.items) ? cat.items : []).map(item => priceItem(item, cat, projectInfo)).forEach(item => {
+            const itemTotal = toMinor(getItemBaseTotal(item, projectInfo));
+            const itemAddOns = getItemAddOns(item, projectInfo);
+            const taxClass = getItemTaxClass(item, cat, taxClasses);
+
+            ADD_ON_TYPES.forEach(type => {
+                const amount = toMinor(itemAddOns[type.id]);
+                catAddOns[type.id] += amount;
+                catSum += amount;
+            });
+            if (taxClass) {
+                const taxable = getItemTaxableMinor(item, projectInfo);
+                taxableByClass[taxClass.id] = (taxableByClass[taxClass.id] || 0) + taxable;
+                taxParts.push({ categoryId: cat.id, classId: taxClass.id, exact: getExactTax(taxable, taxClass.rate, inclusive) });
+            }
+            catMerchandise += itemTotal;
+            catSum += itemTotal;
+            costTotal += toMinor(toBaseCurrency(getItemCostTotal(item), item, projectInfo));
+        });
+
+        catTotals[cat.id] = catSum;
+        categoryMerchandise[cat.id] = fromMinor(catMerchandise);
+        categoryTotals[cat.id] = fromMinor(catSum);
+        categoryAddOns[cat.id] = Object.fromEntries(ADD_ON_TYPES.map(type => [type.id, fromMinor(catAddOns[type.id])]));
+        merchandiseTotal += catMerchandise;
+        ADD_ON_TYPES.forEach(type => { addOnTotals[type.id] += catAddOns[type.id]; });
+        grandTotal += catSum;
+    });
+
+    // Calculate adjustment lines from the category subtotals. Sections that
+    // were deleted add nothing, so an adjustment whose sections are all gone
+    // has a zero basis rather than falling back to the whole budget.
+    const categoryIds = new Set(categories.map(cat => cat.id));
+    const adjustmentLines = (projectInfo.adjustments || []).map(adj => {
+        const basis = adj.categoryIds?.length > 0
+            ? adj.categoryIds.filter(id => categoryIds.has(id)).reduce((sum, id) => sum + catTotals[id], 0)
+            : grandTotal;
+        const amount = roundMinor(getAdjustmentAmount(adj, basis, projectInfo));
+        if (adj.isTaxable) {
+            taxableByClass[STANDARD_TAX_CLASS_ID] = (taxableByClass[STANDARD_TAX_CLASS_ID] || 0) + amount;
+            taxParts.push({ adjustmentId: adj.id, classId: STANDARD_TAX_CLASS_ID, exact: getExactTax(amount, taxClasses[0].rate, inclusive) });
+        }
+        return { adj, basis, amount };
+    });
+
+    // Round the tax: each part on its own, or each class once and shared out over its parts
+    if (getTaxRounding(projectInfo) === 'line') {
+        taxParts.forEach(part => { part.tax = roundMinor(part.exact); });
+    } else {
+        taxClasses.forEach(tc => {
+            const parts = taxParts.filter(part => part.classId === tc.id);
+            const classTax = roundMinor(parts.reduce((sum, part) => sum + part.exact, 0));
+            allocateMinor(classTax, parts.map(part => part.exact)).forEach((tax, idx) => { parts[idx].tax = tax; });
+        });
+    }
+    const sumTax = (predicate) => taxParts.filter(predicate).reduce((sum, part) => sum + part.tax, 0);
+
+    let allocatedAllowance = 0;
+    categories.forEach(cat => {
+        const catTax = sumTax(part => part.categoryId === cat.id);
+        const withTax = inclusive ? catTotals[cat.id] : catTotals[cat.id] + catTax;
+        categoryTax[cat.id] = fromMinor(catTax);
+        categoryTotalsWithTax[cat.id] = fromMinor(withTax);
+        if (typeof cat.allowance === 'number') {
+            allocatedAllowance += toMinor(cat.allowance);
+            categoryVariance[cat.id] = fromMinor(toMinor(cat.allowance) - withTax);
+        } else {
+            categoryVariance[cat.id] = null;
+        }
+    });
+
+    const adjustments = adjustmentLines.map(({ adj, basis, amount }) => ({
+        ...adj,
+        basis: fromMinor(basis),
+        amount: fromMinor(amount),
+        tax: fromMinor(adj.isTaxable ? sumTax(part => part.adjustmentId === adj.id) : 0)
+    }));
+    const adjustmentTotal = adjustmentLines.reduce((sum, line) => sum + line.amount, 0);
+    const excluded = adjustmentLines
+        .filter(line => line.adj.countsAgainstAllowance === false)
+        .reduce((sum, line) => sum + line.amount + (inclusive ? 0 : toMinor(adjustments.find(a => a.id === line.adj.id).tax)), 0);
+
+    // Calculate tax per class and final totals
+    const taxByClass = taxClasses
+        .filter(tc => taxableByClass[tc.id])
+        .map(tc => ({ ...tc, taxable: fromMinor(taxableByClass[tc.id]), tax: fromMinor(sumTax(part => part.classId === tc.id)) }));
+    const tax = sumTax(() => true);
+    const totalWithTax = grandTotal + adjustmentTotal + (inclusive ? 0 : tax);
+    const budgetedTotal = totalWithTax - excluded;
+
+    return {
+        categoryTotals, categoryMerchandise, categoryAddOns, merchandiseTotal: fromMinor(merchandiseTotal),
+        addOnTotals: Object.fromEntries(ADD_ON_TYPES.map(type => [type.id, fromMinor(addOnTotals[type.id])])),
+        costTotal: fromMinor(costTotal), markupTotal: fromMinor(merchandiseTotal - costTotal), grandTotal: fromMinor(grandTotal),
+        taxByClass, tax: fromMinor(tax), totalWithTax: fromMinor(totalWithTax),
+        variance: fromMinor(toMinor(projectInfo.allowance) - budgetedTotal),
+        categoryTax, categoryTotalsWithTax, categoryVariance, allocatedAllowance: fromMinor(allocatedAllowance),
+        adjustments, adjustmentTotal: fromMinor(adjustmentTotal), budgetedTotal: fromMinor(budgetedTotal)
+    };
+};
+
+/**
+ * Benchmark metrics for hospitality owners: cost per key and per square foot.
+ * Costs are totals including tax and adjustment lines; section costs include
+ * their share of the tax. Metrics are null when the key count or area is not set.
+ *
+ * @param {Object} totals - Result of calculateTotals()
+ * @param {Array} categories - Budget categories (area)
+ * @param {Object} projectInfo - Project information (keyCount, roomTypes, area)
+ * @returns {{keyCount: number, area: number, costPerKey: number|null, costPerArea: number|null,
+ *   categories: Object<string, {area: number|null, costPerKey: number|null, costPerArea: number|null}>}}
+ */
+export const calculateCostMetrics = (totals, categories, projectInfo) => {
+    const keyCount = getProjectKeyCount(projectInfo);
+    const area = Number(projectInfo.area) || 0;
+    const per = (cost, divisor) => (divisor > 0 ? cost / divisor : null);
+
+    return {
+        keyCount,
+        area,
+        costPerKey: per(totals.totalWithTax, keyCount),
+        costPerArea: per(totals.totalWithTax, area),
+        categories: Object.fromEntries(categories.map(cat => {
+            const cost = totals.categoryTotalsWithTax[cat.id] || 0;
+            const catArea = typeof cat.area === 'number' ? cat.area : null;
+            return [cat.id, { area: catArea, costPerKey: per(cost, keyCount), costPerArea: per(cost, catArea) }];
+        }))
+    };
+};
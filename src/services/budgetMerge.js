@@ -0,0 +1,168 @@
+/**
+ * Budget Merge Service
+ * Three-way merge of budget categories and items.
+ *
+ * Used when the open file was changed by someone else since it was read:
+ *   base   - The categories as they were when the file was last read or written
+ *   ours   - The categories currently in the editor
+ *   theirs - The categories now stored in the file
+ *
+ * Records are matched by id. A change made on only one side is resolved
+ * automatically; a record changed differently on both sides is a conflict
+ * that the user resolves. All inputs are serialized categories (no icons).
+ */
+
+/**
+ * Structural equality for plain JSON-like values.
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+const isEqual = (a, b) => {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+    return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+};
+
+/** Category fields compared on their own; items are compared one by one. */
+const categoryMeta = (cat) => {
+    if (!cat) return cat;
+    const { items: _items, ...meta } = cat;
+    return meta;
+};
+
+/**
+ * Decides how one record merges.
+ * @param {any} base - Record in the base version, or undefined
+ * @param {any} ours - Record in the editor, or undefined
+ * @param {any} theirs - Record in the file, or undefined
+ * @returns {{resolution: 'ours'|'theirs', conflict: boolean}|null} Null when both sides agree
+ */
+const resolveRecord = (base, ours, theirs) => {
+    if (isEqual(ours, theirs)) return null;
+    if (isEqual(base, ours)) return { resolution: 'theirs', conflict: false };
+    if (isEqual(base, theirs)) return { resolution: 'ours', conflict: false };
+    return { resolution: 'ours', conflict: true };
+};
+
+/**
+ * Lists every category and item that differs between the editor and the file.
+ * @param {Array} base - Base categories
+ * @param {Array} ours - Editor categories
+ * @param {Array} theirs - File categories
+ * @returns {Array<{key: string, kind: 'category'|'item', categoryId: string, itemId?: string, label: string, base: any, ours: any, theirs: any, resolution: 'ours'|'theirs', conflict: boolean}>}
+ *   Differences with their default resolution. Conflicts default to 'ours'.
+ */
+export const diffBudgets = (base, ours, theirs) => {
+    const changes = [];
+    const byId = (list) => new Map(list.map(record => [record.id, record]));
+    const baseCats = byId(base);
+    const ourCats = byId(ours);
+    const theirCats = byId(theirs);
+    const categoryIds = [...new Set([...ourCats.keys(), ...theirCats.keys()])];
+
+    categoryIds.forEach(categoryId => {
+        const baseCat = baseCats.get(categoryId);
+        const ourCat = ourCats.get(categoryId);
+        const theirCat = theirCats.get(categoryId);
+        const title = (ourCat || theirCat).title;
+
+        // Added or removed on one side: the whole section is one change
+        if (!ourCat || !theirCat) {
+            const result = resolveRecord(baseCat, ourCat, theirCat);
+            if (result) {
+                changes.push({ key: `category:${categoryId}`, kind: 'category', categoryId, label: title, base: baseCat, ours: ourCat, theirs: theirCat, ...result });
+            }
+            return;
+        }
+
+        const metaResult = resolveRecord(categoryMeta(baseCat), categoryMeta(ourCat), categoryMeta(theirCat));
+        if (metaResult) {
+            changes.push({
+                key: `category:${categoryId}`, kind: 'category', categoryId, label: title,
+                base: categoryMeta(baseCat), ours: categoryMeta(ourCat), theirs: categoryMeta(theirCat), ...metaResult
+            });
+        }
+
+        const baseItems = byId(baseCat?.items || []);
+        const ourItems = byId(ourCat.items);
+        const theirItems = byId(theirCat.items);
+        const itemIds = [...new Set([...ourItems.keys(), ...theirItems.keys()])];
+
+        itemIds.forEach(itemId => {
+            const baseItem = baseItems.get(itemId);
+            const ourItem = ourItems.get(itemId);
+            const theirItem = theirItems.get(itemId);
+            const result = resolveRecord(baseItem, ourItem, theirItem);
+            if (result) {
+                changes.push({
+                    key: `item:${categoryId}:${itemId}`, kind: 'item', categoryId, itemId,
+                    label: (ourItem || theirItem).desc || 'Untitled item',
+                    base: baseItem, ours: ourItem, theirs: theirItem, ...result
+                });
+            }
+        });
+    });
+
+    return changes;
+};
+
+/**
+ * Inserts a record after its predecessor in a reference list, or appends it.
+ * @param {Array} list - List to insert into
+ * @param {Object} record - Record to insert
+ * @param {Array} reference - List that defines the record's position
+ * @returns {Array} New list
+ */
+const insertInOrder = (list, record, reference) => {
+    const refIndex = reference.findIndex(r => r.id === record.id);
+    for (let i = refIndex - 1; i >= 0; i--) {
+        const at = list.findIndex(r => r.id === reference[i].id);
+        if (at !== -1) return [...list.slice(0, at + 1), record, ...list.slice(at + 1)];
+    }
+    return refIndex === 0 ? [record, ...list] : [...list, record];
+};
+
+/**
+ * Builds merged categories from the editor's categories and the chosen resolutions.
+ * @param {Array} ours - Editor categories
+ * @param {Array} theirs - File categories
+ * @param {Array} changes - Changes from diffBudgets() with their final resolutions
+ * @returns {Array} Merged categories
+ */
+export const mergeBudgets = (ours, theirs, changes) => {
+    let merged = ours.map(cat => ({ ...cat, items: [...cat.items] }));
+
+    changes.filter(change => change.resolution === 'theirs').forEach(change => {
+        const { categoryId } = change;
+
+        if (change.kind === 'category') {
+            if (!change.theirs) {
+                merged = merged.filter(cat => cat.id !== categoryId);
+            } else if (!change.ours) {
+                merged = insertInOrder(merged, theirs.find(cat => cat.id === categoryId), theirs);
+            } else {
+                merged = merged.map(cat => (cat.id === categoryId ? { ...change.theirs, items: cat.items } : cat));
+            }
+            return;
+        }
+
+        merged = merged.map(cat => {
+            if (cat.id !== categoryId) return cat;
+            if (!change.theirs) {
+                return { ...cat, items: cat.items.filter(item => item.id !== change.itemId) };
+            }
+            if (!change.ours) {
+                const theirItems = theirs.find(c => c.id === categoryId).items;
+                return { ...cat, items: insertInOrder(cat.items, change.theirs, theirItems) };
+            }
+            return { ...cat, items: cat.items.map(item => (item.id === change.itemId ? change.theirs : item)) };
+        });
+    });
+
+    return merged;
+};
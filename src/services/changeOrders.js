@@ -0,0 +1,237 @@
+/**
+ * Change Orders Service
+ * Approved baseline and the change-order log kept against it.
+ *
+ * Locking the baseline records the approved budget: its categories, totals
+ * and every line's total with tax. From then on the budget is compared with
+ * the baseline plus the change orders already recorded; whatever differs is
+ * the open change, which is issued as the next change order with a reason and
+ * later approved or rejected. Amounts are in the base currency, including tax,
+ * and are added up in whole cents (see money.js).
+ */
+
+import { getItemPayable } from './payments';
+import { toMinor, fromMinor } from './money';
+
+/** Approval states of an issued change order; new ones start as the first. */
+export const CHANGE_ORDER_STATUSES = ['Pending', 'Approved', 'Rejected'];
+
+/** Label of the line holding changes not tied to an item (adjustment lines, tax on them). */
+export const OTHER_CHANGES_LABEL = 'Contingency, fees and other project changes';
+
+/**
+ * Adds up amounts to the cent.
+ * @param {number[]} amounts - Amounts in major units
+ * @returns {number}
+ */
+const sumMoney = (amounts) => fromMinor(amounts.reduce((sum, amount) => sum + toMinor(amount), 0));
+
+/**
+ * Describes an item for change-order lines.
+ * @param {Object} item - Line item
+ * @returns {string}
+ */
+const getLineLabel = (item) => [item.mfr, item.desc].filter(Boolean).join(' · ') || 'Untitled item';
+
+/**
+ * Quantity and total with tax of every line, keyed by item id.
+ * @param {Array} categories - Budget categories with items
+ * @param {Object} projectInfo - Project information
+ * @returns {Object<string, {categoryId: string, label: string, qty: number, amount: number}>}
+ */
+export const getLineSnapshots = (categories, projectInfo) => {
+    const lines = {};
+    categories.forEach(category => {
+        category.items.forEach(item => {
+            lines[item.id] = {
+                categoryId: category.id,
+                label: getLineLabel(item),
+                qty: Number(item.qty) || 0,
+                amount: getItemPayable(item, category, projectInfo)
+            };
+        });
+    });
+    return lines;
+};
+
+/**
+ * Locks the approved baseline.
+ * @param {string} id - Baseline id
+ * @param {Array} categories - Serialized categories
+ * @param {Object} projectInfo - Project information
+ * @param {Object} totals - Totals from calculateTotals()
+ * @param {string} approvedBy - Who approved the budget
+ * @returns {Object} Baseline { id, lockedAt, approvedBy, categories, totals, lines, changeOrders }
+ */
+export const createBaseline = (id, categories, projectInfo, totals, approvedBy) => ({
+    id,
+    lockedAt: new Date().toISOString(),
+    approvedBy,
+    categories,
+    totals: {
+        grandTotal: totals.grandTotal,
+        adjustmentTotal: totals.adjustmentTotal,
+        tax: totals.tax,
+        totalWithTax: totals.totalWithTax,
+        categoryTotalsWithTax: { ...totals.categoryTotalsWithTax }
+    },
+    lines: getLineSnapshots(categories, projectInfo),
+    changeOrders: []
+});
+
+/**
+ * Change orders that count toward the recorded budget: all but the rejected ones.
+ * @param {Object} baseline - Locked baseline
+ * @returns {Array}
+ */
+const getRecordedChangeOrders = (baseline) => baseline.changeOrders.filter(co => co.status !== 'Rejected');
+
+/**
+ * Lines as last recorded: the baseline line amounts plus the line deltas of
+ * every change order that was not rejected, in order. Adding deltas rather
+ * than taking each change order's `after` snapshot keeps a rejected change
+ * on its item's line, even when a later change order changed the item again.
+ * A line is dropped once it was removed and nothing is left on it.
+ * @param {Object} baseline - Locked baseline
+ * @returns {Object<string, Object>} Line snapshots keyed by item id
+ */
+const getRecordedLines = (baseline) => {
+    const lines = { ...baseline.lines };
+    getRecordedChangeOrders(baseline).forEach(co => {
+        co.lines.forEach(line => {
+            if (line.itemId === null) return;
+            const recorded = lines[line.itemId];
+            const amount = sumMoney([recorded?.amount || 0, line.delta]);
+            if (!line.after && amount === 0) {
+                delete lines[line.itemId];
+                return;
+            }
+            lines[line.itemId] = { ...(line.after || recorded || line.before), amount };
+        });
+    });
+    return lines;
+};
+
+/**
+ * Budget total as last recorded: the baseline total plus every change order
+ * that is pending or approved. A rejected change still in the budget shows
+ * up again as open change.
+ * @param {Object} baseline - Locked baseline
+ * @returns {number}
+ */
+export const getRecordedTotal = (baseline) =>
+    sumMoney([baseline.totals.totalWithTax, ...getRecordedChangeOrders(baseline).map(co => co.delta)]);
+
+/**
+ * Cost changes made since the last change order was issued.
+ * Each changed, added or removed line is listed with its before and after
+ * snapshot; changes that belong to no line, such as adjustment lines, are
+ * collected in one line without an item.
+ *
+ * @param {Object} baseline - Locked baseline
+ * @param {Array} categories - Current categories
+ * @param {Object} projectInfo - Current project information
+ * @param {Object} totals - Current totals
+ * @returns {{delta: number, lines: Array<{itemId: string|null, categoryId: string|null, label: string, before: Object|null, after: Object|null, delta: number}>}}
+ */
+export const getOpenChange = (baseline, categories, projectInfo, totals) => {
+    const recorded = getRecordedLines(baseline);
+    const current = getLineSnapshots(categories, projectInfo);
+    const lines = [];
+
+    [...Object.keys(current), ...Object.keys(recorded).filter(id => !current[id])].forEach(itemId => {
+        const before = recorded[itemId] || null;
+        const after = current[itemId] || null;
+        const delta = sumMoney([after?.amount, -(before?.amount || 0)]);
+        if (delta === 0) return;
+        const { categoryId, label } = after || before;
+        lines.push({ itemId, categoryId, label, before, after, delta });
+    });
+
+    const delta = sumMoney([totals.totalWithTax, -getRecordedTotal(baseline)]);
+    const other = sumMoney([delta, ...lines.map(line => -line.delta)]);
+    if (other !== 0) {
+        lines.push({ itemId: null, categoryId: null, label: OTHER_CHANGES_LABEL, before: null, after: null, delta: other });
+    }
+
+    return { delta, lines };
+};
+
+/**
+ * Issues the open change as a change order awaiting approval.
+ * @param {string} id - Change order id
+ * @param {Object} baseline - Locked baseline
+ * @param {Object} change - Open change from getOpenChange()
+ * @param {string} reason - Why the budget changed
+ * @param {string} date - Issue date (YYYY-MM-DD)
+ * @returns {Object} Change order { id, number, date, reason, status, delta, lines }
+ */
+export const createChangeOrder = (id, baseline, change, reason, date) => ({
+    id,
+    number: baseline.changeOrders.reduce((max, co) => Math.max(max, co.number), 0) + 1,
+    date,
+    reason,
+    status: CHANGE_ORDER_STATUSES[0],
+    delta: change.delta,
+    lines: change.lines
+});
+
+/**
+ * Baseline versus current totals with the change orders by status.
+ * @param {Object} baseline - Locked baseline
+ * @param {Object} totals - Current totals
+ * @returns {{baselineTotal: number, approved: number, pending: number, rejected: number,
+ *   approvedTotal: number, currentTotal: number, unrecorded: number}}
+ *   approvedTotal is the baseline plus approved change orders; unrecorded is
+ *   the change not yet issued as a change order
+ */
+export const summarizeChangeOrders = (baseline, totals) => {
+    const byStatus = (status) => sumMoney(baseline.changeOrders
+        .filter(co => co.status === status)
+        .map(co => co.delta));
+    const baselineTotal = baseline.totals.totalWithTax;
+    const approved = byStatus('Approved');
+    return {
+        baselineTotal,
+        approved,
+        pending: byStatus('Pending'),
+        rejected: byStatus('Rejected'),
+        approvedTotal: sumMoney([baselineTotal, approved]),
+        currentTotal: totals.totalWithTax,
+        unrecorded: sumMoney([totals.totalWithTax, -getRecordedTotal(baseline)])
+    };
+};
+
+/**
+ * Approved budget before and after one change order, for its printed form:
+ * the baseline plus the change orders approved before it.
+ * @param {Object} baseline - Locked baseline
+ * @param {Object} changeOrder - Change order being printed
+ * @returns {{previous: number, revised: number}}
+ */
+export const getChangeOrderContext = (baseline, changeOrder) => {
+    const previous = sumMoney([baseline.totals.totalWithTax, ...baseline.changeOrders
+        .filter(co => co.number < changeOrder.number && co.status === 'Approved')
+        .map(co => co.delta)]);
+    return { previous, revised: sumMoney([previous, changeOrder.delta]) };
+};
+
+/**
+ * Combines the baselines of two versions of a document. When both locked the
+ * same baseline, change orders issued in either are kept; otherwise the
+ * editor's baseline wins. Change orders only in the changed file are
+ * renumbered after the editor's, so no two share a number.
+ * @param {Object|null} ours - Baseline in the editor
+ * @param {Object|null} theirs - Baseline in the changed file
+ * @returns {Object|null}
+ */
+export const mergeBaselines = (ours, theirs) => {
+    if (!ours || !theirs) return ours || theirs;
+    if (ours.id !== theirs.id) return ours;
+    const lastNumber = ours.changeOrders.reduce((max, co) => Math.max(max, co.number), 0);
+    const added = theirs.changeOrders
+        .filter(co => !ours.changeOrders.some(c => c.id === co.id))
+        .sort((a, b) => a.number - b.number)
+        .map((co, index) => ({ ...co, number: lastNumber + index + 1 }));
+    return { ...ours, changeOrders: [...ours.changeOrders, ...added] };
+};
@@ -0,0 +1,135 @@
+/**
+ * Currency Service
+ * Currencies, exchange rates and conversion to the project's base currency.
+ *
+ * Items may be priced in the currency they are bought in (`item.currency`);
+ * an item without one is priced in the base currency (`projectInfo.currency`).
+ * Exchange rates are entered by hand in `projectInfo.exchangeRates` as the
+ * value of one unit of a foreign currency in the base currency
+ * (e.g., { EUR: 1.08 } for a USD project). They are never fetched online.
+ */
+
+/** Base currency of new projects and of files written before currencies existed. */
+export const DEFAULT_CURRENCY = 'USD';
+
+/** Currencies offered in the pickers. Any ISO 4217 code in a file is still accepted. */
+export const CURRENCIES = [
+    { code: 'USD', name: 'US Dollar' },
+    { code: 'CAD', name: 'Canadian Dollar' },
+    { code: 'EUR', name: 'Euro' },
+    { code: 'GBP', name: 'British Pound' },
+    { code: 'DKK', name: 'Danish Krone' },
+    { code: 'SEK', name: 'Swedish Krona' },
+    { code: 'NOK', name: 'Norwegian Krone' },
+    { code: 'CHF', name: 'Swiss Franc' },
+    { code: 'MXN', name: 'Mexican Peso' },
+    { code: 'CNY', name: 'Chinese Yuan' },
+    { code: 'JPY', name: 'Japanese Yen' },
+    { code: 'AUD', name: 'Australian Dollar' }
+];
+
+/**
+ * Whether a value looks like an ISO 4217 currency code.
+ * @param {any} code
+ * @returns {boolean}
+ */
+export const isCurrencyCode = (code) => typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+
+/**
+ * Short symbol for a currency as shown before amounts (e.g., "$", "€", "DKK").
+ * @param {string} currency - ISO 4217 code
+ * @returns {string}
+ */
+export const getCurrencySymbol = (currency) =>
+    new Intl.NumberFormat('en-US', { style: 'currency', currency })
+        .formatToParts(0)
+        .find(part => part.type === 'currency')?.value || currency;
+
+/**
+ * The project's base currency.
+ * @param {Object} projectInfo - Project information (currency)
+ * @returns {string} ISO 4217 code
+ */
+export const getBaseCurrency = (projectInfo) => projectInfo?.currency || DEFAULT_CURRENCY;
+
+/**
+ * The currency an item is priced in.
+ * @param {Object} item - Line item
+ * @param {Object} projectInfo - Project information (currency)
+ * @returns {string} ISO 4217 code
+ */
+export const getItemCurrency = (item, projectInfo) => item.currency || getBaseCurrency(projectInfo);
+
+/**
+ * Value of one unit of a currency in the base currency.
+ * @param {string} currency - ISO 4217 code
+ * @param {Object} projectInfo - Project information (currency, exchangeRates)
+ * @returns {number|null} Rate, 1 for the base currency, or null when no rate is entered
+ */
+export const getExchangeRate = (currency, projectInfo) => {
+    if (!currency || currency === getBaseCurrency(projectInfo)) return 1;
+    const rate = Number(projectInfo?.exchangeRates?.[currency]);
+    return rate > 0 ? rate : null;
+};
+
+/**
+ * Converts an amount in an item's currency to the base currency.
+ * Items in a currency without a rate count at 1:1 so the totals stay usable;
+ * the grid flags them so the rate can be entered.
+ * @param {number} amount - Amount in the item's currency
+ * @param {Object} item - Line item
+ * @param {Object} projectInfo - Project information (currency, exchangeRates)
+ * @returns {number} Amount in the base currency
+ */
+export const toBaseCurrency = (amount, item, projectInfo) =>
+    amount * (getExchangeRate(getItemCurrency(item, projectInfo), projectInfo) ?? 1);
+
+/**
+ * Currencies used by items that have no exchange rate.
+ * @param {Array} categories - Budget categories with items
+ * @param {Object} projectInfo - Project information (currency, exchangeRates)
+ * @returns {string[]} ISO 4217 codes
+ */
+export const getMissingRates = (categories, projectInfo) => [...new Set(
+    categories.flatMap(cat => cat.items.map(item => getItemCurrency(item, projectInfo)))
+)].filter(code => getExchangeRate(code, projectInfo) === null);
+
+/** Symbols recognized in scraped prices. A bare "$" is read as US dollars. */
+const CURRENCY_SYMBOLS = [
+    { symbol: 'CA$', code: 'CAD' },
+    { symbol: 'C$', code: 'CAD' },
+    { symbol: 'A$', code: 'AUD' },
+    { symbol: 'US$', code: 'USD' },
+    { symbol: '€', code: 'EUR' },
+    { symbol: '£', code: 'GBP' },
+    { symbol: '¥', code: 'JPY' },
+    { symbol: '$', code: 'USD' }
+];
+
+/**
+ * Reads an amount and its currency from a price string such as
+ * "EUR 1234.00", "€1.234,00" or "$1,234". Only the first number is read, so
+ * a range like "From $1,299.99 - $1,499" gives 1299.99.
+ * @param {string} priceString - Price as found online
+ * @returns {{amount: number, currency: string|null}|null} Currency is null when none is given; null when no amount is found
+ */
+export const parsePrice = (priceString) => {
+    const text = String(priceString).trim();
+    const codeMatch = text.match(/\b([A-Z]{3})\b/);
+    const symbolMatch = CURRENCY_SYMBOLS.find(({ symbol }) => text.includes(symbol));
+    const currency = codeMatch ? codeMatch[1] : symbolMatch?.code || null;
+
+    const numberMatch = text.match(/\d[\d.,]*/);
+    if (!numberMatch) return null;
+    let digits = numberMatch[0].replace(/[.,]+$/, '');
+    // "1.234,56" and "1234,56" use a decimal comma
+    if (/,\d{1,2}$/.test(digits)) {
+        digits = digits.replace(/\./g, '').replace(',', '.');
+    } else {
+        digits = digits.replace(/,/g, '');
+    }
+    // "1.234.567" uses dots as thousands separators
+    if ((digits.match(/\./g) || []).length > 1) digits = digits.replace(/\./g, '');
+    const amount = parseFloat(digits);
+    return Number.isFinite(amount) ? { amount, currency } : null;
+};
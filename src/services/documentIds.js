@@ -0,0 +1,125 @@
+/**
+ * Document Ids Service
+ * Creates record ids and repairs duplicate ids in loaded documents.
+ *
+ * Older builds used Date.now() for item and category ids, so records created
+ * in the same millisecond could share an id and edits would hit the wrong row.
+ * New records use random UUIDs; existing files are repaired on load.
+ */
+
+import { getLineSnapshots } from './changeOrders';
+
+/**
+ * Creates a globally unique id for an item, category or attachment.
+ * @returns {string} UUID
+ */
+export const createRecordId = () => crypto.randomUUID();
+
+/**
+ * Gives a new id to every record whose id is missing or already used.
+ * The first record keeps its id so references from the rest of the
+ * document stay valid.
+ * @param {Array} records - Records with an `id` field
+ * @param {Set} seen - Ids already in use; updated in place
+ * @param {Function} createId - Returns a new id
+ * @param {Function} onRepair - Called with (record, newId) for each repair
+ * @returns {Array} Records with unique ids
+ */
+const dedupeIds = (records, seen, createId, onRepair) => records.map(record => {
+    if (record.id !== undefined && record.id !== null && record.id !== '' && !seen.has(record.id)) {
+        seen.add(record.id);
+        return record;
+    }
+    const id = createId();
+    seen.add(id);
+    onRepair(record, id);
+    return { ...record, id };
+});
+
+/**
+ * Repairs duplicate category, item and attachment ids within one set of categories.
+ * @param {Array} categories - Serialized categories
+ * @param {string} scope - Prefix for repair messages (e.g., a revision name)
+ * @param {string[]} repairs - Receives a description of each repair
+ * @param {Function} [onItemRepair] - Called with (oldId, newId) for each item given a new id
+ * @returns {Array} Categories with unique ids
+ */
+const repairCategoryIds = (categories, scope, repairs, onItemRepair = () => {}) => {
+    const categoryIds = new Set();
+    const itemIds = new Set();
+    const attachmentIds = new Set();
+
+    const describe = (message) => repairs.push(scope ? `${scope}: ${message}` : message);
+
+    return dedupeIds(categories, categoryIds, () => `cat_${createRecordId()}`, (cat) =>
+        describe(`Section "${cat.title || 'Untitled'}" was given a new id.`)
+    ).map(cat => ({
+        ...cat,
+        items: dedupeIds(cat.items, itemIds, createRecordId, (item, id) => {
+            describe(`Item "${item.desc || 'Untitled'}" in "${cat.title || 'Untitled'}" was given a new id.`);
+            onItemRepair(item.id, id);
+        }).map(item => {
+            // Alternates carry their own attachments, which share the id space
+            const repairAttachments = (record) => {
+                const attachments = record.specs?.attachments;
+                if (!attachments?.length) return record;
+                return {
+                    ...record,
+                    specs: {
+                        ...record.specs,
+                        attachments: dedupeIds(attachments, attachmentIds, createRecordId, (att) =>
+                            describe(`Attachment "${att.name}" on "${record.desc || 'Untitled'}" was given a new id.`)
+                        )
+                    }
+                };
+            };
+            const repaired = repairAttachments(item);
+            return item.alternates?.length ? { ...repaired, alternates: item.alternates.map(repairAttachments) } : repaired;
+        })
+    }));
+};
+
+/**
+ * Repairs duplicate ids in the locked baseline. Its line snapshots are keyed
+ * by item id, so the items that shared an id each get their own snapshot
+ * again, priced at the current project settings.
+ * @param {Object|null} baseline - Locked baseline
+ * @param {Object} projectInfo - Project information
+ * @param {string[]} repairs - Receives a description of each repair
+ * @returns {Object|null} Baseline with unique ids
+ */
+const repairBaselineIds = (baseline, projectInfo, repairs) => {
+    if (!baseline) return baseline;
+    const repairedIds = new Set();
+    const categories = repairCategoryIds(baseline.categories, 'Baseline', repairs, (oldId, newId) => {
+        repairedIds.add(oldId);
+        repairedIds.add(newId);
+    });
+    if (repairedIds.size === 0) return { ...baseline, categories };
+
+    const repairedItems = categories.map(cat => ({ ...cat, items: cat.items.filter(item => repairedIds.has(item.id)) }));
+    return { ...baseline, categories, lines: { ...baseline.lines, ...getLineSnapshots(repairedItems, projectInfo) } };
+};
+
+/**
+ * Repairs missing and duplicate ids in a migrated document.
+ * The current budget, each revision and the locked baseline are checked
+ * separately, since they intentionally reuse the ids of the records they
+ * captured.
+ * @param {Object} document - Migrated document
+ * @returns {{document: Object, repairs: string[]}} Repaired document and a
+ *   human-readable description of every change made
+ */
+export const repairDuplicateIds = (document) => {
+    const repairs = [];
+    const repaired = {
+        ...document,
+        categories: repairCategoryIds(document.categories, '', repairs),
+        revisions: (document.revisions || []).map(rev => ({
+            ...rev,
+            categories: repairCategoryIds(rev.categories, `Revision "${rev.name}"`, repairs)
+        })),
+        baseline: repairBaselineIds(document.baseline, document.projectInfo, repairs)
+    };
+    return { document: repaired, repairs };
+};
@@ -0,0 +1,355 @@
+/**
+ * Document Schema Service
+ * Versioning and migration pipeline for .ffe project documents.
+ *
+ * Every document loaded from disk or from the autosave draft passes through
+ * migrateDocument(), which upgrades it step by step to CURRENT_SCHEMA_VERSION.
+ * To change the document shape, bump CURRENT_SCHEMA_VERSION and append a
+ * migration whose `from` matches the previous version. Migrations that add
+ * project settings use mapDocumentProjectInfo() so that revision snapshots
+ * are upgraded too; one that changes category or item shape should use
+ * mapDocumentCategories(), which also covers the locked baseline.
+ */
+
+import { createDefaultAddOns } from './budgetMath';
+import { DEFAULT_CURRENCY } from './currency';
+import { createDefaultPaymentTerms } from './payments';
+import { DEFAULT_DISPLAY_PRECISION, DEFAULT_TAX_ROUNDING } from './money';
+
+export const CURRENT_SCHEMA_VERSION = '1.17';
+
+/** Version assumed for files written before the version field existed. */
+const LEGACY_SCHEMA_VERSION = '1.0';
+
+export const DEFAULT_TERMS = [
+    "1. Estimates are valid for 30 days from date of issue.",
+    "2. Freight and delivery charges are estimated and will be billed at actual cost.",
+    "3. A formal quote and proposal will be provided. This is a preliminary budgeting tool only."
+];
+
+/**
+ * Creates a new globally unique project id.
+ * @returns {string} UUID
+ */
+export const createProjectId = () => crypto.randomUUID();
+
+/**
+ * Applies a function to the categories of a document, of every revision
+ * snapshot it contains and of its locked baseline.
+ * @param {Object} doc - Document
+ * @param {Function} fn - Receives a categories array and returns its replacement
+ * @returns {Object} New document
+ */
+export const mapDocumentCategories = (doc, fn) => ({
+    ...doc,
+    categories: fn(doc.categories),
+    ...(Array.isArray(doc.revisions) && {
+        revisions: doc.revisions.map(rev => ({ ...rev, categories: fn(rev.categories) }))
+    }),
+    ...(doc.baseline && {
+        baseline: { ...doc.baseline, categories: fn(doc.baseline.categories) }
+    })
+});
+
+/**
+ * Applies a function to the project info of a document and of every revision
+ * snapshot it contains. Missing revisions and project info start empty.
+ * @param {Object} doc - Document
+ * @param {Function} fn - Receives a project info object and returns its replacement
+ * @returns {Object} New document
+ */
+const mapDocumentProjectInfo = (doc, fn) => ({
+    ...doc,
+    projectInfo: fn(doc.projectInfo || {}),
+    revisions: (Array.isArray(doc.revisions) ? doc.revisions : []).map(rev => ({ ...rev, projectInfo: fn(rev.projectInfo || {}) }))
+});
+
+/**
+ * Ordered list of migrations. Each entry upgrades a document from `from` to `to`.
+ * Migrations receive a document already at `from` and must not mutate it.
+ */
+const MIGRATIONS = [
+    {
+        from: '1.0',
+        to: '1.1',
+        description: 'Normalize legacy items, specs and terms',
+        migrate: (doc) => ({
+            ...doc,
+            projectInfo: {
+                ...doc.projectInfo,
+                terms: Array.isArray(doc.projectInfo.terms) ? doc.projectInfo.terms : [...DEFAULT_TERMS]
+            },
+            categories: (Array.isArray(doc.categories) ? doc.categories : []).map(cat => ({
+                ...cat,
+                // Early builds could nest item arrays; flatten them
+                items: Array.isArray(cat.items)
+                    ? cat.items.flat().map(item => ({
+                        ...item,
+                        qty: Number(item.qty) || 0,
+                        unitPrice: Number(item.unitPrice) || 0,
+                        isTaxable: item.isTaxable !== false, // Default to true
+                        specs: {
+                            detailedDescription: item.specs?.detailedDescription || '',
+                            attachments: Array.isArray(item.specs?.attachments) ? item.specs.attachments : []
+                        }
+                    }))
+                    : []
+            }))
+        })
+    },
+    {
+        from: '1.1',
+        to: '1.2',
+        // Attachments may now reference a file in the .ffe package by `path`
+        // instead of an inline `dataUrl`. Inline data remains valid, so 1.1
+        // documents need no changes.
+        description: 'Allow packaged attachments',
+        migrate: (doc) => doc
+    },
+    {
+        from: '1.2',
+        to: '1.3',
+        description: 'Assign a stable project id for per-project drafts',
+        migrate: (doc) => ({
+            ...doc,
+            projectId: doc.projectId || createProjectId()
+        })
+    },
+    {
+        from: '1.3',
+        to: '1.4',
+        description: 'Add named revision snapshots',
+        migrate: (doc) => ({
+            ...doc,
+            revisions: Array.isArray(doc.revisions) ? doc.revisions : []
+        })
+    },
+    {
+        from: '1.4',
+        to: '1.5',
+        // Items and categories may now carry a `taxClassId`; without one they
+        // use the standard sales tax rate as before.
+        description: 'Add tax classes and tax-inclusive pricing',
+        migrate: (doc) => {
+            const addTaxSettings = (info) => ({
+                ...info,
+                taxClasses: Array.isArray(info.taxClasses) ? info.taxClasses : [],
+                pricesIncludeTax: info.pricesIncludeTax === true
+            });
+            return mapDocumentProjectInfo(doc, addTaxSettings);
+        }
+    },
+    {
+        from: '1.5',
+        to: '1.6',
+        // Items may now carry `addOns` overrides; without them the project
+        // defaults apply, which start at zero so existing totals are unchanged.
+        description: 'Add freight, receiving and installation add-ons',
+        migrate: (doc) => {
+            const addDefaults = (info) => ({ ...info, addOns: info.addOns || createDefaultAddOns() });
+            return mapDocumentProjectInfo(doc, addDefaults);
+        }
+    },
+    {
+        from: '1.6',
+        to: '1.7',
+        // Items may now carry a `netCost` and `markup`; their `unitPrice`
+        // stays the sell price, so items without a net cost are unchanged.
+        description: 'Add net cost and markup pricing',
+        migrate: (doc) => {
+            const addMarkup = (info) => ({ ...info, markup: Number(info.markup) || 0 });
+            return mapDocumentProjectInfo(doc, addMarkup);
+        }
+    },
+    {
+        from: '1.7',
+        to: '1.8',
+        // Items may now carry a `currency`; without one they are priced in
+        // the base currency, which was always US dollars before.
+        description: 'Add base currency and exchange rates',
+        migrate: (doc) => {
+            const addCurrency = (info) => ({
+                ...info,
+                currency: info.currency || DEFAULT_CURRENCY,
+                exchangeRates: info.exchangeRates || {}
+            });
+            return mapDocumentProjectInfo(doc, addCurrency);
+        }
+    },
+    {
+        from: '1.8',
+        to: '1.9',
+        // Categories may now carry their own `allowance`. Without one a
+        // category only counts toward the project allowance, so 1.8
+        // documents need no changes.
+        description: 'Allow per-section allowances',
+        migrate: (doc) => doc
+    },
+    {
+        from: '1.9',
+        to: '1.10',
+        // Calculated contingency, escalation and fee lines now live in
+        // `adjustments`; documents start without any, so totals are unchanged.
+        description: 'Add calculated adjustment lines',
+        migrate: (doc) => {
+            const addAdjustments = (info) => ({ ...info, adjustments: info.adjustments || [] });
+            return mapDocumentProjectInfo(doc, addAdjustments);
+        }
+    },
+    {
+        from: '1.10',
+        to: '1.11',
+        // Items may now carry `alternates` and an `optionId`. The item's own
+        // fields remain the selected option, so 1.10 documents need no changes.
+        description: 'Allow alternates per line item',
+        migrate: (doc) => doc
+    },
+    {
+        from: '1.11',
+        to: '1.12',
+        // Guest room types and key counts now live in `roomTypes`. Documents
+        // start without any, so every quantity stays entered directly.
+        description: 'Add room types for per-room quantities',
+        migrate: (doc) => {
+            const addRoomTypes = (info) => ({ ...info, roomTypes: info.roomTypes || [] });
+            return mapDocumentProjectInfo(doc, addRoomTypes);
+        }
+    },
+    {
+        from: '1.12',
+        to: '1.13',
+        // Cost-per-key and per-square-foot metrics read `keyCount` and `area`;
+        // zero means not entered. Categories may also carry an `area`.
+        description: 'Add key count and area for cost metrics',
+        migrate: (doc) => {
+            const addFigures = (info) => ({ ...info, keyCount: info.keyCount ?? 0, area: info.area ?? 0 });
+            return mapDocumentProjectInfo(doc, addFigures);
+        }
+    },
+    {
+        from: '1.13',
+        to: '1.14',
+        // Deposit terms live in `paymentTerms`, starting at the default
+        // deposit with no vendor terms. Items may now carry `payments`, an
+        // `orderDate` and their own `depositPercent`.
+        description: 'Add payment terms and recorded payments',
+        migrate: (doc) => {
+            const addTerms = (info) => ({ ...info, paymentTerms: info.paymentTerms || createDefaultPaymentTerms() });
+            return mapDocumentProjectInfo(doc, addTerms);
+        }
+    },
+    {
+        from: '1.14',
+        to: '1.15',
+        // `baseline` holds the approved budget once it is locked, with the
+        // change orders issued against it; null while the budget is open.
+        description: 'Add approved baseline and change orders',
+        migrate: (doc) => ({
+            ...doc,
+            baseline: doc.baseline || null
+        })
+    },
+    {
+        from: '1.15',
+        to: '1.16',
+        // Amounts are now calculated in whole cents. `displayPrecision` sets
+        // whether they are shown in whole units or cents; `taxRounding`
+        // whether tax is rounded per invoice (as before) or per line.
+        description: 'Add display precision and tax rounding settings',
+        migrate: (doc) => {
+            const addRounding = (info) => ({
+                ...info,
+                displayPrecision: info.displayPrecision || DEFAULT_DISPLAY_PRECISION,
+                taxRounding: info.taxRounding || DEFAULT_TAX_ROUNDING
+            });
+            return mapDocumentProjectInfo(doc, addRounding);
+        }
+    },
+    {
+        from: '1.16',
+        to: '1.17',
+        // Items may now carry a vendor `listPrice`, `discount` and
+        // `priceBreaks`, from which their net cost is derived. Items without
+        // a list price are priced as before, so 1.16 documents need no changes.
+        description: 'Add vendor list prices, discounts and quantity breaks',
+        migrate: (doc) => doc
+    }
+];
+
+/**
+ * Parses a "major.minor" version string into comparable numbers.
+ * @param {string} version - Version string (e.g., "1.0")
+ * @returns {number[]} [major, minor]
+ */
+const parseVersion = (version) => {
+    const [major, minor] = String(version).split('.').map(part => parseInt(part, 10));
+    return [major || 0, minor || 0];
+};
+
+/**
+ * Compares two schema versions.
+ * @returns {number} Negative if a < b, zero if equal, positive if a > b.
+ */
+export const compareVersions = (a, b) => {
+    const [aMajor, aMinor] = parseVersion(a);
+    const [bMajor, bMinor] = parseVersion(b);
+    return aMajor !== bMajor ? aMajor - bMajor : aMinor - bMinor;
+};
+
+/**
+ * Upgrades a parsed document to the current schema version.
+ * @param {Object} rawDocument - Parsed JSON document from a file or draft.
+ * @returns {Object} Document at CURRENT_SCHEMA_VERSION.
+ * @throws {Error} If the document is malformed or was written by a newer build.
+ */
+export const migrateDocument = (rawDocument) => {
+    if (!rawDocument || typeof rawDocument !== 'object' || !rawDocument.projectInfo || !rawDocument.categories) {
+        throw new Error('Invalid file format');
+    }
+
+    const fileVersion = rawDocument.version || LEGACY_SCHEMA_VERSION;
+    if (compareVersions(fileVersion, CURRENT_SCHEMA_VERSION) > 0) {
+        throw new Error(`This file uses format version ${fileVersion}, but this version of BudgetBuilder only supports up to ${CURRENT_SCHEMA_VERSION}. Please update the application to open it.`);
+    }
+
+    let doc = { ...rawDocument, version: fileVersion };
+    while (compareVersions(doc.version, CURRENT_SCHEMA_VERSION) < 0) {
+        const migration = MIGRATIONS.find(m => m.from === doc.version);
+        if (!migration) {
+            throw new Error(`No migration path from format version ${doc.version}`);
+        }
+        doc = { ...migration.migrate(doc), version: migration.to };
+    }
+
+    return doc;
+};
+
+/**
+ * Strips non-serializable category fields (icon components).
+ * @param {Array} categories - Categories state
+ * @returns {Array} Serializable categories
+ */
+export const serializeCategories = (categories) => categories.map(cat => {
+    const { icon: _icon, ...serializable } = cat;
+    return serializable;
+});
+
+/**
+ * Builds the serializable document written to .ffe files and drafts.
+ * @param {Object} state - Document state
+ * @param {string} state.projectId - Stable project id
+ * @param {Object} state.projectInfo - Project information state
+ * @param {Array} state.categories - Categories state
+ * @param {Array} [state.revisions] - Named revision snapshots
+ * @param {Object|null} [state.baseline] - Locked baseline and its change orders
+ * @returns {Object} Document at CURRENT_SCHEMA_VERSION
+ */
+export const serializeDocument = ({ projectId, projectInfo, categories, revisions = [], baseline = null }) => ({
+    version: CURRENT_SCHEMA_VERSION,
+    savedAt: new Date().toISOString(),
+    projectId,
+    projectInfo,
+    categories: serializeCategories(categories),
+    revisions,
+    baseline
+});
@@ -0,0 +1,718 @@
+/**
+ * Document Validation Service
+ * Walks a migrated document and repairs anything the editor cannot load safely.
+ *
+ * Every problem is reported as an issue with a severity:
+ *   error   - The value was invalid and has been replaced or dropped (data may be lost)
+ *   warning - The value was normalized without losing information
+ * The caller shows the issues and lets the user import the repaired document
+ * or abort, so a partly broken file is never a dead end.
+ */
+
+import { DEFAULT_TERMS } from './documentSchema';
+import { STANDARD_TAX_CLASS_ID, ADD_ON_TYPES, ADJUSTMENT_KINDS, createDefaultAddOns } from './budgetMath';
+import { repairDuplicateIds } from './documentIds';
+import { DEFAULT_CURRENCY, isCurrencyCode } from './currency';
+import { createDefaultPaymentTerms, isIsoDate } from './payments';
+import { CHANGE_ORDER_STATUSES } from './changeOrders';
+import { DISPLAY_PRECISIONS, TAX_ROUNDING_RULES, DEFAULT_DISPLAY_PRECISION, DEFAULT_TAX_ROUNDING } from './money';
+
+/** Free-text item fields that must be strings. */
+const ITEM_TEXT_FIELDS = ['mfr', 'desc', 'dimensions', 'leadTime', 'notes'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validates a non-negative number, coercing numeric strings.
+ * @param {any} value - Raw value
+ * @param {string} label - Field name used in messages
+ * @param {Function} report - Receives (severity, message)
+ * @returns {number} Repaired value
+ */
+const checkAmount = (value, label, report) => {
+    if (typeof value === 'number' && Number.isFinite(value) && value >= 0) return value;
+
+    const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+    if (Number.isFinite(parsed) && parsed >= 0) {
+        report('warning', `${label} "${value}" was stored as text; converted to ${parsed}.`);
+        return parsed;
+    }
+
+    report('error', `${label} ${JSON.stringify(value) ?? 'undefined'} is not a valid amount; set to 0.`);
+    return 0;
+};
+
+/**
+ * Validates an optional non-negative number; blank values mean "not set".
+ * @param {any} value - Raw value
+ * @param {string} label - Field name used in messages
+ * @param {Function} report - Receives (severity, message)
+ * @returns {number|undefined} Repaired value, or undefined when not set
+ */
+const checkOptionalAmount = (value, label, report) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    return checkAmount(value, label, report);
+};
+
+/**
+ * Validates a tax class reference on an item or category.
+ * @param {any} taxClassId - Raw reference; undefined means "inherit"
+ * @param {Set<string>} taxClassIds - Ids of the project's tax classes
+ * @param {Function} report - Receives (severity, message)
+ * @returns {string|undefined} Repaired reference
+ */
+const checkTaxClassRef = (taxClassId, taxClassIds, report) => {
+    if (taxClassId === undefined || taxClassId === null || taxClassId === '') return undefined;
+    if (taxClassIds.has(taxClassId)) return taxClassId;
+    report('warning', `Tax class ${JSON.stringify(taxClassId)} does not exist; the inherited tax class is used.`);
+    return undefined;
+};
+
+/**
+ * Validates the project's list of tax classes.
+ * @param {any} taxClasses - Raw tax classes
+ * @param {Function} report - Receives (severity, message)
+ * @returns {Array<{id: string, name: string, rate: number}>} Repaired tax classes
+ */
+const checkTaxClasses = (taxClasses, report) => {
+    if (!Array.isArray(taxClasses)) {
+        if (taxClasses !== undefined) report('error', 'Tax classes were not a list and were removed.');
+        return [];
+    }
+
+    const seen = new Set([STANDARD_TAX_CLASS_ID]);
+    return taxClasses.map((tc, index) => {
+        if (!isPlainObject(tc) || typeof tc.id !== 'string' || seen.has(tc.id)) {
+            report('error', `Tax class ${index + 1} is malformed or duplicated and was removed.`);
+            return null;
+        }
+        seen.add(tc.id);
+        const name = typeof tc.name === 'string' && tc.name ? tc.name : `Tax class ${index + 1}`;
+        if (name !== tc.name) report('warning', `A tax class has no name; named "${name}".`);
+        return { ...tc, name, rate: checkAmount(tc.rate, `Tax rate for "${name}"`, report) };
+    }).filter(Boolean);
+};
+
+/**
+ * Validates the project's room types.
+ * @param {any} roomTypes - Raw room types
+ * @param {Function} report - Receives (severity, message)
+ * @returns {Array<{id: string, name: string, count: number}>} Repaired room types
+ */
+const checkRoomTypes = (roomTypes, report) => {
+    if (!Array.isArray(roomTypes)) {
+        if (roomTypes !== undefined) report('error', 'Room types were not a list and were removed.');
+        return [];
+    }
+
+    const seen = new Set();
+    return roomTypes.map((rt, index) => {
+        if (!isPlainObject(rt) || typeof rt.id !== 'string' || seen.has(rt.id)) {
+            report('error', `Room type ${index + 1} is malformed or duplicated and was removed.`);
+            return null;
+        }
+        seen.add(rt.id);
+        const name = typeof rt.name === 'string' && rt.name ? rt.name : `Room type ${index + 1}`;
+        if (name !== rt.name) report('warning', `A room type has no name; named "${name}".`);
+        return { ...rt, name, count: checkAmount(rt.count, `Key count for "${name}"`, report) };
+    }).filter(Boolean);
+};
+
+/**
+ * Validates an item's per-room quantities.
+ * @param {any} perRoom - Raw map of room type id to quantity per room
+ * @param {Set<string>} roomTypeIds - Ids of the project's room types
+ * @param {Function} report - Receives (severity, message)
+ * @returns {Object|undefined} Repaired map, or undefined when the quantity is entered directly
+ */
+const checkPerRoom = (perRoom, roomTypeIds, report) => {
+    if (perRoom === undefined) return undefined;
+    if (!isPlainObject(perRoom)) {
+        report('error', 'Per-room quantities were malformed and were removed; the quantity is kept as entered.');
+        return undefined;
+    }
+
+    const repaired = {};
+    Object.entries(perRoom).forEach(([id, qty]) => {
+        if (!roomTypeIds.has(id)) {
+            report('warning', `Room type ${JSON.stringify(id)} does not exist; its per-room quantity was removed.`);
+            return;
+        }
+        repaired[id] = checkAmount(qty, 'Quantity per room', report);
+    });
+    return Object.keys(repaired).length > 0 ? repaired : undefined;
+};
+
+/**
+ * Validates one add-on setting (a flat amount or a percentage).
+ * @param {any} setting - Raw setting
+ * @param {string} label - Add-on name used in messages
+ * @param {Function} report - Receives (severity, message)
+ * @returns {Object|null} Repaired setting, or null if it must be dropped
+ */
+const checkAddOn = (setting, label, report) => {
+    if (!isPlainObject(setting)) {
+        report('error', `${label} setting is malformed and was removed.`);
+        return null;
+    }
+    const mode = setting.mode === 'flat' ? 'flat' : 'percent';
+    if (mode !== setting.mode) {
+        report('warning', `${label} mode ${JSON.stringify(setting.mode)} is not recognized; treated as a percentage.`);
+    }
+    return { ...setting, mode, value: checkAmount(setting.value, label, report) };
+};
+
+/**
+ * Validates the project's calculated adjustment lines.
+ * @param {any} adjustments - Raw adjustment lines
+ * @param {Function} report - Receives (severity, message)
+ * @returns {Array} Repaired adjustment lines
+ */
+const checkAdjustments = (adjustments, report) => {
+    if (!Array.isArray(adjustments)) {
+        if (adjustments !== undefined) report('error', 'Adjustment lines were not a list and were removed.');
+        return [];
+    }
+
+    const seen = new Set();
+    return adjustments.map((adj, index) => {
+        if (!isPlainObject(adj) || typeof adj.id !== 'string' || seen.has(adj.id)) {
+            report('error', `Adjustment line ${index + 1} is malformed or duplicated and was removed.`);
+            return null;
+        }
+        seen.add(adj.id);
+        const name = typeof adj.name === 'string' && adj.name ? adj.name : `Adjustment ${index + 1}`;
+        if (name !== adj.name) report('warning', `An adjustment line has no name; named "${name}".`);
+        const kind = ADJUSTMENT_KINDS.some(k => k.id === adj.kind) ? adj.kind : 'percent';
+        if (kind !== adj.kind) {
+            report('warning', `Adjustment "${name}" kind ${JSON.stringify(adj.kind)} is not recognized; treated as a percentage.`);
+        }
+        const categoryIds = Array.isArray(adj.categoryIds) ? adj.categoryIds.filter(id => typeof id === 'string') : [];
+        if (!Array.isArray(adj.categoryIds) || categoryIds.length !== adj.categoryIds.length) {
+            report('warning', `Adjustment "${name}" had invalid section references; they were removed.`);
+        }
+        return {
+            ...adj,
+            name,
+            kind,
+            rate: checkAmount(adj.rate, `Rate for "${name}"`, report),
+            toDate: typeof adj.toDate === 'string' ? adj.toDate : '',
+            categoryIds,
+            isTaxable: adj.isTaxable === true,
+            countsAgainstAllowance: adj.countsAgainstAllowance !== false
+        };
+    }).filter(Boolean);
+};
+
+/**
+ * Validates an item attachment.
+ * @param {any} att - Raw attachment
+ * @param {Function} report - Receives (severity, message)
+ * @returns {Object|null} Repaired attachment, or null if it must be dropped
+ */
+const checkAttachment = (att, report) => {
+    if (!isPlainObject(att)) {
+        report('error', 'An attachment entry is not an object and was removed.');
+        return null;
+    }
+
+    const name = typeof att.name === 'string' && att.name ? att.name : 'Unnamed attachment';
+    if (name !== att.name) {
+        report('warning', `An attachment has no file name; named "${name}".`);
+    }
+
+    const hasData = typeof att.dataUrl === 'string' && att.dataUrl.startsWith('data:');
+    const hasPath = typeof att.path === 'string' && att.path !== '';
+    if (!hasData && !hasPath && !att.missing) {
+        report('error', `Attachment "${name}" has no file data and was removed.`);
+        return null;
+    }
+
+    return { ...att, name };
+};
+
+/**
+ * Validates a trade discount percentage, capping it at 100%.
+ * @param {any} value - Raw value; blank means "not set"
+ * @param {string} label - Field name used in messages
+ * @param {Function} report - Receives (severity, message)
+ * @returns {number|undefined} Repaired value, or undefined when not set
+ */
+const checkDiscount = (value, label, report) => {
+    const discount = checkOptionalAmount(value, label, report);
+    if (!(discount > 100)) return discount;
+    report('warning', `${label} ${discount} is over 100%; set to 100.`);
+    return 100;
+};
+
+/**
+ * Validates an option's quantity breaks: a list of { minQty, discount }
+ * sorted by quantity, one per quantity.
+ * @param {any} priceBreaks - Raw quantity breaks
+ * @param {Function} report - Receives (severity, message)
+ * @returns {Array|undefined} Repaired breaks, or undefined when there are none
+ */
+const checkPriceBreaks = (priceBreaks, report) => {
+    if (priceBreaks === undefined) return undefined;
+    if (!Array.isArray(priceBreaks)) {
+        report('error', 'Quantity breaks were not a list and were removed.');
+        return undefined;
+    }
+    const seen = new Set();
+    const repaired = priceBreaks.map((pb, index) => {
+        const minQty = Number(pb?.minQty);
+        if (!isPlainObject(pb) || !(minQty > 0) || seen.has(minQty)) {
+            report('error', `Quantity break ${index + 1} is malformed or duplicated and was removed.`);
+            return null;
+        }
+        seen.add(minQty);
+        return { minQty, discount: checkDiscount(pb.discount, `Discount at ${minQty} units`, report) ?? 0 };
+    }).filter(Boolean).sort((a, b) => a.minQty - b.minQty);
+    return repaired.length > 0 ? repaired : undefined;
+};
+
+/**
+ * Validates the fields of one option of a line item: the item itself, or
+ * one of its alternates.
+ * @param {Object} record - Raw item or alternate
+ * @param {Function} report - Receives (severity, message)
+ * @returns {Object} Repaired record
+ */
+const checkOption = (record, report) => {
+    const repaired = { ...record };
+
+    ITEM_TEXT_FIELDS.forEach(field => {
+        const value = record[field];
+        if (value === undefined || value === null) {
+            repaired[field] = '';
+        } else if (typeof value !== 'string') {
+            repaired[field] = String(value);
+            report('warning', `Field "${field}" was not text; converted to "${repaired[field]}".`);
+        }
+    });
+
+    repaired.unitPrice = checkAmount(record.unitPrice, 'Unit price', report);
+    repaired.netCost = checkOptionalAmount(record.netCost, 'Net cost', report);
+    if (repaired.netCost === undefined) delete repaired.netCost;
+    repaired.markup = checkOptionalAmount(record.markup, 'Markup', report);
+    if (repaired.markup === undefined) delete repaired.markup;
+    repaired.listPrice = checkOptionalAmount(record.listPrice, 'List price', report);
+    if (repaired.listPrice === undefined) delete repaired.listPrice;
+    repaired.discount = checkDiscount(record.discount, 'Discount', report);
+    if (repaired.discount === undefined) delete repaired.discount;
+    repaired.priceBreaks = checkPriceBreaks(record.priceBreaks, report);
+    if (repaired.priceBreaks === undefined) delete repaired.priceBreaks;
+
+    if (record.currency !== undefined && !isCurrencyCode(record.currency)) {
+        delete repaired.currency;
+        report('error', `Currency ${JSON.stringify(record.currency)} is not a currency code; the item is priced in the base currency.`);
+    }
+
+    const specs = isPlainObject(record.specs) ? record.specs : {};
+    if (record.specs !== undefined && !isPlainObject(record.specs)) {
+        report('warning', 'Specifications were malformed and were reset.');
+    }
+    let attachments = specs.attachments;
+    if (!Array.isArray(attachments)) {
+        if (attachments !== undefined) report('error', 'Attachments were not a list and were removed.');
+        attachments = [];
+    }
+    repaired.specs = {
+        ...specs,
+        detailedDescription: typeof specs.detailedDescription === 'string' ? specs.detailedDescription : '',
+        attachments: attachments.map(att => checkAttachment(att, report)).filter(Boolean)
+    };
+
+    return repaired;
+};
+
+/**
+ * Validates an item's alternates. At most one may be marked as the base.
+ * @param {any} alternates - Raw alternates
+ * @param {Function} report - Receives (severity, message)
+ * @returns {Array|undefined} Repaired alternates, or undefined when there are none
+ */
+const checkAlternates = (alternates, report) => {
+    if (alternates === undefined) return undefined;
+    if (!Array.isArray(alternates)) {
+        report('error', 'Alternates were not a list and were removed.');
+        return undefined;
+    }
+
+    const seen = new Set();
+    let hasBase = false;
+    const repaired = alternates.map((alt, index) => {
+        if (!isPlainObject(alt) || typeof alt.id !== 'string' || seen.has(alt.id)) {
+            report('error', `Alternate ${index + 1} is malformed or duplicated and was removed.`);
+            return null;
+        }
+        seen.add(alt.id);
+        const option = checkOption(alt, (severity, message) => report(severity, `Alternate "${alt.desc || index + 1}": ${message}`));
+        delete option.isBase;
+        if (alt.isBase === true && !hasBase) {
+            hasBase = true;
+            option.isBase = true;
+        } else if (alt.isBase !== undefined && alt.isBase !== false) {
+            report('warning', `Alternate "${option.desc || index + 1}" was marked as the base more than once or invalidly; the mark was removed.`);
+        }
+        return option;
+    }).filter(Boolean);
+
+    return repaired.length > 0 ? repaired : undefined;
+};
+
+/**
+ * Validates the payments recorded on an item.
+ * @param {any} payments - Raw payments
+ * @param {Function} report - Receives (severity, message)
+ * @returns {Array|undefined} Repaired payments, or undefined when there are none
+ */
+const checkPayments = (payments, report) => {
+    if (payments === undefined) return undefined;
+    if (!Array.isArray(payments)) {
+        report('error', 'Payments were not a list and were removed.');
+        return undefined;
+    }
+
+    const seen = new Set();
+    const repaired = payments.map((payment, index) => {
+        if (!isPlainObject(payment) || typeof payment.id !== 'string' || seen.has(payment.id)) {
+            report('error', `Payment ${index + 1} is malformed or duplicated and was removed.`);
+            return null;
+        }
+        seen.add(payment.id);
+        return {
+            ...payment,
+            date: typeof payment.date === 'string' ? payment.date : '',
+            amount: checkAmount(payment.amount, `Payment ${index + 1} amount`, report),
+            note: typeof payment.note === 'string' ? payment.note : ''
+        };
+    }).filter(Boolean);
+
+    return repaired.length > 0 ? repaired : undefined;
+};
+
+/**
+ * Validates a line item.
+ * @param {any} item - Raw item
+ * @param {Object} context
+ * @param {string[]} context.statuses - Allowed status values
+ * @param {Set<string>} context.taxClassIds - Ids of the project's tax classes
+ * @param {Set<string>} context.roomTypeIds - Ids of the project's room types
+ * @param {Function} context.report - Receives (severity, message)
+ * @returns {Object|null} Repaired item, or null if it must be dropped
+ */
+const checkItem = (item, { statuses, taxClassIds, roomTypeIds, report }) => {
+    if (!isPlainObject(item)) {
+        report('error', 'A line item is not an object and was removed.');
+        return null;
+    }
+
+    const repaired = checkOption(item, report);
+    repaired.qty = checkAmount(item.qty, 'Quantity', report);
+
+    // Missing values fall back to the editor defaults without a report
+    if (item.status === undefined) {
+        repaired.status = statuses[0];
+    } else if (!statuses.includes(item.status)) {
+        repaired.status = statuses[0];
+        report('warning', `Status ${JSON.stringify(item.status)} is not recognized; set to "${statuses[0]}".`);
+    }
+
+    if (item.isTaxable === undefined) {
+        repaired.isTaxable = true;
+    } else if (typeof item.isTaxable !== 'boolean') {
+        repaired.isTaxable = item.isTaxable !== 'false' && Boolean(item.isTaxable);
+        report('warning', `Taxable flag ${JSON.stringify(item.isTaxable)} is not true/false; set to ${repaired.isTaxable}.`);
+    }
+
+    repaired.taxClassId = checkTaxClassRef(item.taxClassId, taxClassIds, report);
+    if (repaired.taxClassId === undefined) delete repaired.taxClassId;
+
+    if (item.addOns !== undefined) {
+        if (isPlainObject(item.addOns)) {
+            repaired.addOns = {};
+            ADD_ON_TYPES.forEach(type => {
+                if (item.addOns[type.id] === undefined) return;
+                const setting = checkAddOn(item.addOns[type.id], type.label, report);
+                if (setting) repaired.addOns[type.id] = setting;
+            });
+        } else {
+            delete repaired.addOns;
+            report('error', 'Add-on overrides were malformed and were removed; project defaults apply.');
+        }
+    }
+
+    repaired.perRoom = checkPerRoom(item.perRoom, roomTypeIds, report);
+    if (repaired.perRoom === undefined) delete repaired.perRoom;
+
+    repaired.depositPercent = checkOptionalAmount(item.depositPercent, 'Deposit %', report);
+    if (repaired.depositPercent === undefined) delete repaired.depositPercent;
+    if (item.orderDate !== undefined && !isIsoDate(item.orderDate)) {
+        delete repaired.orderDate;
+        report('warning', `Order date ${JSON.stringify(item.orderDate)} is not a date and was removed.`);
+    }
+    repaired.payments = checkPayments(item.payments, report);
+    if (repaired.payments === undefined) delete repaired.payments;
+
+    repaired.alternates = checkAlternates(item.alternates, report);
+    if (repaired.alternates === undefined) delete repaired.alternates;
+    if (item.optionId !== undefined && typeof item.optionId !== 'string') {
+        delete repaired.optionId;
+        report('warning', 'The selected option id was invalid and was removed.');
+    }
+
+    return repaired;
+};
+
+/**
+ * Validates a list of categories and their items.
+ * @param {any} categories - Raw categories
+ * @param {Object} context
+ * @param {string} context.scope - Location prefix (e.g., a revision name)
+ * @param {string[]} context.statuses - Allowed status values
+ * @param {Array} context.taxClasses - The project's repaired tax classes
+ * @param {Array} context.roomTypes - The project's repaired room types
+ * @param {Function} context.addIssue - Receives (severity, location, message)
+ * @returns {Array} Repaired categories
+ */
+const checkCategories = (categories, { scope, statuses, taxClasses, roomTypes, addIssue }) => {
+    const taxClassIds = new Set([STANDARD_TAX_CLASS_ID, ...taxClasses.map(tc => tc.id)]);
+    const roomTypeIds = new Set(roomTypes.map(rt => rt.id));
+    const at = (location) => [scope, location].filter(Boolean).join(' › ');
+
+    if (!Array.isArray(categories)) {
+        addIssue('error', at('Budget'), 'Sections were not a list; the budget was emptied.');
+        return [];
+    }
+
+    return categories.map((cat, catIndex) => {
+        if (!isPlainObject(cat)) {
+            addIssue('error', at(`Section ${catIndex + 1}`), 'Section is not an object and was removed.');
+            return null;
+        }
+
+        const title = typeof cat.title === 'string' ? cat.title : `Section ${catIndex + 1}`;
+        if (title !== cat.title) {
+            addIssue('warning', at(title), 'Section title was missing; a placeholder title was used.');
+        }
+
+        let items = cat.items;
+        if (!Array.isArray(items)) {
+            addIssue('error', at(title), 'Line items were not a list and were removed.');
+            items = [];
+        }
+
+        const repaired = {
+            ...cat,
+            title,
+            taxClassId: checkTaxClassRef(cat.taxClassId, taxClassIds, (severity, message) => addIssue(severity, at(title), message)),
+            markup: checkOptionalAmount(cat.markup, 'Markup', (severity, message) => addIssue(severity, at(title), message)),
+            allowance: checkOptionalAmount(cat.allowance, 'Allowance', (severity, message) => addIssue(severity, at(title), message)),
+            area: checkOptionalAmount(cat.area, 'Area', (severity, message) => addIssue(severity, at(title), message)),
+            items: items.map((item, itemIndex) => {
+                const label = (isPlainObject(item) && item.desc) || `Item ${itemIndex + 1}`;
+                return checkItem(item, {
+                    statuses,
+                    taxClassIds,
+                    roomTypeIds,
+                    report: (severity, message) => addIssue(severity, at(`${title} › ${label}`), message)
+                });
+            }).filter(Boolean)
+        };
+        if (repaired.taxClassId === undefined) delete repaired.taxClassId;
+        if (repaired.markup === undefined) delete repaired.markup;
+        if (repaired.allowance === undefined) delete repaired.allowance;
+        if (repaired.area === undefined) delete repaired.area;
+        return repaired;
+    }).filter(Boolean);
+};
+
+/**
+ * Validates project information.
+ * @param {Object} projectInfo - Raw project info
+ * @param {Function} addIssue - Receives (severity, location, message)
+ * @returns {Object} Repaired project info
+ */
+const checkProjectInfo = (projectInfo, addIssue) => {
+    const report = (severity, message) => addIssue(severity, 'Project Info', message);
+    const repaired = { ...projectInfo };
+
+    repaired.allowance = checkAmount(projectInfo.allowance, 'Allowance', report);
+    repaired.salesTaxRate = checkAmount(projectInfo.salesTaxRate, 'Sales tax rate', report);
+    repaired.taxClasses = checkTaxClasses(projectInfo.taxClasses, report);
+    repaired.markup = checkAmount(projectInfo.markup, 'Markup', report);
+    repaired.adjustments = checkAdjustments(projectInfo.adjustments, report);
+    repaired.roomTypes = checkRoomTypes(projectInfo.roomTypes, report);
+    repaired.keyCount = checkAmount(projectInfo.keyCount, 'Key count', report);
+    repaired.area = checkAmount(projectInfo.area, 'Area', report);
+
+    const terms = isPlainObject(projectInfo.paymentTerms) ? projectInfo.paymentTerms : createDefaultPaymentTerms();
+    if (!isPlainObject(projectInfo.paymentTerms)) {
+        report('error', 'Payment terms were malformed and were reset to the default deposit.');
+    }
+    repaired.paymentTerms = {
+        ...terms,
+        depositPercent: checkAmount(terms.depositPercent, 'Default deposit %', report),
+        vendors: Object.fromEntries(
+            Object.entries(isPlainObject(terms.vendors) ? terms.vendors : {})
+                .map(([vendor, percent]) => [vendor, checkAmount(percent, `Deposit % for "${vendor}"`, report)])
+        )
+    };
+
+    if (!isCurrencyCode(projectInfo.currency)) {
+        repaired.currency = DEFAULT_CURRENCY;
+        report('error', `Base currency ${JSON.stringify(projectInfo.currency) ?? 'undefined'} is not a currency code; set to ${DEFAULT_CURRENCY}.`);
+    }
+    if (!isPlainObject(projectInfo.exchangeRates)) {
+        report('error', 'Exchange rates were malformed and were removed.');
+    }
+    repaired.exchangeRates = Object.fromEntries(
+        Object.entries(isPlainObject(projectInfo.exchangeRates) ? projectInfo.exchangeRates : {}).filter(([code, rate]) => {
+            if (isCurrencyCode(code) && Number(rate) > 0) return true;
+            report('error', `Exchange rate ${JSON.stringify(rate)} for ${JSON.stringify(code)} is not valid and was removed.`);
+            return false;
+        }).map(([code, rate]) => [code, Number(rate)])
+    );
+
+    const defaultAddOns = createDefaultAddOns();
+    const addOns = isPlainObject(projectInfo.addOns) ? projectInfo.addOns : {};
+    if (!isPlainObject(projectInfo.addOns)) {
+        report('error', 'Add-on defaults were malformed and were reset to zero.');
+    }
+    repaired.addOns = Object.fromEntries(ADD_ON_TYPES.map(type => {
+        const setting = addOns[type.id] === undefined
+            ? defaultAddOns[type.id]
+            : checkAddOn(addOns[type.id], `Default ${type.label.toLowerCase()}`, report) || defaultAddOns[type.id];
+        return [type.id, { ...setting, taxable: setting.taxable === true }];
+    }));
+
+    if (typeof projectInfo.pricesIncludeTax !== 'boolean') {
+        repaired.pricesIncludeTax = projectInfo.pricesIncludeTax === true || projectInfo.pricesIncludeTax === 'true';
+        if (projectInfo.pricesIncludeTax !== undefined) {
+            report('warning', `Tax-inclusive pricing flag ${JSON.stringify(projectInfo.pricesIncludeTax)} is not true/false; set to ${repaired.pricesIncludeTax}.`);
+        }
+    }
+
+    if (!TAX_ROUNDING_RULES.some(rule => rule.id === projectInfo.taxRounding)) {
+        repaired.taxRounding = DEFAULT_TAX_ROUNDING;
+        report('warning', `Tax rounding rule ${JSON.stringify(projectInfo.taxRounding) ?? 'undefined'} is not recognized; set to ${DEFAULT_TAX_ROUNDING}.`);
+    }
+    if (!DISPLAY_PRECISIONS.some(precision => precision.id === projectInfo.displayPrecision)) {
+        repaired.displayPrecision = DEFAULT_DISPLAY_PRECISION;
+        report('warning', `Display precision ${JSON.stringify(projectInfo.displayPrecision) ?? 'undefined'} is not recognized; set to ${DEFAULT_DISPLAY_PRECISION}.`);
+    }
+
+    if (typeof projectInfo.name !== 'string') {
+        repaired.name = projectInfo.name === undefined || projectInfo.name === null ? 'Untitled Project' : String(projectInfo.name);
+        report('warning', `Project name was not text; set to "${repaired.name}".`);
+    }
+
+    if (!Array.isArray(projectInfo.terms) || projectInfo.terms.some(term => typeof term !== 'string')) {
+        repaired.terms = Array.isArray(projectInfo.terms)
+            ? projectInfo.terms.filter(term => typeof term === 'string')
+            : [...DEFAULT_TERMS];
+        report('warning', 'Terms & conditions were malformed and were repaired.');
+    }
+
+    return repaired;
+};
+
+/**
+ * Validates the locked baseline and the change orders issued against it.
+ * The baseline records what was approved, so its categories, totals and
+ * lines are only checked for shape; a malformed baseline is removed.
+ * @param {any} baseline - Raw baseline; null while the budget is not locked
+ * @param {Function} addIssue - Receives (severity, location, message)
+ * @returns {Object|null} Repaired baseline
+ */
+const checkBaseline = (baseline, addIssue) => {
+    if (baseline === null || baseline === undefined) return null;
+    if (!isPlainObject(baseline) || !Array.isArray(baseline.categories) || !isPlainObject(baseline.lines) ||
+        !isPlainObject(baseline.totals) || !Number.isFinite(baseline.totals.totalWithTax)) {
+        addIssue('error', 'Baseline', 'The locked baseline is malformed and was removed; lock the budget again to track changes.');
+        return null;
+    }
+
+    let changeOrders = baseline.changeOrders;
+    if (!Array.isArray(changeOrders)) {
+        addIssue('error', 'Change Orders', 'Change orders were not a list and were removed.');
+        changeOrders = [];
+    }
+
+    const seen = new Set();
+    changeOrders = changeOrders.map((co, index) => {
+        const location = `Change Order ${index + 1}`;
+        if (!isPlainObject(co) || typeof co.id !== 'string' || seen.has(co.id) || !Number.isFinite(co.delta) || !Array.isArray(co.lines)) {
+            addIssue('error', location, 'Change order is malformed or duplicated and was removed.');
+            return null;
+        }
+        seen.add(co.id);
+        const status = CHANGE_ORDER_STATUSES.includes(co.status) ? co.status : CHANGE_ORDER_STATUSES[0];
+        if (status !== co.status) {
+            addIssue('warning', location, `Status ${JSON.stringify(co.status)} is not recognized; set to ${status}.`);
+        }
+        const lines = co.lines.filter(line => isPlainObject(line) && Number.isFinite(line.delta) && (line.after === null || isPlainObject(line.after)));
+        if (lines.length !== co.lines.length) addIssue('error', location, 'Malformed change lines were removed.');
+        return {
+            ...co,
+            number: Number.isInteger(co.number) && co.number > 0 ? co.number : index + 1,
+            date: typeof co.date === 'string' ? co.date : '',
+            reason: typeof co.reason === 'string' ? co.reason : '',
+            status,
+            lines
+        };
+    }).filter(Boolean);
+
+    return {
+        ...baseline,
+        approvedBy: typeof baseline.approvedBy === 'string' ? baseline.approvedBy : '',
+        changeOrders
+    };
+};
+
+/**
+ * Validates and repairs a migrated document.
+ * @param {Object} document - Document at the current schema version
+ * @param {Object} options
+ * @param {string[]} options.statuses - Allowed item status values; the first is the default
+ * @returns {{document: Object, issues: Array<{severity: 'error'|'warning', location: string, message: string}>}}
+ *   Repaired document and every issue found. No issues means the document
+ *   was loaded unchanged.
+ */
+export const validateDocument = (document, { statuses }) => {
+    const issues = [];
+    const addIssue = (severity, location, message) => issues.push({ severity, location, message });
+
+    const projectInfo = checkProjectInfo(document.projectInfo, addIssue);
+    const categories = checkCategories(document.categories, { scope: '', statuses, taxClasses: projectInfo.taxClasses, roomTypes: projectInfo.roomTypes, addIssue });
+
+    let revisions = document.revisions;
+    if (!Array.isArray(revisions)) {
+        addIssue('error', 'Revisions', 'Revisions were not a list and were removed.');
+        revisions = [];
+    }
+    revisions = revisions.map((rev, index) => {
+        if (!isPlainObject(rev) || !isPlainObject(rev.projectInfo)) {
+            addIssue('error', `Revision ${index + 1}`, 'Revision is malformed and was removed.');
+            return null;
+        }
+        const name = typeof rev.name === 'string' && rev.name ? rev.name : `Revision ${index + 1}`;
+        const scope = `Revision "${name}"`;
+        const revisionInfo = checkProjectInfo(rev.projectInfo, (severity, location, message) => addIssue(severity, `${scope} › ${location}`, message));
+        return {
+            ...rev,
+            name,
+            projectInfo: revisionInfo,
+            categories: checkCategories(rev.categories, { scope, statuses, taxClasses: revisionInfo.taxClasses, roomTypes: revisionInfo.roomTypes, addIssue })
+        };
+    }).filter(Boolean);
+
+    const baseline = checkBaseline(document.baseline, addIssue);
+
+    // Ids are checked last, once every record is known to be an object
+    const { document: repaired, repairs } = repairDuplicateIds({ ...document, projectInfo, categories, revisions, baseline });
+    repairs.forEach(repair => addIssue('warning', 'Ids', repair));
+
+    return { document: repaired, issues };
+};
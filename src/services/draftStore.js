@@ -0,0 +1,103 @@
+/**
+ * Draft Store Service
+ * IndexedDB-backed autosave drafts, one slot per project.
+ *
+ * Drafts are stored packed (see ffePackage.js) so attachments are kept as
+ * binary data rather than base64 text. Metadata lives in the `drafts` store
+ * and contents in `draftData`, keyed by projectId.
+ */
+
+import { withTransaction, promisifyRequest } from './localDb';
+import { packDocument } from './ffePackage';
+import { createProjectId } from './documentSchema';
+
+/** localStorage key used by builds that kept a single draft. */
+const LEGACY_AUTOSAVE_KEY = 'ffe_autosave';
+
+/**
+ * Saves or replaces the draft for a project.
+ * @param {Object} document - Serialized document (see serializeDocument)
+ * @param {Object} [meta] - Extra metadata shown on the welcome screen
+ * @param {string|null} [meta.fileName] - Name of the file the draft belongs to
+ * @returns {Promise<Object>} The stored draft metadata
+ */
+export const saveDraft = async (document, { fileName = null } = {}) => {
+    const { document: packed, files } = packDocument(document);
+    const meta = {
+        projectId: document.projectId,
+        projectName: document.projectInfo.name,
+        fileName,
+        savedAt: document.savedAt
+    };
+
+    await withTransaction(['drafts', 'draftData'], 'readwrite', (tx) => {
+        tx.objectStore('drafts').put(meta);
+        tx.objectStore('draftData').put({ projectId: document.projectId, document: packed, files });
+    });
+    return meta;
+};
+
+/**
+ * Loads a draft's contents.
+ * @param {string} projectId
+ * @returns {Promise<{document: Object, files: Object<string, Uint8Array>}|null>}
+ */
+export const loadDraft = async (projectId) => {
+    const record = await withTransaction('draftData', 'readonly', (tx) =>
+        promisifyRequest(tx.objectStore('draftData').get(projectId))
+    );
+    return record ? { document: record.document, files: record.files || {} } : null;
+};
+
+/**
+ * Removes a project's draft.
+ * @param {string} projectId
+ * @returns {Promise<void>}
+ */
+export const deleteDraft = async (projectId) => {
+    await withTransaction(['drafts', 'draftData'], 'readwrite', (tx) => {
+        tx.objectStore('drafts').delete(projectId);
+        tx.objectStore('draftData').delete(projectId);
+    });
+};
+
+/**
+ * Moves a single-slot localStorage draft from an older build into IndexedDB.
+ * The localStorage copy is removed once stored.
+ * @returns {Promise<void>}
+ */
+const importLegacyDraft = async () => {
+    const savedState = localStorage.getItem(LEGACY_AUTOSAVE_KEY);
+    if (!savedState) return;
+
+    try {
+        const parsedState = JSON.parse(savedState);
+        const hasData = parsedState.categories?.some(cat => cat.items?.length > 0 && (cat.items[0].desc !== '' || cat.items.length > 1));
+        if (!hasData) {
+            localStorage.removeItem(LEGACY_AUTOSAVE_KEY);
+            return;
+        }
+
+        const document = {
+            ...parsedState,
+            projectId: parsedState.projectId || createProjectId(),
+            savedAt: parsedState.savedAt || new Date().toISOString()
+        };
+        await saveDraft(document);
+        localStorage.removeItem(LEGACY_AUTOSAVE_KEY);
+    } catch (e) {
+        console.error('Failed to import legacy auto-save data', e);
+    }
+};
+
+/**
+ * Lists all recoverable drafts, newest first.
+ * @returns {Promise<Array<{projectId: string, projectName: string, fileName: string|null, savedAt: string}>>}
+ */
+export const listDrafts = async () => {
+    await importLegacyDraft();
+    const drafts = await withTransaction('drafts', 'readonly', (tx) =>
+        promisifyRequest(tx.objectStore('drafts').getAll())
+    );
+    return drafts.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+};
@@ -0,0 +1,234 @@
+/**
+ * FFE Package Service
+ * Reads and writes the zip-based .ffe container.
+ *
+ * Package layout:
+ *   project.json          - The document (see documentSchema.js)
+ *   attachments/<id>.ext  - Binary attachment files referenced by `path`
+ *                           (<id>-2.ext and so on when different files share an id)
+ *
+ * In memory, attachments carry an inline `dataUrl`. packDocument() moves those
+ * into binary package entries and unpackDocument() restores them, so the rest
+ * of the application never deals with package paths. Legacy .ffe files are
+ * plain JSON with inline data URLs and are read transparently.
+ */
+
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate';
+import { mapDocumentCategories } from './documentSchema';
+
+const PROJECT_ENTRY = 'project.json';
+const ATTACHMENTS_DIR = 'attachments/';
+
+/** File picker types shared by Open, Save and Save As. */
+export const FFE_FILE_TYPES = [
+    {
+        description: 'FFE Budget Files',
+        accept: { 'application/zip': ['.ffe'] }
+    }
+];
+
+/**
+ * Applies a function to every item attachment in a document, including those
+ * of item alternates and in revision snapshots.
+ * @param {Object} document - Document with categories
+ * @param {Function} fn - Receives an attachment and returns its replacement
+ * @returns {Object} New document with mapped attachments
+ */
+const mapItemAttachments = (document, fn) => {
+    const mapSpecs = (record) => (record.specs?.attachments?.length
+        ? { ...record, specs: { ...record.specs, attachments: record.specs.attachments.map(fn) } }
+        : record);
+    return mapDocumentCategories(document, (categories) =>
+        categories.map(cat => ({
+            ...cat,
+            items: cat.items.map(item => {
+                const mapped = mapSpecs(item);
+                return item.alternates?.length ? { ...mapped, alternates: item.alternates.map(mapSpecs) } : mapped;
+            })
+        }))
+    );
+};
+
+/**
+ * Builds a package path for an attachment.
+ * @param {string|number} id - Attachment id
+ * @param {string} name - Original file name, used for its extension
+ * @param {number} copy - Copy number for different files sharing an id (1 for the first)
+ * @returns {string} Path inside the package (e.g., "attachments/123.pdf", "attachments/123-2.pdf")
+ */
+const attachmentPath = (id, name = '', copy = 1) => {
+    const extMatch = /\.[a-z0-9]+$/i.exec(name);
+    const safeId = String(id).replace(/[^a-z0-9_-]/gi, '_');
+    return `${ATTACHMENTS_DIR}${safeId}${copy > 1 ? `-${copy}` : ''}${extMatch ? extMatch[0].toLowerCase() : ''}`;
+};
+
+/** File extensions for image MIME types whose subtype is not a usable extension. */
+const IMAGE_EXTENSIONS = { 'svg+xml': 'svg', jpeg: 'jpg', 'x-icon': 'ico', 'vnd.microsoft.icon': 'ico' };
+
+/**
+ * Guesses an image MIME type from a package path, for logos saved without one.
+ * @param {string} path - e.g., "attachments/logo.png"
+ * @returns {string} MIME type
+ */
+const imageTypeFromPath = (path) => {
+    const ext = path.split('.').pop().toLowerCase();
+    const subtype = Object.keys(IMAGE_EXTENSIONS).find(key => IMAGE_EXTENSIONS[key] === ext);
+    // Older packages wrote SVG logos as "logo.svgxml"
+    return `image/${ext === 'svgxml' ? 'svg+xml' : subtype || ext}`;
+};
+
+/**
+ * Decodes a data URL into its MIME type and raw bytes.
+ * @param {string} dataUrl - e.g., "data:image/png;base64,iVBOR..."
+ * @returns {{type: string, bytes: Uint8Array}}
+ */
+const dataUrlToBytes = (dataUrl) => {
+    const commaIndex = dataUrl.indexOf(',');
+    const header = dataUrl.slice(5, commaIndex);
+    const payload = dataUrl.slice(commaIndex + 1);
+    const type = header.split(';')[0] || 'application/octet-stream';
+
+    if (!header.includes(';base64')) {
+        return { type, bytes: strToU8(decodeURIComponent(payload)) };
+    }
+
+    const binary = atob(payload);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return { type, bytes };
+};
+
+/**
+ * Encodes raw bytes as a base64 data URL.
+ * Works in chunks to avoid call stack limits on large files.
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} type - MIME type
+ * @returns {string} Data URL
+ */
+const bytesToDataUrl = (bytes, type) => {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return `data:${type || 'application/octet-stream'};base64,${btoa(binary)}`;
+};
+
+/**
+ * Moves inline attachment data out of a document into package entries.
+ * @param {Object} document - Serialized document with inline data URLs
+ * @returns {{document: Object, files: Object<string, Uint8Array>}}
+ */
+export const packDocument = (document) => {
+    const files = {};
+    const pathData = {};
+
+    const packed = mapItemAttachments(document, (att) => {
+        if (!att.dataUrl) return att;
+        // Revisions usually share attachments with the current budget, so the
+        // same data reuses its entry; different data under a reused id gets its own
+        let copy = 1;
+        let path = attachmentPath(att.id, att.name);
+        while (pathData[path] !== undefined && pathData[path] !== att.dataUrl) {
+            copy += 1;
+            path = attachmentPath(att.id, att.name, copy);
+        }
+        if (pathData[path] === undefined) {
+            pathData[path] = att.dataUrl;
+            files[path] = dataUrlToBytes(att.dataUrl).bytes;
+        }
+        const { dataUrl: _dataUrl, ...meta } = att;
+        return { ...meta, path };
+    });
+
+    // Uploaded logos are data URLs; stored paths and URLs are kept as-is
+    const logoUrl = packed.projectInfo.logoUrl;
+    if (typeof logoUrl === 'string' && logoUrl.startsWith('data:')) {
+        const { type, bytes } = dataUrlToBytes(logoUrl);
+        const subtype = type.split('/')[1] || '';
+        const ext = IMAGE_EXTENSIONS[subtype] || subtype.replace(/[^a-z0-9]/gi, '') || 'img';
+        const path = `${ATTACHMENTS_DIR}logo.${ext}`;
+        files[path] = bytes;
+        const { logoUrl: _logoUrl, ...projectInfo } = packed.projectInfo;
+        packed.projectInfo = { ...projectInfo, logoFile: path, logoType: type };
+    }
+
+    return { document: packed, files };
+};
+
+/**
+ * Restores inline attachment data from package entries.
+ * Attachments whose file is missing from the package keep their metadata
+ * and are flagged with `missing: true`.
+ * @param {Object} document - Migrated document with attachment paths
+ * @param {Object<string, Uint8Array>} files - Package entries
+ * @returns {Object} Document with inline data URLs
+ */
+export const unpackDocument = (document, files = {}) => {
+    const dataUrls = {};
+    const unpacked = mapItemAttachments(document, (att) => {
+        if (!att.path) return att;
+        const { path, ...meta } = att;
+        const bytes = files[path];
+        if (!bytes) {
+            console.warn(`Attachment missing from package: ${path}`);
+            return { ...meta, missing: true };
+        }
+        dataUrls[path] = dataUrls[path] || bytesToDataUrl(bytes, att.type);
+        return { ...meta, dataUrl: dataUrls[path] };
+    });
+
+    const { logoFile, logoType, ...projectInfo } = unpacked.projectInfo;
+    if (logoFile) {
+        const bytes = files[logoFile];
+        projectInfo.logoUrl = bytes ? bytesToDataUrl(bytes, logoType || imageTypeFromPath(logoFile)) : '';
+    }
+
+    return { ...unpacked, projectInfo };
+};
+
+/**
+ * Writes a serialized document as a zip-based .ffe package.
+ * Attachments are stored uncompressed since images and PDFs are already compressed.
+ * @param {Object} document - Serialized document with inline data URLs
+ * @returns {Blob} Package contents
+ */
+export const writeFfePackage = (document) => {
+    const { document: packed, files } = packDocument(document);
+
+    const entries = {
+        [PROJECT_ENTRY]: [strToU8(JSON.stringify(packed, null, 2)), { level: 6 }]
+    };
+    Object.entries(files).forEach(([path, bytes]) => {
+        entries[path] = [bytes, { level: 0 }];
+    });
+
+    return new Blob([zipSync(entries)], { type: 'application/zip' });
+};
+
+/**
+ * Reads an .ffe file, either a zip package or a legacy JSON document.
+ * @param {Blob} file - File selected by the user
+ * @returns {Promise<{document: Object, files: Object<string, Uint8Array>}>}
+ *   Parsed (unmigrated) document and the package entries it references.
+ * @throws {Error} If the file is neither a valid package nor JSON.
+ */
+export const readFfeFile = async (file) => {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+
+    // Zip local file header signature "PK\x03\x04"
+    const isZip = bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+    if (!isZip) {
+        return { document: JSON.parse(strFromU8(bytes)), files: {} };
+    }
+
+    const entries = unzipSync(bytes);
+    if (!entries[PROJECT_ENTRY]) {
+        throw new Error(`Package is missing ${PROJECT_ENTRY}`);
+    }
+
+    const { [PROJECT_ENTRY]: projectBytes, ...files } = entries;
+    return { document: JSON.parse(strFromU8(projectBytes)), files };
+};
@@ -0,0 +1,88 @@
+/**
+ * Local Database Service
+ * Thin promise wrapper around the browser's IndexedDB used for local persistence.
+ *
+ * Object stores are created in upgrade steps keyed by database version.
+ * To add a store, bump DB_VERSION and add an UPGRADES entry for it.
+ */
+
+const DB_NAME = 'ffe_budget_manager';
+const DB_VERSION = 3;
+
+/**
+ * Upgrade steps, applied in order for every version above the stored one.
+ * Each receives the database during `onupgradeneeded`.
+ */
+const UPGRADES = {
+    1: (db) => {
+        // Draft metadata is kept apart from draft contents so listing is cheap
+        db.createObjectStore('drafts', { keyPath: 'projectId' });
+        db.createObjectStore('draftData', { keyPath: 'projectId' });
+    },
+    2: (db) => {
+        db.createObjectStore('recentFiles', { keyPath: 'id' });
+    },
+    3: (db) => {
+        db.createObjectStore('templates', { keyPath: 'id' });
+    }
+};
+
+let dbPromise = null;
+
+/**
+ * Opens (and upgrades if needed) the application database.
+ * The connection is shared across calls.
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+                    UPGRADES[version]?.(request.result);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a later retry if opening failed
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+};
+
+/**
+ * Converts an IDBRequest into a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<any>} The request result
+ */
+export const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Runs work inside a transaction and resolves once it has committed.
+ * @param {string|string[]} storeNames - Object stores to include
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Receives the transaction; may return a value or promise
+ * @returns {Promise<any>} The value returned by `work`
+ */
+export const withTransaction = async (storeNames, mode, work) => {
+    const db = await openDb();
+    const tx = db.transaction(storeNames, mode);
+    const done = new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+    const result = await work(tx);
+    await done;
+    return result;
+};
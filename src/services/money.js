@@ -0,0 +1,125 @@
+/**
+ * Money Service
+ * Exact money arithmetic in integer minor units (cents), and the project's
+ * display precision and tax rounding settings.
+ *
+ * Amounts are stored and passed around in major units (e.g. 12.34), but
+ * every calculation converts them with toMinor(), works on whole cents and
+ * converts back with fromMinor(). Each result is then a whole number of
+ * cents, and sums equal the lines they add up to. Rounding is half away
+ * from zero.
+ */
+
+/**
+ * Minor units per major unit. Every currency is calculated to the hundredth,
+ * including those without cents such as JPY or KRW: their amounts are still
+ * rounded to 0.01, not to whole units, and should be shown with the
+ * 'whole' display precision.
+ */
+export const MINOR_UNITS = 100;
+
+/** How amounts are shown on screen, in print and in CSV exports. */
+export const DISPLAY_PRECISIONS = [
+    { id: 'whole', label: 'Whole units', decimals: 0 },
+    { id: 'cents', label: 'Cents', decimals: 2 }
+];
+
+/**
+ * When tax is rounded to the cent: on each line and summed, or once per
+ * tax class on the whole budget, as on a single invoice.
+ */
+export const TAX_ROUNDING_RULES = [
+    { id: 'invoice', label: 'Per invoice', description: 'Tax is rounded once per tax class on the total taxable amount.' },
+    { id: 'line', label: 'Per line', description: 'Tax is rounded on each line and the line taxes are added up.' }
+];
+
+export const DEFAULT_DISPLAY_PRECISION = 'whole';
+export const DEFAULT_TAX_ROUNDING = 'invoice';
+
+/**
+ * Rounds a fractional number of minor units to a whole one.
+ * Trims floating-point noise first so 1.005 × 100 rounds to 101, not 100.
+ * @param {number} value - Amount in minor units
+ * @returns {number} Integer
+ */
+export const roundMinor = (value) => {
+    const n = Number((Number(value) || 0).toPrecision(15));
+    return n < 0 ? -Math.round(-n) : Math.round(n);
+};
+
+/**
+ * Converts an amount to integer minor units.
+ * @param {number} amount - Amount in major units
+ * @returns {number} Integer cents
+ */
+export const toMinor = (amount) => roundMinor((Number(amount) || 0) * MINOR_UNITS);
+
+/**
+ * Converts integer minor units back to an amount.
+ * @param {number} minor - Integer cents
+ * @returns {number}
+ */
+export const fromMinor = (minor) => minor / MINOR_UNITS;
+
+/**
+ * Rounds an amount to whole cents.
+ * @param {number} amount - Amount in major units
+ * @returns {number}
+ */
+export const roundMoney = (amount) => fromMinor(toMinor(amount));
+
+/**
+ * Splits an integer amount into parts proportional to their weights, using
+ * the largest remainder so the parts add up exactly to the total.
+ * @param {number} total - Integer minor units to split
+ * @param {number[]} weights - Non-negative weights
+ * @returns {number[]} Integer minor units per weight
+ */
+export const allocateMinor = (total, weights) => {
+    const weightSum = weights.reduce((sum, w) => sum + w, 0);
+    if (weights.length === 0) return [];
+    if (!(weightSum > 0)) return weights.map((_, idx) => (idx === 0 ? total : 0));
+
+    const exact = weights.map(w => total * w / weightSum);
+    const parts = exact.map(Math.trunc);
+    let remainder = total - parts.reduce((sum, p) => sum + p, 0);
+    const step = Math.sign(remainder);
+    exact
+        .map((value, idx) => ({ idx, fraction: Math.abs(value - parts[idx]) }))
+        .sort((a, b) => b.fraction - a.fraction)
+        .forEach(({ idx }) => {
+            if (remainder === 0) return;
+            parts[idx] += step;
+            remainder -= step;
+        });
+    return parts;
+};
+
+/**
+ * Number of decimals amounts are shown with.
+ * @param {Object} projectInfo - Project information (displayPrecision)
+ * @returns {number}
+ */
+export const getDisplayDecimals = (projectInfo) =>
+    (DISPLAY_PRECISIONS.find(p => p.id === projectInfo?.displayPrecision) || DISPLAY_PRECISIONS[0]).decimals;
+
+/**
+ * Tax rounding rule of a project.
+ * @param {Object} projectInfo - Project information (taxRounding)
+ * @returns {'invoice'|'line'}
+ */
+export const getTaxRounding = (projectInfo) =>
+    (TAX_ROUNDING_RULES.some(r => r.id === projectInfo?.taxRounding) ? projectInfo.taxRounding : DEFAULT_TAX_ROUNDING);
+
+/**
+ * Plain amount at the display precision, for CSV exports (e.g., "1234.50").
+ * @param {number} amount - Amount in major units
+ * @param {number} decimals - From getDisplayDecimals()
+ * @returns {string}
+ */
+export const formatAmount = (amount, decimals) => {
+    const minor = toMinor(amount);
+    if (decimals >= 2) return fromMinor(minor).toFixed(2);
+    const whole = roundMinor(minor / MINOR_UNITS);
+    return String(whole === 0 ? 0 : whole);
+};
@@ -0,0 +1,213 @@
+/**
+ * Payments Service
+ * Vendor deposit terms, payments recorded against items and the monthly
+ * cash-flow projection.
+ *
+ * Each line is paid in two parts: a deposit when it is ordered and the
+ * balance before it ships. The deposit percentage comes from the item
+ * (`item.depositPercent`), else its vendor's terms, else the project default
+ * (`projectInfo.paymentTerms`). Payments (`item.payments`) are amounts in the
+ * base currency; they settle the deposit first, then the balance. Amounts are
+ * calculated in whole cents (see money.js).
+ */
+
+import { getItemBaseTotal, getItemAddOnTotal, getItemTax } from './budgetMath';
+import { toMinor, fromMinor, roundMinor } from './money';
+
+/** Deposit percentage of new projects and of files written before payment terms existed. */
+export const DEFAULT_DEPOSIT_PERCENT = 50;
+
+/** Statuses of items that have been ordered but not yet received. */
+const ORDERED_STATUSES = ['In Progress'];
+
+/** Statuses of items that have been received, so everything on them is due. */
+const RECEIVED_STATUSES = ['Received', 'Installed'];
+
+/** Longest lead time scheduled (ten years); longer ones are typing errors, not dates. */
+const MAX_LEAD_TIME_WEEKS = 520;
+
+/**
+ * Default payment terms for a new project.
+ * @returns {{depositPercent: number, vendors: Object<string, number>}}
+ */
+export const createDefaultPaymentTerms = () => ({ depositPercent: DEFAULT_DEPOSIT_PERCENT, vendors: {} });
+
+/**
+ * Creates a payment record.
+ * @param {string} id - Record id
+ * @param {number} amount - Amount in the base currency
+ * @param {string} date - Payment date (YYYY-MM-DD)
+ * @returns {{id: string, date: string, amount: number, note: string}}
+ */
+export const createPayment = (id, amount, date) => ({ id, date, amount, note: '' });
+
+/**
+ * Key used to match an item's vendor against the vendor terms.
+ * @param {string} vendor - Vendor name as entered
+ * @returns {string}
+ */
+export const getVendorKey = (vendor) => String(vendor || '').trim().toLowerCase();
+
+/**
+ * Resolves the deposit percentage for an item: its own, then its vendor's,
+ * then the project default.
+ * @param {Object} item - Line item
+ * @param {Object} projectInfo - Project information (paymentTerms)
+ * @returns {number}
+ */
+export const getDepositPercent = (item, projectInfo) => {
+    if (typeof item.depositPercent === 'number') return item.depositPercent;
+    const terms = projectInfo.paymentTerms || createDefaultPaymentTerms();
+    const vendorKey = getVendorKey(item.mfr);
+    const vendor = Object.entries(terms.vendors || {}).find(([name]) => getVendorKey(name) === vendorKey);
+    return vendor && vendorKey ? vendor[1] : Number(terms.depositPercent) || 0;
+};
+
+/**
+ * Amount payable for a line: merchandise and add-ons plus the tax on them
+ * (rounded on the line), in the base currency. Tax is already contained in
+ * tax-inclusive prices.
+ * @param {Object} item - Line item
+ * @param {Object} category - Category containing the item
+ * @param {Object} projectInfo - Project information
+ * @returns {number}
+ */
+export const getItemPayable = (item, category, projectInfo) => {
+    const total = toMinor(getItemBaseTotal(item, projectInfo)) + toMinor(getItemAddOnTotal(item, projectInfo));
+    return fromMinor(projectInfo.pricesIncludeTax === true ? total : total + toMinor(getItemTax(item, category, projectInfo)));
+};
+
+/**
+ * Deposit due on a payable amount, rounded to the cent.
+ * @param {number} payable - From getItemPayable()
+ * @param {number} depositPercent - From getDepositPercent()
+ * @returns {number}
+ */
+export const getDepositAmount = (payable, depositPercent) =>
+    fromMinor(roundMinor(toMinor(payable) * Math.min(depositPercent, 100) / 100));
+
+/**
+ * Sum of the payments recorded on an item.
+ * @param {Object} item - Line item
+ * @returns {number}
+ */
+export const getItemPaid = (item) => fromMinor((item.payments || []).reduce((sum, p) => sum + toMinor(p.amount), 0));
+
+/**
+ * Parses a lead time such as "8-10 weeks", "6 wks", "3 months" or
+ * "10 business days" into weeks, using the upper end of a range. The unit is
+ * the first word after the number starting with d, w or m; a bare number is
+ * read as weeks. Lead times are capped at ten years.
+ * @param {string} leadTime - Lead time as entered
+ * @returns {number|null} Weeks, or null when it cannot be read
+ */
+export const parseLeadTimeWeeks = (leadTime) => {
+    const match = String(leadTime || '').toLowerCase().match(/(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?(.*)/);
+    if (!match) return null;
+    const amount = parseFloat(match[2] || match[1]);
+    const unit = match[3].match(/(?:^|[^a-z])([dwm])/)?.[1];
+    const weeks = unit === 'd' ? amount / 7 : unit === 'm' ? amount * 52 / 12 : amount;
+    return Math.min(weeks, MAX_LEAD_TIME_WEEKS);
+};
+
+/**
+ * Whether a value is a calendar date written as YYYY-MM-DD.
+ * @param {any} value
+ * @returns {boolean}
+ */
+export const isIsoDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !Number.isNaN(Date.parse(value)) && new Date(value).toISOString().slice(0, 10) === value;
+
+/**
+ * Adds days to a date.
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string|null} YYYY-MM-DD, or null when the date is not valid or the result is out of range
+ */
+const addDays = (date, days) => {
+    const time = Date.parse(date) + Math.round(days) * 86400000;
+    const result = new Date(time);
+    return Number.isFinite(time) && !Number.isNaN(result.getTime()) ? result.toISOString().slice(0, 10) : null;
+};
+
+/**
+ * Builds the payment schedule of every line and the required funding per
+ * month. Items not yet ordered are assumed to be ordered today; ordered
+ * items use their order date. The balance is due when the item ships, its
+ * lead time after the order (at the order when the lead time cannot be
+ * read). Received items are due in full. Amounts whose due date has passed
+ * are projected in the current month.
+ *
+ * @param {Array} categories - Budget categories with items
+ * @param {Object} projectInfo - Project information
+ * @param {string} today - Current date (YYYY-MM-DD)
+ * @returns {{rows: Array<Object>, months: Array<{month: string, deposits: number, balances: number, total: number, cumulative: number}>,
+ *   payableTotal: number, paidTotal: number, remainingTotal: number}}
+ *   Rows hold each line's payable, deposit, balance, paid and remaining
+ *   amounts with the month each open part is due in (YYYY-MM)
+ */
+export const buildCashFlow = (categories, projectInfo, today) => {
+    const thisMonth = today.slice(0, 7);
+    const dueMonth = (date) => (date && date.slice(0, 7) > thisMonth ? date.slice(0, 7) : thisMonth);
+    const byMonth = {};
+    const schedule = (month, key, amount) => {
+        if (!(amount > 0)) return;
+        byMonth[month] = byMonth[month] || { month, deposits: 0, balances: 0 };
+        byMonth[month][key] += toMinor(amount);
+    };
+
+    const rows = [];
+    categories.forEach(category => {
+        category.items.forEach(item => {
+            const payable = getItemPayable(item, category, projectInfo);
+            const paid = getItemPaid(item);
+            if (!(payable > 0) && !(paid > 0)) return;
+
+            const depositPercent = getDepositPercent(item, projectInfo);
+            const deposit = getDepositAmount(payable, depositPercent);
+            const balance = fromMinor(toMinor(payable) - toMinor(deposit));
+            const isReceived = RECEIVED_STATUSES.includes(item.status);
+            const isOrdered = ORDERED_STATUSES.includes(item.status) || isReceived;
+            const orderDate = isOrdered && isIsoDate(item.orderDate) ? item.orderDate : today;
+            const leadWeeks = parseLeadTimeWeeks(item.leadTime);
+            const shipDate = isReceived ? today : addDays(orderDate, (leadWeeks || 0) * 7) || orderDate;
+            const depositOpen = fromMinor(Math.max(0, toMinor(deposit) - toMinor(paid)));
+            const balanceOpen = fromMinor(Math.max(0, toMinor(balance) - Math.max(0, toMinor(paid) - toMinor(deposit))));
+
+            const depositMonth = dueMonth(orderDate);
+            const balanceMonth = dueMonth(shipDate);
+            schedule(depositMonth, 'deposits', depositOpen);
+            schedule(balanceMonth, 'balances', balanceOpen);
+
+            rows.push({
+                category, item, payable, depositPercent, deposit, balance, paid,
+                remaining: fromMinor(toMinor(depositOpen) + toMinor(balanceOpen)),
+                orderDate, shipDate, leadWeeks,
+                depositMonth: depositOpen > 0 ? depositMonth : null,
+                balanceMonth: balanceOpen > 0 ? balanceMonth : null
+            });
+        });
+    });
+
+    let cumulative = 0;
+    const months = Object.values(byMonth)
+        .sort((a, b) => a.month.localeCompare(b.month))
+        .map(m => {
+            const total = m.deposits + m.balances;
+            cumulative += total;
+            return {
+                month: m.month, deposits: fromMinor(m.deposits), balances: fromMinor(m.balances),
+                total: fromMinor(total), cumulative: fromMinor(cumulative)
+            };
+        });
+
+    const sumRows = (key) => fromMinor(rows.reduce((sum, row) => sum + toMinor(row[key]), 0));
+    return { rows, months, payableTotal: sumRows('payable'), paidTotal: sumRows('paid'), remainingTotal: sumRows('remaining') };
+};
+
+/**
+ * Formats a YYYY-MM month for display (e.g., "Mar 2026").
+ * @param {string} month - YYYY-MM
+ * @returns {string}
+ */
+export const formatMonth = (month) => new Date(`${month}-01T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
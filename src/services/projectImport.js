@@ -0,0 +1,121 @@
+/**
+ * Project Import Service
+ * Copies chosen categories and items from another project into the current one.
+ *
+ * Imported records always get fresh ids so they can never collide with
+ * records already in the project, including attachments (whose ids also
+ * name their files inside the .ffe package).
+ */
+
+import { createRecordId } from './documentIds';
+import { STANDARD_TAX_CLASS_ID } from './budgetMath';
+
+/**
+ * Copies an option's specs with new attachment ids.
+ * @param {Object} record - Item or alternate
+ * @returns {Object} Specs
+ */
+const copySpecs = (record) => ({
+    ...record.specs,
+    attachments: (record.specs?.attachments || []).map(att => ({ ...att, id: createRecordId() }))
+});
+
+/**
+ * Copies an item with new item and attachment ids, including the
+ * attachments of its alternates. Payments and the order date belong to the
+ * source project's purchase and are not copied.
+ * Also used when starting a project from a template.
+ * @param {Object} item - Source item
+ * @param {Object} options
+ * @param {string|null} options.statusOverride - Status to set, or null to keep the source status
+ * @returns {Object} New item
+ */
+export const copyItem = (item, { statusOverride }) => {
+    const { payments: _payments, orderDate: _orderDate, ...rest } = item;
+    return {
+        ...rest,
+        id: createRecordId(),
+        ...(statusOverride && { status: statusOverride }),
+        specs: copySpecs(item),
+        ...(item.alternates && { alternates: item.alternates.map(alt => ({ ...alt, specs: copySpecs(alt) })) })
+    };
+};
+
+/**
+ * Drops an item's per-room quantities, whose room types belong to the source
+ * project. The quantity they produced is kept as an entered quantity.
+ * @param {Object} item - Copied item
+ * @returns {Object}
+ */
+const withoutRoomQuantities = (item) => {
+    const { perRoom: _perRoom, ...rest } = item;
+    return rest;
+};
+
+/**
+ * Clears tax class references that the project does not have, so copied
+ * sections and items fall back to the inherited tax class.
+ * Also used when starting a project from a template.
+ * @param {Array} categories - Categories to check
+ * @param {Array} taxClasses - The project's extra tax classes
+ * @returns {Array} Categories with only known tax classes
+ */
+export const clearUnknownTaxClasses = (categories, taxClasses = []) => {
+    const known = new Set([STANDARD_TAX_CLASS_ID, ...taxClasses.map(tc => tc.id)]);
+    const clearClass = (record) => {
+        if (!record.taxClassId || known.has(record.taxClassId)) return record;
+        const { taxClassId: _unknown, ...rest } = record;
+        return rest;
+    };
+    return categories.map(cat => ({ ...clearClass(cat), items: cat.items.map(clearClass) }));
+};
+
+/**
+ * Merges chosen source categories and items into the current categories.
+ * Items are added to an existing section with the same title (ignoring case);
+ * otherwise the section is added at the end with a new id. Per-room
+ * quantities are not imported; items keep their quantity.
+ * @param {Array} categories - Current categories
+ * @param {Array} sourceCategories - Categories from the other project
+ * @param {Object<string, Array>} selection - Chosen item ids keyed by source category id.
+ *   A category present with an empty list is imported as an empty section.
+ * @param {Object} [options]
+ * @param {string|null} [options.statusOverride=null] - Status for every imported item (e.g., 'Draft')
+ * @param {string|null} [options.currency=null] - Currency recorded on imported items that have none,
+ *   i.e. the source project's base currency when it differs from the current one
+ * @returns {{categories: Array, sectionCount: number, itemCount: number}}
+ *   Merged categories (new sections are not hydrated) and what was imported
+ */
+export const importCategories = (categories, sourceCategories, selection, { statusOverride = null, currency = null } = {}) => {
+    let merged = [...categories];
+    let sectionCount = 0;
+    let itemCount = 0;
+
+    sourceCategories.forEach(sourceCat => {
+        const chosenIds = selection[sourceCat.id];
+        if (!chosenIds) return;
+
+        const items = sourceCat.items
+            .filter(item => chosenIds.includes(item.id))
+            .map(item => withoutRoomQuantities(copyItem(item, { statusOverride })))
+            .map(item => (currency && !item.currency ? { ...item, currency } : item));
+        itemCount += items.length;
+
+        const titleKey = sourceCat.title.trim().toLowerCase();
+        const existing = merged.find(cat => cat.title.trim().toLowerCase() === titleKey);
+        if (existing) {
+            merged = merged.map(cat => (cat === existing ? { ...cat, items: [...cat.items, ...items] } : cat));
+            return;
+        }
+
+        merged = [...merged, {
+            id: `cat_${createRecordId()}`,
+            title: sourceCat.title,
+            color: sourceCat.color,
+            items
+        }];
+        sectionCount += 1;
+    });
+
+    return { categories: merged, sectionCount, itemCount };
+};
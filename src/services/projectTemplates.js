@@ -0,0 +1,152 @@
+/**
+ * Project Templates Service
+ * Saves the structure of a project as a reusable starting point for new
+ * documents (e.g., "Select-service hotel", "Restaurant refresh").
+ *
+ * A template keeps the categories and their standard line items, the terms,
+ * the sales tax rate and tax classes, the add-on defaults, the markup, the
+ * currency and exchange rates, the adjustment lines, the room types (without
+ * their key counts), the deposit terms, and the column visibility. Project
+ * details, company branding, the project and section allowances, and the key
+ * counts and areas are not part of a template. Templates are stored in IndexedDB and never leave the browser.
+ */
+
+import { withTransaction, promisifyRequest } from './localDb';
+import { serializeCategories } from './documentSchema';
+import { createRecordId } from './documentIds';
+import { copyItem } from './projectImport';
+
+/**
+ * Drops flat add-on amounts from an item's overrides; percentages are kept.
+ * @param {Object} [addOns] - Item add-on overrides
+ * @returns {Object|undefined}
+ */
+const withoutFlatAddOns = (addOns) => addOns && Object.fromEntries(
+    Object.entries(addOns).filter(([, setting]) => setting.mode !== 'flat')
+);
+
+/**
+ * Clears an item's prices: unit price, net cost, list price and flat add-on
+ * amounts, including those of its alternates. Markups, vendor discounts,
+ * quantity breaks and percentage add-ons are kept.
+ * @param {Object} item - Line item
+ * @returns {Object}
+ */
+const withoutPrices = (item) => {
+    const clearPrice = (option) => {
+        const { netCost: _netCost, listPrice: _listPrice, ...rest } = option;
+        return { ...rest, unitPrice: 0 };
+    };
+    return {
+        ...clearPrice(item),
+        addOns: withoutFlatAddOns(item.addOns),
+        ...(item.alternates && { alternates: item.alternates.map(clearPrice) })
+    };
+};
+
+/**
+ * Drops an item's payments and order date, which belong to one purchase.
+ * @param {Object} item - Line item
+ * @returns {Object}
+ */
+const withoutPurchase = (item) => {
+    const { payments: _payments, orderDate: _orderDate, ...rest } = item;
+    return rest;
+};
+
+/**
+ * Drops a category's allowance and area, which belong to one project.
+ * @param {Object} cat - Category
+ * @returns {Object}
+ */
+const withoutProjectFigures = (cat) => {
+    const { allowance: _allowance, area: _area, ...rest } = cat;
+    return rest;
+};
+
+/**
+ * Builds a template from the current project.
+ * Items are reset to Draft without payments; prices, net costs and flat
+ * add-on amounts are cleared unless includePrices is set.
+ * @param {string} name - Template name shown on the welcome screen
+ * @param {Object} project
+ * @param {Object} project.projectInfo - Current project info
+ * @param {Array} project.categories - Current categories (hydrated or serialized)
+ * @param {Object} project.visibleColumns - Column visibility flags keyed by column id
+ * @param {Object} [options]
+ * @param {boolean} [options.includePrices=true] - Keep unit prices and net costs on the items
+ * @returns {{id: string, name: string, createdAt: string, includesPrices: boolean, salesTaxRate: number, taxClasses: Array, pricesIncludeTax: boolean, taxRounding: string, displayPrecision: string, addOns: Object, markup: number, currency: string, exchangeRates: Object, adjustments: Array, roomTypes: Array, paymentTerms: Object, terms: string[], visibleColumns: Object, categories: Array}}
+ */
+export const createTemplate = (name, { projectInfo, categories, visibleColumns }, { includePrices = true } = {}) => ({
+    id: createRecordId(),
+    name,
+    createdAt: new Date().toISOString(),
+    includesPrices: includePrices,
+    salesTaxRate: projectInfo.salesTaxRate,
+    taxClasses: [...projectInfo.taxClasses],
+    pricesIncludeTax: projectInfo.pricesIncludeTax,
+    taxRounding: projectInfo.taxRounding,
+    displayPrecision: projectInfo.displayPrecision,
+    addOns: projectInfo.addOns,
+    markup: projectInfo.markup,
+    currency: projectInfo.currency,
+    exchangeRates: { ...projectInfo.exchangeRates },
+    adjustments: (projectInfo.adjustments || []).map(adj => ({ ...adj })),
+    roomTypes: (projectInfo.roomTypes || []).map(rt => ({ ...rt, count: 0 })),
+    paymentTerms: { ...projectInfo.paymentTerms, vendors: { ...projectInfo.paymentTerms?.vendors } },
+    terms: [...projectInfo.terms],
+    visibleColumns: { ...visibleColumns },
+    categories: serializeCategories(categories).map(withoutProjectFigures).map(cat => ({
+        ...cat,
+        items: cat.items.map(item => ({
+            ...withoutPurchase(includePrices ? item : withoutPrices(item)),
+            status: 'Draft'
+        }))
+    }))
+});
+
+/**
+ * Copies a template's categories for a new project.
+ * Items and attachments get fresh ids so projects started from the same
+ * template never share them. Category ids are kept, as they select the
+ * section icon and only need to be unique within one project.
+ * @param {Object} template - Template from listTemplates()
+ * @returns {Array} Serialized categories (not hydrated)
+ */
+export const instantiateTemplateCategories = (template) => template.categories.map(cat => ({
+    ...cat,
+    items: cat.items.map(item => copyItem(item, { statusOverride: null }))
+}));
+
+/**
+ * Lists saved templates by name.
+ * @returns {Promise<Array>} Templates as stored by saveTemplate()
+ */
+export const listTemplates = async () => {
+    const templates = await withTransaction('templates', 'readonly', (tx) =>
+        promisifyRequest(tx.objectStore('templates').getAll())
+    );
+    return templates.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Stores a template, replacing any template with the same id.
+ * @param {Object} template - Template from createTemplate()
+ * @returns {Promise<void>}
+ */
+export const saveTemplate = async (template) => {
+    await withTransaction('templates', 'readwrite', (tx) => {
+        tx.objectStore('templates').put(template);
+    });
+};
+
+/**
+ * Deletes a template.
+ * @param {string} templateId
+ * @returns {Promise<void>}
+ */
+export const deleteTemplate = async (templateId) => {
+    await withTransaction('templates', 'readwrite', (tx) => {
+        tx.objectStore('templates').delete(templateId);
+    });
+};
@@ -0,0 +1,98 @@
+/**
+ * Recent Files Service
+ * Remembers the files a user opened or saved so they can be reopened from
+ * the welcome screen without going through the file picker.
+ *
+ * Entries keep the FileSystemFileHandle itself (handles can be stored in
+ * IndexedDB) plus a summary of the project for display. Each file has its
+ * own entry, so copies of a project saved under other names are listed
+ * separately. Browsers drop file permissions between sessions, so reopening
+ * asks again.
+ */
+
+import { withTransaction, promisifyRequest } from './localDb';
+import { createRecordId } from './documentIds';
+
+/** Number of recent files kept; older entries are pruned. */
+const MAX_RECENT_FILES = 10;
+
+/**
+ * Lists recent files, most recently used first.
+ * @returns {Promise<Array<{id: string, projectId: string, handle: FileSystemFileHandle, fileName: string, projectName: string, client: string, grandTotal: number, currency: string, savedAt: string, openedAt: string}>>}
+ */
+export const listRecentFiles = async () => {
+    const entries = await withTransaction('recentFiles', 'readonly', (tx) =>
+        promisifyRequest(tx.objectStore('recentFiles').getAll())
+    );
+    return entries.sort((a, b) => b.openedAt.localeCompare(a.openedAt));
+};
+
+/**
+ * Adds or refreshes the recent file entry for a file.
+ * The entry of the same file is replaced, whichever project it last held
+ * (e.g., after Save As over it), and the list is trimmed to MAX_RECENT_FILES.
+ * @param {FileSystemFileHandle} handle - Handle returned by a file picker
+ * @param {Object} summary - Project summary shown on the welcome screen
+ * @param {string} summary.projectId
+ * @param {string} summary.projectName
+ * @param {string} summary.client
+ * @param {number} summary.grandTotal
+ * @param {string} summary.currency - Base currency of grandTotal
+ * @param {string} summary.savedAt - ISO date the document was last saved
+ * @returns {Promise<void>}
+ */
+export const addRecentFile = async (handle, { projectId, projectName, client, grandTotal, currency, savedAt }) => {
+    const existing = await listRecentFiles();
+
+    // isSameEntry is async, so resolve duplicates before opening the transaction
+    const sameFile = await Promise.all(existing.map(entry =>
+        entry.handle.isSameEntry(handle).catch(() => false)
+    ));
+    const previous = existing.filter((entry, i) => sameFile[i]);
+    const others = existing.filter((entry, i) => !sameFile[i]);
+    const stale = [...previous.slice(1), ...others.slice(MAX_RECENT_FILES - 1)];
+
+    await withTransaction('recentFiles', 'readwrite', (tx) => {
+        const store = tx.objectStore('recentFiles');
+        stale.forEach(entry => store.delete(entry.id));
+        store.put({
+            id: previous[0]?.id || createRecordId(),
+            projectId,
+            handle,
+            fileName: handle.name,
+            projectName,
+            client,
+            grandTotal,
+            currency,
+            savedAt,
+            openedAt: new Date().toISOString()
+        });
+    });
+};
+
+/**
+ * Removes a file from the recent list.
+ * @param {string} id - Entry id from listRecentFiles()
+ * @returns {Promise<void>}
+ */
+export const removeRecentFile = async (id) => {
+    await withTransaction('recentFiles', 'readwrite', (tx) => {
+        tx.objectStore('recentFiles').delete(id);
+    });
+};
+
+/**
+ * Reads a recent file, asking for permission again if the browser has
+ * dropped it. Must be called from a user gesture (e.g., a click).
+ * @param {Object} entry - Entry from listRecentFiles()
+ * @returns {Promise<File>}
+ * @throws {Error} If permission is denied or the file no longer exists.
+ */
+export const readRecentFile = async (entry) => {
+    const options = { mode: 'readwrite' };
+    if (await entry.handle.queryPermission(options) !== 'granted' &&
+        await entry.handle.requestPermission(options) !== 'granted') {
+        throw new Error(`Permission to open "${entry.fileName}" was denied.`);
+    }
+    return entry.handle.getFile();
+};
@@ -0,0 +1,89 @@
+/**
+ * Room Types Service
+ * Guest room quantity takeoffs driven by the project's room-type table.
+ *
+ * `projectInfo.roomTypes` lists each room type and its key count (e.g., King
+ * × 120). An item with a `perRoom` map ({ [roomTypeId]: quantity per room })
+ * has its `qty` derived from it, the same way a net cost derives the unit
+ * price: the stored qty is kept current whenever the per-room quantities or
+ * the key counts change, so totals and exports read qty as usual.
+ */
+
+/**
+ * Creates a new room type.
+ * @param {string} id - Record id
+ * @returns {{id: string, name: string, count: number}}
+ */
+export const createRoomType = (id) => ({ id, name: 'New Room Type', count: 0 });
+
+/**
+ * Whether an item's quantity is derived from per-room quantities.
+ * @param {Object} item - Line item
+ * @returns {boolean}
+ */
+export const hasRoomQuantities = (item) => Boolean(item.perRoom) && Object.keys(item.perRoom).length > 0;
+
+/**
+ * Total number of keys across all room types.
+ * @param {Array} roomTypes - Project room types
+ * @returns {number}
+ */
+export const getKeyCount = (roomTypes) => (roomTypes || []).reduce((sum, rt) => sum + (Number(rt.count) || 0), 0);
+
+/**
+ * Per-room quantities of an item, one entry per room type it is used in.
+ * @param {Object} item - Line item
+ * @param {Array} roomTypes - Project room types
+ * @returns {Array<{id: string, name: string, perRoom: number, count: number, qty: number}>}
+ */
+export const getRoomBreakdown = (item, roomTypes) => (roomTypes || [])
+    .filter(rt => item.perRoom?.[rt.id])
+    .map(rt => {
+        const perRoom = Number(item.perRoom[rt.id]) || 0;
+        const count = Number(rt.count) || 0;
+        return { id: rt.id, name: rt.name, perRoom, count, qty: perRoom * count };
+    });
+
+/**
+ * Re-derives an item's quantity from its per-room quantities.
+ * @param {Object} item - Line item
+ * @param {Array} roomTypes - Project room types
+ * @returns {Object} The same item when its qty is already current, otherwise an updated copy
+ */
+export const deriveItemQty = (item, roomTypes) => {
+    if (!hasRoomQuantities(item)) return item;
+    const qty = getRoomBreakdown(item, roomTypes).reduce((sum, part) => sum + part.qty, 0);
+    return qty === item.qty ? item : { ...item, qty };
+};
+
+/**
+ * Re-derives every room-based quantity, e.g. after a key count changes.
+ * @param {Array} categories - Budget categories with items
+ * @param {Array} roomTypes - Project room types
+ * @returns {Array} Categories; unchanged categories keep their identity
+ */
+export const applyRoomQuantities = (categories, roomTypes) => categories.map(cat => {
+    const items = cat.items.map(item => deriveItemQty(item, roomTypes));
+    return items.every((item, idx) => item === cat.items[idx]) ? cat : { ...cat, items };
+});
+
+/**
+ * Describes how an item's quantity is made up, one line per room type
+ * (e.g., "King: 2 × 120 keys = 240"), for the grid tooltip.
+ * @param {Object} item - Line item with per-room quantities
+ * @param {Array} roomTypes - Project room types
+ * @returns {string}
+ */
+export const describeRoomBreakdown = (item, roomTypes) => getRoomBreakdown(item, roomTypes)
+    .map(part => `${part.name}: ${part.perRoom} × ${part.count} keys = ${part.qty}`)
+    .join('\n');
+
+/**
+ * Number of keys used for cost-per-key metrics: the total of the room types
+ * when the project has any, otherwise the key count entered in the header.
+ * @param {Object} projectInfo - Project information (roomTypes, keyCount)
+ * @returns {number}
+ */
+export const getProjectKeyCount = (projectInfo) => (projectInfo.roomTypes?.length > 0
+    ? getKeyCount(projectInfo.roomTypes)
+    : Number(projectInfo.keyCount) || 0);